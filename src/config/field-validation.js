@@ -428,6 +428,35 @@ export class FieldAwareValidator {
       }
     }
 
+    // Pattern from the definition (bundles and plugins); search() ignores the
+    // lastIndex a g or y flag would carry from one value to the next
+    const pattern = definition?.validation?.pattern;
+    if (pattern instanceof RegExp && typeof value === 'string' && value.search(pattern) === -1) {
+      return {
+        isValid: false,
+        error: `Invalid value in field ${field.id}: ${definition.validation.message || `must match ${pattern}`}`
+      };
+    }
+
+    // Validator from a field type plugin
+    if (typeof definition?.validate === 'function') {
+      let result;
+      try {
+        result = definition.validate(value, field);
+      } catch (error) {
+        return {
+          isValid: false,
+          error: `Plugin validator for ${field.type} failed: ${error.message}`
+        };
+      }
+      if (result && result.isValid === false) {
+        return {
+          isValid: false,
+          error: result.error || `Invalid value in field ${field.id}`
+        };
+      }
+    }
+
     return { isValid: true };
   }
 
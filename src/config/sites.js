@@ -0,0 +1,241 @@
+/**
+ * Multi-Site Configuration
+ * Manages several Gravity Forms installs from one Gravity MCP server
+ *
+ * Sites are defined in a JSON or YAML file pointed to by GRAVITY_MCP_SITES_FILE:
+ *
+ *   default: production
+ *   sites:
+ *     production:
+ *       base_url: https://www.example.com
+ *       consumer_key: ${PROD_GF_KEY}
+ *       consumer_secret: ${PROD_GF_SECRET}
+ *       auth_method: basic
+ *       allow_delete: false
+ *
+ * Without a sites file, a single "default" site is built from the
+ * GRAVITY_FORMS_* environment variables.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { extname, resolve } from 'path';
+import YAML from 'yaml';
+import { validateRestApiAccess } from './auth.js';
+
+export const DEFAULT_SITE_NAME = 'default';
+
+/**
+ * Site settings mapped to the environment-style keys GravityFormsClient reads
+ */
+const SITE_CONFIG_KEYS = {
+  base_url: 'GRAVITY_FORMS_BASE_URL',
+  consumer_key: 'GRAVITY_FORMS_CONSUMER_KEY',
+  consumer_secret: 'GRAVITY_FORMS_CONSUMER_SECRET',
+  auth_method: 'GRAVITY_FORMS_AUTH_METHOD',
+  allow_delete: 'GRAVITY_FORMS_ALLOW_DELETE',
+  timeout: 'GRAVITY_FORMS_TIMEOUT',
+  debug: 'GRAVITY_FORMS_DEBUG',
+  allow_self_signed_certs: 'MCP_ALLOW_SELF_SIGNED_CERTS'
+};
+
+/**
+ * Replace ${VAR} placeholders with environment values so secrets can stay out of the file
+ */
+function interpolateEnv(value, env) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => {
+    if (env[name] === undefined) {
+      throw new Error(`Environment variable ${name} referenced in sites config is not set`);
+    }
+    return env[name];
+  });
+}
+
+/**
+ * Parse a sites config file (JSON or YAML by extension)
+ * @param {string} filePath - Path to the sites file
+ * @returns {object} Raw parsed config
+ */
+export function readSitesFile(filePath) {
+  const fullPath = resolve(filePath);
+  if (!existsSync(fullPath)) {
+    throw new Error(`Sites config file not found: ${fullPath}`);
+  }
+
+  const content = readFileSync(fullPath, 'utf8');
+  const ext = extname(fullPath).toLowerCase();
+
+  try {
+    return ext === '.yaml' || ext === '.yml' ? YAML.parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid sites config file ${fullPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a parsed sites config and convert each site to client config
+ * @param {object} raw - Parsed sites file
+ * @param {object} env - Environment used for ${VAR} interpolation and shared settings
+ * @returns {object} { defaultSite, sites: Map<name, clientConfig> }
+ */
+export function parseSitesConfig(raw, env = {}) {
+  if (!raw || typeof raw !== 'object' || !raw.sites || typeof raw.sites !== 'object' || Array.isArray(raw.sites)) {
+    throw new Error('Sites config must contain a "sites" object keyed by site name');
+  }
+
+  const names = Object.keys(raw.sites);
+  if (names.length === 0) {
+    throw new Error('Sites config must define at least one site');
+  }
+
+  const sites = new Map();
+  for (const name of names) {
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      throw new Error(`Invalid site name "${name}": use letters, numbers, hyphens and underscores`);
+    }
+
+    const site = raw.sites[name] || {};
+    for (const required of ['base_url', 'consumer_key', 'consumer_secret']) {
+      if (!site[required]) {
+        throw new Error(`Site "${name}" is missing ${required}`);
+      }
+    }
+
+    const config = { ...env };
+    for (const [key, configKey] of Object.entries(SITE_CONFIG_KEYS)) {
+      if (site[key] !== undefined) {
+        config[configKey] = String(interpolateEnv(site[key], env));
+      } else if (['allow_delete', 'auth_method', 'allow_self_signed_certs'].includes(key)) {
+        // Policy settings never leak from the global environment into a named site
+        delete config[configKey];
+      }
+    }
+
+    sites.set(name, config);
+  }
+
+  const defaultSite = raw.default || names[0];
+  if (!sites.has(defaultSite)) {
+    throw new Error(`Default site "${defaultSite}" is not defined in sites config`);
+  }
+
+  return { defaultSite, sites };
+}
+
+/**
+ * Site Manager
+ * Resolves site names to lazily created, initialized per-site contexts
+ */
+export class SiteManager {
+  /**
+   * @param {object} env - Process environment
+   * @param {Function} createContext - Factory (name, config) => { client, ... }
+   */
+  constructor(env, createContext) {
+    this.createContext = createContext;
+    // Site name -> promise of its initialized context, so concurrent first requests share one
+    this.contexts = new Map();
+
+    if (env.GRAVITY_MCP_SITES_FILE) {
+      const parsed = parseSitesConfig(readSitesFile(env.GRAVITY_MCP_SITES_FILE), env);
+      this.defaultSite = parsed.defaultSite;
+      this.sites = parsed.sites;
+      this.isMultiSite = true;
+    } else {
+      this.defaultSite = DEFAULT_SITE_NAME;
+      this.sites = new Map([[DEFAULT_SITE_NAME, env]]);
+      this.isMultiSite = false;
+    }
+  }
+
+  /**
+   * Get all configured site names
+   */
+  getSiteNames() {
+    return Array.from(this.sites.keys());
+  }
+
+  /**
+   * Resolve a site name, falling back to the default site
+   */
+  resolveSiteName(name) {
+    const siteName = name || this.defaultSite;
+    if (!this.sites.has(siteName)) {
+      throw new Error(`Unknown site: ${siteName}. Available sites: ${this.getSiteNames().join(', ')}`);
+    }
+    return siteName;
+  }
+
+  /**
+   * Get the initialized context for a site, creating it on first use
+   */
+  async getContext(name) {
+    const siteName = this.resolveSiteName(name);
+
+    if (!this.contexts.has(siteName)) {
+      const pending = this.initializeContext(siteName);
+      this.contexts.set(siteName, pending);
+
+      // A failed site is retried on its next use
+      pending.catch(() => {
+        if (this.contexts.get(siteName) === pending) {
+          this.contexts.delete(siteName);
+        }
+      });
+    }
+
+    return this.contexts.get(siteName);
+  }
+
+  /**
+   * Create a site's context and initialize its client
+   */
+  async initializeContext(siteName) {
+    const context = this.createContext(siteName, this.sites.get(siteName));
+    const validation = await context.client.initialize();
+
+    if (!validation.available) {
+      throw new Error(`Failed to initialize site ${siteName}: ${validation.error}`);
+    }
+
+    return context;
+  }
+
+  /**
+   * Report connection health for every site
+   * Uses a fresh, uninitialized client so one broken site never blocks the others
+   */
+  async checkHealth() {
+    const results = [];
+
+    for (const [name, config] of this.sites) {
+      const result = {
+        name,
+        default: name === this.defaultSite,
+        base_url: config.GRAVITY_FORMS_BASE_URL,
+        allow_delete: config.GRAVITY_FORMS_ALLOW_DELETE === 'true'
+      };
+
+      try {
+        const context = this.contexts.has(name) ? await this.contexts.get(name).catch(() => null) : null;
+        const { client } = context || this.createContext(name, config);
+        const validation = await validateRestApiAccess(client.httpClient, client.authManager);
+
+        results.push({
+          ...result,
+          auth_method: client.authManager.getAuthInfo().method,
+          available: validation.available,
+          coverage: validation.coverage,
+          message: validation.message,
+          error: validation.error
+        });
+      } catch (error) {
+        results.push({ ...result, available: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+}
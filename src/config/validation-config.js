@@ -38,7 +38,10 @@ export const VALIDATION_CONFIG = {
     entries: {
       maxPerPage: 200,
       defaultPerPage: 50,
-      maxPage: 1000
+      maxPage: 1000,
+      // Entries returned by one all_pages call before a cursor is handed back
+      maxEntriesPerCall: 5000,
+      defaultEntriesPerCall: 1000
     },
     feeds: {
       maxPerPage: 100,
@@ -6,6 +6,44 @@
  * to ensure 100% valid structure for forms, entries, and JSON data.
  */
 
+import { CHOICE_SCHEMA } from './field-schema.js';
+
+/**
+ * Property schemas shared between field types
+ */
+const CHOICE_VALUES = {
+  enableChoiceValue: { type: 'boolean', description: 'Store a value that differs from the choice text' }
+};
+
+const PRICED_CHOICES = {
+  ...CHOICE_VALUES,
+  choices: { type: 'array', items: CHOICE_SCHEMA, description: 'Choices for dropdown and radio input types' },
+  enablePrice: { type: 'boolean' }
+};
+
+const PRODUCT_LINK = {
+  productField: { type: ['integer', 'string'], description: 'ID of the product field this applies to' }
+};
+
+const NO_DUPLICATES = {
+  noDuplicates: { type: 'boolean', description: 'Reject values already submitted' }
+};
+
+const CALCULATION = {
+  enableCalculation: { type: 'boolean' },
+  calculationFormula: { type: 'string', description: 'Formula using merge tags, such as {Quantity:3} * 2' },
+  calculationRounding: { type: ['integer', 'string'], description: 'Decimal places, or "norounding"' }
+};
+
+const BUTTON = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['text', 'image'] },
+    text: { type: 'string' },
+    imageUrl: { type: 'string' }
+  }
+};
+
 /**
  * Field type metadata and validation rules
  * Each field type includes:
@@ -13,6 +51,8 @@
  * - Storage pattern (how data is stored in entries)
  * - Validation rules
  * - Field variants (different configurations)
+ * - Settable properties as JSON Schema, beyond those every field has
+ *   (see field-schema.js)
  */
 export const fieldRegistry = {
   // Standard Fields
@@ -33,6 +73,13 @@ export const fieldRegistry = {
     validation: {
       maxLength: 255,
       patterns: []
+    },
+    properties: {
+      ...NO_DUPLICATES,
+      maxLength: { type: ['integer', 'string'], description: 'Maximum characters' },
+      enablePasswordInput: { type: 'boolean', description: 'Mask the input as a password' },
+      inputMask: { type: 'boolean', description: 'Apply an input mask' },
+      inputMaskValue: { type: 'string', description: 'Mask pattern, such as (999) 999-9999' }
     }
   },
 
@@ -49,6 +96,12 @@ export const fieldRegistry = {
     variants: {
       default: { label: 'Default', settings: {} },
       richtext: { label: 'Rich Text Editor', settings: { useRichTextEditor: true } }
+    },
+    properties: {
+      ...NO_DUPLICATES,
+      maxLength: { type: ['integer', 'string'], description: 'Maximum characters' },
+      useRichTextEditor: { type: 'boolean', description: 'Show the rich text editor' },
+      rows: { type: 'integer', description: 'Visible rows' }
     }
   },
 
@@ -65,6 +118,10 @@ export const fieldRegistry = {
     validation: {
       pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
       message: 'Please enter a valid email address'
+    },
+    properties: {
+      ...NO_DUPLICATES,
+      emailConfirmEnabled: { type: 'boolean', description: 'Ask for the address twice' }
     }
   },
 
@@ -81,12 +138,20 @@ export const fieldRegistry = {
     variants: {
       default: { label: 'Default', settings: {} },
       currency: { label: 'Currency', settings: { numberFormat: 'currency' } },
-      decimal: { label: 'Decimal', settings: { numberFormat: 'decimal' } }
+      // Gravity Forms saves 9,999.99 as "decimal_dot"; no field has numberFormat "decimal"
+      decimal: { label: 'Decimal', settings: { numberFormat: 'decimal_dot' } }
     },
     validation: {
       min: null,
       max: null,
       step: null
+    },
+    properties: {
+      ...NO_DUPLICATES,
+      ...CALCULATION,
+      numberFormat: { type: 'string', enum: ['decimal_dot', 'decimal_comma', 'currency'] },
+      rangeMin: { type: ['number', 'string'], description: 'Lowest accepted value' },
+      rangeMax: { type: ['number', 'string'], description: 'Highest accepted value' }
     }
   },
 
@@ -103,6 +168,10 @@ export const fieldRegistry = {
     variants: {
       standard: { label: 'Standard', settings: { phoneFormat: 'standard' } },
       international: { label: 'International', settings: { phoneFormat: 'international' } }
+    },
+    properties: {
+      ...NO_DUPLICATES,
+      phoneFormat: { type: 'string', enum: ['standard', 'international'] }
     }
   },
 
@@ -119,6 +188,9 @@ export const fieldRegistry = {
     validation: {
       pattern: /^https?:\/\/.+/,
       message: 'Please enter a valid URL'
+    },
+    properties: {
+      ...NO_DUPLICATES
     }
   },
 
@@ -137,7 +209,11 @@ export const fieldRegistry = {
       default: { label: 'Default', settings: {} },
       enhanced: { label: 'Enhanced UI', settings: { enableEnhancedUI: true } }
     },
-    hasChoices: true
+    hasChoices: true,
+    properties: {
+      ...CHOICE_VALUES,
+      enableEnhancedUI: { type: 'boolean', description: 'Searchable dropdown' }
+    }
   },
 
   radio: {
@@ -154,7 +230,11 @@ export const fieldRegistry = {
       default: { label: 'Default', settings: {} },
       otherChoice: { label: 'With Other Option', settings: { enableOtherChoice: true } }
     },
-    hasChoices: true
+    hasChoices: true,
+    properties: {
+      ...CHOICE_VALUES,
+      enableOtherChoice: { type: 'boolean', description: 'Add an "Other" choice with a text input' }
+    }
   },
 
   checkbox: {
@@ -169,7 +249,12 @@ export const fieldRegistry = {
       itemFormat: 'input_{fieldId}_{index}'
     },
     hasChoices: true,
-    isArray: true
+    isArray: true,
+    properties: {
+      ...CHOICE_VALUES,
+      enableSelectAll: { type: 'boolean', description: 'Add a "Select All" choice' },
+      inputs: { type: 'array', items: { type: 'object' }, description: 'One input per choice; generated from choices when omitted' }
+    }
   },
 
   multiselect: {
@@ -187,7 +272,11 @@ export const fieldRegistry = {
       enhanced: { label: 'Enhanced UI', settings: { enableEnhancedUI: true } }
     },
     hasChoices: true,
-    isArray: true
+    isArray: true,
+    properties: {
+      ...CHOICE_VALUES,
+      enableEnhancedUI: { type: 'boolean', description: 'Searchable dropdown' }
+    }
   },
 
   // Advanced Fields
@@ -208,7 +297,10 @@ export const fieldRegistry = {
         '8': 'suffix'
       }
     },
-    isCompound: true
+    isCompound: true,
+    properties: {
+      nameFormat: { type: 'string', enum: ['simple', 'normal', 'extended', 'advanced'], description: 'simple is one input; advanced adds prefix, middle and suffix' }
+    }
   },
 
   address: {
@@ -234,6 +326,13 @@ export const fieldRegistry = {
       us: { label: 'US Address', settings: { addressType: 'us' } },
       canadian: { label: 'Canadian Address', settings: { addressType: 'canadian' } },
       international: { label: 'International', settings: { addressType: 'international' } }
+    },
+    properties: {
+      addressType: { type: 'string', enum: ['international', 'us', 'canadian'] },
+      defaultCountry: { type: 'string' },
+      defaultState: { type: 'string' },
+      defaultProvince: { type: 'string' },
+      hideCountry: { type: 'boolean' }
     }
   },
 
@@ -251,6 +350,11 @@ export const fieldRegistry = {
       datefield: { label: 'Date Field', settings: { dateType: 'datefield' } },
       datepicker: { label: 'Date Picker', settings: { dateType: 'datepicker' } },
       datedropdown: { label: 'Date Dropdown', settings: { dateType: 'datedropdown' } }
+    },
+    properties: {
+      dateType: { type: 'string', enum: ['datefield', 'datepicker', 'datedropdown'] },
+      dateFormat: { type: 'string', enum: ['mdy', 'dmy', 'dmy_dash', 'dmy_dot', 'ymd_slash', 'ymd_dash', 'ymd_dot'] },
+      calendarIconType: { type: 'string', enum: ['none', 'calendar', 'custom'] }
     }
   },
 
@@ -267,6 +371,9 @@ export const fieldRegistry = {
     variants: {
       'hour12': { label: '12 Hour', settings: { timeFormat: '12' } },
       'hour24': { label: '24 Hour', settings: { timeFormat: '24' } }
+    },
+    properties: {
+      timeFormat: { type: 'string', enum: ['12', '24'] }
     }
   },
 
@@ -286,6 +393,12 @@ export const fieldRegistry = {
     variants: {
       single: { label: 'Single File', settings: { multipleFiles: false } },
       multiple: { label: 'Multiple Files', settings: { multipleFiles: true } }
+    },
+    properties: {
+      multipleFiles: { type: 'boolean' },
+      maxFiles: { type: ['integer', 'string'], description: 'Most files per entry when multipleFiles is on' },
+      maxFileSize: { type: ['integer', 'string'], description: 'Largest file in MB' },
+      allowedExtensions: { type: 'string', description: 'Comma-separated, such as jpg,png,pdf' }
     }
   },
 
@@ -303,6 +416,11 @@ export const fieldRegistry = {
     variants: {
       single: { label: 'Single Column', settings: { enableColumns: false } },
       multi: { label: 'Multiple Columns', settings: { enableColumns: true } }
+    },
+    properties: {
+      enableColumns: { type: 'boolean' },
+      choices: { type: 'array', items: CHOICE_SCHEMA, description: 'Column names when enableColumns is on' },
+      maxRows: { type: ['integer', 'string'] }
     }
   },
 
@@ -329,7 +447,11 @@ export const fieldRegistry = {
       type: 'none',
       format: 'none'
     },
-    storesData: false
+    storesData: false,
+    properties: {
+      content: { type: 'string', description: 'HTML shown on the form' },
+      disableMargins: { type: 'boolean' }
+    }
   },
 
   section: {
@@ -356,7 +478,11 @@ export const fieldRegistry = {
       format: 'none'
     },
     storesData: false,
-    isPageBreak: true
+    isPageBreak: true,
+    properties: {
+      nextButton: BUTTON,
+      previousButton: BUTTON
+    }
   },
 
   // Post Fields
@@ -366,9 +492,14 @@ export const fieldRegistry = {
     category: 'post',
     supportsRequired: true,
     supportsConditionalLogic: true,
+    supportsDuplicate: false,
     storage: {
       type: 'string',
       format: 'single'
+    },
+    properties: {
+      postTitleTemplateEnabled: { type: 'boolean' },
+      postTitleTemplate: { type: 'string', description: 'Title built from merge tags' }
     }
   },
 
@@ -378,9 +509,14 @@ export const fieldRegistry = {
     category: 'post',
     supportsRequired: true,
     supportsConditionalLogic: true,
+    supportsDuplicate: false,
     storage: {
       type: 'string',
       format: 'single'
+    },
+    properties: {
+      postContentTemplateEnabled: { type: 'boolean' },
+      postContentTemplate: { type: 'string', description: 'Content built from merge tags' }
     }
   },
 
@@ -390,6 +526,7 @@ export const fieldRegistry = {
     category: 'post',
     supportsRequired: true,
     supportsConditionalLogic: true,
+    supportsDuplicate: false,
     storage: {
       type: 'string',
       format: 'single'
@@ -409,6 +546,11 @@ export const fieldRegistry = {
     variants: {
       dropdown: { label: 'Dropdown', settings: { displayAllCategories: false } },
       checkboxes: { label: 'Checkboxes', settings: { displayAllCategories: true } }
+    },
+    properties: {
+      ...CHOICE_VALUES,
+      inputType: { type: 'string', enum: ['select', 'checkbox', 'radio', 'multiselect'] },
+      displayAllCategories: { type: 'boolean' }
     }
   },
 
@@ -421,6 +563,9 @@ export const fieldRegistry = {
     storage: {
       type: 'string',
       format: 'single'
+    },
+    properties: {
+      inputType: { type: 'string', enum: ['text', 'select', 'checkbox', 'radio', 'multiselect'] }
     }
   },
 
@@ -433,6 +578,12 @@ export const fieldRegistry = {
     storage: {
       type: 'string',
       format: 'single'
+    },
+    properties: {
+      displayTitle: { type: 'boolean' },
+      displayCaption: { type: 'boolean' },
+      displayDescription: { type: 'boolean' },
+      displayAlt: { type: 'boolean' }
     }
   },
 
@@ -445,6 +596,10 @@ export const fieldRegistry = {
     storage: {
       type: 'string',
       format: 'single'
+    },
+    properties: {
+      postCustomFieldName: { type: 'string', description: 'Custom field (meta) key' },
+      inputType: { type: 'string', description: 'Field type used to collect the value, such as text or select' }
     }
   },
 
@@ -466,6 +621,13 @@ export const fieldRegistry = {
       calculation: { label: 'Calculation', settings: { inputType: 'calculation' } },
       price: { label: 'User Defined Price', settings: { inputType: 'price' } },
       hiddenproduct: { label: 'Hidden', settings: { inputType: 'hiddenproduct' } }
+    },
+    properties: {
+      ...PRICED_CHOICES,
+      ...CALCULATION,
+      inputType: { type: 'string', enum: ['singleproduct', 'select', 'radio', 'price', 'hiddenproduct', 'calculation'] },
+      basePrice: { type: 'string', description: 'Price for single, hidden and calculated products, such as $10.00' },
+      disableQuantity: { type: 'boolean' }
     }
   },
 
@@ -478,6 +640,13 @@ export const fieldRegistry = {
     storage: {
       type: 'number',
       format: 'single'
+    },
+    properties: {
+      ...PRODUCT_LINK,
+      inputType: { type: 'string', enum: ['number', 'select', 'hidden'] },
+      numberFormat: { type: 'string', enum: ['decimal_dot', 'decimal_comma'] },
+      rangeMin: { type: ['number', 'string'] },
+      rangeMax: { type: ['number', 'string'] }
     }
   },
 
@@ -495,6 +664,11 @@ export const fieldRegistry = {
       dropdown: { label: 'Dropdown', settings: { inputType: 'select' } },
       checkboxes: { label: 'Checkboxes', settings: { inputType: 'checkbox' } },
       radio: { label: 'Radio Buttons', settings: { inputType: 'radio' } }
+    },
+    properties: {
+      ...PRICED_CHOICES,
+      ...PRODUCT_LINK,
+      inputType: { type: 'string', enum: ['select', 'checkbox', 'radio'] }
     }
   },
 
@@ -504,6 +678,7 @@ export const fieldRegistry = {
     category: 'pricing',
     supportsRequired: true,
     supportsConditionalLogic: true,
+    supportsDuplicate: false,
     storage: {
       type: 'string',
       format: 'single'
@@ -512,6 +687,11 @@ export const fieldRegistry = {
       singleshipping: { label: 'Single Method', settings: { inputType: 'singleshipping' } },
       dropdown: { label: 'Dropdown', settings: { inputType: 'select' } },
       radio: { label: 'Radio Buttons', settings: { inputType: 'radio' } }
+    },
+    properties: {
+      ...PRICED_CHOICES,
+      inputType: { type: 'string', enum: ['singleshipping', 'select', 'radio'] },
+      basePrice: { type: 'string', description: 'Price for a single shipping method' }
     }
   },
 
@@ -535,6 +715,7 @@ export const fieldRegistry = {
     category: 'pricing',
     supportsRequired: true,
     supportsConditionalLogic: true,
+    supportsDuplicate: false,
     storage: {
       type: 'compound',
       format: 'dotNotation',
@@ -547,7 +728,10 @@ export const fieldRegistry = {
       }
     },
     isCompound: true,
-    isSensitive: true
+    isSensitive: true,
+    properties: {
+      creditCards: { type: 'array', items: { type: 'string' }, description: 'Accepted cards, such as visa and amex' }
+    }
   },
 
   consent: {
@@ -564,7 +748,10 @@ export const fieldRegistry = {
         '2': 'text'
       }
     },
-    isCompound: true
+    isCompound: true,
+    properties: {
+      checkboxLabel: { type: 'string', description: 'Text beside the checkbox' }
+    }
   },
 
   signature: {
@@ -576,6 +763,12 @@ export const fieldRegistry = {
     storage: {
       type: 'string',
       format: 'base64'
+    },
+    properties: {
+      penSize: { type: ['integer', 'string'] },
+      penColor: { type: 'string' },
+      backgroundColor: { type: 'string' },
+      boxWidth: { type: ['integer', 'string'] }
     }
   },
 
@@ -585,12 +778,17 @@ export const fieldRegistry = {
     category: 'advanced',
     supportsRequired: false,
     supportsConditionalLogic: false,
+    supportsDuplicate: false,
     storage: {
       type: 'none',
       format: 'none'
     },
     storesData: false,
-    isValidation: true
+    isValidation: true,
+    properties: {
+      captchaType: { type: 'string', enum: ['recaptcha', 'simple_captcha', 'math'] },
+      captchaTheme: { type: 'string' }
+    }
   },
 
   // Quiz Fields
@@ -609,6 +807,12 @@ export const fieldRegistry = {
       dropdown: { label: 'Dropdown', settings: { inputType: 'select' } },
       radio: { label: 'Radio', settings: { inputType: 'radio' } },
       checkbox: { label: 'Checkbox', settings: { inputType: 'checkbox' } }
+    },
+    properties: {
+      ...CHOICE_VALUES,
+      inputType: { type: 'string', enum: ['select', 'radio', 'checkbox'] },
+      gquizAnswerExplanation: { type: 'string' },
+      gquizEnableRandomizeQuizChoices: { type: 'boolean' }
     }
   },
 
@@ -628,6 +832,11 @@ export const fieldRegistry = {
       dropdown: { label: 'Dropdown', settings: { inputType: 'select' } },
       radio: { label: 'Radio', settings: { inputType: 'radio' } },
       checkbox: { label: 'Checkbox', settings: { inputType: 'checkbox' } }
+    },
+    properties: {
+      ...CHOICE_VALUES,
+      inputType: { type: 'string', enum: ['select', 'radio', 'checkbox'] },
+      enableRandomizeChoices: { type: 'boolean' }
     }
   },
 
@@ -643,7 +852,12 @@ export const fieldRegistry = {
       format: 'dotNotation'
     },
     hasChoices: true,
-    isCompound: true
+    isCompound: true,
+    properties: {
+      gsurveyLikertEnableMultipleRows: { type: 'boolean' },
+      gsurveyLikertRows: { type: 'array', items: CHOICE_SCHEMA },
+      gsurveyLikertEnableScoring: { type: 'boolean' }
+    }
   },
 
   survey_rank: {
@@ -684,7 +898,15 @@ export const fieldRegistry = {
       format: 'json'
     },
     isNested: true,
-    isArray: true
+    isArray: true,
+    properties: {
+      gpnfForm: { type: ['integer', 'string'], description: 'ID of the child form' },
+      gpnfFields: { type: 'array', items: { type: ['integer', 'string'] }, description: 'Child form fields shown in the summary' },
+      gpnfEntryLabelSingular: { type: 'string' },
+      gpnfEntryLabelPlural: { type: 'string' },
+      gpnfEntryLimitMin: { type: ['integer', 'string'] },
+      gpnfEntryLimitMax: { type: ['integer', 'string'] }
+    }
   },
 
   repeater: {
@@ -698,7 +920,11 @@ export const fieldRegistry = {
       format: 'json'
     },
     isRepeater: true,
-    isArray: true
+    isArray: true,
+    properties: {
+      fields: { type: 'array', items: { type: 'object' }, description: 'Fields repeated in each row' },
+      maxItems: { type: ['integer', 'string'] }
+    }
   },
 
   // Chained Select
@@ -713,7 +939,11 @@ export const fieldRegistry = {
       format: 'single'
     },
     hasChoices: true,
-    isChained: true
+    isChained: true,
+    properties: {
+      chainedSelectsAlignment: { type: 'string', enum: ['horizontal', 'vertical'] },
+      chainedSelectsHideInactive: { type: 'boolean' }
+    }
   }
 };
 
@@ -857,12 +1087,17 @@ export function getCompoundFieldInputs(fieldType) {
  * Generate inputs array for compound fields (address, name, creditcard, etc.)
  * This ensures compound fields have the required sub-input definitions.
  *
+ * Types without a case below (such as those added by plugins) get their
+ * inputs from the definition's inputs(field) hook, which returns
+ * [{ id: '1', label }] with IDs relative to the field, or else from
+ * storage.subInputs.
+ *
  * @param {object} field - The field object with id, type, and optional variant settings.
+ * @param {object} fieldDef - Definition to use (default: the registry entry for field.type).
  *
  * @returns {array|null} Array of input definitions or null if not a compound field.
  */
-export function generateCompoundInputs(field) {
-  const fieldDef = fieldRegistry[field.type];
+export function generateCompoundInputs(field, fieldDef = fieldRegistry[field.type]) {
 
   if (!fieldDef || !fieldDef.isCompound) {
     return null;
@@ -936,6 +1171,18 @@ export function generateCompoundInputs(field) {
     );
   }
 
+  // Other compound types.
+  else if (typeof fieldDef.inputs === 'function') {
+    for (const input of fieldDef.inputs(field) || []) {
+      subInputs.push({ name: '', ...input, id: `${baseId}.${input.id}` });
+    }
+  } else if (fieldDef.storage?.subInputs) {
+    for (const [subId, name] of Object.entries(fieldDef.storage.subInputs)) {
+      const label = name.replace(/_/g, ' ').replace(/^./, first => first.toUpperCase());
+      subInputs.push({ id: `${baseId}.${subId}`, label, name: '' });
+    }
+  }
+
   return subInputs.length > 0 ? subInputs : null;
 }
 
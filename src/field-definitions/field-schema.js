@@ -0,0 +1,272 @@
+/**
+ * Field Property Schemas
+ *
+ * Builds a JSON Schema for the properties each field type accepts, from the
+ * settings every field has plus the type's own `properties` in the registry,
+ * and checks field properties against it. Also holds the schema for field
+ * type definitions themselves, used for bundles and plugins.
+ */
+
+/**
+ * A choice as stored on choice, product, option and shipping fields
+ */
+export const CHOICE_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    value: { type: ['string', 'number'] },
+    isSelected: { type: 'boolean' },
+    price: { type: ['string', 'number'] }
+  },
+  required: ['text']
+};
+
+/**
+ * Properties every field accepts, less those its type doesn't support
+ */
+export const COMMON_PROPERTIES = {
+  label: { type: 'string' },
+  adminLabel: { type: 'string', description: 'Label shown in the admin instead of label' },
+  description: { type: 'string' },
+  isRequired: { type: 'boolean' },
+  errorMessage: { type: 'string', description: 'Message shown when validation fails' },
+  placeholder: { type: 'string' },
+  defaultValue: { type: ['string', 'number'] },
+  inputName: { type: 'string', description: 'Parameter name for dynamic population' },
+  allowsPrepopulate: { type: 'boolean' },
+  cssClass: { type: 'string' },
+  size: { type: 'string', enum: ['small', 'medium', 'large'] },
+  visibility: { type: 'string', enum: ['visible', 'hidden', 'administrative'] },
+  labelPlacement: { type: 'string', enum: ['', 'top_label', 'left_label', 'right_label', 'hidden_label'] },
+  descriptionPlacement: { type: 'string', enum: ['', 'above', 'below'] },
+  conditionalLogic: {
+    type: ['object', 'null'],
+    description: 'Set with gf_set_conditional_logic to have the rules checked',
+    properties: {
+      actionType: { type: 'string', enum: ['show', 'hide'] },
+      logicType: { type: 'string', enum: ['all', 'any'] },
+      rules: { type: 'array', items: { type: 'object' } }
+    }
+  }
+};
+
+export const STORAGE_TYPES = ['string', 'number', 'array', 'compound', 'mixed', 'none'];
+
+const FLAGS = [
+  'supportsRequired', 'supportsConditionalLogic', 'supportsDuplicate', 'supportsPrepopulate',
+  'supportsVisibility', 'supportsDescription', 'supportsValidation', 'supportsCssClass',
+  'hasChoices', 'isCompound', 'isArray', 'storesData', 'isPageBreak', 'isCalculated',
+  'isSensitive', 'isNested', 'isRepeater', 'isChained', 'isValidation'
+];
+
+/**
+ * JSON Schema for a field type definition as found in definition bundles
+ * and plugins; the same shape as field-registry.js entries
+ */
+export const DEFINITION_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    label: { type: 'string' },
+    description: { type: 'string' },
+    category: { type: 'string' },
+    icon: { type: 'string' },
+    ...Object.fromEntries(FLAGS.map(flag => [flag, { type: 'boolean' }])),
+    storage: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: STORAGE_TYPES },
+        format: { type: 'string' },
+        subInputs: { type: 'object', additionalProperties: { type: 'string' } }
+      }
+    },
+    variants: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['label'],
+        properties: {
+          label: { type: 'string' },
+          description: { type: 'string' },
+          settings: { type: 'object' }
+        }
+      }
+    },
+    validation: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'Regular expression source' },
+        message: { type: 'string' }
+      }
+    },
+    properties: { type: 'object', additionalProperties: { type: 'object' } },
+    defaults: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Keys a definition must have when the type isn't built in
+ */
+export const NEW_TYPE_KEYS = ['label', 'category', 'storage'];
+
+/**
+ * Common properties that only apply to fields holding a value
+ */
+const VALUE_PROPERTIES = ['isRequired', 'errorMessage', 'placeholder', 'defaultValue', 'inputName', 'allowsPrepopulate'];
+
+/**
+ * Build the JSON Schema for a field type's properties
+ * Other properties are allowed: add-ons store their own settings on fields.
+ * @param {string} type - Field type
+ * @param {object} fieldDef - Registry entry for the type
+ * @returns {object} JSON Schema for the properties object
+ */
+export function buildFieldSchema(type, fieldDef) {
+  const properties = { ...COMMON_PROPERTIES };
+
+  if (fieldDef.storesData === false) {
+    VALUE_PROPERTIES.forEach(name => delete properties[name]);
+  }
+  if (fieldDef.supportsRequired === false) {
+    delete properties.isRequired;
+  }
+  if (fieldDef.supportsConditionalLogic === false) {
+    delete properties.conditionalLogic;
+  }
+  if (fieldDef.hasChoices) {
+    properties.choices = { type: 'array', items: CHOICE_SCHEMA };
+  }
+
+  Object.assign(properties, fieldDef.properties);
+
+  return {
+    type: 'object',
+    title: `${fieldDef.label || type} properties`,
+    properties,
+    additionalProperties: true
+  };
+}
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: value => value === null
+};
+
+const describe = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'string' ? `"${value}"` : typeof value === 'object' ? 'an object' : String(value);
+};
+
+/**
+ * Check a value against a schema
+ * Supports the subset the registry uses: type, enum, items, properties,
+ * required and additionalProperties.
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON Schema
+ * @param {string} path - Name of the value in error messages
+ * @returns {Array} Error messages, empty when the value fits
+ */
+export function checkSchema(value, schema, path) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => TYPE_CHECKS[type]?.(value))) {
+    return [`${path} must be ${types.join(' or ')} (got ${describe(value)})`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.map(option => option === '' ? '""' : option).join(', ')} (got ${describe(value)})`];
+  }
+
+  const errors = [];
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...checkSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name} is required`);
+      }
+    }
+    for (const [name, nested] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[name] ?? schema.additionalProperties;
+      if (propertySchema === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      } else if (propertySchema && typeof propertySchema === 'object' && nested !== undefined) {
+        errors.push(...checkSchema(nested, propertySchema, `${path}.${name}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Edit distance, used to suggest the property a typo meant
+ */
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(name, known) {
+  const lower = name.toLowerCase();
+  let best = null;
+  for (const candidate of known) {
+    const score = distance(lower, candidate.toLowerCase());
+    if (score <= 2 && (!best || score < best.score)) {
+      best = { candidate, score };
+    }
+  }
+  return best?.candidate;
+}
+
+/**
+ * Check field properties against the type's schema
+ * Properties the schema lists must have the right type. Others are
+ * reported as warnings, since add-ons and custom code store their own
+ * settings on fields; strict makes them errors.
+ * @param {string} type - Field type
+ * @param {object} properties - Properties to check
+ * @param {object} fieldDef - Registry entry for the type
+ * @param {object} options - { strict }
+ * @returns {object} { isValid, errors, warnings }
+ */
+export function validateFieldProperties(type, properties, fieldDef, options = {}) {
+  if (!TYPE_CHECKS.object(properties)) {
+    return { isValid: false, errors: [`properties must be an object (got ${describe(properties)})`], warnings: [] };
+  }
+
+  const schema = buildFieldSchema(type, fieldDef);
+  const known = Object.keys(schema.properties);
+  const errors = [];
+  const warnings = [];
+
+  for (const [name, value] of Object.entries(properties)) {
+    const propertySchema = schema.properties[name];
+    if (!propertySchema) {
+      const suggestion = suggest(name, known);
+      (options.strict ? errors : warnings).push(`${name} is not a property of ${type} fields${suggestion ? `; did you mean ${suggestion}?` : ''}`);
+    } else if (value !== undefined) {
+      errors.push(...checkSchema(value, propertySchema, name));
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, warnings };
+}
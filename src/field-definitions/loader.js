@@ -1,510 +1,307 @@
 /**
  * Field Definition Loader Module
- * 
- * Loads and manages Gravity Forms field type definitions
- * to ensure 100% valid structure for forms, entries, and JSON data.
- * 
- * This module integrates with the gravity-forms-field-definitions
- * to provide comprehensive field-aware validation and processing.
+ *
+ * Loads a versioned JSON bundle of Gravity Forms field type definitions and
+ * merges it over the built-in field registry, so definitions can be updated
+ * without a release of Gravity MCP.
+ *
+ * A bundle looks like:
+ *
+ *   {
+ *     "schema_version": 1,
+ *     "version": "2.9.4",
+ *     "fields": {
+ *       "text": { "properties": { "autocompleteAttribute": { "type": "string" } } },
+ *       "rating": { "label": "Rating", "category": "advanced", "storage": { "type": "string", "format": "single" } }
+ *     }
+ *   }
+ *
+ * Definitions use the same shape as field-registry.js entries. A type that is
+ * already built in is merged key by key (storage, variants, validation and
+ * properties one level deeper); a new type needs a label, category and storage.
+ * Field type plugins are registered after the bundle (see plugins.js).
  */
 
-import { readFileSync, existsSync, readdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, existsSync, statSync } from 'fs';
+import { basename, join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { fieldRegistry } from './field-registry.js';
+import { checkSchema, DEFINITION_SCHEMA, NEW_TYPE_KEYS } from './field-schema.js';
+import { getPluginDirectories, loadFieldTypePlugins } from './plugins.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 /**
- * Field Definition Loader Class
- * 
- * Responsible for:
- * - Locating field definitions in the MonoKit structure
- * - Loading TypeScript field definitions
- * - Providing access to field metadata, validation, and storage patterns
- * - Caching definitions for performance
+ * Bundle file read when GF_FIELD_DEFINITIONS_PATH isn't set
  */
-export class FieldDefinitionLoader {
-  constructor() {
-    this.definitions = new Map();
-    this.fieldPath = null;
-    this.isLoaded = false;
-    this.useBasicValidation = false;
-    
-    // Field type metadata cache
-    this.fieldMetaCache = new Map();
-    this.variantCache = new Map();
-    this.storagePatternCache = new Map();
-  }
-
-  /**
-   * Initialize the loader and load definitions
-   */
-  async initialize() {
-    if (this.isLoaded) {
-      return true;
-    }
+export const DEFAULT_BUNDLE_PATH = join(__dirname, '../../field-definitions.json');
 
-    try {
-      this.fieldPath = this.findFieldDefinitions();
-      await this.loadDefinitions();
-      this.isLoaded = true;
-      return true;
-    } catch (error) {
-      console.error('[FieldLoader] Initialization failed:', error.message);
-      this.useBasicValidation = true;
-      return false;
-    }
-  }
+/**
+ * File looked for when GF_FIELD_DEFINITIONS_PATH is a directory
+ */
+const BUNDLE_FILE_NAME = 'field-definitions.json';
 
-  /**
-   * Find field definitions in the file system
-   * Checks multiple possible locations
-   */
-  findFieldDefinitions() {
-    const possiblePaths = [
-      // Primary: Direct path in MonoKit structure
-      join(__dirname, '../../../../../Development/Gravity-Forms/gravity-forms-field-definitions'),
-      
-      // Secondary: As an npm dependency
-      join(__dirname, '../../../node_modules/@gravitykit/gravity-forms-field-definitions'),
-      
-      // Tertiary: Environment variable override
-      process.env.GF_FIELD_DEFINITIONS_PATH,
-      
-      // Fallback: Look for compiled dist directory
-      join(__dirname, '../../../../../Development/Gravity-Forms/gravity-forms-field-definitions/dist'),
-      
-      // Alternative: Check for TypeScript source
-      join(__dirname, '../../../../../Development/Gravity-Forms/gravity-forms-field-definitions/src/types/fields')
-    ].filter(Boolean);
-
-    for (const path of possiblePaths) {
-      if (existsSync(path)) {
-        console.log(`[FieldLoader] Found field definitions at: ${path}`);
-        return path;
-      }
-    }
+/**
+ * Bundle layouts this loader understands
+ */
+export const SUPPORTED_SCHEMA_VERSIONS = [1];
 
-    throw new Error('Field definitions not found. Please ensure gravity-forms-field-definitions are available.');
-  }
+/**
+ * Keys merged one level deeper instead of replaced
+ */
+const NESTED_KEYS = ['storage', 'variants', 'validation', 'properties'];
 
-  /**
-   * Load field definitions from the discovered path
-   */
-  async loadDefinitions() {
-    try {
-      // Check if we have compiled JavaScript definitions
-      const distPath = join(this.fieldPath, 'dist', 'index.js');
-      if (existsSync(distPath)) {
-        await this.loadCompiledDefinitions(distPath);
-        return;
-      }
+/**
+ * JSON Schema for a definitions bundle
+ */
+export const BUNDLE_SCHEMA = {
+  type: 'object',
+  required: ['schema_version', 'version', 'fields'],
+  properties: {
+    schema_version: { type: 'integer', enum: SUPPORTED_SCHEMA_VERSIONS },
+    version: { type: 'string', description: 'Version of the definitions, such as the Gravity Forms release they describe' },
+    source: { type: 'string', description: 'Where the bundle was generated from' },
+    fields: { type: 'object', additionalProperties: DEFINITION_SCHEMA }
+  },
+  additionalProperties: false
+};
 
-      // Otherwise, load from TypeScript source
-      const fieldsPath = join(this.fieldPath, 'src', 'types', 'fields');
-      if (existsSync(fieldsPath)) {
-        await this.loadTypeScriptDefinitions(fieldsPath);
-        return;
-      }
+/**
+ * Check a parsed bundle against BUNDLE_SCHEMA and the rules it can't express
+ * @param {object} bundle - Parsed bundle
+ * @returns {object} { isValid, errors }
+ */
+export function validateBundle(bundle, registry = fieldRegistry) {
+  const errors = checkSchema(bundle, BUNDLE_SCHEMA, 'bundle');
 
-      // Load from direct fields directory if that's what we found
-      if (this.fieldPath.includes('types/fields')) {
-        await this.loadTypeScriptDefinitions(this.fieldPath);
-        return;
+  if (errors.length === 0) {
+    for (const [type, definition] of Object.entries(bundle.fields)) {
+      if (definition.type !== undefined && definition.type !== type) {
+        errors.push(`bundle.fields.${type}.type must match its key (got "${definition.type}")`);
       }
-
-      throw new Error('Could not find loadable field definitions');
-    } catch (error) {
-      console.error('[FieldLoader] Failed to load definitions:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Load compiled JavaScript definitions
-   */
-  async loadCompiledDefinitions(distPath) {
-    try {
-      const module = await import(distPath);
-      const { fieldRegistry } = module;
-      
-      if (fieldRegistry && fieldRegistry.entries) {
-        for (const [fieldType, definition] of fieldRegistry.entries()) {
-          this.definitions.set(fieldType, definition);
-          this.cacheFieldMetadata(fieldType, definition);
+      if (!registry[type]) {
+        const missing = NEW_TYPE_KEYS.filter(key => definition[key] === undefined);
+        if (missing.length > 0) {
+          errors.push(`bundle.fields.${type} isn't a built-in type, so it needs ${missing.join(', ')}`);
         }
       }
-      
-      console.log(`[FieldLoader] Loaded ${this.definitions.size} compiled field definitions`);
-    } catch (error) {
-      console.error('[FieldLoader] Error loading compiled definitions:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Load TypeScript definitions by parsing the source
-   */
-  async loadTypeScriptDefinitions(fieldsPath) {
-    try {
-      const fieldDirs = readdirSync(fieldsPath, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name);
-
-      for (const fieldDir of fieldDirs) {
-        const fieldPath = join(fieldsPath, fieldDir);
-        const definition = await this.parseFieldDefinition(fieldPath, fieldDir);
-        
-        if (definition) {
-          this.definitions.set(fieldDir, definition);
-          this.cacheFieldMetadata(fieldDir, definition);
+      if (definition.validation?.pattern !== undefined) {
+        try {
+          new RegExp(definition.validation.pattern);
+        } catch (error) {
+          errors.push(`bundle.fields.${type}.validation.pattern is not a valid regular expression: ${error.message}`);
         }
       }
-
-      console.log(`[FieldLoader] Loaded ${this.definitions.size} TypeScript field definitions`);
-    } catch (error) {
-      console.error('[FieldLoader] Error loading TypeScript definitions:', error);
-      throw error;
     }
   }
 
-  /**
-   * Parse a single field definition from TypeScript files
-   */
-  async parseFieldDefinition(fieldPath, fieldType) {
-    try {
-      // Look for the main types file
-      const typesFile = join(fieldPath, `${fieldType}.types.ts`);
-      
-      if (!existsSync(typesFile)) {
-        console.warn(`[FieldLoader] No types file found for ${fieldType}`);
-        return null;
-      }
+  return { isValid: errors.length === 0, errors };
+}
 
-      // Read and parse the TypeScript file
-      const content = readFileSync(typesFile, 'utf8');
-      
-      // Extract field metadata
-      const meta = this.extractFieldMeta(content, fieldType);
-      const storage = this.extractStoragePattern(content, fieldType);
-      const variants = this.extractVariants(content, fieldType);
-      const validation = this.extractValidation(content, fieldType);
-      const hooks = this.extractHooks(content, fieldType);
-
-      return {
-        meta,
-        storage,
-        variants,
-        validation,
-        hooks,
-        fieldType
-      };
-    } catch (error) {
-      console.error(`[FieldLoader] Error parsing ${fieldType}:`, error);
-      return null;
-    }
-  }
+/**
+ * Merge bundle definitions over registry entries
+ * @param {object} registry - Built-in definitions (not modified)
+ * @param {object} fields - Bundle definitions by type
+ * @returns {object} { definitions, sources } - merged entries for the bundle's types and each type's source
+ */
+export function mergeDefinitions(registry, fields) {
+  const definitions = {};
+  const sources = Object.fromEntries(Object.keys(registry).map(type => [type, 'built-in']));
 
-  /**
-   * Extract field metadata from TypeScript content
-   */
-  extractFieldMeta(content, fieldType) {
-    const meta = {
-      type: fieldType,
-      label: this.formatFieldLabel(fieldType),
-      supportsConditionalLogic: false,
-      supportsRequired: false,
-      storesData: true,
-      isCompound: false,
-      isArray: false
-    };
+  for (const [type, definition] of Object.entries(fields)) {
+    const base = registry[type] || {};
+    const merged = { ...base, ...definition, type };
 
-    // Check for common patterns
-    if (content.includes('supportsConditionalLogic: true')) {
-      meta.supportsConditionalLogic = true;
-    }
-    if (content.includes('supportsRequired: true')) {
-      meta.supportsRequired = true;
-    }
-    if (content.includes('storesData: false')) {
-      meta.storesData = false;
-    }
-
-    // Check for compound fields
-    const compoundFields = ['address', 'name', 'creditcard', 'quiz', 'poll', 'survey'];
-    if (compoundFields.includes(fieldType)) {
-      meta.isCompound = true;
+    for (const key of NESTED_KEYS) {
+      if (base[key] && definition[key]) {
+        merged[key] = { ...base[key], ...definition[key] };
+      }
     }
 
-    // Check for array fields
-    const arrayFields = ['checkbox', 'multiselect', 'list', 'repeater'];
-    if (arrayFields.includes(fieldType) || content.includes('multiple: true')) {
-      meta.isArray = true;
+    // Patterns travel as strings in JSON
+    if (typeof definition.validation?.pattern === 'string') {
+      merged.validation.pattern = new RegExp(definition.validation.pattern);
     }
 
-    return meta;
+    merged.source = 'bundle';
+    definitions[type] = merged;
+    sources[type] = registry[type] ? 'bundle' : 'bundle (new type)';
   }
 
+  return { definitions, sources };
+}
+
+/**
+ * Field Definition Loader Class
+ *
+ * Responsible for:
+ * - Locating the definitions bundle
+ * - Validating it and merging it over the field registry
+ * - Registering field types from plugins (see plugins.js)
+ * - Reporting where each type's definition came from
+ */
+export class FieldDefinitionLoader {
   /**
-   * Extract storage pattern from TypeScript content
+   * @param {object} options - { env, registry } (defaults: process.env, the built-in fieldRegistry)
    */
-  extractStoragePattern(content, fieldType) {
-    const storage = {
-      type: 'string',
-      sqlType: 'LONGTEXT',
-      format: 'single',
-      serialize: null,
-      deserialize: null
-    };
-
-    // Check for JSON storage
-    if (content.includes('JSON.stringify') || content.includes('JSON.parse')) {
-      storage.type = 'json';
-      storage.format = 'json';
-    }
-
-    // Check for array storage
-    if (content.includes('Array<') || content.includes('[]')) {
-      storage.type = 'array';
-      storage.format = 'array';
-    }
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.registry = options.registry || fieldRegistry;
+    this.bundlePath = null;
+    this.bundle = null;
+    this.sources = Object.fromEntries(Object.keys(this.registry).map(type => [type, 'built-in']));
+    this.error = null;
+    this.plugins = [];
+    this.pluginErrors = [];
+    this.isLoaded = false;
+  }
 
-    // Check for compound storage
-    if (content.includes('dot notation') || content.includes(`entry['`) && content.includes('.')) {
-      storage.format = 'compound';
+  /**
+   * Merge the bundle, if there is one, then field type plugins into the registry
+   * A missing default bundle is fine; a configured or broken one is reported
+   * in getSummary().error and the built-in definitions stay in use. Broken
+   * plugins are skipped and listed in getSummary().pluginErrors.
+   * @returns {boolean} Whether a bundle was merged
+   */
+  async initialize() {
+    if (this.isLoaded) {
+      return this.bundle !== null;
     }
+    this.isLoaded = true;
 
-    return storage;
+    this.loadBundle();
+    await this.loadPlugins();
+    return this.bundle !== null;
   }
 
   /**
-   * Extract field variants from TypeScript content
+   * Find, read and merge the definitions bundle
    */
-  extractVariants(content, fieldType) {
-    const variants = {};
-
-    // Default variant
-    variants.default = {
-      id: 'default',
-      label: 'Default',
-      settings: {},
-      behavior: 'Standard field behavior'
-    };
-
-    // Check for specific variants
-    if (fieldType === 'fileupload') {
-      if (content.includes('multipleFiles')) {
-        variants.multipleFiles = {
-          id: 'multipleFiles',
-          label: 'Multiple Files',
-          settings: { multipleFiles: true },
-          behavior: 'Allows multiple file uploads, stores as JSON array'
-        };
+  loadBundle() {
+    try {
+      this.bundlePath = this.findBundle();
+      if (!this.bundlePath) {
+        return;
       }
-    }
-
-    if (fieldType === 'text' && content.includes('enablePasswordInput')) {
-      variants.passwordInput = {
-        id: 'passwordInput',
-        label: 'Password Input',
-        settings: { enablePasswordInput: true },
-        behavior: 'Text field rendered as password input'
-      };
-    }
 
-    if (fieldType === 'date' && content.includes('dateFormat')) {
-      variants.datepicker = {
-        id: 'datepicker',
-        label: 'Date Picker',
-        settings: { dateType: 'datepicker' },
-        behavior: 'Shows date picker interface'
-      };
+      const bundle = this.readBundle(this.bundlePath);
+      const { definitions, sources } = mergeDefinitions(this.registry, bundle.fields);
+      Object.assign(this.registry, definitions);
+      this.sources = sources;
+      this.bundle = bundle;
+    } catch (error) {
+      this.error = error.message;
     }
-
-    return variants;
   }
 
   /**
-   * Extract validation rules from TypeScript content
+   * Register the types from GRAVITY_MCP_FIELD_TYPES_DIR
    */
-  extractValidation(content, fieldType) {
-    const validation = {
-      rules: [],
-      messages: {}
-    };
-
-    // Add required validation if supported
-    if (content.includes('supportsRequired: true') || content.includes('isRequired')) {
-      validation.rules.push({
-        id: 'required',
-        type: 'required',
-        validator: (value, field) => {
-          if (!field.isRequired) {
-            return { isValid: true };
-          }
-          const isEmpty = value === null || value === undefined || value === '';
-          return {
-            isValid: !isEmpty,
-            message: isEmpty ? 'This field is required.' : ''
-          };
-        }
-      });
-      validation.messages.required = 'This field is required.';
-    }
-
-    // Add field-specific validation
-    if (fieldType === 'email') {
-      validation.rules.push({
-        id: 'email',
-        type: 'format',
-        validator: (value) => {
-          if (!value) return { isValid: true };
-          const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-          return {
-            isValid: emailRegex.test(value),
-            message: 'Please enter a valid email address.'
-          };
-        }
-      });
-    }
+  async loadPlugins() {
+    const { definitions, plugins, errors } = await loadFieldTypePlugins(getPluginDirectories(this.env), this.registry);
 
-    if (fieldType === 'number') {
-      validation.rules.push({
-        id: 'number',
-        type: 'format',
-        validator: (value, field) => {
-          if (!value) return { isValid: true };
-          const num = Number(value);
-          if (isNaN(num)) {
-            return { isValid: false, message: 'Please enter a valid number.' };
-          }
-          if (field.rangeMin !== undefined && num < field.rangeMin) {
-            return { isValid: false, message: `Value must be at least ${field.rangeMin}.` };
-          }
-          if (field.rangeMax !== undefined && num > field.rangeMax) {
-            return { isValid: false, message: `Value must be at most ${field.rangeMax}.` };
-          }
-          return { isValid: true };
-        }
-      });
+    Object.assign(this.registry, definitions);
+    for (const plugin of plugins) {
+      plugin.types.forEach(type => { this.sources[type] = `plugin (${basename(plugin.file)})`; });
     }
-
-    return validation;
+    this.plugins = plugins;
+    this.pluginErrors = errors;
   }
 
   /**
-   * Extract hook configurations from TypeScript content
+   * Find the bundle file: GF_FIELD_DEFINITIONS_PATH (a file or a directory
+   * holding field-definitions.json), then DEFAULT_BUNDLE_PATH
+   * @returns {string|null} Bundle path, or null when there is none
    */
-  extractHooks(content, fieldType) {
-    const hooks = {};
-
-    // Extract hook patterns
-    const hookPattern = /gform_field_value[_\w]*/g;
-    const matches = content.match(hookPattern);
-
-    if (matches && matches.length > 0) {
-      hooks.value = {
-        name: `gform_field_value_${fieldType}`,
-        type: 'filter',
-        description: `Modify ${fieldType} field value`,
-        parameters: [
-          { name: 'value', type: 'mixed', description: 'The field value' },
-          { name: 'form', type: 'array', description: 'The form object' },
-          { name: 'field', type: 'GF_Field', description: 'The field object' }
-        ]
-      };
+  findBundle() {
+    const configured = this.env.GF_FIELD_DEFINITIONS_PATH;
+
+    if (configured) {
+      const path = resolve(configured);
+      if (!existsSync(path)) {
+        throw new Error(`GF_FIELD_DEFINITIONS_PATH points to ${path}, which doesn't exist`);
+      }
+      if (statSync(path).isDirectory()) {
+        const file = join(path, BUNDLE_FILE_NAME);
+        if (!existsSync(file)) {
+          throw new Error(`No ${BUNDLE_FILE_NAME} in GF_FIELD_DEFINITIONS_PATH directory ${path}`);
+        }
+        return file;
+      }
+      return path;
     }
 
-    return hooks;
+    return existsSync(DEFAULT_BUNDLE_PATH) ? DEFAULT_BUNDLE_PATH : null;
   }
 
   /**
-   * Cache field metadata for quick access
+   * Read and validate a bundle file
+   * @param {string} path - Bundle path
+   * @returns {object} The parsed bundle
    */
-  cacheFieldMetadata(fieldType, definition) {
-    if (definition.meta) {
-      this.fieldMetaCache.set(fieldType, definition.meta);
-    }
-    if (definition.variants) {
-      this.variantCache.set(fieldType, definition.variants);
+  readBundle(path) {
+    let bundle;
+    try {
+      bundle = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid field definitions bundle ${path}: ${error.message}`);
     }
-    if (definition.storage) {
-      this.storagePatternCache.set(fieldType, definition.storage);
+
+    const validation = validateBundle(bundle, this.registry);
+    if (!validation.isValid) {
+      throw new Error(`Invalid field definitions bundle ${path}: ${validation.errors.join('; ')}`);
     }
+
+    return bundle;
   }
 
   /**
    * Get field definition by type
    */
   getFieldDefinition(type) {
-    if (!this.isLoaded && !this.useBasicValidation) {
-      console.warn('[FieldLoader] Definitions not loaded yet');
-      return null;
-    }
-    return this.definitions.get(type);
+    return this.registry[type] || null;
   }
 
   /**
    * Get all available field types
    */
   getAllFieldTypes() {
-    return Array.from(this.definitions.keys());
+    return Object.keys(this.registry);
   }
 
   /**
-   * Get field metadata
+   * Where a type's definition came from: built-in, bundle, bundle (new type) or plugin (file)
    */
-  getFieldMeta(type) {
-    return this.fieldMetaCache.get(type) || null;
+  getSource(type) {
+    return this.sources[type] || null;
   }
 
   /**
    * Get field variants
    */
   getFieldVariants(type) {
-    return this.variantCache.get(type) || { default: { id: 'default', label: 'Default' } };
+    return this.registry[type]?.variants || { default: { label: 'Default', settings: {} } };
   }
 
   /**
    * Get storage pattern for field type
    */
   getStoragePattern(type) {
-    return this.storagePatternCache.get(type) || { type: 'string', format: 'single' };
+    return this.registry[type]?.storage || { type: 'string', format: 'single' };
   }
 
   /**
    * Check if field type is compound
    */
   isCompoundField(type) {
-    const meta = this.getFieldMeta(type);
-    return meta ? meta.isCompound : false;
+    return this.registry[type]?.isCompound === true;
   }
 
   /**
    * Check if field type stores array
    */
   isArrayField(type) {
-    const meta = this.getFieldMeta(type);
-    return meta ? meta.isArray : false;
-  }
-
-  /**
-   * Format field label from type
-   */
-  formatFieldLabel(type) {
-    return type
-      .replace(/_/g, ' ')
-      .replace(/([A-Z])/g, ' $1')
-      .replace(/^./, str => str.toUpperCase())
-      .trim();
-  }
-
-  /**
-   * Get validation rules for field type
-   */
-  getValidationRules(type) {
-    const definition = this.getFieldDefinition(type);
-    return definition && definition.validation ? definition.validation.rules : [];
+    return this.registry[type]?.isArray === true;
   }
 
   /**
@@ -512,15 +309,11 @@ export class FieldDefinitionLoader {
    */
   detectFieldVariant(field) {
     const variants = this.getFieldVariants(field.type);
-    
-    if (!variants || Object.keys(variants).length <= 1) {
-      return 'default';
-    }
 
     // Check each variant's settings to find a match
     for (const [variantId, variant] of Object.entries(variants)) {
       if (variantId === 'default') continue;
-      
+
       const isMatch = Object.entries(variant.settings || {}).every(([key, value]) => {
         return field[key] === value;
       });
@@ -533,39 +326,24 @@ export class FieldDefinitionLoader {
     return 'default';
   }
 
-  /**
-   * Validate field value based on type
-   */
-  validateFieldValue(value, field) {
-    const rules = this.getValidationRules(field.type);
-    
-    for (const rule of rules) {
-      if (rule.validator) {
-        const result = rule.validator(value, field);
-        if (!result.isValid) {
-          return result;
-        }
-      }
-    }
-
-    return { isValid: true };
-  }
-
   /**
    * Get summary of loaded definitions
    */
   getSummary() {
+    const entries = Object.entries(this.registry);
+
     return {
       isLoaded: this.isLoaded,
-      useBasicValidation: this.useBasicValidation,
-      fieldTypesCount: this.definitions.size,
-      fieldTypes: this.getAllFieldTypes(),
-      compoundFields: Array.from(this.definitions.entries())
-        .filter(([_, def]) => def.meta && def.meta.isCompound)
-        .map(([type]) => type),
-      arrayFields: Array.from(this.definitions.entries())
-        .filter(([_, def]) => def.meta && def.meta.isArray)
-        .map(([type]) => type)
+      bundle: this.bundle
+        ? { path: this.bundlePath, version: this.bundle.version, schema_version: this.bundle.schema_version, source: this.bundle.source }
+        : null,
+      error: this.error,
+      plugins: this.plugins,
+      pluginErrors: this.pluginErrors,
+      fieldTypesCount: entries.length,
+      sources: { ...this.sources },
+      compoundFields: entries.filter(([, def]) => def.isCompound).map(([type]) => type),
+      arrayFields: entries.filter(([, def]) => def.isArray).map(([type]) => type)
     };
   }
 }
@@ -580,4 +358,4 @@ export function getFieldLoader() {
   return loaderInstance;
 }
 
-export default FieldDefinitionLoader;
\ No newline at end of file
+export default FieldDefinitionLoader;
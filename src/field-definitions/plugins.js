@@ -0,0 +1,192 @@
+/**
+ * Field Type Plugins - Field types added by third-party add-ons
+ *
+ * GRAVITY_MCP_FIELD_TYPES_DIR names a directory of plugins. A JSON plugin
+ * lists definitions in the field-registry.js shape:
+ *
+ *   { "fields": { "gv_rating": { "label": "Rating", "category": "advanced", "storage": { "type": "string", "format": "single" } } } }
+ *
+ * A JS module can export the same object, or a function that registers types
+ * and may add hooks JSON can't hold:
+ *
+ *   export default function register({ registerFieldType }) {
+ *     registerFieldType('gv_rating', {
+ *       label: 'Rating',
+ *       category: 'advanced',
+ *       storage: { type: 'string', format: 'single' },
+ *       validate: (value) => ({ isValid: value >= 1 && value <= 5, error: 'Rating must be 1-5' })
+ *     });
+ *   }
+ *
+ * Hooks: validate(value, field) returns { isValid, error } for entry values;
+ * inputs(field) returns a compound type's inputs as [{ id: '1', label }].
+ * Plugins add types; changing a built-in type is done with a definitions bundle.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { checkSchema, DEFINITION_SCHEMA, NEW_TYPE_KEYS } from './field-schema.js';
+
+const PLUGIN_EXTENSIONS = ['.json', '.js', '.mjs'];
+
+const HOOKS = ['validate', 'inputs'];
+
+const PLUGIN_SCHEMA = {
+  ...DEFINITION_SCHEMA,
+  properties: {
+    ...DEFINITION_SCHEMA.properties,
+    // Checked separately: functions aren't JSON
+    ...Object.fromEntries(HOOKS.map(hook => [hook, {}])),
+    validation: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Directories to load field type plugins from
+ * @param {object} env - Environment holding GRAVITY_MCP_FIELD_TYPES_DIR
+ * @returns {Array} Directory paths
+ */
+export function getPluginDirectories(env = process.env) {
+  return [env.GRAVITY_MCP_FIELD_TYPES_DIR].filter(Boolean);
+}
+
+/**
+ * Check a plugin's definition and normalize it for the registry
+ * @param {string} type - Field type
+ * @param {object} definition - Definition as registered
+ * @returns {object} Registry entry
+ */
+export function validatePluginDefinition(type, definition) {
+  const path = type;
+  const errors = checkSchema(definition, PLUGIN_SCHEMA, path);
+
+  if (errors.length === 0) {
+    if (!/^[a-z][a-z0-9_]*$/.test(type)) {
+      errors.push(`${path} must be lowercase letters, digits and underscores`);
+    }
+    if (definition.type !== undefined && definition.type !== type) {
+      errors.push(`${path}.type must match the registered type (got "${definition.type}")`);
+    }
+    const missing = NEW_TYPE_KEYS.filter(key => definition[key] === undefined);
+    if (missing.length > 0) {
+      errors.push(`${path} needs ${missing.join(', ')}`);
+    }
+    for (const hook of HOOKS) {
+      if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+        errors.push(`${path}.${hook} must be a function`);
+      }
+    }
+    const pattern = definition.validation?.pattern;
+    if (pattern !== undefined && !(pattern instanceof RegExp)) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        errors.push(`${path}.validation.pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const entry = {
+    ...definition,
+    type,
+    isCompound: definition.isCompound ?? definition.storage.type === 'compound',
+    source: 'plugin'
+  };
+  if (typeof definition.validation?.pattern === 'string') {
+    entry.validation = { ...definition.validation, pattern: new RegExp(definition.validation.pattern) };
+  }
+  return entry;
+}
+
+/**
+ * Read one plugin file
+ * @returns {Array} [type, definition] pairs in registration order
+ */
+async function readPlugin(file) {
+  const registered = [];
+  const registerFieldType = (type, definition) => {
+    registered.push([type, definition]);
+  };
+
+  let exported;
+  if (extname(file).toLowerCase() === '.json') {
+    try {
+      exported = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  } else {
+    exported = (await import(pathToFileURL(file).href)).default;
+  }
+
+  if (typeof exported === 'function') {
+    await exported({ registerFieldType });
+  } else if (exported && typeof exported.fields === 'object' && exported.fields !== null) {
+    Object.entries(exported.fields).forEach(([type, definition]) => registerFieldType(type, definition));
+  } else {
+    throw new Error('Plugins must export a register function or an object with "fields"');
+  }
+
+  return registered;
+}
+
+/**
+ * Load every field type plugin from the given directories
+ * A broken plugin is reported and skipped so it doesn't take the others down.
+ * @param {Array} directories - Plugin directories
+ * @param {object} registry - Types already defined; plugins can't replace them
+ * @returns {object} { definitions, plugins, errors } - registry entries by type, [{ file, types }] and error messages
+ */
+export async function loadFieldTypePlugins(directories, registry) {
+  const definitions = {};
+  const origins = {};
+  const plugins = [];
+  const errors = [];
+
+  for (const directory of directories) {
+    const fullPath = resolve(directory);
+    if (!existsSync(fullPath)) {
+      errors.push(`Field type plugin directory not found: ${fullPath}`);
+      continue;
+    }
+
+    const files = readdirSync(fullPath)
+      .filter(file => PLUGIN_EXTENSIONS.includes(extname(file).toLowerCase()))
+      .sort();
+
+    for (const file of files) {
+      const filePath = join(fullPath, file);
+
+      try {
+        const entries = {};
+        for (const [type, definition] of await readPlugin(filePath)) {
+          if (registry[type]) {
+            throw new Error(`${type} is already a field type; use a definitions bundle to change it`);
+          }
+          if (origins[type] || entries[type]) {
+            throw new Error(`${type} is already registered by ${origins[type] || file}`);
+          }
+          entries[type] = validatePluginDefinition(type, definition);
+        }
+
+        Object.assign(definitions, entries);
+        Object.keys(entries).forEach(type => { origins[type] = file; });
+        plugins.push({ file: filePath, types: Object.keys(entries) });
+      } catch (error) {
+        errors.push(`Field type plugin ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  return { definitions, plugins, errors };
+}
@@ -0,0 +1,303 @@
+/**
+ * Field Blueprints - Reusable groups of fields
+ *
+ * A blueprint is a JSON or YAML file holding fields as they appear in a
+ * form export, with their own local IDs:
+ *
+ *   label: Product, quantity and total
+ *   description: Single product, a quantity field linked to it and the order total
+ *   fields:
+ *     - id: 1
+ *       type: product
+ *       inputType: singleproduct
+ *     - id: 2
+ *       type: quantity
+ *       productField: 1
+ *
+ * Inserting a blueprint gives its fields fresh IDs in the target form and
+ * points conditional logic, calculations, merge tags and product links
+ * between them at the new IDs. Built-in blueprints live in src/blueprints;
+ * GRAVITY_MCP_BLUEPRINTS_DIR adds a directory whose files override them by name.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { MERGE_TAG_PROPERTIES, extractFieldReferences, remapFieldReferences } from './field-dependencies.js';
+import { validateFieldProperties } from '../field-definitions/field-schema.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const BUILT_IN_BLUEPRINTS_DIR = join(__dirname, '../blueprints');
+
+const BLUEPRINT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Directories to load blueprints from, later ones overriding earlier ones
+ * @param {object} env - Environment holding GRAVITY_MCP_BLUEPRINTS_DIR
+ * @returns {Array} Directory paths
+ */
+export function getBlueprintDirectories(env = process.env) {
+  return [BUILT_IN_BLUEPRINTS_DIR, env.GRAVITY_MCP_BLUEPRINTS_DIR].filter(Boolean);
+}
+
+/**
+ * Every field ID a blueprint field points at, with where it was found
+ */
+function collectReferences(field) {
+  const references = [];
+  const add = (id, where) => {
+    const base = String(id).split('.')[0];
+    // Rules can also target entry meta such as payment_status
+    if (/^\d+$/.test(base)) {
+      references.push({ id: base, where });
+    }
+  };
+
+  field.conditionalLogic?.rules?.forEach(rule => add(rule.fieldId, 'conditional logic'));
+  if (field.calculationFormula) {
+    extractFieldReferences(field.calculationFormula).forEach(ref => add(ref.field_id, 'calculation'));
+  }
+  MERGE_TAG_PROPERTIES.field.forEach(property =>
+    extractFieldReferences(field[property]).forEach(ref => add(ref.field_id, `${property} merge tag`))
+  );
+  if (field.productField !== undefined && field.productField !== '') {
+    add(field.productField, 'productField');
+  }
+
+  return references;
+}
+
+/**
+ * Check a parsed blueprint and normalize it
+ * @param {object} raw - Parsed file contents
+ * @param {string} name - Blueprint name (the file name without extension)
+ * @returns {object} { name, label, description, fields }
+ */
+export function validateBlueprint(raw, name) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.fields) || raw.fields.length === 0) {
+    throw new Error(`Blueprint ${name} must have a non-empty "fields" array`);
+  }
+
+  const ids = new Set();
+  for (const [index, field] of raw.fields.entries()) {
+    if (!field || typeof field !== 'object' || typeof field.type !== 'string') {
+      throw new Error(`Blueprint ${name}: fields[${index}] must be an object with a type`);
+    }
+    if (!Number.isInteger(Number(field.id)) || Number(field.id) < 1) {
+      throw new Error(`Blueprint ${name}: fields[${index}] needs a positive integer id`);
+    }
+    if (ids.has(String(field.id))) {
+      throw new Error(`Blueprint ${name}: field id ${field.id} is used twice`);
+    }
+    // Page breaks would need pagination changes; use gf_add_page after inserting
+    if (field.type === 'page') {
+      throw new Error(`Blueprint ${name}: blueprints can't contain page breaks`);
+    }
+    ids.add(String(field.id));
+  }
+
+  for (const field of raw.fields) {
+    for (const reference of collectReferences(field)) {
+      if (!ids.has(reference.id)) {
+        throw new Error(`Blueprint ${name}: field ${field.id} ${reference.where} references field ${reference.id}, which isn't part of the blueprint`);
+      }
+    }
+  }
+
+  return {
+    name,
+    label: raw.label || name,
+    description: raw.description || '',
+    fields: raw.fields
+  };
+}
+
+/**
+ * Load every blueprint file from the given directories
+ * @param {Array} directories - Directories read in order; a later file overrides an earlier one with the same name
+ * @returns {Map} Blueprint name -> blueprint (with its source file)
+ */
+export function loadBlueprints(directories) {
+  const blueprints = new Map();
+
+  for (const directory of directories) {
+    const fullPath = resolve(directory);
+    if (!existsSync(fullPath)) {
+      throw new Error(`Blueprints directory not found: ${fullPath}`);
+    }
+
+    const files = readdirSync(fullPath)
+      .filter(file => BLUEPRINT_EXTENSIONS.includes(extname(file).toLowerCase()))
+      .sort();
+
+    for (const file of files) {
+      const filePath = join(fullPath, file);
+      const ext = extname(file).toLowerCase();
+      const name = basename(file, extname(file));
+      const content = readFileSync(filePath, 'utf8');
+
+      let raw;
+      try {
+        raw = ext === '.json' ? JSON.parse(content) : YAML.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid blueprint file ${filePath}: ${error.message}`);
+      }
+
+      blueprints.set(name, { ...validateBlueprint(raw, name), source: filePath });
+    }
+  }
+
+  return blueprints;
+}
+
+/**
+ * Copy a blueprint's fields with new IDs
+ * @param {object} blueprint - Validated blueprint
+ * @param {number} firstId - ID for the first field; the rest follow in order
+ * @returns {object} { fields, idMap } - idMap maps blueprint field and input IDs to new ones
+ */
+export function instantiateBlueprint(blueprint, firstId) {
+  const idMap = {};
+  blueprint.fields.forEach((field, index) => {
+    idMap[String(field.id)] = String(firstId + index);
+  });
+
+  const remapId = (id) => {
+    const [base, sub] = String(id).split('.');
+    if (idMap[base] === undefined) return String(id);
+    return sub === undefined ? idMap[base] : `${idMap[base]}.${sub}`;
+  };
+
+  const inputMap = { ...idMap };
+  const fields = blueprint.fields.map(original => {
+    const field = structuredClone(original);
+    field.id = Number(idMap[String(original.id)]);
+
+    if (Array.isArray(field.inputs)) {
+      field.inputs = field.inputs.map(input => {
+        const id = remapId(input.id);
+        inputMap[String(input.id)] = id;
+        return { ...input, id };
+      });
+    }
+
+    if (Array.isArray(field.conditionalLogic?.rules)) {
+      field.conditionalLogic.rules = field.conditionalLogic.rules.map(rule => ({ ...rule, fieldId: remapId(rule.fieldId) }));
+    }
+
+    if (field.calculationFormula) {
+      field.calculationFormula = remapFieldReferences(field.calculationFormula, idMap);
+    }
+
+    MERGE_TAG_PROPERTIES.field.forEach(property => {
+      if (field[property]) {
+        field[property] = remapFieldReferences(field[property], idMap);
+      }
+    });
+
+    if (field.productField !== undefined && field.productField !== '') {
+      field.productField = Number(remapId(field.productField));
+    }
+
+    return field;
+  });
+
+  return { fields, idMap: inputMap };
+}
+
+export class BlueprintManager {
+  /**
+   * @param {object} fieldManager - FieldManager used for reads, writes and field defaults
+   * @param {object} options - { directories } (default: getBlueprintDirectories())
+   */
+  constructor(fieldManager, options = {}) {
+    this.fieldManager = fieldManager;
+    this.directories = options.directories || getBlueprintDirectories();
+    this.blueprints = null;
+  }
+
+  /**
+   * Blueprints, loaded on first use so a bad file doesn't stop the server
+   */
+  get library() {
+    if (!this.blueprints) {
+      this.blueprints = loadBlueprints(this.directories);
+    }
+    return this.blueprints;
+  }
+
+  /**
+   * Insert a blueprint's fields into a form with a single write
+   * @param {number} formId - Target form ID
+   * @param {string} name - Blueprint name
+   * @param {object} options - { position, expected_version }
+   * @returns {object} The inserted fields, the blueprint -> form ID map and property warnings
+   */
+  async insertBlueprint(formId, name, options = {}) {
+    const { position = {}, expected_version } = options;
+
+    const blueprint = this.library.get(name);
+    if (!blueprint) {
+      throw new Error(`Unknown blueprint "${name}". Available: ${[...this.library.keys()].join(', ')}`);
+    }
+
+    const { registry, positionEngine } = this.fieldManager;
+    const warnings = [];
+    for (const field of blueprint.fields) {
+      if (!registry[field.type]) {
+        throw new Error(`Blueprint ${name}: unknown field type ${field.type}`);
+      }
+
+      // Same property check as addField; id, type and inputs are checked above or generated
+      const { id, type, inputs, ...properties } = field;
+      const check = validateFieldProperties(type, properties, registry[type]);
+      if (!check.isValid) {
+        throw new Error(`Blueprint ${name}: invalid properties for field ${id} (${type}): ${check.errors.join('; ')}`);
+      }
+      warnings.push(...check.warnings.map(warning => `Field ${id}: ${warning}`));
+    }
+
+    const { form, guard } = await this.fieldManager.fetchForm(formId, expected_version);
+    if (!form.fields) form.fields = [];
+
+    const validation = positionEngine.validatePositionConfig(position, form.fields);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const instance = instantiateBlueprint(blueprint, this.fieldManager.generateFieldId(form.fields));
+
+    // Fill in the defaults addField would, keeping everything the blueprint sets
+    const fields = instance.fields.map(field => {
+      const fieldDef = registry[field.type];
+      const created = this.fieldManager.createField(field.id, field.type, field, fieldDef);
+      if (fieldDef.storage?.type === 'compound' && !Array.isArray(field.inputs)) {
+        created.inputs = this.fieldManager.generateSubInputs(created, fieldDef);
+      }
+      if (form.id !== undefined) created.formId = form.id;
+      return created;
+    });
+
+    const index = positionEngine.calculatePosition(form.fields, position, form.pagination);
+    form.fields.splice(index, 0, ...fields);
+
+    if (positionEngine.getPageBoundaries(form.fields).length > 0) {
+      positionEngine.updatePageNumbers(form.fields);
+    }
+
+    const saved = await this.fieldManager.saveForm(form, guard);
+
+    return {
+      success: true,
+      form_id: formId,
+      blueprint: name,
+      fields,
+      id_map: instance.idMap,
+      position: { index, page: fields[0].pageNumber || 1 },
+      warnings,
+      version: saved?.version
+    };
+  }
+}
@@ -0,0 +1,424 @@
+/**
+ * Choice Manager - Edits the choices of select, radio, checkbox and
+ * multi select fields without rewriting the whole choices array
+ */
+
+import FieldAwareValidator from '../config/field-validation.js';
+
+export const CHOICE_ACTIONS = ['add', 'remove', 'reorder', 'rename', 'set', 'import'];
+
+/**
+ * Input types whose choices this manager can edit; product, option, quiz,
+ * poll and survey fields qualify through their inputType
+ */
+export const CHOICE_INPUT_TYPES = ['select', 'radio', 'checkbox', 'multiselect'];
+
+/**
+ * Field types whose choices carry a price
+ */
+const PRICED_TYPES = ['product', 'option', 'shipping'];
+
+/**
+ * Operators whose rule value is compared against a choice value
+ */
+const CHOICE_OPERATORS = ['is', 'isnot'];
+
+/**
+ * Split one CSV line, honouring double quotes
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+
+  return cells;
+}
+
+/**
+ * Parse a bulk choice list
+ * One choice per line, or a single comma-separated line. Each item is
+ * "Text", or "Text|value" and "Text|value|price" as in Gravity Forms' bulk add.
+ * @param {string} list - Newline or CSV list
+ * @returns {Array} Choices as { text, value, price? }
+ */
+export function parseChoiceList(list) {
+  if (typeof list !== 'string') {
+    throw new Error('list must be a string');
+  }
+
+  const lines = list.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const items = lines.length === 1 && !lines[0].includes('|')
+    ? splitCsvLine(lines[0]).map(item => item.trim()).filter(Boolean)
+    : lines;
+
+  return items.map(item => {
+    const [text, value, price] = item.split('|').map(part => part.trim());
+    return {
+      text,
+      value: value || text,
+      ...(price !== undefined && price !== '' && { price })
+    };
+  });
+}
+
+export class ChoiceManager {
+  constructor(fieldManager) {
+    this.fieldManager = fieldManager;
+  }
+
+  /**
+   * Apply choice operations to a field with a single write
+   * @param {number} formId - Target form ID
+   * @param {number} fieldId - Choice field ID
+   * @param {Array} operations - [{ action, ... }] applied in order
+   * @param {object} options - { expected_version }
+   * @returns {object} The new choices (and checkbox inputs), a change per operation and rule warnings
+   */
+  async manageChoices(formId, fieldId, operations = [], options = {}) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('operations must be a non-empty array');
+    }
+
+    const { form, guard } = await this.fieldManager.fetchForm(formId, options.expected_version);
+    const field = form.fields?.find(f => f.id == fieldId);
+    if (!field) {
+      throw new Error(`Field ${fieldId} not found in form ${formId}`);
+    }
+
+    const inputType = field.inputType || field.type;
+    if (!CHOICE_INPUT_TYPES.includes(inputType) || !Array.isArray(field.choices)) {
+      throw new Error(`Field ${fieldId} (${field.type}) has no editable choices`);
+    }
+
+    const before = field.choices.map(choice => ({ ...choice }));
+    const state = {
+      field,
+      choices: field.choices.map(choice => ({ ...choice })),
+      priced: PRICED_TYPES.includes(field.type) || field.enablePrice === true,
+      // Values that disappeared, and values that became another value
+      removed: new Set(),
+      renamed: new Map()
+    };
+
+    const changes = operations.map((operation, index) => {
+      try {
+        return this.applyOperation(state, operation || {});
+      } catch (error) {
+        throw new Error(`Operation ${index} (${operation?.action}) failed: ${error.message}`);
+      }
+    });
+
+    const validation = FieldAwareValidator.validateChoices(state.choices, `field ${fieldId}`);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+
+    const warnings = [];
+    const values = state.choices.map(choice => String(choice.value));
+    const duplicates = [...new Set(values.filter((value, i) => values.indexOf(value) !== i))];
+    if (duplicates.length) {
+      warnings.push(`Duplicate choice values: ${duplicates.join(', ')}`);
+    }
+
+    field.choices = state.choices;
+
+    if (inputType === 'checkbox') {
+      warnings.push(...this.regenerateInputs(field, before));
+    }
+
+    const references = this.findStaleReferences(form, field, state);
+    warnings.push(...references.map(reference => reference.message));
+
+    const saved = await this.fieldManager.saveForm(form, guard);
+
+    return {
+      success: true,
+      form_id: formId,
+      field_id: field.id,
+      choices: field.choices,
+      ...(inputType === 'checkbox' && { inputs: field.inputs }),
+      changes,
+      stale_references: references,
+      warnings,
+      version: saved?.version
+    };
+  }
+
+  /**
+   * Apply a single operation to the working choices
+   * @returns {object} Summary of the change
+   */
+  applyOperation(state, operation) {
+    const { action } = operation;
+
+    switch (action) {
+      case 'add': {
+        if (!Array.isArray(operation.choices) || operation.choices.length === 0) {
+          throw new Error('choices must be a non-empty array');
+        }
+        const added = operation.choices.map(choice => this.normalizeChoice(state, choice));
+        const index = operation.index ?? state.choices.length;
+        state.choices.splice(index, 0, ...added);
+        added.forEach(choice => state.removed.delete(String(choice.value)));
+        return { action, added: added.map(choice => choice.value), index };
+      }
+
+      case 'remove': {
+        const values = this.requireValues(operation.values);
+        for (const value of values) {
+          state.choices.splice(this.findChoice(state, value), 1);
+          state.removed.add(String(value));
+          // A renamed choice that is then removed is reported under its original value
+          const origin = [...state.renamed].find(([, current]) => current === String(value))?.[0];
+          if (origin !== undefined) {
+            state.renamed.delete(origin);
+            state.removed.add(origin);
+          }
+        }
+        return { action, removed: values };
+      }
+
+      case 'reorder': {
+        if (operation.sort) {
+          if (!['asc', 'desc'].includes(operation.sort)) {
+            throw new Error('sort must be "asc" or "desc"');
+          }
+          const direction = operation.sort === 'asc' ? 1 : -1;
+          state.choices.sort((a, b) => direction * String(a.text).localeCompare(String(b.text)));
+        } else {
+          const values = this.requireValues(operation.values);
+          const listed = values.map(value => state.choices[this.findChoice(state, value)]);
+          state.choices = [...listed, ...state.choices.filter(choice => !listed.includes(choice))];
+        }
+        return { action, order: state.choices.map(choice => choice.value) };
+      }
+
+      case 'rename': {
+        if (typeof operation.text !== 'string' || operation.text === '') {
+          throw new Error('text is required');
+        }
+        const choice = state.choices[this.findChoice(state, operation.value)];
+        const from = { text: choice.text, value: choice.value };
+        choice.text = operation.text;
+        // Without separate values Gravity Forms saves the text as the value
+        if (operation.new_value !== undefined) {
+          this.changeValue(state, choice, operation.new_value);
+        } else if (!state.field.enableChoiceValue) {
+          this.changeValue(state, choice, operation.text);
+        }
+        return { action, from, to: { text: choice.text, value: choice.value } };
+      }
+
+      case 'set': {
+        const choice = state.choices[this.findChoice(state, operation.value)];
+        const from = { ...choice };
+        if (operation.new_value !== undefined) {
+          this.changeValue(state, choice, operation.new_value);
+        }
+        if (operation.price !== undefined) {
+          this.requirePriced(state);
+          choice.price = String(operation.price);
+        }
+        if (operation.isSelected !== undefined) {
+          if (operation.isSelected && !['checkbox', 'multiselect'].includes(state.field.inputType || state.field.type)) {
+            state.choices.forEach(other => { other.isSelected = false; });
+          }
+          choice.isSelected = Boolean(operation.isSelected);
+        }
+        return { action, from, to: { ...choice } };
+      }
+
+      case 'import': {
+        const parsed = parseChoiceList(operation.list);
+        if (parsed.length === 0) {
+          throw new Error('list has no choices');
+        }
+        if (operation.replace) {
+          state.choices.forEach(choice => state.removed.add(String(choice.value)));
+          state.choices = [];
+        }
+        const existing = new Set(state.choices.map(choice => String(choice.value)));
+        const added = [];
+        const skipped = [];
+        for (const item of parsed) {
+          if (existing.has(String(item.value))) {
+            skipped.push(item.value);
+            continue;
+          }
+          const choice = this.normalizeChoice(state, item);
+          existing.add(String(choice.value));
+          state.removed.delete(String(choice.value));
+          state.choices.push(choice);
+          added.push(choice.value);
+        }
+        return { action, replaced: Boolean(operation.replace), added, skipped };
+      }
+
+      default:
+        throw new Error(`Unknown action "${action}". Use one of: ${CHOICE_ACTIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Build a choice from a string or { text, value, price, isSelected }
+   */
+  normalizeChoice(state, input) {
+    const item = typeof input === 'string' ? { text: input } : { ...input };
+    if (typeof item.text !== 'string' || item.text === '') {
+      throw new Error('each choice needs text');
+    }
+
+    const choice = { text: item.text, value: item.value ?? item.text, isSelected: Boolean(item.isSelected) };
+    if (String(choice.value) !== choice.text) {
+      state.field.enableChoiceValue = true;
+    }
+    if (item.price !== undefined) {
+      this.requirePriced(state);
+      choice.price = String(item.price);
+    } else if (state.priced) {
+      choice.price = '';
+    }
+
+    return choice;
+  }
+
+  /**
+   * Give a choice a new value, recording the rename for rule warnings
+   */
+  changeValue(state, choice, value) {
+    const from = String(choice.value);
+    const to = String(value);
+    if (from === to) return;
+
+    choice.value = value;
+    if (to !== choice.text) {
+      state.field.enableChoiceValue = true;
+    }
+
+    // Follow chains: a -> b -> c is reported as a -> c
+    const origin = [...state.renamed].find(([, current]) => current === from)?.[0] ?? from;
+    state.renamed.set(origin, to);
+  }
+
+  requireValues(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error('values must be a non-empty array');
+    }
+    return values;
+  }
+
+  requirePriced(state) {
+    if (!state.priced) {
+      throw new Error(`field ${state.field.id} (${state.field.type}) has no choice prices`);
+    }
+  }
+
+  findChoice(state, value) {
+    const index = state.choices.findIndex(choice => String(choice.value ?? choice.text) === String(value));
+    if (index === -1) {
+      throw new Error(`No choice with value "${value}"`);
+    }
+    return index;
+  }
+
+  /**
+   * Rebuild checkbox inputs from the choices
+   * Input IDs follow choice order and skip multiples of ten, as Gravity
+   * Forms does; dynamic population names stay with their choice.
+   * @returns {Array} Warnings about existing choices whose input ID changed
+   */
+  regenerateInputs(field, previousChoices) {
+    const previous = new Map();
+    (field.inputs || []).forEach((input, index) => {
+      const choice = previousChoices[index];
+      if (choice) {
+        previous.set(String(choice.value), input);
+      }
+    });
+
+    let number = 0;
+    const moved = [];
+    field.inputs = field.choices.map(choice => {
+      number++;
+      if (number % 10 === 0) number++;
+
+      const id = `${field.id}.${number}`;
+      const old = previous.get(String(choice.value));
+      if (old && String(old.id) !== id) {
+        moved.push(`${choice.value} (${old.id} -> ${id})`);
+      }
+      return { id, label: choice.text, name: old?.name || '' };
+    });
+
+    return moved.length
+      ? [`Checkbox input IDs changed for ${moved.join(', ')}; existing entries keep the old input IDs`]
+      : [];
+  }
+
+  /**
+   * Find conditional logic rules still comparing against removed or renamed values
+   * @returns {Array} [{ source, kind, rule_index, value, renamed_to?, message }]
+   */
+  findStaleReferences(form, field, state) {
+    if (!this.fieldManager.dependencyTracker || (state.removed.size === 0 && state.renamed.size === 0)) {
+      return [];
+    }
+
+    const current = new Set(field.choices.map(choice => String(choice.value)));
+    const { edges } = this.fieldManager.dependencyTracker.buildDependencyGraph(form);
+    const stale = [];
+
+    for (const edge of edges) {
+      if (edge.to !== Number(field.id) || edge.rule_index === undefined || !CHOICE_OPERATORS.includes(edge.operator)) {
+        continue;
+      }
+
+      const value = String(edge.value ?? '');
+      if (current.has(value)) continue;
+
+      const source = edge.from.type === 'field' ? `field ${edge.from.id} (${edge.from.label})` : `${edge.from.type} "${edge.from.label}"`;
+      if (state.renamed.has(value)) {
+        stale.push({
+          source: edge.from,
+          kind: edge.kind,
+          rule_index: edge.rule_index,
+          value,
+          renamed_to: state.renamed.get(value),
+          message: `${source} has a rule "${edge.operator} ${value}"; that choice is now "${state.renamed.get(value)}"`
+        });
+      } else if (state.removed.has(value)) {
+        stale.push({
+          source: edge.from,
+          kind: edge.kind,
+          rule_index: edge.rule_index,
+          value,
+          message: `${source} has a rule "${edge.operator} ${value}", but that choice was removed`
+        });
+      }
+    }
+
+    return stale;
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * Conditional Logic Builder - Resolves and validates conditional logic
+ * rules against the form before applying them to a field, page, button,
+ * notification or confirmation
+ */
+
+import FieldAwareValidator from '../config/field-validation.js';
+
+export const LOGIC_TARGETS = ['field', 'page', 'next_button', 'submit_button', 'notification', 'confirmation'];
+
+export const LOGIC_OPERATORS = ['is', 'isnot', '>', '<', 'contains', 'starts_with', 'ends_with'];
+
+/**
+ * Source types (or input types) that hold numbers or dates
+ */
+export const NUMERIC_TYPES = ['number', 'quantity', 'total', 'date', 'time', 'calculation', 'singleproduct', 'price'];
+
+/**
+ * Operators that compare against one of the source's choice values
+ */
+const CHOICE_OPERATORS = ['is', 'isnot'];
+
+export class ConditionalLogicBuilder {
+  constructor(fieldManager) {
+    this.fieldManager = fieldManager;
+  }
+
+  get positionEngine() {
+    return this.fieldManager.positionEngine;
+  }
+
+  /**
+   * Set or clear the conditional logic of one target
+   * @param {number} formId - Target form ID
+   * @param {object} target - { type, id } where type is one of LOGIC_TARGETS;
+   * page takes a page number or page break field ID, next_button a page break field ID
+   * @param {object} logic - { action_type, logic_type, rules: [{ field, operator, value }] }
+   * @param {object} options - { clear, expected_version }
+   * @returns {object} The applied logic, the logic it replaced and warnings
+   */
+  async setConditionalLogic(formId, target = {}, logic = {}, options = {}) {
+    const { clear = false } = options;
+
+    if (!LOGIC_TARGETS.includes(target.type)) {
+      throw new Error(`target.type must be one of: ${LOGIC_TARGETS.join(', ')}`);
+    }
+
+    const { form, guard } = await this.fieldManager.fetchForm(formId, options.expected_version);
+    const resolved = this.resolveTarget(form, target);
+    const previous = resolved.get() ?? null;
+
+    let conditionalLogic = null;
+    let warnings = [];
+
+    if (!clear) {
+      const built = this.buildLogic(form, resolved, logic);
+      conditionalLogic = built.logic;
+      warnings = built.warnings;
+    }
+
+    resolved.set(conditionalLogic);
+    const saved = await this.fieldManager.saveForm(form, guard);
+
+    return {
+      success: true,
+      form_id: formId,
+      target: { type: target.type, id: resolved.id, label: resolved.label },
+      conditional_logic: conditionalLogic,
+      previous,
+      warnings,
+      version: saved?.version
+    };
+  }
+
+  /**
+   * Find the object whose conditional logic is being set
+   * @returns {object} { id, label, field, page, get(), set(logic) }
+   * page is the page whose answers the rules may use, null when any page will do
+   */
+  resolveTarget(form, target) {
+    const fields = form.fields || [];
+    const boundaries = this.positionEngine.getPageBoundaries(fields);
+    const pageOf = field => this.positionEngine.getFieldPage(field, fields);
+
+    const pageBreak = (id) => {
+      const field = boundaries.find(f => f.id == id);
+      if (!field) {
+        throw new Error(`Field ${id} is not a page break in form ${form.id}`);
+      }
+      return field;
+    };
+
+    switch (target.type) {
+      case 'field': {
+        const field = fields.find(f => f.id == target.id);
+        if (!field) {
+          throw new Error(`Field ${target.id} not found in form ${form.id}`);
+        }
+        if (field.type === 'page') {
+          throw new Error(`Field ${target.id} is a page break; use target type "page" or "next_button"`);
+        }
+        if (this.fieldManager.registry[field.type]?.supportsConditionalLogic === false) {
+          throw new Error(`Field type ${field.type} doesn't support conditional logic`);
+        }
+        return {
+          id: field.id,
+          label: field.label || `Field ${field.id}`,
+          field,
+          page: pageOf(field),
+          get: () => field.conditionalLogic,
+          set: logic => { field.conditionalLogic = logic; }
+        };
+      }
+
+      case 'page': {
+        // Page 2 starts at the first page break, and so on
+        const field = Number.isInteger(target.page) ? boundaries[target.page - 2] : pageBreak(target.id);
+        if (!field) {
+          throw new Error(`Page ${target.page} has no page break; conditional logic applies to pages 2 to ${boundaries.length + 1}`);
+        }
+        const page = boundaries.indexOf(field) + 2;
+        return {
+          id: field.id,
+          label: form.pagination?.pages?.[page - 1] || `Page ${page}`,
+          field,
+          page: page - 1,
+          get: () => field.conditionalLogic,
+          set: logic => { field.conditionalLogic = logic; }
+        };
+      }
+
+      case 'next_button': {
+        const field = pageBreak(target.id);
+        const page = boundaries.indexOf(field) + 1;
+        return {
+          id: field.id,
+          label: `Next button on page ${page}`,
+          field,
+          page,
+          get: () => field.nextButton?.conditionalLogic,
+          set: logic => { field.nextButton = { ...field.nextButton, conditionalLogic: logic }; }
+        };
+      }
+
+      case 'submit_button':
+        return {
+          id: 'submit',
+          label: 'Submit button',
+          field: null,
+          page: null,
+          get: () => form.button?.conditionalLogic,
+          set: logic => { form.button = { ...form.button, conditionalLogic: logic }; }
+        };
+
+      default: {
+        const collection = form[`${target.type}s`] || {};
+        const entry = Object.entries(collection).find(([key, item]) => key == target.id || item.id == target.id);
+        if (!entry) {
+          throw new Error(`${target.type} ${target.id} not found in form ${form.id}`);
+        }
+        const [id, item] = entry;
+        if (target.type === 'confirmation' && item.isDefault) {
+          throw new Error('The default confirmation is used when no other applies and can\'t have conditional logic');
+        }
+        return {
+          id,
+          label: item.name || id,
+          field: null,
+          page: null,
+          notificationOrConfirmation: true,
+          get: () => item.conditionalLogic,
+          set: logic => { item.conditionalLogic = logic; }
+        };
+      }
+    }
+  }
+
+  /**
+   * Resolve rule sources and check them against the form
+   * @returns {object} { logic, warnings }
+   */
+  buildLogic(form, target, logic) {
+    const { action_type = 'show', logic_type = 'all', rules } = logic;
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new Error('rules must be a non-empty array; use clear to remove conditional logic');
+    }
+    // Notifications are sent and confirmations used when their logic matches
+    if (target.notificationOrConfirmation && action_type !== 'show') {
+      throw new Error('Notifications and confirmations only support action_type "show"');
+    }
+
+    const fields = form.fields || [];
+    const errors = [];
+    const warnings = [];
+
+    const built = {
+      actionType: action_type,
+      logicType: logic_type,
+      rules: rules.map((rule, index) => {
+        try {
+          const { fieldId, value } = this.checkRule(fields, target, rule || {}, warnings);
+          return { fieldId, operator: rule.operator, value };
+        } catch (error) {
+          errors.push(`rule[${index}]: ${error.message}`);
+          return null;
+        }
+      })
+    };
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid conditional logic: ${errors.join('; ')}`);
+    }
+
+    const structure = FieldAwareValidator.validateConditionalLogic(built, target.label);
+    if (!structure.isValid) {
+      throw new Error(structure.error);
+    }
+
+    return { logic: built, warnings };
+  }
+
+  /**
+   * Check one rule: its source exists, holds a value, isn't the target
+   * or on a later page, suits the operator and, for choices, has the value
+   * @returns {object} { fieldId, value } as stored in the rule
+   */
+  checkRule(fields, target, rule, warnings) {
+    const { operator } = rule;
+    const value = rule.value === undefined || rule.value === null ? '' : String(rule.value);
+
+    if (!LOGIC_OPERATORS.includes(operator)) {
+      throw new Error(`operator must be one of: ${LOGIC_OPERATORS.join(', ')}`);
+    }
+
+    const { source, fieldId } = this.resolveSource(fields, rule.field ?? rule.fieldId);
+    const name = `field ${source.id} (${source.label || source.type})`;
+    const sourceType = source.inputType || source.type;
+
+    if (target.field && source.id == target.field.id) {
+      throw new Error(`${name} can't depend on itself`);
+    }
+    if (this.fieldManager.registry[source.type]?.storesData === false) {
+      throw new Error(`${name} is a ${source.type} and holds no value`);
+    }
+
+    if (target.page !== null) {
+      const sourcePage = this.positionEngine.getFieldPage(source, fields);
+      if (sourcePage > target.page) {
+        throw new Error(`${name} is on page ${sourcePage}; ${target.label} can only use fields up to page ${target.page}`);
+      }
+    }
+
+    if (['>', '<'].includes(operator) && !NUMERIC_TYPES.includes(sourceType)) {
+      throw new Error(`operator "${operator}" compares numbers or dates, but ${name} is a ${sourceType} field`);
+    }
+
+    if (CHOICE_OPERATORS.includes(operator) && Array.isArray(source.choices) && source.choices.length &&
+        !source.enableOtherChoice && value !== '' &&
+        !source.choices.some(choice => String(choice.value ?? choice.text) === value)) {
+      const available = source.choices.map(choice => choice.value ?? choice.text).join(', ');
+      throw new Error(`"${value}" is not a choice of ${name}; expected one of: ${available}`);
+    }
+
+    if (['contains', 'starts_with', 'ends_with'].includes(operator) && value === '') {
+      warnings.push(`A "${operator}" rule on ${name} with an empty value always matches`);
+    }
+
+    return { fieldId, value };
+  }
+
+  /**
+   * Find a rule's source by field ID, input ID ("3.2") or label
+   * @returns {object} { source, fieldId }
+   */
+  resolveSource(fields, reference) {
+    if (reference === undefined || reference === null || reference === '') {
+      throw new Error('field is required');
+    }
+
+    const text = String(reference).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      const [id] = text.split('.');
+      const source = fields.find(f => String(f.id) === id);
+      if (!source) {
+        throw new Error(`field ${id} doesn't exist`);
+      }
+      if (text.includes('.') && Array.isArray(source.inputs) && !source.inputs.some(input => String(input.id) === text)) {
+        throw new Error(`field ${id} has no input ${text}`);
+      }
+      return { source, fieldId: text };
+    }
+
+    const matches = fields.filter(f => String(f.label ?? '').trim().toLowerCase() === text.toLowerCase());
+    if (matches.length === 0) {
+      throw new Error(`no field labeled "${text}"`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`${matches.length} fields are labeled "${text}" (${matches.map(f => f.id).join(', ')}); use a field ID`);
+    }
+
+    return { source: matches[0], fieldId: String(matches[0].id) };
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * Field Converter - Changes a field's type and moves stored entry values
+ * into the new type's storage shape
+ */
+
+import { generateCompoundInputs } from '../field-definitions/field-registry.js';
+import { buildEntryQuery, iterateEntryPages } from '../utils/pagination.js';
+
+/**
+ * Types that store one value under the field ID and can be swapped freely
+ */
+export const SINGLE_VALUE_TYPES = ['text', 'textarea', 'email', 'phone', 'website', 'number', 'hidden', 'select', 'radio'];
+
+/**
+ * Most distinct entry values turned into choices when none are given
+ */
+const MAX_DERIVED_CHOICES = 50;
+
+/**
+ * Entries shown in a report
+ */
+const SAMPLE_SIZE = 5;
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+const toChoice = choice => typeof choice === 'string'
+  ? { text: choice, value: choice, isSelected: false }
+  : { isSelected: false, ...choice, value: choice.value ?? choice.text };
+
+/**
+ * Supported conversions
+ * Each one builds the new field; migrate returns the entry keys to rewrite
+ * when storage changes, and check flags values the new type won't accept.
+ */
+export const CONVERSIONS = [
+  {
+    name: 'single_value',
+    description: `Between single-value fields: ${SINGLE_VALUE_TYPES.join(', ')}. Values stay as they are.`,
+    matches: (field, target) => SINGLE_VALUE_TYPES.includes(field.type) && SINGLE_VALUE_TYPES.includes(target.type),
+    keys: field => [String(field.id)],
+    build(field, target, { choices, values, defaultChoices }) {
+      const converted = { ...field, ...target };
+
+      if (['select', 'radio'].includes(target.type)) {
+        const derived = [...new Set(values.filter(value => !isEmpty(value)))].slice(0, MAX_DERIVED_CHOICES).map(toChoice);
+        converted.choices = choices
+          ? choices.map(toChoice)
+          : field.choices || (derived.length ? derived : defaultChoices);
+      } else {
+        delete converted.choices;
+        delete converted.enableChoiceValue;
+        delete converted.enableOtherChoice;
+      }
+
+      return converted;
+    },
+    check(field, values) {
+      const value = values[String(field.id)];
+      if (isEmpty(value)) return null;
+      if (field.type === 'number' && !Number.isFinite(Number(value))) {
+        return 'not a number';
+      }
+      if (Array.isArray(field.choices) && !field.enableOtherChoice &&
+          !field.choices.some(choice => String(choice.value) === String(value))) {
+        return 'not a choice';
+      }
+      return null;
+    }
+  },
+  {
+    name: 'name_split',
+    description: 'Simple name (one input) to a name with first and last inputs. The stored name is split at the first space.',
+    matches: (field, target) => field.type === 'name' && target.type === 'name' &&
+      field.nameFormat === 'simple' && (target.nameFormat || 'advanced') !== 'simple',
+    keys: field => [String(field.id)],
+    build(field, target) {
+      return { ...field, ...target, nameFormat: target.nameFormat || 'advanced' };
+    },
+    migrate(oldField, newField, values) {
+      const value = values[String(oldField.id)];
+      if (isEmpty(value)) return null;
+
+      const [first, ...rest] = String(value).trim().split(/\s+/);
+      return {
+        [String(oldField.id)]: '',
+        [`${newField.id}.3`]: first,
+        [`${newField.id}.6`]: rest.join(' ')
+      };
+    }
+  },
+  {
+    name: 'checkbox_to_consent',
+    description: 'Checkbox with a single choice to a consent field. Checked entries become consented, with the choice text as the consent text.',
+    matches: (field, target) => field.type === 'checkbox' && target.type === 'consent',
+    keys: field => (field.inputs || []).map(input => String(input.id)),
+    build(field, target) {
+      if (field.choices?.length !== 1) {
+        throw new Error(`Only a checkbox with exactly one choice can become a consent field; field ${field.id} has ${field.choices?.length || 0}`);
+      }
+      const converted = {
+        ...field,
+        checkboxLabel: field.choices[0].text,
+        ...target
+      };
+      delete converted.choices;
+      delete converted.enableChoiceValue;
+      delete converted.enableSelectAll;
+      return converted;
+    },
+    migrate(oldField, newField, values) {
+      const inputId = String(oldField.inputs?.[0]?.id ?? `${oldField.id}.1`);
+      if (isEmpty(values[inputId])) return null;
+
+      return {
+        ...(inputId !== `${newField.id}.1` && { [inputId]: '' }),
+        [`${newField.id}.1`]: '1',
+        [`${newField.id}.2`]: newField.checkboxLabel
+      };
+    }
+  },
+  {
+    name: 'number_to_product',
+    description: 'Number to a product with a user-defined price. The stored number becomes the price.',
+    matches: (field, target) => field.type === 'number' && target.type === 'product',
+    keys: field => [String(field.id)],
+    build(field, target) {
+      const converted = { ...field, inputType: 'price', ...target };
+      delete converted.numberFormat;
+      delete converted.rangeMin;
+      delete converted.rangeMax;
+      delete converted.enableCalculation;
+      delete converted.calculationFormula;
+      return converted;
+    },
+    check(field, values) {
+      const value = values[String(field.id)];
+      if (isEmpty(value)) return null;
+      // Allow currency symbols and thousands separators
+      const amount = String(value).replace(/[^\d.,-]/g, '').replace(/,/g, '');
+      return amount === '' || !Number.isFinite(Number(amount)) ? 'not a price' : null;
+    }
+  }
+];
+
+export class FieldConverter {
+  constructor(fieldManager) {
+    this.fieldManager = fieldManager;
+  }
+
+  /**
+   * Convert a field to another type, optionally migrating stored entry values
+   * @param {number} formId - Target form ID
+   * @param {number} fieldId - Field to convert
+   * @param {object} options - { to_type, properties, choices, migrate_entries, dry_run, expected_version }
+   * @returns {object} The converted field and a report of the entries that change
+   */
+  async convertField(formId, fieldId, options = {}) {
+    const { to_type, properties = {}, choices, migrate_entries = false, dry_run = false, expected_version } = options;
+
+    if (!to_type) {
+      throw new Error('to_type is required');
+    }
+    if (!this.fieldManager.registry[to_type]) {
+      throw new Error(`Unknown field type: ${to_type}`);
+    }
+    if (choices !== undefined && (!Array.isArray(choices) || choices.length === 0)) {
+      throw new Error('choices must be a non-empty array');
+    }
+
+    const { form, guard } = await this.fieldManager.fetchForm(formId, expected_version);
+    const index = form.fields?.findIndex(f => f.id == fieldId) ?? -1;
+    if (index === -1) {
+      throw new Error(`Field ${fieldId} not found in form ${formId}`);
+    }
+
+    const field = form.fields[index];
+    const target = { ...properties, type: to_type };
+    const conversion = CONVERSIONS.find(candidate => candidate.matches(field, target));
+    if (!conversion) {
+      const supported = CONVERSIONS.map(candidate => `${candidate.name}: ${candidate.description}`).join(' | ');
+      throw new Error(`Can't convert field ${fieldId} from ${field.type}${field.nameFormat ? ` (${field.nameFormat})` : ''} to ${to_type}. Supported: ${supported}`);
+    }
+
+    // Choices are derived from stored values when a choice field gets none
+    const derivesChoices = conversion.name === 'single_value' && ['select', 'radio'].includes(to_type) &&
+      !choices && !field.choices;
+    const entries = dry_run || migrate_entries || derivesChoices
+      ? await this.readEntryValues(formId, conversion.keys(field))
+      : null;
+
+    const converted = conversion.build(field, target, {
+      choices,
+      values: (entries || []).map(entry => entry.values[String(field.id)]),
+      defaultChoices: this.fieldManager.getTypeSpecificDefaults(to_type, this.fieldManager.registry[to_type]).choices
+    });
+    converted.id = field.id;
+
+    const inputs = generateCompoundInputs(converted);
+    if (inputs) {
+      converted.inputs = inputs;
+    } else {
+      delete converted.inputs;
+    }
+
+    const report = entries ? this.buildReport(conversion, field, converted, entries) : null;
+    const warnings = this.getWarnings(form, field, converted, conversion, report);
+
+    if (dry_run) {
+      return {
+        success: true,
+        dry_run: true,
+        form_id: formId,
+        conversion: conversion.name,
+        before: field,
+        field: converted,
+        entries: this.summarize(report),
+        warnings
+      };
+    }
+
+    form.fields[index] = converted;
+    const saved = await this.fieldManager.saveForm(form, guard);
+
+    const result = {
+      success: true,
+      form_id: formId,
+      conversion: conversion.name,
+      before: field,
+      field: converted,
+      warnings,
+      version: saved?.version
+    };
+
+    if (migrate_entries) {
+      result.entries = { ...this.summarize(report), ...(await this.migrateEntries(report.changes)) };
+    }
+
+    return result;
+  }
+
+  /**
+   * Read the values the conversion touches from every entry of the form
+   * @returns {Array} [{ id, values }]
+   */
+  async readEntryValues(formId, keys) {
+    const entries = [];
+    const query = buildEntryQuery({ form_ids: [formId] });
+
+    for await (const chunk of iterateEntryPages(this.fieldManager.api, query)) {
+      for (const entry of chunk.entries) {
+        entries.push({
+          id: entry.id,
+          values: Object.fromEntries(keys.map(key => [key, entry[key]]))
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Work out each entry's rewrite and values that won't fit the new type
+   */
+  buildReport(conversion, field, converted, entries) {
+    const changes = [];
+    const mismatches = {};
+
+    for (const entry of entries) {
+      const change = conversion.migrate?.(field, converted, entry.values);
+      if (change) {
+        changes.push({ entry_id: entry.id, before: entry.values, after: change });
+      }
+
+      const problem = conversion.check?.(converted, entry.values);
+      if (problem) {
+        mismatches[problem] = (mismatches[problem] || 0) + 1;
+      }
+    }
+
+    return { scanned: entries.length, changes, mismatches };
+  }
+
+  summarize(report) {
+    if (!report) return null;
+    return {
+      scanned: report.scanned,
+      would_change: report.changes.length,
+      mismatches: report.mismatches,
+      samples: report.changes.slice(0, SAMPLE_SIZE)
+    };
+  }
+
+  /**
+   * Write each entry's rewritten values
+   * @returns {object} { updated, failed }
+   */
+  async migrateEntries(changes) {
+    let updated = 0;
+    const failed = [];
+
+    for (const change of changes) {
+      try {
+        await this.fieldManager.api.updateEntry({ id: change.entry_id, ...change.after });
+        updated++;
+      } catch (error) {
+        failed.push({ entry_id: change.entry_id, error: error.message });
+      }
+    }
+
+    return { updated, failed };
+  }
+
+  /**
+   * Warn about values that won't fit, unmigrated entries and references to changed inputs
+   */
+  getWarnings(form, field, converted, conversion, report) {
+    const warnings = [];
+
+    if (report) {
+      for (const [problem, count] of Object.entries(report.mismatches)) {
+        warnings.push(`${count} entr${count === 1 ? 'y holds a value' : 'ies hold values'} that ${count === 1 ? 'is' : 'are'} ${problem} for the new ${converted.type} field`);
+      }
+    }
+
+    if (!report && conversion.migrate) {
+      warnings.push('Existing entries keep the old storage shape; use dry_run to count them and migrate_entries to rewrite them');
+    }
+
+    const graph = this.fieldManager.dependencyTracker?.buildDependencyGraph(form);
+    const dependents = graph?.edges.filter(edge => edge.to === Number(field.id)) || [];
+    if (dependents.length > 0 && JSON.stringify(field.inputs || null) !== JSON.stringify(converted.inputs || null)) {
+      warnings.push(`${dependents.length} reference(s) to field ${field.id} may use inputs that changed; run gf_audit_form to check them`);
+    }
+
+    return warnings;
+  }
+}
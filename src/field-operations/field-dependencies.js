@@ -3,6 +3,80 @@
  * Detects usage in conditional logic, calculations, merge tags, and dynamic population
  */
 
+/**
+ * Field merge tag: {Label:ID}, {:ID}, {Label:ID.input} and {Label:ID:modifier}
+ */
+const FIELD_MERGE_TAG = /\{([^{}:]*):(\d+)(?:\.(\d+))?(?::([^{}]*))?\}/g;
+
+/**
+ * Properties scanned for merge tags, by location
+ */
+export const MERGE_TAG_PROPERTIES = {
+  notification: ['subject', 'message', 'from', 'fromName', 'replyTo', 'to', 'cc', 'bcc'],
+  confirmation: ['message', 'url', 'pageId', 'queryString'],
+  field: ['defaultValue', 'description', 'content']
+};
+
+/**
+ * Extract field references from text containing merge tags
+ * @param {string} text - Formula, message or other merge tag text
+ * @returns {Array} [{ tag, field_id, input_id }]
+ */
+export function extractFieldReferences(text) {
+  if (!text) {
+    return [];
+  }
+
+  const references = [];
+  for (const match of String(text).matchAll(FIELD_MERGE_TAG)) {
+    references.push({
+      tag: match[0],
+      field_id: Number(match[2]),
+      input_id: match[3] !== undefined ? `${match[2]}.${match[3]}` : null
+    });
+  }
+  return references;
+}
+
+/**
+ * Replace every merge tag that references a field
+ * Matches {Label:ID}, {:ID}, {Label:ID.input} and {Label:ID:modifier}
+ * @param {string} text - Text containing merge tags
+ * @param {number} fieldId - Referenced field ID
+ * @param {string} replacement - Text to put in place of each tag
+ * @returns {string} Rewritten text
+ */
+export function replaceFieldReferences(text, fieldId, replacement = '') {
+  const pattern = new RegExp(`\\{[^{}:]*:${Number(fieldId)}(?:\\.\\d+)?(?::[^{}]*)?\\}`, 'g');
+  return String(text).replace(pattern, () => replacement);
+}
+
+/**
+ * Point merge tags at new field IDs, keeping labels, input IDs and modifiers
+ * @param {string} text - Text containing merge tags
+ * @param {object} idMap - Old field ID -> new field ID
+ * @returns {string} Rewritten text
+ */
+export function remapFieldReferences(text, idMap) {
+  return String(text).replace(FIELD_MERGE_TAG, (tag, label, fieldId, inputId, modifier) => {
+    if (idMap[fieldId] === undefined) {
+      return tag;
+    }
+    return `{${label}:${idMap[fieldId]}${inputId !== undefined ? `.${inputId}` : ''}${modifier !== undefined ? `:${modifier}` : ''}}`;
+  });
+}
+
+/**
+ * Conditional logic stored on a feed, if enabled
+ */
+function getFeedConditionalLogic(feed) {
+  const meta = feed?.meta || {};
+  if (!meta.feed_condition_conditional_logic || meta.feed_condition_conditional_logic === '0') {
+    return null;
+  }
+  return meta.feed_condition_conditional_logic_object?.conditionalLogic || null;
+}
+
 export class DependencyTracker {
   /**
    * Scan form for all dependencies of a specific field
@@ -256,6 +330,84 @@ export class DependencyTracker {
     }
   }
 
+  /**
+   * Build the dependency graph for a whole form
+   * Each edge points from the dependent (a field, notification, confirmation,
+   * feed or the submit button) to the field it references.
+   * @param {object} form - Complete form object
+   * @param {Array} feeds - Add-on feeds for the form
+   * @returns {object} { nodes, edges }
+   */
+  buildDependencyGraph(form, feeds = []) {
+    const nodes = [];
+    const edges = [];
+
+    const addRules = (from, kind, logic) => {
+      if (!logic || logic.enabled === false || !Array.isArray(logic.rules)) {
+        return;
+      }
+      logic.rules.forEach((rule, index) => {
+        const [fieldId, inputId] = String(rule.fieldId ?? '').split('.');
+        // Rules can also target entry meta such as payment_status
+        if (!/^\d+$/.test(fieldId)) {
+          return;
+        }
+        edges.push({
+          from,
+          to: Number(fieldId),
+          input_id: inputId !== undefined ? String(rule.fieldId) : null,
+          kind,
+          rule_index: index,
+          operator: rule.operator,
+          value: rule.value
+        });
+      });
+    };
+
+    const addMergeTags = (from, location, item) => {
+      for (const property of MERGE_TAG_PROPERTIES[location]) {
+        for (const reference of extractFieldReferences(item[property])) {
+          edges.push({ from, to: reference.field_id, input_id: reference.input_id, kind: 'merge_tag', property, tag: reference.tag });
+        }
+      }
+    };
+
+    form.fields?.forEach(field => {
+      const from = { type: 'field', id: field.id, label: field.label || `Field ${field.id}` };
+      nodes.push({ ...from, field_type: field.type });
+
+      addRules(from, 'conditional_logic', field.conditionalLogic);
+      addRules(from, 'page_conditional_logic', field.nextButton?.conditionalLogic);
+
+      if (field.enableCalculation && field.calculationFormula) {
+        for (const reference of extractFieldReferences(field.calculationFormula)) {
+          edges.push({ from, to: reference.field_id, input_id: reference.input_id, kind: 'calculation', tag: reference.tag });
+        }
+      }
+
+      addMergeTags(from, 'field', field);
+    });
+
+    addRules({ type: 'button', id: 'submit', label: 'Submit button' }, 'conditional_logic', form.button?.conditionalLogic);
+
+    for (const [location, collection] of [['notification', form.notifications], ['confirmation', form.confirmations]]) {
+      Object.entries(collection || {}).forEach(([id, item]) => {
+        const from = { type: location, id, label: item.name || id };
+        nodes.push(from);
+        addRules(from, 'conditional_logic', item.conditionalLogic);
+        addMergeTags(from, location, item);
+      });
+    }
+
+    (feeds || []).forEach(feed => {
+      const from = { type: 'feed', id: feed.id, label: feed.meta?.feedName || feed.addon_slug || `Feed ${feed.id}` };
+      nodes.push(from);
+      addRules(from, 'feed_conditional_logic', getFeedConditionalLogic(feed));
+    });
+
+    return { nodes, edges };
+  }
+
   /**
    * Check if dependencies would break form functionality
    */
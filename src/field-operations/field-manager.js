@@ -3,6 +3,18 @@
  * Handles field CRUD operations within REST API v2 constraints
  */
 
+import { MERGE_TAG_PROPERTIES, replaceFieldReferences } from './field-dependencies.js';
+import FieldAwareValidator from '../config/field-validation.js';
+import { validateFieldProperties } from '../field-definitions/field-schema.js';
+import { generateCompoundInputs } from '../field-definitions/field-registry.js';
+import { PageManager } from './page-manager.js';
+import { computeVersion, assertVersion } from '../utils/versioning.js';
+
+/**
+ * Operations accepted by applyFieldOperations
+ */
+export const FIELD_OPERATION_TYPES = ['add', 'update', 'delete', 'move'];
+
 export class FieldManager {
   constructor(apiClient, fieldRegistry, validator) {
     this.api = apiClient;
@@ -18,17 +30,24 @@ export class FieldManager {
    * @param {string} fieldType - Field type from registry
    * @param {object} properties - Field configuration
    * @param {object} position - Positioning configuration
+   * @param {object} options - { expected_version, strict }
    * @returns {object} Field creation result with warnings
    */
-  async addField(formId, fieldType, properties = {}, position = {}) {
+  async addField(formId, fieldType, properties = {}, position = {}, options = {}) {
     // 1. Validate field type against registry
     const fieldDef = this.registry[fieldType];
     if (!fieldDef) {
       throw new Error(`Unknown field type: ${fieldType}`);
     }
 
+    // 1b. Check properties against the type's schema; unlisted ones only warn
+    const check = validateFieldProperties(fieldType, properties, fieldDef, { strict: options.strict });
+    if (!check.isValid) {
+      throw new Error(`Invalid properties for ${fieldType} field: ${check.errors.join('; ')}`);
+    }
+
     // 2. Fetch current form via REST API
-    const { form } = await this.api.getForm({ id: formId });
+    const { form, guard } = await this.fetchForm(formId, options.expected_version);
     
     // 3. Generate unique integer field ID (max + 1 pattern)
     const fieldId = this.generateFieldId(form.fields || []);
@@ -46,34 +65,35 @@ export class FieldManager {
       form.fields || [],
       position,
       form.pagination
-    ) || form.fields?.length || 0;
+    ) ?? form.fields?.length ?? 0;
     
     // 7. Insert field at calculated position
     if (!form.fields) form.fields = [];
     form.fields.splice(insertIndex, 0, field);
     
     // 8. Update entire form via REST API
-    const updatedForm = await this.api.updateForm(form);
+    const updatedForm = await this.saveForm(form, guard);
     
     // 9. Return result with validation warnings
     return {
       success: true,
       field: field,
-      warnings: this.validator?.getWarnings(field) || [],
+      warnings: [...check.warnings, ...(this.validator?.getWarnings(field) || [])],
       form_id: formId,
       position: { 
         index: insertIndex, 
         page: field.pageNumber || 1 
-      }
+      },
+      version: updatedForm?.version
     };
   }
 
   /**
    * Update existing field with dependency checking
    */
-  async updateField(formId, fieldId, updates = {}) {
+  async updateField(formId, fieldId, updates = {}, options = {}) {
     // Fetch form
-    const { form } = await this.api.getForm({ id: formId });
+    const { form, guard } = await this.fetchForm(formId, options.expected_version);
     
     // Find field
     const fieldIndex = form.fields?.findIndex(f => f.id == fieldId);
@@ -93,7 +113,7 @@ export class FieldManager {
     };
     
     // Update form
-    const result = await this.api.updateForm(form);
+    const result = await this.saveForm(form, guard);
     
     return {
       success: true,
@@ -106,7 +126,8 @@ export class FieldManager {
         dependencies: dependencies.conditionalLogic?.length > 0 ? 
           ['Field has conditional logic dependencies'] : [],
         validationIssues: this.validator?.getWarnings(result.form.fields[fieldIndex]) || []
-      }
+      },
+      version: result.version
     };
   }
 
@@ -114,10 +135,10 @@ export class FieldManager {
    * Delete field with comprehensive dependency analysis
    */
   async deleteField(formId, fieldId, options = {}) {
-    const { cascade = false, force = false } = options;
+    const { cascade = false, force = false, formula_replacement, merge_tag_fallback, expected_version } = options;
     
     // Fetch form
-    const { form } = await this.api.getForm({ id: formId });
+    const { form, guard } = await this.fetchForm(formId, expected_version);
     
     // Check field exists
     const field = form.fields?.find(f => f.id == fieldId);
@@ -130,6 +151,7 @@ export class FieldManager {
     const hasBreakingDeps = this.dependencyTracker?.hasBreakingDependencies(dependencies);
     
     // Handle dependencies
+    // cascade only chooses what happens to the dependents; deleting still takes force
     if (hasBreakingDeps && !force) {
       return {
         success: false,
@@ -140,20 +162,21 @@ export class FieldManager {
           label: field.label
         },
         dependencies,
-        suggestion: 'Use force=true to delete anyway, or cascade=true to clean up dependencies'
+        suggestion: 'Use force=true to delete anyway, with cascade=true to clean up dependencies'
       };
     }
     
     // Remove field
     form.fields = form.fields.filter(f => f.id != fieldId);
     
-    // Clean up dependencies if cascade
-    if (cascade && hasBreakingDeps) {
-      this.cleanupDependencies(form, fieldId);
-    }
+    // Clean up dependencies if cascade; the scan above only sees enabled
+    // field logic, so rewrite everything that still references the field
+    const rewrites = cascade
+      ? this.cleanupDependencies(form, fieldId, { formula_replacement, merge_tag_fallback }) || []
+      : [];
     
     // Update form
-    await this.api.updateForm(form);
+    const saved = await this.saveForm(form, guard);
     
     return {
       success: true,
@@ -163,10 +186,409 @@ export class FieldManager {
         label: field.label
       },
       dependencies,
-      actions_taken: cascade ? ['Dependencies cleaned up'] : []
+      actions_taken: cascade ? ['Dependencies cleaned up'] : [],
+      ...(cascade && { rewrites }),
+      version: saved?.version
     };
   }
 
+  /**
+   * Apply an ordered batch of field operations with one read and one write
+   * Every operation runs against the same in-memory copy of the form through
+   * the regular add/update/delete/move methods. The result is validated and
+   * saved once; if any step fails, nothing is written.
+   * @param {number} formId - Target form ID
+   * @param {Array} operations - [{ op: 'add'|'update'|'delete'|'move', ... }]
+   * @param {object} options - { dry_run, expected_version }
+   * @returns {object} Batch result with one entry per operation
+   */
+  async applyFieldOperations(formId, operations = [], options = {}) {
+    const { dry_run = false, expected_version } = options;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('operations must be a non-empty array');
+    }
+
+    const { form, guard } = await this.fetchForm(formId, expected_version);
+    let working = structuredClone(form);
+
+    // A manager whose API reads and writes the working copy
+    const staged = new FieldManager({
+      getForm: async () => ({ form: working }),
+      updateForm: async (next) => {
+        working = next;
+        return { form: next };
+      }
+    }, this.registry, this.validator);
+    staged.dependencyTracker = this.dependencyTracker;
+    staged.positionEngine = this.positionEngine;
+
+    // Fields added earlier in the batch can be referenced as "@ref"
+    const refs = {};
+    const resolve = (value) => {
+      if (typeof value !== 'string' || !value.startsWith('@')) return value;
+      if (!(value.slice(1) in refs)) {
+        throw new Error(`Unknown field reference ${value}`);
+      }
+      return refs[value.slice(1)];
+    };
+    const resolvePosition = (position = {}) =>
+      position.reference === undefined ? position : { ...position, reference: resolve(position.reference) };
+
+    const results = [];
+
+    for (const [index, operation] of operations.entries()) {
+      const { op } = operation || {};
+      let result;
+
+      try {
+        switch (op) {
+          case 'add':
+            result = await staged.addField(formId, operation.field_type, operation.properties, resolvePosition(operation.position), { strict: operation.strict });
+            if (operation.ref) {
+              refs[operation.ref] = result.field.id;
+            }
+            break;
+
+          case 'update':
+            result = await staged.updateField(formId, resolve(operation.field_id), operation.properties);
+            // Same rule as gf_update_field
+            if (!operation.force && result.warnings?.dependencies?.length > 0) {
+              result = { success: false, error: 'Field has dependencies that may be affected; set force=true' };
+            }
+            break;
+
+          case 'delete':
+            result = await staged.deleteField(formId, resolve(operation.field_id), operation);
+            break;
+
+          case 'move':
+            result = await staged.moveField(formId, resolve(operation.field_id), resolvePosition(operation.position), {
+              include_children: operation.include_children,
+              through_field_id: resolve(operation.through_field_id)
+            });
+            break;
+
+          default:
+            throw new Error(`Unknown operation "${op}". Must be one of: ${FIELD_OPERATION_TYPES.join(', ')}`);
+        }
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      if (!result.success) {
+        return {
+          success: false,
+          form_id: formId,
+          error: `Operation ${index} (${op}) failed: ${result.error}`,
+          failed_operation: index,
+          operations: results,
+          written: false
+        };
+      }
+
+      results.push(this.summarizeOperation(index, op, result));
+    }
+
+    try {
+      FieldAwareValidator.validateFormFields(working.fields || []);
+    } catch (error) {
+      return {
+        success: false,
+        form_id: formId,
+        error: error.message,
+        operations: results,
+        written: false
+      };
+    }
+
+    const saved = dry_run ? null : await this.saveForm(working, guard);
+
+    return {
+      success: true,
+      form_id: formId,
+      applied: results.length,
+      operations: results,
+      field_ids: (working.fields || []).map(f => f.id),
+      written: !dry_run,
+      version: saved?.version,
+      ...(dry_run && { form: working })
+    };
+  }
+
+  /**
+   * Compact per-operation result for batch responses
+   */
+  summarizeOperation(index, op, result) {
+    const summary = { index, op };
+
+    if (op === 'add' || op === 'update') {
+      summary.field_id = result.field?.id;
+    } else if (op === 'delete') {
+      summary.field_id = result.deleted_field?.id;
+      if (result.rewrites?.length) summary.rewrites = result.rewrites;
+    } else if (op === 'move') {
+      summary.field_ids = result.moved_fields?.map(f => f.id);
+      summary.to = result.to;
+    }
+
+    const warnings = Array.isArray(result.warnings)
+      ? result.warnings
+      : result.warnings?.validationIssues || [];
+    if (warnings.length) summary.warnings = warnings;
+
+    return summary;
+  }
+
+  /**
+   * Move a field, or a section and its children, without re-creating it
+   * @param {number} formId - Target form ID
+   * @param {number} fieldId - Field to move (first field of the range)
+   * @param {object} position - Same positioning config as addField
+   * @param {object} options - { include_children, through_field_id, expected_version }
+   * @returns {object} Move result with ordering warnings
+   */
+  async moveField(formId, fieldId, position = {}, options = {}) {
+    if (!this.positionEngine) {
+      throw new Error('Position engine not configured');
+    }
+
+    // Fetch form
+    const { form, guard } = await this.fetchForm(formId, options.expected_version);
+    const fields = form.fields || [];
+
+    const validation = this.positionEngine.validatePositionConfig(position, fields);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    // Resolve the block and its new place
+    let range;
+    try {
+      range = this.positionEngine.getFieldRange(fields, fieldId, options);
+    } catch (error) {
+      throw new Error(`${error.message} in form ${formId}`);
+    }
+    const block = fields.slice(range.start, range.end);
+
+    // Page targets only need page breaks, not pagination settings
+    const pagination = form.pagination || (position.page ? {} : null);
+    const moved = this.positionEngine.moveFields(fields, range, position, pagination);
+
+    const summary = {
+      form_id: formId,
+      moved_fields: block.map(f => ({ id: f.id, type: f.type, label: f.label })),
+      from: { index: range.start, page: this.positionEngine.getFieldPage(block[0], fields) },
+      to: { index: moved.index, page: this.positionEngine.getFieldPage(block[0], moved.fields) }
+    };
+
+    if (moved.fields.every((field, index) => field === fields[index])) {
+      return { success: true, ...summary, changed: false, warnings: [] };
+    }
+
+    if (moved.fields[0]?.type === 'page') {
+      throw new Error('A page break can\'t be the first field; page 1 always starts at the top of the form');
+    }
+
+    const warnings = this.getOrderingWarnings(form, fields, moved.fields);
+
+    // Page names belong to the page break that starts their page
+    const pageManager = new PageManager(this);
+    const movesPages = block.some(f => f.type === 'page');
+    const names = movesPages ? pageManager.capturePageNames(form) : null;
+
+    // Field IDs never change; only order and page numbers do
+    form.fields = moved.fields;
+    if (this.positionEngine.getPageBoundaries(form.fields).length > 0) {
+      this.positionEngine.updatePageNumbers(form.fields);
+    }
+    if (movesPages) {
+      pageManager.syncPagination(form, names);
+    }
+
+    const saved = await this.saveForm(form, guard);
+
+    return { success: true, ...summary, changed: true, warnings, version: saved?.version };
+  }
+
+  /**
+   * Duplicate a field within its form or into another form
+   * @param {number} formId - Source form ID
+   * @param {number} fieldId - Field to copy
+   * @param {object} options - { target_form_id, position, properties, copy_conditional_logic, expected_version }
+   * expected_version applies to the form being written (the target)
+   * @returns {object} Duplication result with the ID map and any cleared input names
+   */
+  async duplicateField(formId, fieldId, options = {}) {
+    const { target_form_id, position, properties = {}, copy_conditional_logic = true, expected_version } = options;
+    const crossForm = target_form_id !== undefined && target_form_id != formId;
+
+    // Fetch source form
+    const { form: source, guard: sourceGuard } = await this.fetchForm(formId, crossForm ? undefined : expected_version);
+    const field = source.fields?.find(f => f.id == fieldId);
+    if (!field) {
+      throw new Error(`Field ${fieldId} not found in form ${formId}`);
+    }
+
+    if (this.registry[field.type]?.supportsDuplicate === false) {
+      throw new Error(`Field type ${field.type} can only be used once per form and can't be duplicated`);
+    }
+
+    const { form: target, guard } = crossForm
+      ? await this.fetchForm(target_form_id, expected_version)
+      : { form: source, guard: sourceGuard };
+    if (!target.fields) target.fields = [];
+
+    // New ID from the target form; sub-input IDs follow it (7.3 -> 12.3)
+    const newId = this.generateFieldId(target.fields);
+    const idMap = { [String(field.id)]: String(newId) };
+    const remapId = id => {
+      const [base, sub] = String(id).split('.');
+      if (base != field.id) return id;
+      return sub === undefined ? newId : `${newId}.${sub}`;
+    };
+
+    const copy = {
+      ...structuredClone(field),
+      ...properties,
+      id: newId
+    };
+    if (copy.formId !== undefined) copy.formId = target.id;
+
+    if (Array.isArray(copy.inputs)) {
+      copy.inputs = copy.inputs.map(input => {
+        const id = remapId(input.id);
+        idMap[String(input.id)] = String(id);
+        return { ...input, id };
+      });
+    }
+
+    // Dynamic population parameters must stay unique
+    const clearedInputNames = [];
+    const takenNames = new Set();
+    target.fields.forEach(f => {
+      if (f.inputName) takenNames.add(f.inputName);
+      f.inputs?.forEach(input => input.name && takenNames.add(input.name));
+    });
+    if (copy.inputName && takenNames.has(copy.inputName)) {
+      clearedInputNames.push({ id: String(newId), name: copy.inputName });
+      copy.inputName = '';
+    }
+    copy.inputs?.forEach(input => {
+      if (input.name && takenNames.has(input.name)) {
+        clearedInputNames.push({ id: String(input.id), name: input.name });
+        input.name = '';
+      }
+    });
+
+    // Conditional logic: drop it, or keep it with self-references remapped
+    const warnings = [];
+    let remappedRules = 0;
+    if (!copy_conditional_logic) {
+      copy.conditionalLogic = null;
+    } else if (Array.isArray(copy.conditionalLogic?.rules)) {
+      copy.conditionalLogic.rules = copy.conditionalLogic.rules.map(rule => {
+        const fieldIdRef = remapId(rule.fieldId);
+        if (String(fieldIdRef) !== String(rule.fieldId)) {
+          remappedRules++;
+          return { ...rule, fieldId: String(fieldIdRef) };
+        }
+        return rule;
+      });
+
+      if (crossForm) {
+        const missing = copy.conditionalLogic.rules
+          .map(rule => String(rule.fieldId).split('.')[0])
+          .filter(ref => /^\d+$/.test(ref) && ref != newId && !target.fields.some(f => f.id == ref));
+        if (missing.length) {
+          warnings.push(`Conditional logic references field(s) ${[...new Set(missing)].join(', ')}, which don't exist in form ${target.id}`);
+        }
+      }
+    }
+
+    // Same form: default to right after the original
+    const positionConfig = position || (crossForm ? { mode: 'append' } : { mode: 'after', reference: field.id });
+    const insertIndex = this.positionEngine
+      ? this.positionEngine.calculatePosition(target.fields, positionConfig, target.pagination)
+      : target.fields.length;
+    target.fields.splice(insertIndex, 0, copy);
+
+    if (this.positionEngine?.getPageBoundaries(target.fields).length > 0) {
+      this.positionEngine.updatePageNumbers(target.fields);
+    } else if (copy.pageNumber !== undefined) {
+      copy.pageNumber = 1;
+    }
+
+    const saved = await this.saveForm(target, guard);
+
+    return {
+      success: true,
+      source: { form_id: formId, field_id: field.id },
+      form_id: crossForm ? target_form_id : formId,
+      field: copy,
+      id_map: idMap,
+      position: { index: insertIndex, page: copy.pageNumber || 1 },
+      cleared_input_names: clearedInputNames,
+      remapped_rules: remappedRules,
+      warnings: [...warnings, ...(this.validator?.getWarnings(copy) || [])],
+      version: saved?.version
+    };
+  }
+
+  /**
+   * Warn about conditional logic that now points at a later field
+   * @param {object} form - Form being reordered
+   * @param {array} before - Field order before the move
+   * @param {array} after - Field order after the move
+   * @returns {array} Warning messages for newly introduced forward references
+   */
+  getOrderingWarnings(form, before, after) {
+    if (!this.dependencyTracker?.buildDependencyGraph) return [];
+
+    const { edges } = this.dependencyTracker.buildDependencyGraph({ ...form, fields: before });
+    const forwardReferences = (fields) => {
+      const indexes = new Map(fields.map((field, index) => [Number(field.id), index]));
+      return new Set(edges
+        .filter(edge => edge.from.type === 'field' && edge.kind.endsWith('conditional_logic'))
+        .filter(edge => indexes.has(edge.to) && indexes.get(Number(edge.from.id)) < indexes.get(edge.to))
+        .map(edge => `${edge.from.id}:${edge.to}`));
+    };
+
+    const existing = forwardReferences(before);
+    const labels = new Map(after.map(field => [String(field.id), field.label || `Field ${field.id}`]));
+
+    return [...forwardReferences(after)]
+      .filter(key => !existing.has(key))
+      .map(key => {
+        const [dependent, dependency] = key.split(':');
+        return `Field ${dependent} (${labels.get(dependent)}) now comes before field ${dependency} (${labels.get(dependency)}), which its conditional logic depends on`;
+      });
+  }
+
+  /**
+   * Fetch a form, checking it against the caller's expected_version
+   * @returns {object} { form, guard } - guard is the fetched version to
+   * check again at write time, set only when expectedVersion was given
+   */
+  async fetchForm(formId, expectedVersion) {
+    const { form } = await this.api.getForm({ id: formId });
+
+    if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') {
+      return { form };
+    }
+
+    assertVersion('form', formId, form, expectedVersion);
+    return { form, guard: computeVersion(form) };
+  }
+
+  /**
+   * Write a form; with a guard the client re-reads it first and refuses
+   * the write if someone else changed it since fetchForm
+   */
+  async saveForm(form, guard) {
+    return this.api.updateForm(guard ? { ...form, expected_version: guard } : form);
+  }
+
   /**
    * Generate unique integer field ID using max+1 pattern
    */
@@ -263,6 +685,11 @@ export class FieldManager {
       );
     }
     
+    // Other compound types, including those added by plugins
+    else {
+      return generateCompoundInputs(field, fieldDef) || [];
+    }
+    
     return subInputs;
   }
 
@@ -297,23 +724,87 @@ export class FieldManager {
 
   /**
    * Clean up dependencies when cascade deleting
+   * Strips conditional logic rules, replaces the field's terms in calculation
+   * formulas and swaps its merge tags for a fallback
+   * @param {object} form - Form with the field already removed
+   * @param {number} fieldId - Deleted field ID
+   * @param {object} options - { formula_replacement = '0', merge_tag_fallback = '' }
+   * @returns {Array} One entry per rewritten property
    */
-  cleanupDependencies(form, fieldId) {
-    // Remove from conditional logic rules
+  cleanupDependencies(form, fieldId, options = {}) {
+    const { formula_replacement = '0', merge_tag_fallback = '' } = options;
+    const rewrites = [];
+    const referencesField = rule => String(rule.fieldId).split('.')[0] == fieldId;
+
+    const cleanRules = (logic, target, property) => {
+      if (!Array.isArray(logic?.rules)) return;
+
+      const remaining = logic.rules.filter(rule => !referencesField(rule));
+      if (remaining.length === logic.rules.length) return;
+
+      const removed = logic.rules.length - remaining.length;
+      logic.rules = remaining;
+
+      // Disable conditional logic if no rules remain
+      if (remaining.length === 0) {
+        logic.enabled = false;
+      }
+
+      rewrites.push({
+        ...target,
+        kind: 'conditional_logic',
+        property,
+        action: remaining.length === 0 ? 'removed_rules_and_disabled' : 'removed_rules',
+        removed_rules: removed
+      });
+    };
+
+    const rewriteText = (item, target, property, kind, replacement) => {
+      if (!item[property]) return;
+
+      const before = String(item[property]);
+      const after = replaceFieldReferences(before, fieldId, replacement);
+      if (after === before) return;
+
+      item[property] = after;
+      rewrites.push({
+        ...target,
+        kind,
+        property,
+        action: replacement === '' ? 'removed' : 'replaced',
+        before,
+        after
+      });
+    };
+
     form.fields?.forEach(field => {
-      if (field.conditionalLogic?.rules) {
-        field.conditionalLogic.rules = field.conditionalLogic.rules.filter(
-          rule => rule.fieldId != fieldId
-        );
-        
-        // Disable conditional logic if no rules remain
-        if (field.conditionalLogic.rules.length === 0) {
-          field.conditionalLogic.enabled = false;
-        }
+      const target = { location: 'field', id: field.id, label: field.label || `Field ${field.id}` };
+
+      cleanRules(field.conditionalLogic, target, 'conditionalLogic');
+      cleanRules(field.nextButton?.conditionalLogic, target, 'nextButton.conditionalLogic');
+
+      if (field.enableCalculation) {
+        rewriteText(field, target, 'calculationFormula', 'calculation', formula_replacement);
       }
+
+      MERGE_TAG_PROPERTIES.field.forEach(property =>
+        rewriteText(field, target, property, 'merge_tag', merge_tag_fallback)
+      );
     });
-    
-    // Note: Calculations and merge tags would need manual review
-    // as they use string-based formulas that are harder to clean automatically
+
+    cleanRules(form.button?.conditionalLogic, { location: 'button', id: 'submit', label: 'Submit button' }, 'conditionalLogic');
+
+    for (const location of ['notification', 'confirmation']) {
+      Object.entries(form[`${location}s`] || {}).forEach(([id, item]) => {
+        const target = { location, id, label: item.name || id };
+
+        cleanRules(item.conditionalLogic, target, 'conditionalLogic');
+        MERGE_TAG_PROPERTIES[location].forEach(property =>
+          rewriteText(item, target, property, 'merge_tag', merge_tag_fallback)
+        );
+      });
+    }
+
+    return rewrites;
   }
-}
\ No newline at end of file
+}
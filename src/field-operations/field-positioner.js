@@ -242,6 +242,87 @@ export class PositionEngine {
     }
   }
   
+  /**
+   * Resolve the contiguous block of fields that moves together
+   * @param {array} fields - Form fields
+   * @param {number} fieldId - First field in the block
+   * @param {object} options - { include_children, through_field_id }
+   * @returns {object} { start, end } with end exclusive
+   */
+  getFieldRange(fields, fieldId, options = {}) {
+    const { include_children = false, through_field_id } = options;
+
+    const start = fields.findIndex(f => f.id == fieldId);
+    if (start === -1) {
+      throw new Error(`Field ${fieldId} not found`);
+    }
+
+    let end = start + 1;
+
+    if (through_field_id !== undefined && through_field_id !== null) {
+      const last = fields.findIndex(f => f.id == through_field_id);
+      if (last === -1) {
+        throw new Error(`Field ${through_field_id} not found`);
+      }
+      if (last < start) {
+        throw new Error(`Field ${through_field_id} comes before field ${fieldId}; a range must run forwards`);
+      }
+      end = last + 1;
+    } else if (include_children && fields[start].type === 'section') {
+      // A section owns every field up to the next section or page break
+      while (end < fields.length && !['section', 'page'].includes(fields[end].type)) {
+        end++;
+      }
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Move a block of fields to a new position
+   * The target is resolved with calculatePosition against the form as it
+   * would be without the block, so references and indexes mean the same
+   * thing as when adding a field.
+   * @param {array} fields - Form fields
+   * @param {object} range - { start, end } from getFieldRange
+   * @param {object} positionConfig - Positioning configuration
+   * @param {object} pagination - Form pagination settings
+   * @returns {object} { fields, index } - Reordered fields and the block's new index
+   */
+  moveFields(fields, range, positionConfig = {}, pagination = null) {
+    const block = fields.slice(range.start, range.end);
+    const remaining = [...fields.slice(0, range.start), ...fields.slice(range.end)];
+
+    const { mode, reference } = positionConfig;
+    if ((mode === 'after' || mode === 'before') && block.some(f => f.id == reference)) {
+      throw new Error(`Cannot position fields relative to field ${reference}, which is being moved`);
+    }
+    if ((mode === 'after' || mode === 'before') && reference && !remaining.some(f => f.id == reference)) {
+      throw new Error(`Reference field ${reference} not found`);
+    }
+
+    const index = this.calculatePosition(remaining, positionConfig, pagination);
+    remaining.splice(index, 0, ...block);
+
+    return { fields: remaining, index };
+  }
+
+  /**
+   * Recalculate pageNumber on every field after a reorder
+   */
+  updatePageNumbers(fields) {
+    let currentPage = 1;
+
+    for (const field of fields) {
+      if (field.type === 'page') {
+        currentPage++;
+      }
+      field.pageNumber = currentPage;
+    }
+
+    return fields;
+  }
+
   /**
    * Validate positioning configuration
    */
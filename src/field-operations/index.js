@@ -7,10 +7,16 @@
 import { FieldManager } from './field-manager.js';
 import { DependencyTracker } from './field-dependencies.js';
 import { PositionEngine } from './field-positioner.js';
+import { PageManager } from './page-manager.js';
+import { ChoiceManager } from './choice-manager.js';
+import { ConditionalLogicBuilder } from './conditional-logic.js';
+import { BlueprintManager } from './blueprints.js';
+import { FieldConverter } from './field-converter.js';
 import { testConfig, TestFormManager } from '../config/test-config.js';
+import { buildFieldSchema, COMMON_PROPERTIES } from '../field-definitions/field-schema.js';
 
 // Re-export components
-export { FieldManager, DependencyTracker, PositionEngine, testConfig, TestFormManager };
+export { FieldManager, DependencyTracker, PositionEngine, PageManager, ChoiceManager, ConditionalLogicBuilder, BlueprintManager, FieldConverter, testConfig, TestFormManager };
 
 /**
  * Create and configure field operations infrastructure
@@ -29,12 +35,23 @@ export function createFieldOperations(apiClient, fieldRegistry, validator) {
   fieldManager.dependencyTracker = dependencyTracker;
   fieldManager.positionEngine = positionEngine;
 
+  const pageManager = new PageManager(fieldManager);
+  const choiceManager = new ChoiceManager(fieldManager);
+  const logicBuilder = new ConditionalLogicBuilder(fieldManager);
+  const blueprintManager = new BlueprintManager(fieldManager);
+  const fieldConverter = new FieldConverter(fieldManager);
+
   // Create test form manager if in test mode
   const testFormManager = testConfig.isTestMode() ?
     new TestFormManager(apiClient, testConfig) : null;
 
   return {
     fieldManager,
+    pageManager,
+    choiceManager,
+    logicBuilder,
+    blueprintManager,
+    fieldConverter,
     fieldRegistry,
     dependencyTracker,
     positionEngine,
@@ -51,14 +68,15 @@ export const fieldOperationHandlers = {
    * Add field to form
    */
   async gf_add_field(params, { fieldManager }) {
-    const { form_id, field_type, properties = {}, position = {}, test_mode = false } = params;
+    const { form_id, field_type, properties = {}, position = {}, expected_version, strict = false, test_mode = false } = params;
 
     try {
       const result = await fieldManager.addField(
         form_id,
         field_type,
         properties,
-        position
+        position,
+        { expected_version, strict }
       );
 
       return {
@@ -69,6 +87,7 @@ export const fieldOperationHandlers = {
       return {
         success: false,
         error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
         form_id,
         field_type
       };
@@ -79,13 +98,14 @@ export const fieldOperationHandlers = {
    * Update field properties
    */
   async gf_update_field(params, { fieldManager }) {
-    const { form_id, field_id, properties, force = false, test_mode = false } = params;
+    const { form_id, field_id, properties, force = false, expected_version, test_mode = false } = params;
 
     try {
       const result = await fieldManager.updateField(
         form_id,
         field_id,
-        properties
+        properties,
+        { expected_version }
       );
 
       // Check for breaking changes if not forced
@@ -106,6 +126,7 @@ export const fieldOperationHandlers = {
       return {
         success: false,
         error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
         form_id,
         field_id
       };
@@ -116,13 +137,39 @@ export const fieldOperationHandlers = {
    * Delete field with dependency checking
    */
   async gf_delete_field(params, { fieldManager }) {
-    const { form_id, field_id, cascade = false, force = false, test_mode = false } = params;
+    const { form_id, field_id, cascade = false, force = false, formula_replacement, merge_tag_fallback, expected_version, test_mode = false } = params;
 
     try {
       const result = await fieldManager.deleteField(
         form_id,
         field_id,
-        { cascade, force }
+        { cascade, force, formula_replacement, merge_tag_fallback, expected_version }
+      );
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id,
+        field_id
+      };
+    }
+  },
+
+  /**
+   * Move field (or a section and its children) to a new position
+   */
+  async gf_move_field(params, { fieldManager }) {
+    const { form_id, field_id, position = {}, include_children = false, through_field_id, expected_version, test_mode = false } = params;
+
+    try {
+      const result = await fieldManager.moveField(
+        form_id,
+        field_id,
+        position,
+        { include_children, through_field_id, expected_version }
       );
 
       return result;
@@ -130,12 +177,201 @@ export const fieldOperationHandlers = {
       return {
         success: false,
         error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
         form_id,
         field_id
       };
     }
   },
 
+  /**
+   * Duplicate field within a form or into another form
+   */
+  async gf_duplicate_field(params, { fieldManager }) {
+    const { form_id, field_id, target_form_id, position, properties, copy_conditional_logic = true, expected_version, test_mode = false } = params;
+
+    try {
+      const result = await fieldManager.duplicateField(
+        form_id,
+        field_id,
+        { target_form_id, position, properties, copy_conditional_logic, expected_version }
+      );
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id,
+        field_id
+      };
+    }
+  },
+
+  /**
+   * Apply several field operations with a single form write
+   */
+  async gf_apply_field_operations(params, { fieldManager }) {
+    const { form_id, operations, dry_run = false, expected_version, test_mode = false } = params;
+
+    try {
+      return await fieldManager.applyFieldOperations(form_id, operations, { dry_run, expected_version });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id
+      };
+    }
+  },
+
+  /**
+   * Start a new page with a page break
+   */
+  async gf_add_page(params, { pageManager }) {
+    const { form_id, position = {}, page_name, properties, conditional_logic, progress_indicator, progress_bar, expected_version, test_mode = false } = params;
+
+    try {
+      return await pageManager.addPage(form_id, {
+        position, page_name, properties, conditional_logic, progress_indicator, progress_bar, expected_version
+      });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id
+      };
+    }
+  },
+
+  /**
+   * Remove a page break, merging its fields into the previous page
+   */
+  async gf_remove_page(params, { pageManager }) {
+    const { form_id, page_number, field_id, progress_indicator, progress_bar, expected_version, test_mode = false } = params;
+
+    try {
+      return await pageManager.removePage(form_id, {
+        page_number, field_id, progress_indicator, progress_bar, expected_version
+      });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id,
+        page_number
+      };
+    }
+  },
+
+  /**
+   * Split a form into pages before the given fields or at sections
+   */
+  async gf_split_into_pages(params, { pageManager }) {
+    const { form_id, before_field_ids, at_sections = false, page_names, progress_indicator, progress_bar, expected_version, test_mode = false } = params;
+
+    try {
+      return await pageManager.splitIntoPages(form_id, {
+        before_field_ids, at_sections, page_names, progress_indicator, progress_bar, expected_version
+      });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id
+      };
+    }
+  },
+
+  /**
+   * Add, remove, reorder, rename and import field choices
+   */
+  async gf_manage_choices(params, { choiceManager }) {
+    const { form_id, field_id, operations, expected_version, test_mode = false } = params;
+
+    try {
+      return await choiceManager.manageChoices(form_id, field_id, operations, { expected_version });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id,
+        field_id
+      };
+    }
+  },
+
+  /**
+   * Set or clear conditional logic on a field, page, button, notification or confirmation
+   */
+  async gf_set_conditional_logic(params, { logicBuilder }) {
+    const { form_id, target, action_type, logic_type, rules, clear = false, expected_version, test_mode = false } = params;
+
+    try {
+      return await logicBuilder.setConditionalLogic(
+        form_id,
+        target,
+        { action_type, logic_type, rules },
+        { clear, expected_version }
+      );
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id,
+        target
+      };
+    }
+  },
+
+  /**
+   * Convert a field to another type, migrating stored entry values
+   */
+  async gf_convert_field(params, { fieldConverter }) {
+    const { form_id, field_id, to_type, properties, choices, migrate_entries = false, dry_run = false, expected_version, test_mode = false } = params;
+
+    try {
+      return await fieldConverter.convertField(form_id, field_id, {
+        to_type, properties, choices, migrate_entries, dry_run, expected_version
+      });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id,
+        field_id,
+        to_type
+      };
+    }
+  },
+
+  /**
+   * Insert a blueprint's fields into a form
+   */
+  async gf_insert_blueprint(params, { blueprintManager }) {
+    const { form_id, blueprint, position = {}, expected_version, test_mode = false } = params;
+
+    try {
+      return await blueprintManager.insertBlueprint(form_id, blueprint, { position, expected_version });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.details?.conflict && { conflict: error.details }),
+        form_id,
+        blueprint
+      };
+    }
+  },
+
   /**
    * List available field types
    */
@@ -171,7 +407,10 @@ export const fieldOperationHandlers = {
           css_class: 'supportsCssClass'
         };
         const key = featureMap[feature] || feature;
-        entries = entries.filter(([, def]) => def[key] === true);
+        // Duplication is allowed unless a type opts out
+        entries = entries.filter(([, def]) =>
+          key === 'supportsDuplicate' ? def[key] !== false : def[key] === true
+        );
       }
 
       // Map to output format based on mode
@@ -183,10 +422,11 @@ export const fieldOperationHandlers = {
           category: def.category,
           description: def.description,
           icon: def.icon,
+          source: def.source || 'built-in',
           supports: {
             required: def.supportsRequired || false,
             conditional: def.supportsConditional || false,
-            duplicate: def.supportsDuplicate || false,
+            duplicate: def.supportsDuplicate !== false,
             prepopulate: def.supportsPrepopulate || false,
             visibility: def.supportsVisibility || false,
             description: def.supportsDescription || false,
@@ -201,7 +441,8 @@ export const fieldOperationHandlers = {
               settings: variant.settings
             })) : undefined,
           storage: def.storage,
-          validation: def.validation
+          validation: def.validation,
+          schema: buildFieldSchema(type, def)
         }));
       } else {
         // Summary mode (default) — minimal tokens
@@ -244,17 +485,8 @@ export const fieldOperationTools = [
         },
         properties: {
           type: 'object',
-          description: 'Field properties',
-          properties: {
-            label: { type: 'string' },
-            description: { type: 'string' },
-            isRequired: { type: 'boolean' },
-            placeholder: { type: 'string' },
-            defaultValue: { type: 'string' },
-            cssClass: { type: 'string' },
-            size: { type: 'string', enum: ['small', 'medium', 'large'] },
-            visibility: { type: 'string', enum: ['visible', 'hidden', 'administrative'] }
-          }
+          description: 'Field properties. Those below apply to most types; each type adds its own (addressType, nameFormat, choices, enableCalculation, dateFormat...). gf_list_field_types with detail=true returns the JSON Schema for every type. Mistyped properties are rejected; properties the schema doesn\'t list are kept and returned as warnings',
+          properties: COMMON_PROPERTIES
         },
         position: {
           type: 'object',
@@ -265,6 +497,15 @@ export const fieldOperationTools = [
             page: { type: 'number', description: 'Page number' }
           }
         },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        strict: {
+          type: 'boolean',
+          description: 'Reject properties the field type\'s schema doesn\'t list instead of warning about them',
+          default: false
+        },
         test_mode: {
           type: 'boolean',
           description: 'Test mode',
@@ -297,6 +538,10 @@ export const fieldOperationTools = [
           description: 'Force update despite dependencies',
           default: false
         },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
         test_mode: {
           type: 'boolean',
           description: 'Test mode',
@@ -322,14 +567,28 @@ export const fieldOperationTools = [
         },
         cascade: {
           type: 'boolean',
-          description: 'Clean up dependencies',
+          description: 'Clean up dependencies on delete: strip conditional logic rules, rewrite calculations and merge tags. Every rewrite is listed in the response. Deleting a field others depend on still needs force=true.',
           default: false
         },
+        formula_replacement: {
+          type: 'string',
+          description: 'With cascade: value that replaces the field in calculation formulas',
+          default: '0'
+        },
+        merge_tag_fallback: {
+          type: 'string',
+          description: 'With cascade: text that replaces the field\'s merge tags in notifications, confirmations and field defaults (empty removes them)',
+          default: ''
+        },
         force: {
           type: 'boolean',
           description: 'Force delete',
           default: false
         },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
         test_mode: {
           type: 'boolean',
           description: 'Test mode',
@@ -339,6 +598,528 @@ export const fieldOperationTools = [
       required: ['form_id', 'field_id']
     }
   },
+  {
+    name: 'gf_move_field',
+    description: 'Move a field, or a contiguous range such as a section and its children, to a new position or page. Field IDs are preserved; warns when conditional logic would point at a later field.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        field_id: {
+          type: 'number',
+          description: 'Field ID to move (first field of the range)'
+        },
+        position: {
+          type: 'object',
+          description: 'Target position, resolved as if the moved fields were not in the form',
+          properties: {
+            mode: { type: 'string', enum: ['append', 'prepend', 'after', 'before', 'index'] },
+            reference: { type: 'number', description: 'Reference field ID or index' },
+            page: { type: 'number', description: 'Page number' }
+          }
+        },
+        include_children: {
+          type: 'boolean',
+          description: 'When moving a section, also move the fields up to the next section or page break',
+          default: false
+        },
+        through_field_id: {
+          type: 'number',
+          description: 'Move every field from field_id through this field'
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id', 'field_id', 'position']
+    }
+  },
+  {
+    name: 'gf_duplicate_field',
+    description: 'Duplicate a field, optionally into another form. Assigns a new field ID, renumbers sub-input IDs, clears dynamic population names that would collide and remaps conditional logic that references the field itself.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Source form ID'
+        },
+        field_id: {
+          type: 'number',
+          description: 'Field ID to duplicate'
+        },
+        target_form_id: {
+          type: 'number',
+          description: 'Form to copy into (defaults to the source form)'
+        },
+        position: {
+          type: 'object',
+          description: 'Where to place the copy (default: right after the original, or appended in another form)',
+          properties: {
+            mode: { type: 'string', enum: ['append', 'prepend', 'after', 'before', 'index'] },
+            reference: { type: 'number', description: 'Reference field ID or index' },
+            page: { type: 'number', description: 'Page number' }
+          }
+        },
+        properties: {
+          type: 'object',
+          description: 'Properties to override on the copy, e.g. label'
+        },
+        copy_conditional_logic: {
+          type: 'boolean',
+          description: 'Keep the field\'s conditional logic on the copy',
+          default: true
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id', 'field_id']
+    }
+  },
+  {
+    name: 'gf_apply_field_operations',
+    description: 'Apply an ordered list of add/update/delete/move field operations to a form with one read and one write. The result is validated before saving; if any operation fails, nothing is written.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        operations: {
+          type: 'array',
+          description: 'Operations in order. Takes the same parameters as gf_add_field, gf_update_field, gf_delete_field and gf_move_field. Give an add a "ref" to use "@ref" as a field_id or position reference later in the batch.',
+          items: {
+            type: 'object',
+            properties: {
+              op: { type: 'string', enum: ['add', 'update', 'delete', 'move'] },
+              ref: { type: 'string', description: 'add: name for the new field' },
+              field_type: { type: 'string', description: 'add: field type' },
+              field_id: { type: ['number', 'string'], description: 'update/delete/move: field ID or "@ref"' },
+              properties: { type: 'object', description: 'add/update: field properties' },
+              position: {
+                type: 'object',
+                description: 'add/move: positioning',
+                properties: {
+                  mode: { type: 'string', enum: ['append', 'prepend', 'after', 'before', 'index'] },
+                  reference: { type: ['number', 'string'], description: 'Reference field ID, "@ref" or index' },
+                  page: { type: 'number', description: 'Page number' }
+                }
+              },
+              strict: { type: 'boolean', description: 'add: reject properties the schema doesn\'t list' },
+              force: { type: 'boolean', description: 'update/delete: proceed despite dependencies' },
+              cascade: { type: 'boolean', description: 'delete: clean up dependencies (with force)' },
+              include_children: { type: 'boolean', description: 'move: move a section with its fields' },
+              through_field_id: { type: ['number', 'string'], description: 'move: last field of the range' }
+            },
+            required: ['op']
+          }
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Validate and return the resulting form without saving',
+          default: false
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id', 'operations']
+    }
+  },
+  {
+    name: 'gf_add_page',
+    description: 'Insert a page break to start a new page. Keeps form.pagination (page names, progress indicator, progress bar) in sync and validates page conditional logic.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        position: {
+          type: 'object',
+          description: 'Where the new page starts; the page break goes here (default: end of the form)',
+          properties: {
+            mode: { type: 'string', enum: ['append', 'after', 'before', 'index'] },
+            reference: { type: 'number', description: 'Reference field ID or index' },
+            page: { type: 'number', description: 'Page number' }
+          }
+        },
+        page_name: {
+          type: 'string',
+          description: 'Name of the new page, shown by the steps progress indicator'
+        },
+        properties: {
+          type: 'object',
+          description: 'Page break properties, e.g. nextButton, previousButton, cssClass'
+        },
+        conditional_logic: {
+          type: 'object',
+          description: 'Show or hide the whole page; rules may only use fields on earlier pages',
+          properties: {
+            actionType: { type: 'string', enum: ['show', 'hide'] },
+            logicType: { type: 'string', enum: ['all', 'any'] },
+            rules: { type: 'array', items: { type: 'object' } }
+          }
+        },
+        progress_indicator: {
+          type: 'string',
+          enum: ['percentage', 'steps', 'none'],
+          description: 'Progress indicator shown above multi-page forms'
+        },
+        progress_bar: {
+          type: 'object',
+          description: 'Progress bar settings',
+          properties: {
+            style: { type: 'string', enum: ['blue', 'gray', 'green', 'orange', 'red', 'custom'] },
+            backgroundColor: { type: 'string', description: 'Custom style background color' },
+            color: { type: 'string', description: 'Custom style text color' },
+            display_progressbar_on_confirmation: { type: 'boolean' },
+            progressbar_completion_text: { type: 'string' }
+          }
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id']
+    }
+  },
+  {
+    name: 'gf_remove_page',
+    description: 'Remove a page break. The page\'s fields join the previous page and its name is dropped from form.pagination; pagination is removed when no page breaks remain.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        page_number: {
+          type: 'number',
+          description: 'Page to merge into the one before it (2 or later)'
+        },
+        field_id: {
+          type: 'number',
+          description: 'Page break field ID (instead of page_number)'
+        },
+        progress_indicator: {
+          type: 'string',
+          enum: ['percentage', 'steps', 'none'],
+          description: 'Progress indicator shown above multi-page forms'
+        },
+        progress_bar: {
+          type: 'object',
+          description: 'Progress bar settings',
+          properties: {
+            style: { type: 'string', enum: ['blue', 'gray', 'green', 'orange', 'red', 'custom'] },
+            backgroundColor: { type: 'string', description: 'Custom style background color' },
+            color: { type: 'string', description: 'Custom style text color' },
+            display_progressbar_on_confirmation: { type: 'boolean' },
+            progressbar_completion_text: { type: 'string' }
+          }
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id']
+    }
+  },
+  {
+    name: 'gf_split_into_pages',
+    description: 'Split a form into pages by inserting page breaks before the given fields and/or before every section. Existing page breaks and page names are kept.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        before_field_ids: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Fields that each start a new page'
+        },
+        at_sections: {
+          type: 'boolean',
+          description: 'Start a new page at every section break',
+          default: false
+        },
+        page_names: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Names for the resulting pages, in order'
+        },
+        progress_indicator: {
+          type: 'string',
+          enum: ['percentage', 'steps', 'none'],
+          description: 'Progress indicator shown above multi-page forms'
+        },
+        progress_bar: {
+          type: 'object',
+          description: 'Progress bar settings',
+          properties: {
+            style: { type: 'string', enum: ['blue', 'gray', 'green', 'orange', 'red', 'custom'] },
+            backgroundColor: { type: 'string', description: 'Custom style background color' },
+            color: { type: 'string', description: 'Custom style text color' },
+            display_progressbar_on_confirmation: { type: 'boolean' },
+            progressbar_completion_text: { type: 'string' }
+          }
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id']
+    }
+  },
+  {
+    name: 'gf_manage_choices',
+    description: 'Edit the choices of a select, radio, checkbox or multi select field (including product, option, quiz, poll and survey fields using those inputs) with one save. Regenerates checkbox inputs and warns when conditional logic still uses a removed or renamed value.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        field_id: {
+          type: 'number',
+          description: 'Choice field ID'
+        },
+        operations: {
+          type: 'array',
+          description: 'Applied in order. Choices are identified by value.',
+          items: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: ['add', 'remove', 'reorder', 'rename', 'set', 'import'] },
+              choices: {
+                type: 'array',
+                description: 'add: choice texts or { text, value, price, isSelected }',
+                items: { type: ['string', 'object'] }
+              },
+              index: { type: 'number', description: 'add: insert at this index (default: end)' },
+              values: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'remove: values to remove; reorder: values to put first, in order'
+              },
+              sort: { type: 'string', enum: ['asc', 'desc'], description: 'reorder: sort by text instead' },
+              value: { type: 'string', description: 'rename/set: choice to change' },
+              text: { type: 'string', description: 'rename: new text' },
+              new_value: { type: 'string', description: 'rename/set: new value' },
+              price: { type: 'string', description: 'set: price (pricing fields only)' },
+              isSelected: { type: 'boolean', description: 'set: selected by default' },
+              list: { type: 'string', description: 'import: one choice per line or a comma-separated line; "Text|value|price" per item' },
+              replace: { type: 'boolean', description: 'import: replace the existing choices' }
+            },
+            required: ['action']
+          }
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id', 'field_id', 'operations']
+    }
+  },
+  {
+    name: 'gf_set_conditional_logic',
+    description: 'Set or clear conditional logic on a field, page, next button, submit button, notification or confirmation. Rules name their source field by ID, input ID or label and are checked against the form: operators must suit the field type, values must be existing choices, and rules can\'t use the target itself or a later page.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        target: {
+          type: 'object',
+          description: 'What the logic applies to',
+          properties: {
+            type: { type: 'string', enum: ['field', 'page', 'next_button', 'submit_button', 'notification', 'confirmation'] },
+            id: { type: ['number', 'string'], description: 'Field ID, page break field ID, notification or confirmation ID' },
+            page: { type: 'number', description: 'page: page number (2 or later) instead of id' }
+          },
+          required: ['type']
+        },
+        action_type: {
+          type: 'string',
+          enum: ['show', 'hide'],
+          description: 'Show or hide the target when the rules match (notifications and confirmations: show)',
+          default: 'show'
+        },
+        logic_type: {
+          type: 'string',
+          enum: ['all', 'any'],
+          description: 'Match all rules or any rule',
+          default: 'all'
+        },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: ['number', 'string'], description: 'Source field ID, input ID such as "3.2", or label' },
+              operator: { type: 'string', enum: ['is', 'isnot', '>', '<', 'contains', 'starts_with', 'ends_with'] },
+              value: { type: ['string', 'number'] }
+            },
+            required: ['field', 'operator']
+          }
+        },
+        clear: {
+          type: 'boolean',
+          description: 'Remove the target\'s conditional logic instead',
+          default: false
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id', 'target']
+    }
+  },
+  {
+    name: 'gf_convert_field',
+    description: 'Convert a field to another type: between single-value types (e.g. text to select, with choices taken from stored values when none are given), simple name to a name with first/last inputs, a single checkbox to consent, or number to a user-defined price product. Regenerates inputs, and can rewrite stored entry values; use dry_run to see how many entries would change.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        field_id: {
+          type: 'number',
+          description: 'Field to convert'
+        },
+        to_type: {
+          type: 'string',
+          description: 'New field type'
+        },
+        properties: {
+          type: 'object',
+          description: 'Properties for the new type, e.g. { nameFormat: "advanced" }'
+        },
+        choices: {
+          type: 'array',
+          items: { type: ['string', 'object'] },
+          description: 'Choices when converting to select or radio'
+        },
+        migrate_entries: {
+          type: 'boolean',
+          description: 'Rewrite stored entry values into the new storage shape',
+          default: false
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Report the converted field and how many entries would change without saving',
+          default: false
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id', 'field_id', 'to_type']
+    }
+  },
+  {
+    name: 'gf_insert_blueprint',
+    description: 'Insert a blueprint\'s fields into a form with one save. Fields get new IDs, and conditional logic, calculations, merge tags and product links between them are remapped. An unknown blueprint name returns the available ones.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        blueprint: {
+          type: 'string',
+          description: 'Blueprint name: billing-details, gdpr-consent, product-total, or a file name from GRAVITY_MCP_BLUEPRINTS_DIR without its extension'
+        },
+        position: {
+          type: 'object',
+          description: 'Where to insert the fields (default: end of the form)',
+          properties: {
+            mode: { type: 'string', enum: ['append', 'prepend', 'after', 'before', 'index'] },
+            reference: { type: 'number', description: 'Reference field ID or index' },
+            page: { type: 'number', description: 'Page number' }
+          }
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form or an earlier field operation)'
+        },
+        test_mode: {
+          type: 'boolean',
+          description: 'Test mode',
+          default: false
+        }
+      },
+      required: ['form_id', 'blueprint']
+    }
+  },
   {
     name: 'gf_list_field_types',
     description: 'List available field types. Returns type/label/category by default; use detail=true for full metadata.',
@@ -359,7 +1140,7 @@ export const fieldOperationTools = [
         },
         detail: {
           type: 'boolean',
-          description: 'Return full metadata (supports, storage, validation, icon)',
+          description: 'Return full metadata (supports, storage, validation, icon, definition source) and the JSON Schema of the properties gf_add_field accepts for each type',
           default: false
         },
         include_variants: {
@@ -0,0 +1,413 @@
+/**
+ * Page Manager - Adds, removes and splits form pages
+ * Keeps form.pagination (page names, progress indicator, progress bar
+ * settings) in step with the page break fields it edits
+ */
+
+import FieldAwareValidator from '../config/field-validation.js';
+
+export const PROGRESS_INDICATORS = ['percentage', 'steps', 'none'];
+
+export const PROGRESS_BAR_STYLES = ['blue', 'gray', 'green', 'orange', 'red', 'custom'];
+
+/**
+ * Progress bar settings Gravity Forms stores alongside page names
+ */
+const PROGRESS_BAR_SETTINGS = ['style', 'backgroundColor', 'color', 'display_progressbar_on_confirmation', 'progressbar_completion_text'];
+
+/**
+ * Pagination Gravity Forms creates for a form's first page break
+ */
+const DEFAULT_PAGINATION = {
+  type: 'percentage',
+  pages: [],
+  style: 'blue',
+  backgroundColor: null,
+  color: null,
+  display_progressbar_on_confirmation: false,
+  progressbar_completion_text: null
+};
+
+export class PageManager {
+  constructor(fieldManager) {
+    this.fieldManager = fieldManager;
+  }
+
+  get positionEngine() {
+    return this.fieldManager.positionEngine;
+  }
+
+  /**
+   * Insert a page break, starting a new page at the given position
+   * @param {number} formId - Target form ID
+   * @param {object} options - { position, page_name, properties, conditional_logic,
+   * progress_indicator, progress_bar, expected_version }
+   * @returns {object} The new page break, its page number and the synced pagination
+   */
+  async addPage(formId, options = {}) {
+    const { position = {}, page_name, properties = {}, conditional_logic } = options;
+    this.assertPaginationSettings(options);
+
+    const { form, guard } = await this.fieldManager.fetchForm(formId, options.expected_version);
+    const fields = form.fields || [];
+    const names = this.capturePageNames(form);
+
+    const validation = this.positionEngine.validatePositionConfig(position, fields);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const index = this.positionEngine.calculatePosition(fields, position, form.pagination);
+    if (index === 0) {
+      throw new Error('A page break can\'t be the first field; page 1 always starts at the top of the form');
+    }
+
+    const pageField = this.createPageField(this.fieldManager.generateFieldId(fields), {
+      ...properties,
+      ...(conditional_logic !== undefined && { conditionalLogic: conditional_logic })
+    });
+    fields.splice(index, 0, pageField);
+    form.fields = fields;
+
+    if (page_name !== undefined) {
+      names.set(pageField.id, page_name);
+    }
+
+    return this.finish(formId, form, guard, names, options, {
+      page_field: pageField,
+      page_number: this.positionEngine.getPageBoundaries(fields).indexOf(pageField) + 2
+    }, [], [pageField]);
+  }
+
+  /**
+   * Remove a page break, merging its page's fields into the page before
+   * @param {number} formId - Target form ID
+   * @param {object} options - { page_number, field_id, progress_indicator, progress_bar, expected_version }
+   * page_number is the page to merge away (2 or later); field_id names its page break instead
+   * @returns {object} The removed page break and the synced pagination
+   */
+  async removePage(formId, options = {}) {
+    const { page_number, field_id } = options;
+    this.assertPaginationSettings(options);
+
+    const { form, guard } = await this.fieldManager.fetchForm(formId, options.expected_version);
+    const fields = form.fields || [];
+    const boundaries = this.positionEngine.getPageBoundaries(fields);
+    const names = this.capturePageNames(form);
+
+    let pageField;
+    if (field_id !== undefined && field_id !== null) {
+      pageField = boundaries.find(field => field.id == field_id);
+      if (!pageField) {
+        throw new Error(`Field ${field_id} is not a page break in form ${formId}`);
+      }
+    } else {
+      if (!Number.isInteger(page_number)) {
+        throw new Error('page_number or field_id is required');
+      }
+      if (page_number === 1) {
+        throw new Error('Page 1 has no page break to remove; remove page 2 to merge it into page 1');
+      }
+      pageField = boundaries[page_number - 2];
+      if (!pageField) {
+        throw new Error(`Page ${page_number} not found; form ${formId} has ${boundaries.length + 1} page(s)`);
+      }
+    }
+
+    const removedPage = boundaries.indexOf(pageField) + 2;
+    const warnings = [];
+    if (pageField.conditionalLogic?.rules?.length) {
+      warnings.push(`Page ${removedPage} had conditional logic; its fields are now always shown with page ${removedPage - 1}`);
+    }
+
+    form.fields = fields.filter(field => field !== pageField);
+
+    return this.finish(formId, form, guard, names, options, {
+      removed_page_field: pageField,
+      page_number: removedPage,
+      merged_into: removedPage - 1
+    }, warnings);
+  }
+
+  /**
+   * Insert page breaks before the given fields, and optionally before every section
+   * @param {number} formId - Target form ID
+   * @param {object} options - { before_field_ids, at_sections, page_names,
+   * progress_indicator, progress_bar, expected_version }
+   * page_names covers every page of the result, in order
+   * @returns {object} The added page breaks, skipped fields and the synced pagination
+   */
+  async splitIntoPages(formId, options = {}) {
+    const { before_field_ids = [], at_sections = false, page_names } = options;
+    this.assertPaginationSettings(options);
+
+    if (!Array.isArray(before_field_ids)) {
+      throw new Error('before_field_ids must be an array');
+    }
+    if (page_names !== undefined && !Array.isArray(page_names)) {
+      throw new Error('page_names must be an array');
+    }
+
+    const { form, guard } = await this.fieldManager.fetchForm(formId, options.expected_version);
+    const fields = form.fields || [];
+    const names = this.capturePageNames(form);
+
+    for (const id of before_field_ids) {
+      if (!fields.some(field => field.id == id)) {
+        throw new Error(`Field ${id} not found in form ${formId}`);
+      }
+    }
+
+    const starts = new Set(before_field_ids.map(id => fields.find(field => field.id == id)));
+    if (at_sections) {
+      fields.filter(field => field.type === 'section').forEach(field => starts.add(field));
+    }
+
+    const skipped = [];
+    const added = [];
+    const result = [];
+    let nextId = this.fieldManager.generateFieldId(fields);
+
+    for (const [index, field] of fields.entries()) {
+      if (starts.has(field)) {
+        if (index === 0) {
+          skipped.push({ field_id: field.id, reason: 'first field; page 1 already starts here' });
+        } else if (field.type === 'page' || fields[index - 1].type === 'page') {
+          skipped.push({ field_id: field.id, reason: 'already starts a page' });
+        } else {
+          const pageField = this.createPageField(nextId++);
+          added.push(pageField);
+          result.push(pageField);
+        }
+      }
+      result.push(field);
+    }
+
+    if (added.length === 0 && page_names === undefined &&
+        options.progress_indicator === undefined && options.progress_bar === undefined) {
+      return {
+        success: true,
+        form_id: formId,
+        added_page_fields: [],
+        skipped,
+        total_pages: this.positionEngine.getPageBoundaries(fields).length + 1,
+        pagination: form.pagination || null,
+        changed: false,
+        warnings: []
+      };
+    }
+
+    form.fields = result;
+
+    if (page_names) {
+      const boundaries = this.positionEngine.getPageBoundaries(result);
+      if (page_names.length > boundaries.length + 1) {
+        throw new Error(`page_names has ${page_names.length} names but the form will have ${boundaries.length + 1} page(s)`);
+      }
+      ['start', ...boundaries.map(field => field.id)].forEach((key, i) => {
+        if (i < page_names.length) names.set(key, page_names[i]);
+      });
+    }
+
+    return this.finish(formId, form, guard, names, options, {
+      added_page_fields: added,
+      skipped,
+      changed: true
+    }, [], added);
+  }
+
+  /**
+   * Renumber, sync pagination, validate page logic and save
+   * Only the page breaks the operation added can fail it; problems elsewhere
+   * were already in the form and come back as warnings.
+   */
+  async finish(formId, form, guard, names, options, summary, warnings = [], changed = []) {
+    this.positionEngine.updatePageNumbers(form.fields);
+    this.syncPagination(form, names, options);
+
+    const { errors, warnings: pageWarnings } = this.validatePages(form, changed);
+    if (errors.length > 0) {
+      throw new Error(`Page validation failed: ${errors.join('; ')}`);
+    }
+
+    const saved = await this.fieldManager.saveForm(form, guard);
+
+    return {
+      success: true,
+      form_id: formId,
+      ...summary,
+      total_pages: this.positionEngine.getPageBoundaries(form.fields).length + 1,
+      pagination: form.pagination,
+      warnings: [...warnings, ...pageWarnings],
+      version: saved?.version
+    };
+  }
+
+  /**
+   * Create a page break field with Gravity Forms' button defaults
+   */
+  createPageField(id, properties = {}) {
+    const field = this.fieldManager.createField(id, 'page', properties, this.fieldManager.registry.page || {});
+
+    field.displayOnly = true;
+    field.nextButton = {
+      type: 'text',
+      text: 'Next',
+      imageUrl: '',
+      conditionalLogic: null,
+      ...properties.nextButton
+    };
+    field.previousButton = {
+      type: 'text',
+      text: 'Previous',
+      imageUrl: '',
+      ...properties.previousButton
+    };
+
+    return field;
+  }
+
+  /**
+   * Key the current page names by what starts each page: 'start' for
+   * page 1, then each page break's field ID, so names follow their pages
+   * through inserts and removals
+   * @returns {Map} Page start key -> page name
+   */
+  capturePageNames(form) {
+    const pages = form.pagination?.pages || [];
+    const names = new Map([['start', pages[0] ?? '']]);
+
+    this.positionEngine.getPageBoundaries(form.fields || []).forEach((field, index) => {
+      names.set(field.id, pages[index + 1] ?? '');
+    });
+
+    return names;
+  }
+
+  /**
+   * Rebuild form.pagination from the page breaks now in the form
+   * A form without page breaks has no pagination.
+   * @param {object} form - Form with its final fields
+   * @param {Map} names - From capturePageNames, plus any new names
+   * @param {object} settings - { progress_indicator, progress_bar }
+   * @returns {object|null} The new pagination
+   */
+  syncPagination(form, names, settings = {}) {
+    const boundaries = this.positionEngine.getPageBoundaries(form.fields || []);
+
+    if (boundaries.length === 0) {
+      form.pagination = null;
+      return null;
+    }
+
+    const progressBar = Object.fromEntries(
+      Object.entries(settings.progress_bar || {}).filter(([key]) => PROGRESS_BAR_SETTINGS.includes(key))
+    );
+
+    form.pagination = {
+      ...DEFAULT_PAGINATION,
+      ...form.pagination,
+      ...progressBar,
+      ...(settings.progress_indicator && { type: settings.progress_indicator }),
+      pages: ['start', ...boundaries.map(field => field.id)].map(key => names.get(key) ?? '')
+    };
+
+    if (!form.lastPageButton) {
+      form.lastPageButton = { type: 'text', text: 'Previous', imageUrl: '' };
+    }
+
+    return form.pagination;
+  }
+
+  /**
+   * Reject unknown progress indicator types and bar styles
+   */
+  assertPaginationSettings({ progress_indicator, progress_bar }) {
+    if (progress_indicator !== undefined && !PROGRESS_INDICATORS.includes(progress_indicator)) {
+      throw new Error(`progress_indicator must be one of: ${PROGRESS_INDICATORS.join(', ')}`);
+    }
+    if (progress_bar?.style !== undefined && !PROGRESS_BAR_STYLES.includes(progress_bar.style)) {
+      throw new Error(`progress_bar.style must be one of: ${PROGRESS_BAR_STYLES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check page breaks and their conditional logic
+   * Page logic (show/hide a page) can only use answers from earlier pages;
+   * next button logic can use the current page and earlier ones.
+   * @param {object} form - Form with its page breaks
+   * @param {Array} changed - Page breaks to check strictly (default: all); problems with others are warnings
+   * @returns {object} { errors, warnings }
+   */
+  validatePages(form, changed) {
+    const fields = form.fields || [];
+    const errors = [];
+    const warnings = [];
+    const pageOf = new Map();
+    let page = 1;
+
+    for (const field of fields) {
+      if (field.type === 'page') page++;
+      pageOf.set(Number(field.id), page);
+    }
+
+    // Problems with a page break the operation didn't touch don't block it
+    const report = (field, message) => {
+      if (!changed || changed.includes(field)) {
+        errors.push(message);
+      } else {
+        warnings.push(`${message} (already in the form)`);
+      }
+    };
+
+    const boundaries = this.positionEngine.getPageBoundaries(fields);
+    if (fields[0]?.type === 'page') {
+      report(fields[0], 'A page break can\'t be the first field');
+    }
+
+    for (let pageNumber = 1; pageNumber <= boundaries.length + 1; pageNumber++) {
+      const onPage = this.positionEngine.getFieldsForPage(fields, pageNumber, boundaries);
+      if (onPage.length === 0) {
+        warnings.push(`Page ${pageNumber} has no fields`);
+      }
+    }
+
+    const steps = form.pagination?.type === 'steps';
+    if (steps && form.pagination.pages.some(name => !name)) {
+      warnings.push('The steps progress indicator shows page names, but some pages have none');
+    }
+
+    const checkLogic = (pageField, logic, path, latestPage, describe) => {
+      if (!logic) return;
+
+      const validation = FieldAwareValidator.validateConditionalLogic(logic, path);
+      if (!validation.isValid) {
+        report(pageField, validation.error);
+        return;
+      }
+
+      logic.rules.forEach((rule, index) => {
+        const targetId = parseInt(String(rule.fieldId).split('.')[0], 10);
+        const target = fields.find(field => Number(field.id) === targetId);
+
+        if (!target) {
+          report(pageField, `${path}: rule[${index}] references field ${rule.fieldId}, which doesn't exist`);
+        } else if (this.fieldManager.registry[target.type]?.storesData === false) {
+          report(pageField, `${path}: rule[${index}] references field ${targetId} (${target.type}), which holds no value`);
+        } else if (pageOf.get(targetId) > latestPage) {
+          warnings.push(`${path}: rule[${index}] uses field ${targetId} on page ${pageOf.get(targetId)}, ${describe}`);
+        }
+      });
+    };
+
+    boundaries.forEach((field, index) => {
+      const startsPage = index + 2;
+      checkLogic(field, field.conditionalLogic, `page ${startsPage} (field ${field.id})`,
+        startsPage - 1, `which hasn't been filled in when page ${startsPage} is shown`);
+      checkLogic(field, field.nextButton?.conditionalLogic, `page ${startsPage - 1} next button (field ${field.id})`,
+        startsPage - 1, `after the button on page ${startsPage - 1}`);
+    });
+
+    return { errors, warnings };
+  }
+}
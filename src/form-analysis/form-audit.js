@@ -0,0 +1,169 @@
+/**
+ * Form Audit
+ * Builds the dependency graph for a form and reports broken references:
+ * dangling field and input IDs, circular calculations and conditional
+ * rules comparing against choice values that no longer exist
+ */
+
+import { DependencyTracker } from '../field-operations/field-dependencies.js';
+
+/**
+ * Operators whose rule value must match one of the target field's choices
+ */
+const CHOICE_OPERATORS = ['is', 'isnot'];
+
+/**
+ * Human-readable name for a graph node
+ */
+function describeNode(node) {
+  return node.type === 'field' ? `field ${node.id} (${node.label})` : `${node.type} "${node.label}"`;
+}
+
+/**
+ * Find cycles in calculation edges
+ * @param {Array} edges - Graph edges
+ * @returns {Array} Cycles as arrays of field IDs, each starting at its lowest ID
+ */
+export function findCalculationCycles(edges) {
+  const adjacency = new Map();
+  for (const edge of edges) {
+    if (edge.kind !== 'calculation') {
+      continue;
+    }
+    const from = Number(edge.from.id);
+    if (!adjacency.has(from)) {
+      adjacency.set(from, new Set());
+    }
+    adjacency.get(from).add(edge.to);
+  }
+
+  const cycles = new Map();
+  const visited = new Set();
+  const stack = [];
+  const onStack = new Set();
+
+  const visit = (id) => {
+    visited.add(id);
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of adjacency.get(id) || []) {
+      if (onStack.has(next)) {
+        const cycle = stack.slice(stack.indexOf(next));
+        const start = cycle.indexOf(Math.min(...cycle));
+        const normalized = [...cycle.slice(start), ...cycle.slice(0, start)];
+        cycles.set(normalized.join(','), normalized);
+      } else if (!visited.has(next)) {
+        visit(next);
+      }
+    }
+
+    stack.pop();
+    onStack.delete(id);
+  };
+
+  for (const id of adjacency.keys()) {
+    if (!visited.has(id)) {
+      visit(id);
+    }
+  }
+
+  return [...cycles.values()];
+}
+
+/**
+ * Audit a form's references
+ * @param {object} form - Complete form object
+ * @param {Array} feeds - Add-on feeds for the form
+ * @returns {object} { healthy, summary, issues, graph, dependents }
+ */
+export function auditForm(form, feeds = []) {
+  const tracker = new DependencyTracker();
+  const graph = tracker.buildDependencyGraph(form, feeds);
+  const fields = new Map((form.fields || []).map(field => [Number(field.id), field]));
+  const issues = [];
+
+  for (const edge of graph.edges) {
+    const source = describeNode(edge.from);
+    const target = fields.get(edge.to);
+    const where = edge.kind === 'merge_tag' ? `${edge.property} merge tag ${edge.tag}` : `${edge.kind.replace(/_/g, ' ')}${edge.tag ? ` ${edge.tag}` : ''}`;
+
+    if (!target) {
+      issues.push({
+        type: 'dangling_reference',
+        severity: 'error',
+        source: edge.from,
+        field_id: edge.to,
+        kind: edge.kind,
+        message: `${source} references deleted field ${edge.to} in ${where}`
+      });
+      continue;
+    }
+
+    if (edge.input_id && Array.isArray(target.inputs) && target.inputs.length &&
+        !target.inputs.some(input => String(input.id) === edge.input_id)) {
+      issues.push({
+        type: 'dangling_input',
+        severity: 'error',
+        source: edge.from,
+        field_id: edge.to,
+        input_id: edge.input_id,
+        kind: edge.kind,
+        message: `${source} references input ${edge.input_id}, which field ${edge.to} doesn't have, in ${where}`
+      });
+    }
+
+    if (edge.rule_index !== undefined && CHOICE_OPERATORS.includes(edge.operator) &&
+        Array.isArray(target.choices) && target.choices.length && !target.enableOtherChoice &&
+        edge.value !== undefined && edge.value !== null && edge.value !== '' &&
+        !target.choices.some(choice => String(choice.value ?? choice.text) === String(edge.value))) {
+      issues.push({
+        type: 'missing_choice_value',
+        severity: 'warning',
+        source: edge.from,
+        field_id: edge.to,
+        kind: edge.kind,
+        value: edge.value,
+        message: `${source} has a ${where} rule "${edge.operator} ${edge.value}" but field ${edge.to} (${target.label}) has no choice with that value`
+      });
+    }
+  }
+
+  for (const cycle of findCalculationCycles(graph.edges)) {
+    issues.push({
+      type: 'circular_calculation',
+      severity: 'error',
+      field_ids: cycle,
+      message: `Circular calculation: ${[...cycle, cycle[0]].join(' -> ')}`
+    });
+  }
+
+  // Reverse index: who depends on each field
+  const dependents = {};
+  for (const edge of graph.edges) {
+    if (fields.has(edge.to)) {
+      const key = String(edge.to);
+      dependents[key] = dependents[key] || [];
+      dependents[key].push({ type: edge.from.type, id: edge.from.id, kind: edge.kind });
+    }
+  }
+
+  const count = type => issues.filter(issue => issue.type === type).length;
+
+  return {
+    healthy: issues.length === 0,
+    summary: {
+      fields: fields.size,
+      feeds: feeds?.length || 0,
+      references: graph.edges.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      dangling_references: count('dangling_reference') + count('dangling_input'),
+      circular_calculations: count('circular_calculation'),
+      missing_choice_values: count('missing_choice_value')
+    },
+    issues,
+    graph,
+    dependents
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Form Diff
+ * Structural comparison of two forms: settings, fields (matched by ID),
+ * choices, conditional logic, notifications and confirmations
+ *
+ * Values are compared loosely ("1" equals 1, null equals "") so the same
+ * form read from the API and from an export file compares as identical.
+ */
+
+/**
+ * Form properties that differ between copies of the same form by design
+ */
+const IGNORED_FORM_KEYS = ['id', 'fields', 'notifications', 'confirmations', 'feeds', 'date_created', 'is_trash', 'entries', 'version', 'nextFieldId'];
+
+/**
+ * Field properties compared separately or owned by the form
+ */
+const IGNORED_FIELD_KEYS = ['id', 'formId', 'choices', 'conditionalLogic'];
+
+/**
+ * Normalize a value for loose comparison
+ */
+function normalize(value) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+      const normalized = normalize(value[key]);
+      if (normalized !== '' && !(Array.isArray(normalized) && normalized.length === 0)) {
+        result[key] = normalized;
+      }
+    }
+    return result;
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  return String(value);
+}
+
+/**
+ * Check two values are equivalent after normalization
+ */
+export function isEquivalent(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Property-level changes between two objects
+ * @returns {Array} [{ property, before, after }]
+ */
+function diffProperties(before = {}, after = {}, ignored = []) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const key of [...keys].sort()) {
+    if (ignored.includes(key)) {
+      continue;
+    }
+    if (!isEquivalent(before?.[key], after?.[key])) {
+      changes.push({ property: key, before: before?.[key], after: after?.[key] });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Turn an object-or-array collection keyed by ID into a Map
+ */
+function toMap(collection) {
+  const items = Array.isArray(collection) ? collection : Object.values(collection || {});
+  return new Map(items.filter(Boolean).map(item => [String(item.id), item]));
+}
+
+/**
+ * Diff a keyed collection (fields, notifications, confirmations)
+ */
+function diffCollection(base, compare, describe, diffItem) {
+  const baseMap = toMap(base);
+  const compareMap = toMap(compare);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, item] of compareMap) {
+    if (!baseMap.has(id)) {
+      added.push(describe(item));
+    }
+  }
+
+  for (const [id, item] of baseMap) {
+    if (!compareMap.has(id)) {
+      removed.push(describe(item));
+      continue;
+    }
+    const itemDiff = diffItem(item, compareMap.get(id));
+    if (itemDiff) {
+      changed.push({ ...describe(compareMap.get(id)), ...itemDiff });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Diff choices, matched by value
+ * @returns {object|null} { added, removed, changed, reordered } or null when equal
+ */
+export function diffChoices(before, after) {
+  const baseChoices = Array.isArray(before) ? before : [];
+  const compareChoices = Array.isArray(after) ? after : [];
+  if (isEquivalent(baseChoices, compareChoices)) {
+    return null;
+  }
+
+  const key = choice => String(choice.value ?? choice.text);
+  const baseMap = new Map(baseChoices.map(choice => [key(choice), choice]));
+  const compareMap = new Map(compareChoices.map(choice => [key(choice), choice]));
+
+  const added = compareChoices.filter(choice => !baseMap.has(key(choice))).map(({ text, value }) => ({ text, value }));
+  const removed = baseChoices.filter(choice => !compareMap.has(key(choice))).map(({ text, value }) => ({ text, value }));
+  const changed = baseChoices
+    .filter(choice => compareMap.has(key(choice)))
+    .map(choice => ({ value: choice.value, changes: diffProperties(choice, compareMap.get(key(choice))) }))
+    .filter(choice => choice.changes.length);
+
+  const sharedBefore = baseChoices.map(key).filter(value => compareMap.has(value));
+  const sharedAfter = compareChoices.map(key).filter(value => baseMap.has(value));
+  const reordered = sharedBefore.join('\u0000') !== sharedAfter.join('\u0000');
+
+  return { added, removed, changed, reordered };
+}
+
+/**
+ * Describe a conditional logic object as a sentence
+ */
+export function describeConditionalLogic(logic) {
+  if (!logic || !Array.isArray(logic.rules) || logic.rules.length === 0) {
+    return 'none';
+  }
+  const rules = logic.rules.map(rule => `field ${rule.fieldId} ${rule.operator} "${rule.value ?? ''}"`);
+  return `${logic.actionType || 'show'} if ${logic.logicType || 'all'}: ${rules.join(', ')}`;
+}
+
+/**
+ * Diff one field
+ */
+function diffField(before, after) {
+  const result = {};
+
+  const changes = diffProperties(before, after, IGNORED_FIELD_KEYS);
+  if (changes.length) {
+    result.changes = changes;
+  }
+
+  const choices = diffChoices(before.choices, after.choices);
+  if (choices) {
+    result.choices = choices;
+  }
+
+  if (!isEquivalent(before.conditionalLogic, after.conditionalLogic)) {
+    result.conditional_logic = {
+      before: describeConditionalLogic(before.conditionalLogic),
+      after: describeConditionalLogic(after.conditionalLogic)
+    };
+  }
+
+  return Object.keys(result).length ? result : null;
+}
+
+/**
+ * Compare two forms
+ * @param {object} base - Form treated as "before"
+ * @param {object} compare - Form treated as "after"
+ * @returns {object} Structured diff with a summary
+ */
+export function diffForms(base, compare) {
+  const describeField = field => ({ id: field.id, type: field.type, label: field.label });
+  const describeNamed = item => ({ id: item.id, name: item.name });
+
+  const settings = diffProperties(base, compare, IGNORED_FORM_KEYS);
+  const fields = diffCollection(base.fields, compare.fields, describeField, diffField);
+  const diffItem = (before, after) => {
+    const changes = diffProperties(before, after, ['id']);
+    return changes.length ? { changes } : null;
+  };
+  const notifications = diffCollection(base.notifications, compare.notifications, describeNamed, diffItem);
+  const confirmations = diffCollection(base.confirmations, compare.confirmations, describeNamed, diffItem);
+
+  // Order of fields present on both sides
+  const compareIds = new Set((compare.fields || []).map(field => String(field.id)));
+  const baseIds = new Set((base.fields || []).map(field => String(field.id)));
+  const baseOrder = (base.fields || []).map(field => String(field.id)).filter(id => compareIds.has(id));
+  const compareOrder = (compare.fields || []).map(field => String(field.id)).filter(id => baseIds.has(id));
+  fields.reordered = baseOrder.join(',') !== compareOrder.join(',');
+
+  const count = section => section.added.length + section.removed.length + section.changed.length;
+  const summary = {
+    settings_changed: settings.length,
+    fields_added: fields.added.length,
+    fields_removed: fields.removed.length,
+    fields_changed: fields.changed.length,
+    fields_reordered: fields.reordered,
+    notifications_changed: count(notifications),
+    confirmations_changed: count(confirmations)
+  };
+
+  return {
+    identical: settings.length === 0 && count(fields) === 0 && !fields.reordered && count(notifications) === 0 && count(confirmations) === 0,
+    summary,
+    settings,
+    fields,
+    notifications,
+    confirmations
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Form Analysis Module - Main exports
+ * Read-only tools that inspect whole forms
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { diffForms } from './form-diff.js';
+import { auditForm } from './form-audit.js';
+import { checkRegistryCoverage } from './registry-coverage.js';
+import { parseFormExport } from '../import-export/form-transfer.js';
+import { resolveDataPath } from '../utils/file-paths.js';
+
+// Re-export components
+export { diffForms, diffChoices, describeConditionalLogic, isEquivalent } from './form-diff.js';
+export { auditForm, findCalculationCycles } from './form-audit.js';
+export { checkRegistryCoverage, findUnclassifiedVariant, compareCompoundInputs } from './registry-coverage.js';
+
+/**
+ * Load a form from a source spec
+ * @param {object} source - { form_id, site } for a live form, or { file_path, form_id } for a local JSON file
+ * @param {Function} resolveClient - async (site) => GravityFormsClient
+ * @returns {Promise<object>} { form, label }
+ */
+export async function loadFormSource(source, resolveClient) {
+  if (!source || typeof source !== 'object') {
+    throw new Error('Form source must be an object with form_id and optional site, or file_path');
+  }
+
+  if (source.file_path) {
+    const filePath = resolveDataPath(source.file_path);
+    if (!existsSync(filePath)) {
+      throw new Error(`Form file not found: ${filePath}`);
+    }
+
+    let document;
+    try {
+      document = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid form file ${filePath}: ${error.message}`);
+    }
+
+    const { forms } = parseFormExport(document);
+    const form = source.form_id !== undefined
+      ? forms.find(candidate => String(candidate.id) === String(source.form_id))
+      : forms[0];
+    if (!form) {
+      throw new Error(`Form ${source.form_id} not found in ${filePath}`);
+    }
+    if (source.form_id === undefined && forms.length > 1) {
+      throw new Error(`${filePath} contains ${forms.length} forms; pass form_id to choose one`);
+    }
+
+    return { form, label: `${filePath}#${form.id}` };
+  }
+
+  if (!source.form_id) {
+    throw new Error('Form source needs form_id or file_path');
+  }
+
+  const client = await resolveClient(source.site);
+  const { form } = await client.getForm({ id: source.form_id });
+  return { form, label: `${source.site ? `${source.site}:` : ''}form ${source.form_id}` };
+}
+
+/**
+ * Form analysis tool handlers for MCP integration
+ */
+export const formAnalysisHandlers = {
+  /**
+   * Structural diff between two forms
+   */
+  async gf_diff_forms(params, { resolveClient }) {
+    try {
+      const base = await loadFormSource(params.base, resolveClient);
+      const compare = await loadFormSource(params.compare, resolveClient);
+
+      return {
+        success: true,
+        base: base.label,
+        compare: compare.label,
+        ...diffForms(base.form, compare.form)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  /**
+   * Dependency graph and broken-reference audit for one form
+   */
+  async gf_audit_form(params, { resolveClient }) {
+    try {
+      const { include_feeds = true, include_graph = true, ...source } = params;
+      const { form, label } = await loadFormSource(source, resolveClient);
+
+      // Export files carry feeds on the form; live forms need a lookup
+      let feeds = [];
+      let feedsError;
+      if (include_feeds && source.file_path) {
+        feeds = form.feeds || [];
+      } else if (include_feeds) {
+        try {
+          const client = await resolveClient(source.site);
+          const result = await client.listFormFeeds({ form_id: source.form_id });
+          feeds = Array.isArray(result.feeds) ? result.feeds : Object.values(result.feeds || {});
+        } catch (error) {
+          feedsError = error.message;
+        }
+      }
+
+      const { graph, ...audit } = auditForm(form, feeds);
+
+      return {
+        success: true,
+        form: label,
+        title: form.title,
+        ...audit,
+        ...(include_graph && { graph }),
+        ...(feedsError && { feeds_error: `Feeds not audited: ${feedsError}` })
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  /**
+   * Field registry coverage across a site's forms
+   */
+  async gf_registry_coverage(params, { resolveClient }) {
+    try {
+      const client = await resolveClient();
+      let formIds = params.form_ids;
+
+      if (!formIds?.length) {
+        const { forms } = await client.listForms({});
+        formIds = Object.values(forms || {}).map(form => form.id);
+      }
+
+      // A form that can't be read is reported, not fatal
+      const forms = [];
+      const errors = [];
+      for (const id of formIds) {
+        try {
+          const { form } = await client.getForm({ id });
+          forms.push(form);
+        } catch (error) {
+          errors.push({ form_id: id, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        ...checkRegistryCoverage(forms),
+        ...(errors.length && { errors })
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+};
+
+const formSourceSchema = (description) => ({
+  type: 'object',
+  description,
+  properties: {
+    form_id: { type: 'number', description: 'Form ID (live form, or which form in the file)' },
+    site: { type: 'string', description: 'Site for a live form (default site if omitted)' },
+    file_path: { type: 'string', description: 'Local JSON file (form object or gf_export_forms output), relative to the export directory (GRAVITY_MCP_EXPORT_DIR)' }
+  }
+});
+
+/**
+ * MCP Tool Definitions for form analysis
+ */
+export const formAnalysisTools = [
+  {
+    name: 'gf_diff_forms',
+    description: 'Compare two forms: two IDs on one site, the same ID across sites, or a live form against a local JSON file. Reports settings, added/removed/changed fields (by ID), choices, conditional logic, notifications and confirmations.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        base: formSourceSchema('Form treated as "before"'),
+        compare: formSourceSchema('Form treated as "after"')
+      },
+      required: ['base', 'compare']
+    }
+  },
+  {
+    name: 'gf_audit_form',
+    description: 'Build the dependency graph for a form (conditional logic, calculations, merge tags in notifications/confirmations/fields, feed conditions) and report dangling field references, circular calculations and rules against choice values that no longer exist.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: { type: 'number', description: 'Form ID (live form, or which form in the file)' },
+        file_path: { type: 'string', description: 'Audit a local JSON file (form object or gf_export_forms output) in the export directory (GRAVITY_MCP_EXPORT_DIR) instead of a live form' },
+        include_feeds: { type: 'boolean', description: 'Audit add-on feed conditional logic (default true)' },
+        include_graph: { type: 'boolean', description: 'Include the full node/edge graph in the result (default true)' }
+      }
+    }
+  },
+  {
+    name: 'gf_registry_coverage',
+    description: 'Scan forms on the site for fields the field registry does not model: unknown field types, variant settings no registry variant matches, and compound input layouts that differ from the registry\'s sub-inputs. Entry validation is blind to these fields, so check before editing forms that use them. Gaps are grouped by type and layout, listing up to 20 fields each.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_ids: { type: 'array', items: { type: 'number' }, description: 'Forms to scan (default: every form on the site)' }
+      }
+    }
+  }
+];
@@ -0,0 +1,181 @@
+/**
+ * Registry Coverage
+ * Reports the fields on a site that the field registry doesn't model:
+ * unknown types, settings no variant matches and compound input layouts
+ * that differ from the registry's sub-inputs. Entry validation is blind
+ * to whatever shows up here.
+ */
+
+import {
+  fieldRegistry,
+  detectFieldVariant,
+  getCompoundFieldInputs
+} from '../field-definitions/field-registry.js';
+
+/**
+ * Fields listed per gap; the gap's count covers the rest
+ */
+const FIELD_EXAMPLE_LIMIT = 20;
+
+/**
+ * Settings under which a compound type stores one value under the field ID
+ * and has no inputs, so there is no layout to compare
+ */
+const SINGLE_VALUE_SETTINGS = {
+  name: { nameFormat: 'simple' }
+};
+
+/**
+ * Values that mean a variant setting is switched off
+ */
+const isUnset = (value) => value === undefined || value === null || value === '' || value === false;
+
+/**
+ * Find variant settings a field has that no registry variant describes
+ * @param {object} field - Form field
+ * @param {object} definition - Registry definition
+ * @returns {object|null} The field's variant settings, or null when they're modeled
+ */
+export function findUnclassifiedVariant(field, definition) {
+  const variants = definition?.variants;
+  if (!variants) {
+    return null;
+  }
+
+  const values = {};
+  for (const variant of Object.values(variants)) {
+    for (const [key, value] of Object.entries(variant.settings || {})) {
+      values[key] = [...(values[key] || []), value];
+    }
+  }
+
+  const settings = Object.fromEntries(Object.keys(values).map(key => [key, field[key] ?? null]));
+  const variant = detectFieldVariant(field);
+
+  // Types without a default variant must match one of their variants
+  if (!variants[variant]) {
+    return settings;
+  }
+
+  // The default variant covers a setting only while it's off
+  if (variant === 'default' && Object.entries(values).some(([key, known]) => !isUnset(field[key]) && !known.includes(field[key]))) {
+    return settings;
+  }
+
+  return null;
+}
+
+/**
+ * Compare a compound field's inputs with the registry's sub-inputs
+ * @param {object} field - Form field
+ * @returns {object|null} { inputs, missing, unmodeled } as sub-input IDs, or null when they match
+ */
+export function compareCompoundInputs(field) {
+  const subInputs = getCompoundFieldInputs(field.type);
+  if (!subInputs) {
+    return null;
+  }
+
+  const singleValue = SINGLE_VALUE_SETTINGS[field.type];
+  const hasInputs = Array.isArray(field.inputs) && field.inputs.length > 0;
+  if (singleValue && !hasInputs && Object.entries(singleValue).every(([key, value]) => field[key] === value)) {
+    return null;
+  }
+
+  const expected = Object.keys(subInputs);
+  const inputs = (Array.isArray(field.inputs) ? field.inputs : [])
+    .map(input => String(input.id).split('.')[1])
+    .filter(Boolean);
+
+  const missing = expected.filter(id => !inputs.includes(id));
+  const unmodeled = inputs.filter(id => !expected.includes(id));
+
+  return missing.length || unmodeled.length ? { inputs, missing, unmodeled } : null;
+}
+
+/**
+ * Describe a coverage gap
+ */
+function describeGap(gap) {
+  const where = `${gap.count} field(s) in ${gap.form_ids.length} form(s)`;
+
+  switch (gap.type) {
+    case 'unknown_type':
+      return `Field type "${gap.field_type}" isn't in the field registry (${where})`;
+    case 'unclassified_variant': {
+      const settings = Object.entries(gap.settings).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join(', ');
+      return `${gap.field_type} fields with ${settings} match none of the registry's variants (${Object.keys(fieldRegistry[gap.field_type].variants).join(', ')}) (${where})`;
+    }
+    default: {
+      const parts = [
+        gap.unmodeled.length && `input(s) ${gap.unmodeled.join(', ')} not in the registry`,
+        gap.missing.length && `registry input(s) ${gap.missing.join(', ')} missing`
+      ].filter(Boolean);
+      return `${gap.field_type} fields laid out as [${gap.inputs.join(', ')}]: ${parts.join('; ')} (${where})`;
+    }
+  }
+}
+
+/**
+ * Check forms against the field registry
+ * Fields are grouped into gaps by type and the unmodeled layout or settings.
+ * @param {Array} forms - Complete form objects
+ * @returns {object} { forms_scanned, fields_scanned, fully_modeled, summary, gaps }
+ */
+export function checkRegistryCoverage(forms) {
+  const gaps = new Map();
+  let fieldsScanned = 0;
+
+  const record = (key, gap, form, field) => {
+    if (!gaps.has(key)) {
+      gaps.set(key, { ...gap, count: 0, form_ids: [], fields: [] });
+    }
+    const entry = gaps.get(key);
+    entry.count++;
+    if (!entry.form_ids.includes(form.id)) {
+      entry.form_ids.push(form.id);
+    }
+    if (entry.fields.length < FIELD_EXAMPLE_LIMIT) {
+      entry.fields.push({ form_id: form.id, field_id: field.id, label: field.label });
+    }
+  };
+
+  for (const form of forms) {
+    for (const field of form.fields || []) {
+      fieldsScanned++;
+      const definition = fieldRegistry[field.type];
+
+      if (!definition) {
+        record(`unknown_type:${field.type}`, { type: 'unknown_type', field_type: field.type }, form, field);
+        continue;
+      }
+
+      const settings = findUnclassifiedVariant(field, definition);
+      if (settings) {
+        record(`unclassified_variant:${field.type}:${JSON.stringify(settings)}`,
+          { type: 'unclassified_variant', field_type: field.type, settings }, form, field);
+      }
+
+      const layout = compareCompoundInputs(field);
+      if (layout) {
+        record(`input_layout:${field.type}:${layout.inputs.join(',')}`,
+          { type: 'input_layout', field_type: field.type, ...layout }, form, field);
+      }
+    }
+  }
+
+  const list = [...gaps.values()]
+    .map(gap => ({ ...gap, message: describeGap(gap) }))
+    .sort((a, b) => b.count - a.count);
+
+  const summary = { unknown_type: 0, unclassified_variant: 0, input_layout: 0 };
+  list.forEach(gap => { summary[gap.type] += gap.count; });
+
+  return {
+    forms_scanned: forms.length,
+    fields_scanned: fieldsScanned,
+    fully_modeled: list.length === 0,
+    summary,
+    gaps: list
+  };
+}
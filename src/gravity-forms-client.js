@@ -11,6 +11,7 @@ import { ValidationFactory } from './config/validation.js';
 import logger from './utils/logger.js';
 import { sanitizeUrl, sanitizeHeaders } from './utils/sanitize.js';
 import { generateCompoundInputs } from './field-definitions/field-registry.js';
+import { rememberVersion, assertVersion } from './utils/versioning.js';
 
 export class GravityFormsClient {
   constructor(config) {
@@ -179,7 +180,11 @@ export class GravityFormsClient {
         return this.handleApiError(error);
       }
       // Otherwise, wrap validation errors with tool name
-      throw new Error(`${toolName} failed: ${error.message}`);
+      const wrapped = new Error(`${toolName} failed: ${error.message}`);
+      if (error.details) {
+        wrapped.details = error.details;
+      }
+      throw wrapped;
     }
   }
 
@@ -211,7 +216,8 @@ export class GravityFormsClient {
       const response = await this.httpClient.get(`/forms/${id}`);
 
       return {
-        form: response.data
+        form: response.data,
+        version: rememberVersion(response.data)
       };
     });
   }
@@ -251,12 +257,16 @@ export class GravityFormsClient {
    * Update existing form
    */
   async updateForm(params) {
-    return this.validateAndCall('gf_update_form', params, async (validated) => {
+    // expected_version is checked here, never sent to the API
+    const { expected_version, ...input } = params || {};
+
+    return this.validateAndCall('gf_update_form', input, async (validated) => {
       const { id, ...updates } = validated;
 
       // First, fetch the existing form to preserve all current data
       const existingFormResponse = await this.httpClient.get(`/forms/${id}`);
       const existingForm = existingFormResponse.data;
+      assertVersion('form', id, existingForm, expected_version);
 
       // Merge the updates with the existing form data
       // This ensures we don't lose any fields that weren't included in the update
@@ -269,7 +279,8 @@ export class GravityFormsClient {
       const response = await this.httpClient.put(`/forms/${id}`, updatedFormData);
 
       return {
-        form: response.data
+        form: response.data,
+        version: rememberVersion(response.data)
       };
     });
   }
@@ -361,7 +372,8 @@ export class GravityFormsClient {
       const response = await this.httpClient.get(`/entries/${id}`);
 
       return {
-        entry: response.data
+        entry: response.data,
+        version: rememberVersion(response.data)
       };
     });
   }
@@ -383,12 +395,16 @@ export class GravityFormsClient {
    * Update existing entry
    */
   async updateEntry(params) {
-    return this.validateAndCall('gf_update_entry', params, async (validated) => {
+    // expected_version is checked here, never sent to the API
+    const { expected_version, ...input } = params || {};
+
+    return this.validateAndCall('gf_update_entry', input, async (validated) => {
       const { id, ...updates } = validated;
 
       // First, fetch the existing entry to preserve all current field data
       const existingEntryResponse = await this.httpClient.get(`/entries/${id}`);
       const existingEntry = existingEntryResponse.data;
+      assertVersion('entry', id, existingEntry, expected_version);
 
       // Merge the updates with the existing entry data
       // This ensures we don't lose any field values that weren't included in the update
@@ -401,7 +417,8 @@ export class GravityFormsClient {
       const response = await this.httpClient.put(`/entries/${id}`, updatedEntryData);
 
       return {
-        entry: response.data
+        entry: response.data,
+        version: rememberVersion(response.data)
       };
     });
   }
@@ -527,7 +544,8 @@ export class GravityFormsClient {
       const response = await this.httpClient.get(`/feeds/${id}`);
 
       return {
-        feed: response.data
+        feed: response.data,
+        version: rememberVersion(response.data)
       };
     });
   }
@@ -563,12 +581,16 @@ export class GravityFormsClient {
    * Update existing feed completely
    */
   async updateFeed(params) {
-    return this.validateAndCall('gf_update_feed', params, async (validated) => {
+    // expected_version is checked here, never sent to the API
+    const { expected_version, ...input } = params || {};
+
+    return this.validateAndCall('gf_update_feed', input, async (validated) => {
       const { id, ...updates } = validated;
 
       // First, fetch the existing feed to preserve all current data
       const existingFeedResponse = await this.httpClient.get(`/feeds/${id}`);
       const existingFeed = existingFeedResponse.data;
+      assertVersion('feed', id, existingFeed, expected_version);
 
       // Merge the updates with the existing feed data
       // This ensures we don't lose any configuration that wasn't included in the update
@@ -581,7 +603,8 @@ export class GravityFormsClient {
       const response = await this.httpClient.put(`/feeds/${id}`, updatedFeedData);
 
       return {
-        feed: response.data
+        feed: response.data,
+        version: rememberVersion(response.data)
       };
     });
   }
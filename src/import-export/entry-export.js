@@ -0,0 +1,293 @@
+/**
+ * Entry Export
+ * Writes a form's entries to a local CSV, NDJSON or JSON file with
+ * field labels as column headers
+ *
+ * CSV output is spreadsheet-ready: UTF-8 BOM, CRLF line endings and
+ * formula-like cells neutralized so Excel and Sheets open it safely.
+ */
+
+import { link, open, rename, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { fieldStoresData, getCompoundFieldInputs } from '../field-definitions/field-registry.js';
+import { buildEntryQuery, iterateEntryPages } from '../utils/pagination.js';
+import { resolveDataPath } from '../utils/file-paths.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'json'];
+
+/**
+ * Entry properties exported ahead of field columns when include_meta is set
+ */
+export const ENTRY_META_COLUMNS = [
+  { key: 'id', header: 'Entry ID' },
+  { key: 'date_created', header: 'Date Created' },
+  { key: 'date_updated', header: 'Date Updated' },
+  { key: 'status', header: 'Status' },
+  { key: 'created_by', header: 'Created By' },
+  { key: 'source_url', header: 'Source URL' },
+  { key: 'ip', header: 'User IP' }
+];
+
+/**
+ * Turn a registry sub-input name (e.g. "street2") into a readable label
+ */
+function humanize(name) {
+  const words = name.replace(/_/g, ' ').replace(/(\D)(\d)/g, '$1 $2');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Build sub-columns for a field with multiple inputs
+ * The form's own inputs are used when present so customised labels and
+ * hidden inputs are respected; otherwise compound types fall back to the
+ * registry's sub-input map
+ */
+function buildInputColumns(field, label) {
+  const formInputs = Array.isArray(field.inputs) ? field.inputs : [];
+
+  if (formInputs.length) {
+    return formInputs
+      .filter(input => !input.isHidden)
+      .map(input => ({
+        key: String(input.id),
+        field_id: field.id,
+        header: `${label} (${input.customLabel || input.label || input.id})`
+      }));
+  }
+
+  return Object.entries(getCompoundFieldInputs(field.type) || {}).map(([subId, name]) => ({
+    key: `${field.id}.${subId}`,
+    field_id: field.id,
+    header: `${label} (${humanize(name)})`
+  }));
+}
+
+/**
+ * Build the ordered export columns for a form
+ * @param {object} form - Form from getForm
+ * @param {object} options - { field_ids, include_meta }
+ * @returns {Array} Columns as { key, header, field_id? }
+ */
+export function buildExportColumns(form, options = {}) {
+  const { field_ids, include_meta = true } = options;
+  const wanted = field_ids?.length ? new Set(field_ids.map(String)) : null;
+  const columns = include_meta ? ENTRY_META_COLUMNS.map(column => ({ ...column })) : [];
+
+  for (const field of form.fields || []) {
+    if (!fieldStoresData(field.type) || (wanted && !wanted.has(String(field.id)))) {
+      continue;
+    }
+
+    const label = field.adminLabel || field.label || `Field ${field.id}`;
+    const inputColumns = (getCompoundFieldInputs(field.type) || field.inputs?.length)
+      ? buildInputColumns(field, label)
+      : [];
+
+    if (inputColumns.length) {
+      columns.push(...inputColumns);
+    } else {
+      columns.push({ key: String(field.id), field_id: field.id, header: label });
+    }
+  }
+
+  // Headers double as JSON keys, so keep them unique
+  const seen = new Map();
+  for (const column of columns) {
+    const count = seen.get(column.header) || 0;
+    seen.set(column.header, count + 1);
+    if (count > 0) {
+      column.header = `${column.header} [${column.key}]`;
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Read a column value from an entry, decoding JSON-encoded multi-select values
+ */
+function getColumnValue(entry, column) {
+  const value = entry[column.key];
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'string' && value.startsWith('[') && value.endsWith(']')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed) && parsed.every(item => typeof item !== 'object')) {
+        return parsed.join(', ');
+      }
+    } catch {
+      // Not JSON - export as stored
+    }
+  }
+  return value;
+}
+
+/**
+ * Map an entry to a record keyed by column header
+ */
+export function entryToRecord(entry, columns) {
+  const record = {};
+  for (const column of columns) {
+    record[column.header] = getColumnValue(entry, column);
+  }
+  return record;
+}
+
+/**
+ * Escape a single CSV cell
+ * Cells starting with =, +, -, @ (other than plain numbers) are prefixed with
+ * a quote so spreadsheets don't evaluate them as formulas
+ */
+export function escapeCsvValue(value) {
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format a CSV row with CRLF line ending
+ */
+export function formatCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Write an output file through a temp file in the same directory
+ * The target only changes once write() finishes, so a failed export never
+ * leaves a truncated file or destroys the one it would replace. Without
+ * overwrite, an existing file is refused.
+ * @param {string} filePath - Target path
+ * @param {boolean} overwrite - Replace an existing file
+ * @param {Function} write - async (handle) => result
+ * @returns {Promise<*>} What write() returned
+ */
+export async function writeOutputFile(filePath, overwrite, write) {
+  if (!existsSync(dirname(filePath))) {
+    throw new Error(`Directory does not exist for ${filePath}`);
+  }
+  if (!overwrite && existsSync(filePath)) {
+    throw new Error(`File already exists: ${filePath}. Pass overwrite=true to replace it`);
+  }
+
+  const tempPath = join(dirname(filePath), `.${basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  const handle = await open(tempPath, 'wx');
+  let closed = false;
+
+  try {
+    const result = await write(handle);
+    await handle.close();
+    closed = true;
+
+    if (overwrite) {
+      await rename(tempPath, filePath);
+    } else {
+      // link() fails if the file appeared meanwhile, where rename() would replace it
+      try {
+        await link(tempPath, filePath);
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          throw new Error(`File already exists: ${filePath}. Pass overwrite=true to replace it`);
+        }
+        throw error;
+      }
+      await unlink(tempPath);
+    }
+
+    return result;
+  } catch (error) {
+    if (!closed) {
+      await handle.close().catch(() => {});
+    }
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Export a form's entries to a local file
+ * Entries are fetched page by page and written as they arrive
+ * @param {object} client - GravityFormsClient
+ * @param {object} params - { form_id, file_path, format, field_ids, include_meta, status, search, sorting, max_entries, overwrite }
+ * @returns {Promise<object>} { file_path, format, entries_exported, total_count, columns }
+ */
+export async function exportEntries(client, params) {
+  const { form_id, file_path, format = 'csv', field_ids, include_meta = true, max_entries, overwrite = false } = params;
+
+  if (!form_id) {
+    throw new Error('form_id is required');
+  }
+  if (!file_path) {
+    throw new Error('file_path is required');
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (max_entries !== undefined && (!Number.isInteger(Number(max_entries)) || Number(max_entries) < 1)) {
+    throw new Error('max_entries must be a positive integer');
+  }
+
+  const outputPath = resolveDataPath(file_path, { create: true });
+  const { form } = await client.getForm({ id: form_id });
+  const columns = buildExportColumns(form, { field_ids, include_meta });
+  if (columns.length === 0) {
+    throw new Error(`Form ${form_id} has no exportable columns`);
+  }
+
+  const query = buildEntryQuery({ ...params, form_ids: [form_id] });
+  const limit = max_entries !== undefined ? Number(max_entries) : Infinity;
+
+  let exported = 0;
+  let totalCount = 0;
+
+  await writeOutputFile(outputPath, overwrite, async (handle) => {
+    if (format === 'csv') {
+      await handle.write(`\uFEFF${formatCsvRow(columns.map(column => column.header))}`);
+    } else if (format === 'json') {
+      await handle.write('[');
+    }
+
+    for await (const chunk of iterateEntryPages(client, query)) {
+      totalCount = chunk.total_count;
+      const entries = chunk.entries.slice(0, limit - exported);
+
+      const lines = entries.map((entry, index) => {
+        if (format === 'csv') {
+          return formatCsvRow(columns.map(column => getColumnValue(entry, column)));
+        }
+        const json = JSON.stringify(entryToRecord(entry, columns));
+        return format === 'ndjson' ? `${json}\n` : `${exported + index > 0 ? ',' : ''}\n  ${json}`;
+      });
+
+      if (lines.length) {
+        await handle.write(lines.join(''));
+      }
+      exported += entries.length;
+
+      if (exported >= limit) {
+        break;
+      }
+    }
+
+    if (format === 'json') {
+      await handle.write(exported > 0 ? '\n]\n' : ']\n');
+    }
+  });
+
+  return {
+    file_path: outputPath,
+    format,
+    entries_exported: exported,
+    total_count: totalCount,
+    columns: columns.map(column => column.header)
+  };
+}
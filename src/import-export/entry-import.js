@@ -0,0 +1,479 @@
+/**
+ * Entry Import
+ * Reads entries from a local CSV, JSON or NDJSON file, maps columns to
+ * form fields, validates every row against the live form and creates
+ * the valid ones in batches
+ *
+ * Progress is written to a log file after each batch so an interrupted
+ * import can be re-run with the same arguments and continue where it stopped.
+ */
+
+import { readFile, writeFile, rename } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { extname } from 'path';
+import { FieldAwareValidator } from '../config/field-validation.js';
+import { fieldStoresData, getFieldDefinition, isArrayField } from '../field-definitions/field-registry.js';
+import { buildExportColumns, ENTRY_META_COLUMNS } from './entry-export.js';
+import { resolveDataPath } from '../utils/file-paths.js';
+
+export const IMPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+const DEFAULT_BATCH_SIZE = 10;
+const MAX_BATCH_SIZE = 100;
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, escaped quotes, CRLF or LF rows)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const content = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted value');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+/**
+ * Read import rows from a file
+ * @param {string} content - File content
+ * @param {string} format - csv, json or ndjson
+ * @returns {object} { columns, rows } with rows as column → value objects
+ */
+export function parseImportRows(content, format) {
+  let rows;
+
+  if (format === 'csv') {
+    const [header = [], ...data] = parseCsv(content);
+    rows = data.map(cells => Object.fromEntries(header.map((column, i) => [column, cells[i] ?? ''])));
+  } else if (format === 'ndjson') {
+    rows = content.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid NDJSON on line ${i + 1}: ${error.message}`);
+      }
+    });
+  } else {
+    const parsed = JSON.parse(content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content);
+    rows = Array.isArray(parsed) ? parsed : parsed.entries;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import must be an array of rows or an object with an "entries" array');
+    }
+  }
+
+  const columns = [];
+  for (const row of rows) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error('Each import row must be an object');
+    }
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) {
+        columns.push(column);
+      }
+    }
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * Detect the import format from the file extension
+ */
+function detectFormat(filePath) {
+  const ext = extname(filePath).slice(1).toLowerCase();
+  if (ext === 'jsonl') {
+    return 'ndjson';
+  }
+  return IMPORT_FORMATS.includes(ext) ? ext : null;
+}
+
+/**
+ * Resolve a mapping target (field ID, input ID, header, label or meta key) to an entry key
+ * Export headers are unique and win over labels; labels shared by several
+ * fields are rejected as ambiguous
+ */
+function resolveTarget(target, form, lookups) {
+  const value = String(target).trim();
+  const normalized = value.toLowerCase();
+
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    const fieldId = value.split('.')[0];
+    if (!form.fields.some(field => String(field.id) === fieldId)) {
+      throw new Error(`Field ${fieldId} does not exist in form ${form.id}`);
+    }
+    return value;
+  }
+
+  if (lookups.headers.has(normalized)) {
+    return lookups.headers.get(normalized);
+  }
+
+  const matches = lookups.labels.get(normalized);
+  if (matches?.size > 1) {
+    throw new Error(`"${value}" matches several fields (${[...matches].join(', ')}); map it by field ID`);
+  }
+  if (matches) {
+    return [...matches][0];
+  }
+
+  if (lookups.meta.has(normalized)) {
+    return lookups.meta.get(normalized);
+  }
+  throw new Error(`No field matches "${value}"`);
+}
+
+/**
+ * Map import columns to entry keys
+ * Columns match by field/input ID, the headers written by gf_export_entries
+ * (e.g. "Name (First)"), field label or admin label, or entry meta headers.
+ * An explicit mapping (column → field ID or label) wins; map a column to
+ * null to ignore it.
+ * @param {Array<string>} columns - Import columns
+ * @param {object} form - Live form
+ * @param {object} mapping - Explicit column mapping
+ * @returns {object} { mapping: { column: key }, unmapped: [], errors: [] }
+ */
+export function mapColumns(columns, form, mapping = {}) {
+  const lookups = { headers: new Map(), labels: new Map(), meta: new Map() };
+
+  for (const column of buildExportColumns(form, { include_meta: false })) {
+    lookups.headers.set(column.header.toLowerCase(), column.key);
+  }
+
+  // Lowercased label → set of field IDs
+  for (const field of form.fields || []) {
+    if (!fieldStoresData(field.type)) {
+      continue;
+    }
+    for (const label of [field.label, field.adminLabel]) {
+      if (!label) continue;
+      const normalized = String(label).trim().toLowerCase();
+      if (!lookups.labels.has(normalized)) {
+        lookups.labels.set(normalized, new Set());
+      }
+      lookups.labels.get(normalized).add(String(field.id));
+    }
+  }
+
+  for (const { key, header } of ENTRY_META_COLUMNS) {
+    lookups.meta.set(header.toLowerCase(), key);
+    lookups.meta.set(key, key);
+  }
+
+  const resolved = {};
+  const unmapped = [];
+  const errors = [];
+
+  for (const column of columns) {
+    if (Object.prototype.hasOwnProperty.call(mapping, column)) {
+      if (mapping[column] === null) {
+        continue;
+      }
+      try {
+        resolved[column] = resolveTarget(mapping[column], form, lookups);
+      } catch (error) {
+        errors.push({ column, error: error.message });
+      }
+      continue;
+    }
+
+    // Headers written as "Label [key]" carry their own key
+    const keyed = column.match(/\[(\d+(?:\.\d+)?)\]$/);
+    try {
+      resolved[column] = resolveTarget(keyed ? keyed[1] : column, form, lookups);
+    } catch (error) {
+      if (/matches several fields/.test(error.message)) {
+        errors.push({ column, error: error.message });
+      } else {
+        unmapped.push(column);
+      }
+    }
+  }
+
+  // Entries are always created new; ID and last-updated date are set by Gravity Forms
+  for (const [column, key] of Object.entries(resolved)) {
+    if (key === 'id' || key === 'date_updated') {
+      delete resolved[column];
+      unmapped.push(column);
+    }
+  }
+
+  for (const column of Object.keys(mapping)) {
+    if (!columns.includes(column)) {
+      errors.push({ column, error: `Mapped column "${column}" is not in the file` });
+    }
+  }
+
+  return { mapping: resolved, unmapped, errors };
+}
+
+/**
+ * Split a list cell ("a, b" or a JSON array) into values
+ */
+function splitList(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) {
+        return parsed.map(String);
+      }
+    } catch {
+      // Fall back to comma separated
+    }
+  }
+  return text ? text.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Build entry data for one row
+ * Whole-field values for checkbox and multi-select fields are split into
+ * choice inputs or a JSON array as Gravity Forms stores them.
+ */
+export function buildEntryData(row, form, mapping) {
+  const entry = { form_id: form.id };
+
+  for (const [column, key] of Object.entries(mapping)) {
+    let value = row[column];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    const field = !key.includes('.') ? form.fields.find(f => String(f.id) === key) : null;
+    const isChoiceList = field && isArrayField(field.type) && getFieldDefinition(field.type)?.hasChoices;
+
+    if (isChoiceList && Array.isArray(field.inputs) && field.inputs.length) {
+      const selected = splitList(value);
+      field.inputs.forEach((input, index) => {
+        const choice = field.choices?.[index];
+        const match = choice && selected.find(item => item === String(choice.value) || item === String(choice.text));
+        entry[String(input.id)] = match !== undefined ? String(choice.value) : '';
+      });
+      continue;
+    }
+
+    if (isChoiceList) {
+      value = JSON.stringify(splitList(value));
+    } else if (key === 'date_created' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+      // Gravity Forms export format (UTC) to ISO 8601
+      value = `${value.replace(' ', 'T')}Z`;
+    } else if (typeof value === 'object') {
+      value = JSON.stringify(value);
+    }
+
+    entry[key] = typeof value === 'string' ? value : String(value);
+  }
+
+  // Fill unselected choice inputs so selections are read as one checkbox value
+  for (const field of form.fields || []) {
+    const inputIds = isArrayField(field.type) && Array.isArray(field.inputs) ? field.inputs.map(input => String(input.id)) : [];
+    if (inputIds.some(id => entry[id] !== undefined)) {
+      for (const id of inputIds) {
+        entry[id] ??= '';
+      }
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Validate entry data against the form, returning errors instead of throwing
+ */
+export function validateRow(entryData, form) {
+  try {
+    FieldAwareValidator.validateEntryData(entryData, form);
+    return [];
+  } catch (error) {
+    const match = error.message.match(/^Entry validation failed: ([\s\S]*)$/);
+    if (match) {
+      try {
+        return JSON.parse(match[1]).map(({ fieldId, error: message }) => ({ field_id: fieldId, error: message }));
+      } catch {
+        // Fall through to the raw message
+      }
+    }
+    return [{ error: error.message }];
+  }
+}
+
+/**
+ * Load the progress log, checking it belongs to this import
+ */
+async function loadProgress(progressPath, fingerprint) {
+  if (!existsSync(progressPath)) {
+    return { fingerprint, imported: {}, failed: {} };
+  }
+
+  const progress = JSON.parse(await readFile(progressPath, 'utf8'));
+  if (progress.fingerprint !== fingerprint) {
+    throw new Error(`Progress log ${progressPath} belongs to a different import (file, form or mapping changed). Delete it or pass another progress_file`);
+  }
+  return { ...progress, failed: {} };
+}
+
+/**
+ * Write the progress log atomically
+ */
+async function saveProgress(progressPath, progress) {
+  const tempPath = `${progressPath}.tmp`;
+  await writeFile(tempPath, JSON.stringify({ ...progress, updated_at: new Date().toISOString() }, null, 2));
+  await rename(tempPath, progressPath);
+}
+
+/**
+ * Import entries from a local file
+ * @param {object} client - GravityFormsClient
+ * @param {object} params - { form_id, file_path, format, mapping, dry_run, batch_size, progress_file }
+ * @returns {Promise<object>} Import summary with per-row errors
+ */
+export async function importEntries(client, params) {
+  const { form_id, file_path, mapping = {}, dry_run = false, batch_size = DEFAULT_BATCH_SIZE } = params;
+
+  if (!form_id) {
+    throw new Error('form_id is required');
+  }
+  if (!file_path) {
+    throw new Error('file_path is required');
+  }
+
+  const inputPath = resolveDataPath(file_path);
+  const format = params.format || detectFormat(inputPath);
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Must be one of: ${IMPORT_FORMATS.join(', ')} (or use a matching file extension)`);
+  }
+
+  const batchSize = Number(batch_size);
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+    throw new Error(`batch_size must be an integer between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  if (!existsSync(inputPath)) {
+    throw new Error(`Import file not found: ${inputPath}`);
+  }
+  const content = await readFile(inputPath, 'utf8');
+  const { columns, rows } = parseImportRows(content, format);
+
+  const { form } = await client.getForm({ id: form_id });
+  const mapped = mapColumns(columns, form, mapping);
+  if (mapped.errors.length) {
+    throw new Error(`Column mapping failed: ${mapped.errors.map(e => `${e.column}: ${e.error}`).join('; ')}`);
+  }
+  if (Object.keys(mapped.mapping).length === 0) {
+    throw new Error(`No columns could be mapped to fields of form ${form_id}. Columns: ${columns.join(', ')}`);
+  }
+
+  // Validate every row up front (rows are numbered from 1)
+  const prepared = rows.map((row, index) => {
+    const data = buildEntryData(row, form, mapped.mapping);
+    return { row: index + 1, data, errors: validateRow(data, form) };
+  });
+  const invalid = prepared.filter(item => item.errors.length);
+  const valid = prepared.filter(item => !item.errors.length);
+
+  const summary = {
+    form_id,
+    file_path: inputPath,
+    format,
+    total_rows: rows.length,
+    valid_rows: valid.length,
+    invalid_rows: invalid.length,
+    mapping: mapped.mapping,
+    unmapped_columns: mapped.unmapped,
+    invalid: invalid.slice(0, MAX_REPORTED_ERRORS).map(({ row, errors }) => ({ row, errors })),
+    invalid_truncated: invalid.length > MAX_REPORTED_ERRORS || undefined
+  };
+
+  if (dry_run) {
+    return { dry_run: true, ...summary };
+  }
+
+  const progressPath = resolveDataPath(params.progress_file || `${inputPath}.progress.json`, { name: 'progress_file' });
+  const fingerprint = createHash('sha256')
+    .update(JSON.stringify([content, form_id, mapped.mapping]))
+    .digest('hex');
+  const progress = await loadProgress(progressPath, fingerprint);
+
+  const pending = valid.filter(item => !progress.imported[item.row]);
+  const alreadyImported = valid.length - pending.length;
+  let importedNow = 0;
+
+  for (let start = 0; start < pending.length; start += batchSize) {
+    const batch = pending.slice(start, start + batchSize);
+    const results = await Promise.allSettled(batch.map(item => client.createEntry(item.data)));
+
+    results.forEach((result, index) => {
+      const { row } = batch[index];
+      if (result.status === 'fulfilled') {
+        progress.imported[row] = result.value?.entry?.id ?? true;
+        delete progress.failed[row];
+        importedNow++;
+      } else {
+        progress.failed[row] = result.reason?.message || String(result.reason);
+      }
+    });
+
+    await saveProgress(progressPath, progress);
+  }
+
+  const failed = Object.entries(progress.failed).map(([row, error]) => ({ row: Number(row), error }));
+
+  return {
+    dry_run: false,
+    ...summary,
+    imported: importedNow,
+    already_imported: alreadyImported,
+    failed: failed.slice(0, MAX_REPORTED_ERRORS),
+    failed_count: failed.length,
+    entry_ids: Object.fromEntries(pending.filter(item => progress.imported[item.row]).map(item => [item.row, progress.imported[item.row]])),
+    progress_file: progressPath,
+    complete: failed.length === 0
+  };
+}
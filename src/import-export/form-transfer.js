@@ -0,0 +1,238 @@
+/**
+ * Form Export/Import
+ * Reads and writes forms in the JSON format used by Gravity Forms'
+ * Import/Export screen: an object of forms keyed "0", "1", ... plus "version"
+ *
+ * Each exported form also carries its add-on feeds under "feeds" so a form
+ * can be promoted between sites in one step. Gravity Forms' own importer
+ * ignores feeds; pass include_feeds=false for a byte-for-byte native file.
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { writeOutputFile } from './entry-export.js';
+import { resolveDataPath } from '../utils/file-paths.js';
+
+const DEFAULT_EXPORT_VERSION = '2.0';
+
+/**
+ * Form properties owned by the source site and never sent on import
+ */
+const SITE_OWNED_FORM_KEYS = ['id', 'date_created', 'is_trash', 'feeds', 'entries'];
+
+/**
+ * Keep the portable parts of a feed
+ */
+function toPortableFeed(feed) {
+  return {
+    id: feed.id,
+    addon_slug: feed.addon_slug,
+    is_active: feed.is_active,
+    feed_order: feed.feed_order,
+    meta: feed.meta
+  };
+}
+
+/**
+ * Compare Gravity Forms version strings
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Build a native export document for the given forms
+ * @param {object} client - GravityFormsClient
+ * @param {object} options - { form_ids, include_feeds }
+ * @returns {Promise<object>} { "0": form, ..., version }
+ */
+export async function buildFormExport(client, options = {}) {
+  const { include_feeds = true } = options;
+  let formIds = options.form_ids;
+
+  if (!formIds?.length) {
+    const { forms } = await client.listForms({});
+    formIds = Object.values(forms || {}).map(form => form.id);
+  }
+
+  const document = {};
+  let version = DEFAULT_EXPORT_VERSION;
+
+  for (const [index, id] of formIds.entries()) {
+    const { form } = await client.getForm({ id });
+    const exported = { ...form };
+
+    if (include_feeds) {
+      const { feeds } = await client.listFormFeeds({ form_id: id });
+      exported.feeds = (Array.isArray(feeds) ? feeds : Object.values(feeds || {})).map(toPortableFeed);
+    } else {
+      delete exported.feeds;
+    }
+
+    if (form.version && compareVersions(form.version, version) > 0) {
+      version = form.version;
+    }
+
+    document[String(index)] = exported;
+  }
+
+  document.version = version;
+  return document;
+}
+
+/**
+ * Normalize an export document into { version, forms }
+ * Accepts the native keyed object, { version, forms: [...] }, a bare array
+ * of forms or a single form object
+ * @param {object|Array} document - Parsed export document
+ * @returns {object} { version, forms }
+ */
+export function parseFormExport(document) {
+  if (Array.isArray(document)) {
+    return { version: null, forms: document };
+  }
+  if (!document || typeof document !== 'object') {
+    throw new Error('Form export must be a JSON object or array');
+  }
+  if (Array.isArray(document.forms)) {
+    return { version: document.version || null, forms: document.forms };
+  }
+  if (Array.isArray(document.fields) && document.title) {
+    return { version: null, forms: [document] };
+  }
+
+  const forms = Object.keys(document)
+    .filter(key => /^\d+$/.test(key))
+    .sort((a, b) => Number(a) - Number(b))
+    .map(key => document[key]);
+
+  if (forms.length === 0) {
+    throw new Error('Form export contains no forms');
+  }
+  return { version: document.version || null, forms };
+}
+
+/**
+ * Export forms to a local file or return the document
+ * @param {object} client - GravityFormsClient
+ * @param {object} params - { form_ids, include_feeds, file_path, overwrite }
+ * @returns {Promise<object>} Summary, plus the document when no file_path is given
+ */
+export async function exportForms(client, params = {}) {
+  const { file_path, overwrite = false } = params;
+  const document = await buildFormExport(client, params);
+  const { forms } = parseFormExport(document);
+
+  const summary = {
+    version: document.version,
+    forms: forms.map(form => ({ id: form.id, title: form.title, feeds: form.feeds?.length || 0 }))
+  };
+
+  if (!file_path) {
+    return { ...summary, document };
+  }
+
+  const outputPath = resolveDataPath(file_path, { create: true });
+  await writeOutputFile(outputPath, overwrite, async (handle) => {
+    await handle.write(`${JSON.stringify(document, null, 2)}\n`);
+  });
+
+  return { file_path: outputPath, ...summary };
+}
+
+/**
+ * Import forms (and their feeds) from a file or document
+ * Forms are created new on the target site; feeds are recreated against
+ * the new form IDs. A failure on one form doesn't stop the others.
+ * @param {object} client - GravityFormsClient for the target site
+ * @param {object} params - { file_path | document, form_ids, include_feeds }
+ * @returns {Promise<object>} { imported, failed, partial, feeds_failed, forms: [{ source_id, id, title, feeds, errors }] }
+ * partial counts forms that were created but lost some of their feeds.
+ */
+export async function importForms(client, params = {}) {
+  const { file_path, include_feeds = true, form_ids } = params;
+  let { document } = params;
+
+  if (!document && !file_path) {
+    throw new Error('file_path or document is required');
+  }
+
+  if (!document) {
+    const inputPath = resolveDataPath(file_path);
+    if (!existsSync(inputPath)) {
+      throw new Error(`Form export file not found: ${inputPath}`);
+    }
+    try {
+      document = JSON.parse(await readFile(inputPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid form export file ${inputPath}: ${error.message}`);
+    }
+  } else if (typeof document === 'string') {
+    document = JSON.parse(document);
+  }
+
+  let { forms } = parseFormExport(document);
+  if (form_ids?.length) {
+    const wanted = new Set(form_ids.map(String));
+    forms = forms.filter(form => wanted.has(String(form.id)));
+    if (forms.length === 0) {
+      throw new Error(`None of form_ids ${form_ids.join(', ')} are in the export`);
+    }
+  }
+
+  const results = [];
+  let feedsFailed = 0;
+
+  for (const source of forms) {
+    const result = { source_id: source.id, title: source.title, feeds: [], errors: [] };
+    results.push(result);
+
+    const formData = { ...source };
+    for (const key of SITE_OWNED_FORM_KEYS) {
+      delete formData[key];
+    }
+
+    try {
+      const { form } = await client.createForm(formData);
+      result.id = form.id;
+    } catch (error) {
+      result.errors.push(`Form: ${error.message}`);
+      continue;
+    }
+
+    if (!include_feeds) {
+      continue;
+    }
+
+    for (const feed of source.feeds || []) {
+      try {
+        const { feed: created } = await client.createFeed({
+          addon_slug: feed.addon_slug,
+          form_id: result.id,
+          is_active: feed.is_active === undefined ? true : Boolean(Number(feed.is_active)),
+          meta: feed.meta
+        });
+        result.feeds.push({ source_id: feed.id, id: created?.id, addon_slug: feed.addon_slug });
+      } catch (error) {
+        result.errors.push(`Feed ${feed.id ?? ''} (${feed.addon_slug}): ${error.message}`);
+        feedsFailed++;
+      }
+    }
+  }
+
+  return {
+    imported: results.filter(r => r.id !== undefined).length,
+    failed: results.filter(r => r.id === undefined).length,
+    partial: results.filter(r => r.id !== undefined && r.errors.length > 0).length,
+    feeds_failed: feedsFailed,
+    forms: results
+  };
+}
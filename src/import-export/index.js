@@ -0,0 +1,256 @@
+/**
+ * Import/Export Module - Main exports
+ * Moves Gravity Forms data between a site and local files
+ */
+
+import { exportEntries, EXPORT_FORMATS } from './entry-export.js';
+import { importEntries, IMPORT_FORMATS } from './entry-import.js';
+import { exportForms, importForms } from './form-transfer.js';
+
+// Re-export components
+export { exportEntries, buildExportColumns, entryToRecord, formatCsvRow } from './entry-export.js';
+export { importEntries, parseCsv, mapColumns } from './entry-import.js';
+export { exportForms, importForms, buildFormExport, parseFormExport } from './form-transfer.js';
+
+/**
+ * Import/export tool handlers for MCP integration
+ */
+export const importExportHandlers = {
+  /**
+   * Export a form's entries to a local file
+   */
+  async gf_export_entries(params, client) {
+    try {
+      const result = await exportEntries(client, params);
+
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        form_id: params.form_id
+      };
+    }
+  },
+
+  /**
+   * Import entries from a local file
+   */
+  async gf_import_entries(params, client) {
+    try {
+      const result = await importEntries(client, params);
+
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        form_id: params.form_id
+      };
+    }
+  },
+
+  /**
+   * Export forms in the native Gravity Forms JSON format
+   */
+  async gf_export_forms(params, client) {
+    try {
+      const result = await exportForms(client, params);
+
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  /**
+   * Import forms and their feeds from a native export
+   */
+  async gf_import_forms(params, client) {
+    try {
+      const result = await importForms(client, params);
+
+      return {
+        // A form whose feeds didn't all import is a partial failure
+        success: result.failed === 0 && result.feeds_failed === 0,
+        ...result
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+};
+
+/**
+ * MCP Tool Definitions for import/export
+ */
+export const importExportTools = [
+  {
+    name: 'gf_export_entries',
+    description: 'Export a form\'s entries to a local CSV, NDJSON or JSON file with field labels as headers. Compound fields (name, address) are split into labelled sub-columns.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Form ID'
+        },
+        file_path: {
+          type: 'string',
+          description: 'Output file, relative to the export directory (GRAVITY_MCP_EXPORT_DIR). Paths outside it are rejected'
+        },
+        format: {
+          type: 'string',
+          enum: EXPORT_FORMATS,
+          description: 'Output format (CSV includes a BOM for Excel)',
+          default: 'csv'
+        },
+        field_ids: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Only export these fields (default all)'
+        },
+        include_meta: {
+          type: 'boolean',
+          description: 'Include entry ID, dates, status, creator, source URL and IP columns',
+          default: true
+        },
+        status: {
+          type: 'string',
+          enum: ['active', 'spam', 'trash'],
+          description: 'Entry status'
+        },
+        search: {
+          type: 'object',
+          description: 'Search criteria, as in gf_list_entries'
+        },
+        sorting: {
+          type: 'object',
+          description: 'Sort order, as in gf_list_entries (default entry ID ascending)'
+        },
+        max_entries: {
+          type: 'number',
+          description: 'Stop after this many entries (default all)'
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace the file if it exists',
+          default: false
+        }
+      },
+      required: ['form_id', 'file_path']
+    }
+  },
+  {
+    name: 'gf_import_entries',
+    description: 'Import entries from a local CSV, JSON or NDJSON file. Columns map to fields by ID, label or gf_export_entries header. Every row is validated against the form; use dry_run to see per-row errors first. Re-running resumes from the progress log.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_id: {
+          type: 'number',
+          description: 'Target form ID'
+        },
+        file_path: {
+          type: 'string',
+          description: 'Input file, relative to the export directory (GRAVITY_MCP_EXPORT_DIR). Paths outside it are rejected'
+        },
+        format: {
+          type: 'string',
+          enum: IMPORT_FORMATS,
+          description: 'Input format (default from file extension)'
+        },
+        mapping: {
+          type: 'object',
+          description: 'Column → field ID, input ID (e.g. "3.6") or label. Map a column to null to skip it',
+          additionalProperties: { type: ['string', 'number', 'null'] }
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Validate and report per-row errors without creating entries',
+          default: false
+        },
+        batch_size: {
+          type: 'number',
+          description: 'Entries created per batch; progress is saved after each batch (1-100)',
+          default: 10
+        },
+        progress_file: {
+          type: 'string',
+          description: 'Progress log path inside the export directory (default <file_path>.progress.json)'
+        }
+      },
+      required: ['form_id', 'file_path']
+    }
+  },
+  {
+    name: 'gf_export_forms',
+    description: 'Export forms in the native Gravity Forms JSON format (notifications, confirmations and add-on feeds included). Writes to file_path, or returns the document when omitted; the returned document is never compacted, so it matches the file.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        form_ids: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Forms to export (default all)'
+        },
+        file_path: {
+          type: 'string',
+          description: 'Output file, relative to the export directory (GRAVITY_MCP_EXPORT_DIR). Paths outside it are rejected'
+        },
+        include_feeds: {
+          type: 'boolean',
+          description: 'Include add-on feeds for each form',
+          default: true
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace the file if it exists',
+          default: false
+        }
+      }
+    }
+  },
+  {
+    name: 'gf_import_forms',
+    description: 'Create forms from a native Gravity Forms JSON export, recreating their add-on feeds against the new form IDs. Combine with site to promote forms between sites.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file_path: {
+          type: 'string',
+          description: 'Export file, relative to the export directory (GRAVITY_MCP_EXPORT_DIR). Paths outside it are rejected'
+        },
+        document: {
+          type: 'object',
+          description: 'Export document (alternative to file_path)'
+        },
+        form_ids: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Only import these source form IDs (default all)'
+        },
+        include_feeds: {
+          type: 'boolean',
+          description: 'Recreate add-on feeds',
+          default: true
+        }
+      }
+    }
+  }
+];
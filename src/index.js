@@ -10,18 +10,32 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   ListToolsRequestSchema,
-  CallToolRequestSchema
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import GravityFormsClient from './gravity-forms-client.js';
 import { createFieldOperations, fieldOperationHandlers, fieldOperationTools } from './field-operations/index.js';
+import { resourceHandlers } from './resources/index.js';
+import { promptHandlers } from './prompts/index.js';
+import { resolveTransportConfig, startHttpServer, MCP_ENDPOINT } from './transports/http.js';
 import fieldRegistry from './field-definitions/field-registry.js';
+import { getFieldLoader } from './field-definitions/loader.js';
 import FieldAwareValidator from './config/field-validation.js';
+import { SiteManager } from './config/sites.js';
 import logger from './utils/logger.js';
 import { sanitize } from './utils/sanitize.js';
 import { stripEmpty, stripEntryMetaFromResponse } from './utils/compact.js';
+import { ENTRY_FORMATS, formatReadableResponse } from './utils/readable-entry.js';
+import { collectEntries } from './utils/pagination.js';
+import { importExportHandlers, importExportTools } from './import-export/index.js';
+import { formAnalysisHandlers, formAnalysisTools } from './form-analysis/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,43 +46,49 @@ dotenv.config({ path: join(process.cwd(), '.env') });
 // 	2. Gravity MCP project directory
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-// Initialize the MCP server
-const server = new Server(
-  {
-    name: 'gravitymcp',
-    version: '1.0.0'
-  },
-  {
-    capabilities: {
-      tools: {}
-    }
-  }
-);
+// Site manager (resolves the Gravity Forms client for each site)
+let siteManager = null;
 
-// Global client instance
-let gravityFormsClient = null;
-let fieldOperations = null;
-let fieldValidator = null;
+/**
+ * Create the client and field operations for one site
+ */
+function createSiteContext(siteName, config) {
+  const client = new GravityFormsClient(config);
+  const fieldValidator = new FieldAwareValidator();
+
+  return {
+    name: siteName,
+    client,
+    fieldOperations: createFieldOperations(client, fieldRegistry, fieldValidator)
+  };
+}
 
 /**
- * Initialize Gravity Forms client
+ * Initialize site manager and the default Gravity Forms client
  */
 async function initializeClient() {
   try {
-    gravityFormsClient = new GravityFormsClient(process.env);
-    const validation = await gravityFormsClient.initialize();
-
-    if (!validation.available) {
-      throw new Error(`Failed to initialize Gravity Forms client: ${validation.error}`);
+    // Merge the field definitions bundle and plugins into the registry first
+    const fieldLoader = getFieldLoader();
+    await fieldLoader.initialize();
+    const definitions = fieldLoader.getSummary();
+    if (definitions.error) {
+      logger.error(`⚠️ Using built-in field definitions: ${definitions.error}`);
+    } else if (definitions.bundle) {
+      const fromBundle = Object.values(definitions.sources).filter(source => source.startsWith('bundle')).length;
+      logger.info(`📚 Field definitions ${definitions.bundle.version} loaded from ${definitions.bundle.path} (${fromBundle} type(s))`);
     }
+    definitions.pluginErrors.forEach(error => logger.error(`⚠️ ${error}`));
+    definitions.plugins.forEach(plugin => logger.info(`🧩 Field types from ${plugin.file}: ${plugin.types.join(', ')}`));
 
-    // Initialize field operations infrastructure
-    fieldValidator = new FieldAwareValidator();
-    fieldOperations = createFieldOperations(
-      gravityFormsClient,
-      fieldRegistry,
-      fieldValidator
-    );
+    siteManager = new SiteManager(process.env, createSiteContext);
+
+    // Initialize the default site up front; other sites connect on first use
+    await siteManager.getContext();
+
+    if (siteManager.isMultiSite) {
+      logger.info(`🌐 Sites configured: ${siteManager.getSiteNames().join(', ')} (default: ${siteManager.defaultSite})`);
+    }
 
     logger.info('✅ Gravity MCP initialized successfully');
     logger.info('✅ Field operations infrastructure initialized');
@@ -105,7 +125,7 @@ function createErrorResponse(message, details = null) {
  */
 function wrapHandler(handler, params = {}) {
   return async () => {
-    if (!gravityFormsClient) {
+    if (!siteManager) {
       return createErrorResponse('Gravity Forms client not initialized');
     }
 
@@ -129,11 +149,31 @@ function wrapHandler(handler, params = {}) {
   };
 }
 
+/**
+ * Apply the format param of gf_get_entry / gf_list_entries
+ * @param {object} client - GravityFormsClient for the entries' forms
+ * @param {object} result - Response with entry or entries
+ * @param {object} params - Tool params
+ */
+async function formatEntries(client, result, params) {
+  const { format = 'raw' } = params;
+  if (!ENTRY_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Must be one of: ${ENTRY_FORMATS.join(', ')}`);
+  }
+  if (format === 'raw') {
+    return result;
+  }
+  return formatReadableResponse(result, async (formId) => (await client.getForm({ id: formId })).form);
+}
+
 // =================================
 // FORMS MANAGEMENT TOOLS (6)
 // =================================
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+/**
+ * Tool definitions shared by every site
+ */
+const listToolDefinitions = () => {
   return {
     tools: [
       // Forms Management (6 tools)
@@ -202,7 +242,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             button: { type: 'object', description: 'Submit button settings' },
             confirmations: { type: 'object', description: 'Confirmation settings' },
             notifications: { type: 'object', description: 'Notification settings' },
-            is_active: { type: 'boolean', description: 'Form active state' }
+            is_active: { type: 'boolean', description: 'Form active state' },
+            expected_version: { type: 'string', description: 'Refuse the write and return the conflicting changes if the form changed since this version (from gf_get_form)' }
           },
           required: ['id']
         }
@@ -235,7 +276,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       // Entries Management (6 tools)
       {
         name: 'gf_list_entries',
-        description: 'List/search entries. Strips null/empty values and plugin entry meta by default; pass compact=false for full raw data.',
+        description: 'List/search entries. Use all_pages or max_entries to fetch across pages with a resumable cursor. Strips null/empty values and plugin entry meta by default; pass compact=false for full raw data. Pass format="readable" for values keyed by field label.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -300,18 +341,32 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 current_page: { type: 'number' }
               }
             },
-            compact: { type: 'boolean', description: 'Strip null/empty values (default true)', default: true }
+            all_pages: {
+              type: 'boolean',
+              description: 'Walk every page (sorted by ID ascending unless sorting is set). Returns next_cursor when max_entries is reached'
+            },
+            max_entries: {
+              type: 'number',
+              description: 'Maximum entries to return across pages (default 1000, max 5000). Implies all_pages'
+            },
+            cursor: {
+              type: 'string',
+              description: 'Resume an all_pages walk from next_cursor; pass the same filters and sorting'
+            },
+            compact: { type: 'boolean', description: 'Strip null/empty values (default true)', default: true },
+            format: { type: 'string', enum: ENTRY_FORMATS, description: 'raw (default) keys values by field/input ID as stored; readable keys them by field label under "fields", with names as one string, other compound fields as objects keyed by input label, checkbox, list, multi-select and file upload values decoded, and choice text shown', default: 'raw' }
           }
         }
       },
       {
         name: 'gf_get_entry',
-        description: 'Get an entry by ID. Strips null/empty values and plugin entry meta by default; pass compact=false for full raw data.',
+        description: 'Get an entry by ID. Strips null/empty values and plugin entry meta by default; pass compact=false for full raw data. Pass format="readable" for values keyed by field label.',
         inputSchema: {
           type: 'object',
           properties: {
             id: { type: 'number', description: 'Entry ID' },
-            compact: { type: 'boolean', description: 'Strip null/empty values (default true)', default: true }
+            compact: { type: 'boolean', description: 'Strip null/empty values (default true)', default: true },
+            format: { type: 'string', enum: ENTRY_FORMATS, description: 'raw (default) keys values by field/input ID as stored; readable keys them by field label under "fields", with names as one string, other compound fields as objects keyed by input label, checkbox, list, multi-select and file upload values decoded, and choice text shown', default: 'raw' }
           },
           required: ['id']
         }
@@ -346,7 +401,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               enum: ['active', 'spam', 'trash'],
               description: 'Entry status'
-            }
+            },
+            expected_version: { type: 'string', description: 'Refuse the write and return the conflicting changes if the entry changed since this version (from gf_get_entry) or date_updated' }
           },
           additionalProperties: true,
           required: ['id']
@@ -469,7 +525,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             id: { type: 'number', description: 'Feed ID' },
             is_active: { type: 'boolean', description: 'Feed active state' },
-            meta: { type: 'object', description: 'Feed config' }
+            meta: { type: 'object', description: 'Feed config' },
+            expected_version: { type: 'string', description: 'Refuse the write and return the conflicting changes if the feed changed since this version (from gf_get_feed)' }
           },
           required: ['id']
         }
@@ -526,24 +583,84 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
 
       // Field Operations (4 tools) - Intelligent field management
-      ...fieldOperationTools
+      ...fieldOperationTools,
+
+      // Import/Export
+      ...importExportTools,
+
+      // Form Analysis
+      ...formAnalysisTools,
+
+      // Site Management (1 tool)
+      {
+        name: 'gf_list_sites',
+        description: 'List configured sites with connection health and REST API coverage',
+        inputSchema: {
+          type: 'object',
+          properties: {}
+        }
+      }
     ]
   };
-});
+};
+
+const handleListTools = async () => {
+  const { tools } = listToolDefinitions();
+  if (!siteManager?.isMultiSite) {
+    return { tools };
+  }
+
+  // Every site-bound tool accepts an optional target site
+  const siteNames = siteManager.getSiteNames();
+  return {
+    tools: tools.map(tool => tool.name === 'gf_list_sites' ? tool : {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          site: {
+            type: 'string',
+            enum: siteNames,
+            description: `Target site (default: ${siteManager.defaultSite})`
+          }
+        }
+      }
+    })
+  };
+};
 
 // =================================
 // TOOL HANDLERS
 // =================================
 
 // Forms Management Handlers
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: params } = request.params;
+const handleCallTool = async (request) => {
+  const { name, arguments: args = {} } = request.params;
 
   // Ensure client is initialized
-  if (!gravityFormsClient) {
+  if (!siteManager) {
     await initializeClient();
   }
 
+  // Site management
+  if (name === 'gf_list_sites') {
+    return wrapHandler(async () => ({
+      default_site: siteManager.defaultSite,
+      sites: await siteManager.checkHealth()
+    }), args)();
+  }
+
+  // Resolve the target site; the site argument is never forwarded to the API
+  const { site, ...params } = args;
+  let context;
+  try {
+    context = await siteManager.getContext(site);
+  } catch (error) {
+    return createErrorResponse(error.message);
+  }
+  const { client: gravityFormsClient, fieldOperations } = context;
+
   // Route to appropriate handler
   // The client already validates internally, just pass params directly
   switch (name) {
@@ -564,13 +681,16 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     // Entries Management
     case 'gf_list_entries':
       return wrapHandler(async () => {
-        const result = await gravityFormsClient.listEntries(params);
-        return params.compact !== false ? stripEntryMetaFromResponse(result) : result;
+        const walkPages = params.all_pages || params.max_entries !== undefined || params.cursor;
+        const result = walkPages
+          ? await collectEntries(gravityFormsClient, params)
+          : await gravityFormsClient.listEntries(params);
+        return formatEntries(gravityFormsClient, params.compact !== false ? stripEntryMetaFromResponse(result) : result, params);
       }, params)();
     case 'gf_get_entry':
       return wrapHandler(async () => {
         const result = await gravityFormsClient.getEntry(params);
-        return params.compact !== false ? stripEntryMetaFromResponse(result) : result;
+        return formatEntries(gravityFormsClient, params.compact !== false ? stripEntryMetaFromResponse(result) : result, params);
       }, params)();
     case 'gf_create_entry':
       return wrapHandler(async () => {
@@ -639,6 +759,76 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
         return await fieldOperationHandlers.gf_delete_field(params, fieldOperations);
       }, params)();
+    case 'gf_move_field':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_move_field(params, fieldOperations);
+      }, params)();
+    case 'gf_duplicate_field':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_duplicate_field(params, fieldOperations);
+      }, params)();
+    case 'gf_apply_field_operations':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_apply_field_operations(params, fieldOperations);
+      }, params)();
+    case 'gf_add_page':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_add_page(params, fieldOperations);
+      }, params)();
+    case 'gf_remove_page':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_remove_page(params, fieldOperations);
+      }, params)();
+    case 'gf_split_into_pages':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_split_into_pages(params, fieldOperations);
+      }, params)();
+    case 'gf_manage_choices':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_manage_choices(params, fieldOperations);
+      }, params)();
+    case 'gf_set_conditional_logic':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_set_conditional_logic(params, fieldOperations);
+      }, params)();
+    case 'gf_convert_field':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_convert_field(params, fieldOperations);
+      }, params)();
+    case 'gf_insert_blueprint':
+      return wrapHandler(async () => {
+        if (!fieldOperations) {
+          throw new Error('Field operations not initialized');
+        }
+        return await fieldOperationHandlers.gf_insert_blueprint(params, fieldOperations);
+      }, params)();
     case 'gf_list_field_types':
       return wrapHandler(async () => {
         if (!fieldOperations) {
@@ -647,25 +837,131 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         return await fieldOperationHandlers.gf_list_field_types(params, fieldOperations);
       }, params)();
 
+    // Import/Export
+    case 'gf_export_entries':
+      return wrapHandler(() => importExportHandlers.gf_export_entries(params, gravityFormsClient), params)();
+    case 'gf_import_entries':
+      return wrapHandler(() => importExportHandlers.gf_import_entries(params, gravityFormsClient), params)();
+    case 'gf_export_forms':
+      // Never compacted: blank settings are part of the native export document
+      return wrapHandler(() => importExportHandlers.gf_export_forms(params, gravityFormsClient), { ...params, compact: false })();
+    case 'gf_import_forms':
+      return wrapHandler(() => importExportHandlers.gf_import_forms(params, gravityFormsClient), params)();
+
+    // Form Analysis
+    case 'gf_diff_forms':
+      return wrapHandler(() => formAnalysisHandlers.gf_diff_forms(params, {
+        // Nested sources default to the tool call's site
+        resolveClient: async (sourceSite) => (await siteManager.getContext(sourceSite ?? site)).client
+      }), params)();
+    case 'gf_audit_form':
+      return wrapHandler(() => formAnalysisHandlers.gf_audit_form(params, {
+        resolveClient: async () => gravityFormsClient
+      }), params)();
+    case 'gf_registry_coverage':
+      return wrapHandler(() => formAnalysisHandlers.gf_registry_coverage(params, {
+        resolveClient: async () => gravityFormsClient
+      }), params)();
+
     default:
       return createErrorResponse(`Unknown tool: ${name}`);
   }
-});
+};
+
+// =================================
+// RESOURCE HANDLERS
+// =================================
+
+const handleListResources = async () => {
+  if (!siteManager) {
+    await initializeClient();
+  }
+  const { client } = await siteManager.getContext();
+  return resourceHandlers.listResources(client);
+};
+
+const handleListResourceTemplates = async () => {
+  return resourceHandlers.listResourceTemplates();
+};
+
+const handleReadResource = async (request) => {
+  if (!siteManager) {
+    await initializeClient();
+  }
+  const { client } = await siteManager.getContext();
+  return resourceHandlers.readResource(request.params.uri, client);
+};
+
+// =================================
+// PROMPT HANDLERS
+// =================================
+
+const handleListPrompts = async () => {
+  return promptHandlers.listPrompts();
+};
+
+const handleGetPrompt = async (request) => {
+  if (!siteManager) {
+    await initializeClient();
+  }
+  const { client } = await siteManager.getContext();
+  const { name, arguments: args } = request.params;
+  return promptHandlers.getPrompt(name, args, client);
+};
 
 // =================================
 // SERVER INITIALIZATION
 // =================================
 
+/**
+ * Create an MCP server with all handlers registered
+ * Stdio uses a single server; the HTTP transport creates one per session
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: 'gravitymcp',
+      version: '1.0.0'
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {}
+      }
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(ListPromptsRequestSchema, handleListPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+
+  return server;
+}
+
 async function main() {
   try {
+    const transportConfig = resolveTransportConfig(process.argv.slice(2), process.env);
+
     // Initialize client on startup
     await initializeClient();
 
+    if (transportConfig.transport === 'http') {
+      // Streamable HTTP transport with one server per session
+      const { address } = await startHttpServer(createServer, transportConfig);
+      logger.info(`🚀 Gravity MCP running on http://${address.address}:${address.port}${MCP_ENDPOINT}`);
+      return;
+    }
+
     // Create stdio transport
     const transport = new StdioServerTransport();
 
     // Connect server to transport
-    await server.connect(transport);
+    await createServer().connect(transport);
 
     logger.info('🚀 Gravity MCP running on stdio');
   } catch (error) {
@@ -0,0 +1,206 @@
+/**
+ * MCP Prompts Module
+ * Parameterized prompts for common Gravity Forms workflows
+ * Each prompt embeds live data fetched through the Gravity Forms client
+ */
+
+import { stripEmpty, stripEntryMeta } from '../utils/compact.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+
+const DEFAULT_SUMMARY_DAYS = 7;
+const SUMMARY_PAGE_SIZE = 200;
+
+/**
+ * MCP prompt definitions
+ */
+export const promptDefinitions = [
+  {
+    name: 'build_contact_form',
+    description: 'Design and create a contact form using the available field types',
+    arguments: [
+      { name: 'title', description: 'Title for the new form', required: false },
+      { name: 'requirements', description: 'Extra fields or behavior the form needs', required: false }
+    ]
+  },
+  {
+    name: 'audit_conditional_logic',
+    description: 'Audit a form for broken or contradictory conditional logic',
+    arguments: [
+      { name: 'form_id', description: 'Form ID to audit', required: true }
+    ]
+  },
+  {
+    name: 'summarize_recent_entries',
+    description: 'Summarize the entries a form received recently',
+    arguments: [
+      { name: 'form_id', description: 'Form ID to summarize', required: true },
+      { name: 'days', description: `Number of days to look back (default ${DEFAULT_SUMMARY_DAYS})`, required: false }
+    ]
+  }
+];
+
+/**
+ * Parse a required positive integer prompt argument
+ */
+function parseIdArgument(args, name) {
+  const value = parseInt(args?.[name], 10);
+  if (isNaN(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Build an embedded form resource message
+ */
+function formResourceMessage(form) {
+  return {
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: {
+        uri: `gf://forms/${form.id}`,
+        mimeType: 'application/json',
+        text: JSON.stringify(stripEmpty(form))
+      }
+    }
+  };
+}
+
+/**
+ * Build a plain text user message
+ */
+function textMessage(text) {
+  return {
+    role: 'user',
+    content: { type: 'text', text }
+  };
+}
+
+/**
+ * Format a date as YYYY-MM-DD for entry search
+ */
+function formatSearchDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Prompt builders keyed by prompt name
+ */
+const promptBuilders = {
+  async build_contact_form(args, client) {
+    const title = args?.title || 'Contact Us';
+    const { forms } = await client.listForms({});
+    const existingTitles = Object.values(forms || {}).map(form => form.title).filter(Boolean);
+
+    const standardTypes = Object.entries(fieldRegistry)
+      .filter(([, def]) => ['standard', 'advanced', 'choice'].includes(def.category) && def.storesData !== false)
+      .map(([type, def]) => `${type} (${def.label})`);
+
+    const lines = [
+      `Build a Gravity Forms contact form titled "${title}".`,
+      '',
+      'Include at least a name (name field), an email address (email field) and a message (textarea field).',
+      args?.requirements ? `Additional requirements: ${args.requirements}` : null,
+      '',
+      `Available field types: ${standardTypes.join(', ')}.`,
+      existingTitles.length > 0 ? `Existing forms on this site: ${existingTitles.join(', ')}. Avoid duplicating a title.` : null,
+      '',
+      'Create the form with gf_create_form, then add or adjust fields with gf_add_field. Mark name, email and message as required and set a confirmation message.'
+    ].filter(line => line !== null);
+
+    return {
+      description: `Build a contact form titled "${title}"`,
+      messages: [textMessage(lines.join('\n'))]
+    };
+  },
+
+  async audit_conditional_logic(args, client) {
+    const formId = parseIdArgument(args, 'form_id');
+    const { form } = await client.getForm({ id: formId });
+
+    const fieldsWithLogic = (form.fields || []).filter(field => field.conditionalLogic);
+
+    const lines = [
+      `Audit the conditional logic of form ${form.id} ("${form.title}"). The full form is attached.`,
+      '',
+      `${fieldsWithLogic.length} of ${(form.fields || []).length} fields use conditional logic.`,
+      '',
+      'Check every rule on fields, pages, the submit button, notifications and confirmations for:',
+      '- rules referencing field IDs that no longer exist',
+      '- rules comparing against choice values the source field does not offer',
+      '- operators that do not fit the source field type (e.g. > on a text field)',
+      '- fields depending on fields placed after them or on a later page',
+      '- enabled logic with no rules, or rule sets that can never be satisfied',
+      '',
+      'Report each problem with the affected field ID and label, and suggest the gf_update_field change that fixes it.'
+    ];
+
+    return {
+      description: `Audit conditional logic for form ${form.id}`,
+      messages: [
+        formResourceMessage(form),
+        textMessage(lines.join('\n'))
+      ]
+    };
+  },
+
+  async summarize_recent_entries(args, client) {
+    const formId = parseIdArgument(args, 'form_id');
+    const days = args?.days !== undefined ? parseIdArgument(args, 'days') : DEFAULT_SUMMARY_DAYS;
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const { form } = await client.getForm({ id: formId });
+    const { entries, total_count } = await client.listEntries({
+      form_ids: [formId],
+      search: { start_date: formatSearchDate(since) },
+      sorting: { key: 'date_created', direction: 'desc' },
+      paging: { page_size: SUMMARY_PAGE_SIZE }
+    });
+
+    const compactEntries = (entries || []).map(entry => stripEmpty(stripEntryMeta(entry)));
+    const truncated = total_count > compactEntries.length;
+
+    const lines = [
+      `Summarize the entries form ${form.id} ("${form.title}") received in the last ${days} day(s), since ${formatSearchDate(since)}.`,
+      `Total entries in period: ${total_count}${truncated ? ` (showing the ${compactEntries.length} most recent)` : ''}.`,
+      '',
+      'Entry values are keyed by field ID; use the attached form to map IDs to labels.',
+      'Cover volume over time, common answers for choice fields, notable free-text themes, and anything unusual such as spam or incomplete submissions.',
+      '',
+      'Entries:',
+      JSON.stringify(compactEntries)
+    ];
+
+    return {
+      description: `Summarize last ${days} day(s) of entries for form ${form.id}`,
+      messages: [
+        formResourceMessage(form),
+        textMessage(lines.join('\n'))
+      ]
+    };
+  }
+};
+
+/**
+ * Prompt handlers for MCP integration
+ */
+export const promptHandlers = {
+  /**
+   * List available prompts
+   */
+  async listPrompts() {
+    return { prompts: promptDefinitions };
+  },
+
+  /**
+   * Build a prompt with live data
+   */
+  async getPrompt(name, args, client) {
+    const builder = promptBuilders[name];
+    if (!builder) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    return builder(args || {}, client);
+  }
+};
@@ -0,0 +1,159 @@
+/**
+ * MCP Resources Module
+ * Exposes forms, entries, and feeds as readable MCP resources
+ *
+ * URI scheme:
+ * - gf://forms/{id}                       Form schema
+ * - gf://forms/{form_id}/entries/{entry_id} Single entry of a form
+ * - gf://feeds/{id}                       Add-on feed configuration
+ */
+
+import { stripEmpty, stripEntryMeta } from '../utils/compact.js';
+
+export const RESOURCE_SCHEME = 'gf';
+export const RESOURCE_MIME_TYPE = 'application/json';
+
+/**
+ * URI patterns used to route resource reads
+ */
+const URI_PATTERNS = [
+  { kind: 'entry', pattern: /^gf:\/\/forms\/(\d+)\/entries\/(\d+)$/ },
+  { kind: 'form', pattern: /^gf:\/\/forms\/(\d+)$/ },
+  { kind: 'feed', pattern: /^gf:\/\/feeds\/(\d+)$/ }
+];
+
+/**
+ * MCP resource template definitions
+ */
+export const resourceTemplates = [
+  {
+    uriTemplate: 'gf://forms/{id}',
+    name: 'Gravity Forms form',
+    description: 'Form schema: fields, notifications, confirmations and settings',
+    mimeType: RESOURCE_MIME_TYPE
+  },
+  {
+    uriTemplate: 'gf://forms/{form_id}/entries/{entry_id}',
+    name: 'Gravity Forms entry',
+    description: 'A single entry submitted to a form',
+    mimeType: RESOURCE_MIME_TYPE
+  },
+  {
+    uriTemplate: 'gf://feeds/{id}',
+    name: 'Gravity Forms add-on feed',
+    description: 'Add-on feed configuration (MailChimp, Stripe, etc.)',
+    mimeType: RESOURCE_MIME_TYPE
+  }
+];
+
+/**
+ * Parse a gf:// resource URI
+ * @param {string} uri - Resource URI
+ * @returns {object|null} Parsed { kind, ids } or null when the URI is not recognized
+ */
+export function parseResourceUri(uri) {
+  if (typeof uri !== 'string') {
+    return null;
+  }
+
+  for (const { kind, pattern } of URI_PATTERNS) {
+    const match = uri.match(pattern);
+    if (match) {
+      return {
+        kind,
+        ids: match.slice(1).map(id => parseInt(id, 10))
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resource handlers for MCP integration
+ */
+export const resourceHandlers = {
+  /**
+   * List concrete resources (one per form and feed)
+   */
+  async listResources(client) {
+    const resources = [];
+
+    const { forms } = await client.listForms({});
+    Object.values(forms || {}).forEach(form => {
+      resources.push({
+        uri: `gf://forms/${form.id}`,
+        name: form.title || `Form ${form.id}`,
+        description: `Form ${form.id} schema`,
+        mimeType: RESOURCE_MIME_TYPE
+      });
+    });
+
+    // Feeds are optional - sites without add-ons may not expose the endpoint
+    try {
+      const { feeds } = await client.listFeeds({});
+      (Array.isArray(feeds) ? feeds : Object.values(feeds || {})).forEach(feed => {
+        resources.push({
+          uri: `gf://feeds/${feed.id}`,
+          name: feed.meta?.feedName || `Feed ${feed.id}`,
+          description: `${feed.addon_slug || 'Add-on'} feed for form ${feed.form_id}`,
+          mimeType: RESOURCE_MIME_TYPE
+        });
+      });
+    } catch (error) {
+      // Forms alone are still useful
+    }
+
+    return { resources };
+  },
+
+  /**
+   * List resource templates
+   */
+  async listResourceTemplates() {
+    return { resourceTemplates };
+  },
+
+  /**
+   * Read a single resource by URI
+   */
+  async readResource(uri, client) {
+    const parsed = parseResourceUri(uri);
+    if (!parsed) {
+      throw new Error(`Unknown resource URI: ${uri}`);
+    }
+
+    let data;
+    switch (parsed.kind) {
+      case 'form': {
+        const { form } = await client.getForm({ id: parsed.ids[0] });
+        data = form;
+        break;
+      }
+      case 'entry': {
+        const [formId, entryId] = parsed.ids;
+        const { entry } = await client.getEntry({ id: entryId });
+        if (entry && entry.form_id !== undefined && entry.form_id != formId) {
+          throw new Error(`Entry ${entryId} does not belong to form ${formId}`);
+        }
+        data = stripEntryMeta(entry);
+        break;
+      }
+      case 'feed': {
+        const { feed } = await client.getFeed({ id: parsed.ids[0] });
+        data = feed;
+        break;
+      }
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: RESOURCE_MIME_TYPE,
+          text: JSON.stringify(stripEmpty(data))
+        }
+      ]
+    };
+  }
+};
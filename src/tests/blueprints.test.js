@@ -0,0 +1,206 @@
+/**
+ * Unit tests for field blueprints
+ * Tests loading, validation, ID remapping and insertion
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FieldManager } from '../field-operations/field-manager.js';
+import { DependencyTracker } from '../field-operations/field-dependencies.js';
+import { PositionEngine } from '../field-operations/field-positioner.js';
+import {
+  BUILT_IN_BLUEPRINTS_DIR,
+  BlueprintManager,
+  getBlueprintDirectories,
+  instantiateBlueprint,
+  loadBlueprints,
+  validateBlueprint
+} from '../field-operations/blueprints.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+
+const shippingBlueprint = {
+  label: 'Shipping',
+  fields: [
+    { id: 1, type: 'checkbox', label: 'Ship elsewhere', choices: [{ text: 'Yes', value: 'yes' }], inputs: [{ id: '1.1', label: 'Yes' }] },
+    { id: 2, type: 'address', label: 'Shipping Address', conditionalLogic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: '1.1', operator: 'is', value: 'yes' }] } },
+    { id: 3, type: 'number', label: 'Boxes' },
+    { id: 4, type: 'number', label: 'Weight', enableCalculation: true, calculationFormula: '{Boxes:3} * 2.5' },
+    { id: 5, type: 'html', label: 'Summary', content: 'Shipping to {Shipping Address:2.3:value}' }
+  ]
+};
+
+test('validateBlueprint', async (t) => {
+  await t.test('accepts fields whose references stay inside the blueprint', () => {
+    const blueprint = validateBlueprint(shippingBlueprint, 'shipping');
+    assert.strictEqual(blueprint.name, 'shipping');
+    assert.strictEqual(blueprint.label, 'Shipping');
+    assert.strictEqual(blueprint.fields.length, 5);
+  });
+
+  await t.test('rejects references outside the blueprint, page breaks and duplicate IDs', () => {
+    assert.throws(
+      () => validateBlueprint({ fields: [{ id: 1, type: 'number', calculationFormula: '{Other:9} + 1' }] }, 'x'),
+      /field 1 calculation references field 9, which isn't part of the blueprint/
+    );
+    assert.throws(
+      () => validateBlueprint({ fields: [{ id: 1, type: 'text' }, { id: 2, type: 'page' }] }, 'x'),
+      /can't contain page breaks/
+    );
+    assert.throws(
+      () => validateBlueprint({ fields: [{ id: 1, type: 'text' }, { id: 1, type: 'email' }] }, 'x'),
+      /field id 1 is used twice/
+    );
+    assert.throws(() => validateBlueprint({ fields: [] }, 'x'), /non-empty "fields" array/);
+  });
+});
+
+test('instantiateBlueprint', async (t) => {
+  await t.test('remaps IDs, inputs, rules, formulas and merge tags', () => {
+    const { fields, idMap } = instantiateBlueprint(validateBlueprint(shippingBlueprint, 'shipping'), 10);
+
+    assert.deepStrictEqual(fields.map(f => f.id), [10, 11, 12, 13, 14]);
+    assert.strictEqual(fields[0].inputs[0].id, '10.1');
+    assert.strictEqual(fields[1].conditionalLogic.rules[0].fieldId, '10.1');
+    assert.strictEqual(fields[3].calculationFormula, '{Boxes:12} * 2.5');
+    assert.strictEqual(fields[4].content, 'Shipping to {Shipping Address:11.3:value}');
+    assert.strictEqual(idMap['1.1'], '10.1');
+    assert.strictEqual(idMap['4'], '13');
+    // The blueprint itself is untouched
+    assert.strictEqual(shippingBlueprint.fields[0].id, 1);
+  });
+});
+
+test('loadBlueprints', async (t) => {
+  await t.test('loads the built-in blueprints', () => {
+    const blueprints = loadBlueprints([BUILT_IN_BLUEPRINTS_DIR]);
+    assert.deepStrictEqual([...blueprints.keys()].sort(), ['billing-details', 'gdpr-consent', 'product-total']);
+    assert.strictEqual(blueprints.get('product-total').fields[1].productField, 1);
+  });
+
+  await t.test('reads GRAVITY_MCP_BLUEPRINTS_DIR after the built-ins', () => {
+    assert.deepStrictEqual(getBlueprintDirectories({}), [BUILT_IN_BLUEPRINTS_DIR]);
+    assert.deepStrictEqual(getBlueprintDirectories({ GRAVITY_MCP_BLUEPRINTS_DIR: '/srv/blueprints' }), [BUILT_IN_BLUEPRINTS_DIR, '/srv/blueprints']);
+  });
+
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-blueprints-'));
+
+  try {
+    await t.test('reads JSON and YAML, letting later directories override', () => {
+      writeFileSync(join(dir, 'shipping.json'), JSON.stringify(shippingBlueprint));
+      writeFileSync(join(dir, 'gdpr-consent.yml'), 'label: Short consent\nfields:\n  - id: 1\n    type: consent\n    label: Consent\n');
+      writeFileSync(join(dir, 'notes.txt'), 'ignored');
+
+      const blueprints = loadBlueprints([BUILT_IN_BLUEPRINTS_DIR, dir]);
+      assert.strictEqual(blueprints.get('shipping').fields.length, 5);
+      assert.strictEqual(blueprints.get('gdpr-consent').label, 'Short consent');
+      assert.strictEqual(blueprints.get('gdpr-consent').source, join(dir, 'gdpr-consent.yml'));
+      assert.ok(!blueprints.has('notes'));
+    });
+
+    await t.test('reports missing directories and malformed files', () => {
+      assert.throws(() => loadBlueprints([join(dir, 'missing')]), /Blueprints directory not found/);
+      writeFileSync(join(dir, 'broken.json'), '{ nope');
+      assert.throws(() => loadBlueprints([dir]), /Invalid blueprint file .*broken.json/);
+    });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('BlueprintManager - insertBlueprint', async (t) => {
+  const createManager = () => {
+    const apiClient = {
+      saved: null,
+      getForm: async () => ({
+        form: {
+          id: 7,
+          fields: [
+            { id: 1, type: 'text', label: 'Name' },
+            { id: 4, type: 'email', label: 'Email' }
+          ]
+        }
+      }),
+      updateForm: async (form) => {
+        apiClient.saved = form;
+        return { form };
+      }
+    };
+    const fieldManager = new FieldManager(apiClient, fieldRegistry, null);
+    fieldManager.dependencyTracker = new DependencyTracker();
+    fieldManager.positionEngine = new PositionEngine();
+    return { manager: new BlueprintManager(fieldManager), apiClient };
+  };
+
+  await t.test('inserts a blueprint at a position with new IDs', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.insertBlueprint(7, 'product-total', { position: { mode: 'after', reference: 1 } });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.id), [1, 5, 6, 7, 4]);
+    assert.strictEqual(apiClient.saved.fields[2].productField, 5);
+    assert.deepStrictEqual(apiClient.saved.fields[1].inputs.map(input => input.id), ['5.1', '5.2', '5.3']);
+    assert.strictEqual(apiClient.saved.fields[1].formId, 7);
+    assert.strictEqual(result.id_map['2'], '6');
+    assert.deepStrictEqual(result.position, { index: 1, page: 1 });
+  });
+
+  await t.test('generates sub-inputs for compound fields without them', async () => {
+    const { manager, apiClient } = createManager();
+
+    await manager.insertBlueprint(7, 'billing-details');
+
+    const address = apiClient.saved.fields.find(f => f.type === 'address');
+    assert.strictEqual(address.inputs[0].id, `${address.id}.1`);
+    assert.strictEqual(address.addressType, 'international');
+  });
+
+  await t.test('checks blueprint field properties before reading the form', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'gravitymcp-blueprints-'));
+    try {
+      writeFileSync(join(directory, 'typo.json'), JSON.stringify({
+        fields: [{ id: 1, type: 'name', label: 'Name', nameFormat: 'full' }]
+      }));
+      writeFileSync(join(directory, 'addon.json'), JSON.stringify({
+        fields: [{ id: 1, type: 'text', label: 'Code', myAddonSetting: 'on' }]
+      }));
+
+      const { manager, apiClient } = createManager();
+      manager.directories = [directory];
+      let reads = 0;
+      const getForm = apiClient.getForm;
+      apiClient.getForm = async (...args) => { reads++; return getForm(...args); };
+
+      await assert.rejects(
+        manager.insertBlueprint(7, 'typo'),
+        /Blueprint typo: invalid properties for field 1 \(name\): nameFormat must be one of: simple, normal, extended, advanced/
+      );
+      assert.strictEqual(reads, 0);
+
+      const result = await manager.insertBlueprint(7, 'addon');
+      assert.deepStrictEqual(result.warnings, ['Field 1: myAddonSetting is not a property of text fields']);
+      assert.strictEqual(apiClient.saved.fields[2].myAddonSetting, 'on');
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('built-in blueprints pass the property check', async () => {
+    const { manager } = createManager();
+
+    for (const name of manager.library.keys()) {
+      const result = await manager.insertBlueprint(7, name);
+      assert.deepStrictEqual(result.warnings, [], name);
+    }
+  });
+
+  await t.test('rejects unknown blueprints', async () => {
+    const { manager, apiClient } = createManager();
+
+    await assert.rejects(manager.insertBlueprint(7, 'newsletter'), /Unknown blueprint "newsletter". Available: billing-details/);
+    assert.strictEqual(apiClient.saved, null);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for ChoiceManager
+ * Tests choice operations, checkbox inputs and stale rule warnings
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { FieldManager } from '../field-operations/field-manager.js';
+import { DependencyTracker } from '../field-operations/field-dependencies.js';
+import { PositionEngine } from '../field-operations/field-positioner.js';
+import { ChoiceManager, parseChoiceList } from '../field-operations/choice-manager.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+
+const createForm = () => ({
+  id: 1,
+  fields: [
+    {
+      id: 1,
+      type: 'radio',
+      label: 'Plan',
+      choices: [
+        { text: 'Basic', value: 'Basic', isSelected: false },
+        { text: 'Pro', value: 'Pro', isSelected: false }
+      ]
+    },
+    {
+      id: 2,
+      type: 'checkbox',
+      label: 'Extras',
+      enableChoiceValue: true,
+      choices: [
+        { text: 'Support', value: 'support' },
+        { text: 'Backups', value: 'backups' }
+      ],
+      inputs: [
+        { id: '2.1', label: 'Support', name: 'extra_support' },
+        { id: '2.2', label: 'Backups', name: '' }
+      ]
+    },
+    {
+      id: 3,
+      type: 'text',
+      label: 'Company',
+      conditionalLogic: { actionType: 'show', logicType: 'any', rules: [{ fieldId: '1', operator: 'is', value: 'Pro' }] }
+    },
+    {
+      id: 4,
+      type: 'option',
+      inputType: 'select',
+      label: 'Size',
+      choices: [{ text: 'Small', value: 'Small', price: '$0.00' }]
+    }
+  ],
+  confirmations: {
+    c1: { id: 'c1', name: 'Backups', conditionalLogic: { logicType: 'all', rules: [{ fieldId: '2', operator: 'is', value: 'backups' }] } }
+  }
+});
+
+const createManager = () => {
+  const apiClient = {
+    saved: null,
+    getForm: async () => ({ form: createForm() }),
+    updateForm: async (form) => {
+      apiClient.saved = form;
+      return { form };
+    }
+  };
+  const fieldManager = new FieldManager(apiClient, fieldRegistry, null);
+  fieldManager.dependencyTracker = new DependencyTracker();
+  fieldManager.positionEngine = new PositionEngine();
+  return { choiceManager: new ChoiceManager(fieldManager), apiClient };
+};
+
+test('parseChoiceList', async (t) => {
+  await t.test('reads one choice per line with optional value and price', () => {
+    assert.deepStrictEqual(parseChoiceList('Red\nGreen|green\n\nBlue|blue|$5.00\n'), [
+      { text: 'Red', value: 'Red' },
+      { text: 'Green', value: 'green' },
+      { text: 'Blue', value: 'blue', price: '$5.00' }
+    ]);
+  });
+
+  await t.test('reads a single comma-separated line with quotes', () => {
+    assert.deepStrictEqual(parseChoiceList('Red, "Green, light",Blue').map(c => c.text), ['Red', 'Green, light', 'Blue']);
+  });
+});
+
+test('ChoiceManager - manageChoices', async (t) => {
+  await t.test('adds, reorders and removes choices with one write', async () => {
+    const { choiceManager, apiClient } = createManager();
+
+    const result = await choiceManager.manageChoices(1, 1, [
+      { action: 'add', choices: ['Enterprise', { text: 'Starter', value: 'starter' }], index: 0 },
+      { action: 'reorder', values: ['Pro'] },
+      { action: 'remove', values: ['Basic'] }
+    ]);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.choices.map(c => c.value), ['Pro', 'Enterprise', 'starter']);
+    assert.strictEqual(apiClient.saved.fields[0].enableChoiceValue, true);
+    assert.strictEqual(result.changes.length, 3);
+    assert.deepStrictEqual(result.stale_references, []);
+  });
+
+  await t.test('renaming without separate values renames the value and warns about rules', async () => {
+    const { choiceManager, apiClient } = createManager();
+
+    const result = await choiceManager.manageChoices(1, 1, [
+      { action: 'rename', value: 'Pro', text: 'Professional' }
+    ]);
+
+    assert.deepStrictEqual(apiClient.saved.fields[0].choices[1], { text: 'Professional', value: 'Professional', isSelected: false });
+    assert.strictEqual(result.stale_references.length, 1);
+    assert.strictEqual(result.stale_references[0].renamed_to, 'Professional');
+    assert.strictEqual(result.stale_references[0].source.id, 3);
+    assert.ok(result.warnings.some(w => w.includes('field 3 (Company)') && w.includes('now "Professional"')));
+  });
+
+  await t.test('warns when a removed value is still used by a confirmation', async () => {
+    const { choiceManager } = createManager();
+
+    const result = await choiceManager.manageChoices(1, 2, [{ action: 'remove', values: ['backups'] }]);
+
+    assert.strictEqual(result.stale_references.length, 1);
+    assert.ok(result.warnings.some(w => w.includes('confirmation "Backups"') && w.includes('was removed')));
+  });
+
+  await t.test('regenerates checkbox inputs, skipping multiples of ten', async () => {
+    const { choiceManager } = createManager();
+
+    const result = await choiceManager.manageChoices(2, 2, [
+      { action: 'import', list: 'Support|support\nA\nB\nC\nD\nE\nF\nG\nH\nI' },
+      { action: 'reorder', values: ['backups'] }
+    ]);
+
+    assert.deepStrictEqual(result.changes[0].skipped, ['support']);
+    assert.strictEqual(result.inputs.length, 11);
+    assert.deepStrictEqual(result.inputs.map(input => input.id).slice(8), ['2.9', '2.11', '2.12']);
+    assert.strictEqual(result.inputs[1].name, 'extra_support');
+    assert.ok(result.warnings.some(w => w.includes('support (2.1 -> 2.2)')));
+  });
+
+  await t.test('sets prices on pricing fields only', async () => {
+    const { choiceManager, apiClient } = createManager();
+
+    await choiceManager.manageChoices(1, 4, [
+      { action: 'add', choices: [{ text: 'Large', price: '$4.00' }] },
+      { action: 'set', value: 'Small', price: '$1.00', isSelected: true }
+    ]);
+    assert.deepStrictEqual(apiClient.saved.fields[3].choices.map(c => c.price), ['$1.00', '$4.00']);
+    assert.strictEqual(apiClient.saved.fields[3].choices[0].isSelected, true);
+
+    await assert.rejects(
+      choiceManager.manageChoices(1, 1, [{ action: 'set', value: 'Pro', price: '$1.00' }]),
+      /Operation 0 \(set\) failed: field 1 \(radio\) has no choice prices/
+    );
+  });
+
+  await t.test('rejects unknown values, empty results and non-choice fields', async () => {
+    const { choiceManager, apiClient } = createManager();
+
+    await assert.rejects(
+      choiceManager.manageChoices(1, 1, [{ action: 'remove', values: ['Gold'] }]),
+      /No choice with value "Gold"/
+    );
+    await assert.rejects(
+      choiceManager.manageChoices(1, 1, [{ action: 'remove', values: ['Basic', 'Pro'] }]),
+      /Choices array cannot be empty/
+    );
+    await assert.rejects(
+      choiceManager.manageChoices(1, 3, [{ action: 'add', choices: ['x'] }]),
+      /has no editable choices/
+    );
+    await assert.rejects(
+      choiceManager.manageChoices(1, 1, [{ action: 'shuffle' }]),
+      /Unknown action "shuffle"/
+    );
+    assert.strictEqual(apiClient.saved, null);
+  });
+});
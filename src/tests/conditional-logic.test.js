@@ -0,0 +1,179 @@
+/**
+ * Unit tests for ConditionalLogicBuilder
+ * Tests rule resolution, type-aware checks and every target type
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { FieldManager } from '../field-operations/field-manager.js';
+import { DependencyTracker } from '../field-operations/field-dependencies.js';
+import { PositionEngine } from '../field-operations/field-positioner.js';
+import { ConditionalLogicBuilder } from '../field-operations/conditional-logic.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+
+const createForm = () => ({
+  id: 1,
+  pagination: { type: 'steps', pages: ['Plan', 'Details'] },
+  button: { type: 'text', text: 'Submit' },
+  fields: [
+    { id: 1, type: 'radio', label: 'Plan', choices: [{ text: 'Basic', value: 'basic' }, { text: 'Pro', value: 'pro' }] },
+    { id: 2, type: 'number', label: 'Seats' },
+    { id: 3, type: 'name', label: 'Name', inputs: [{ id: '3.3', label: 'First' }, { id: '3.6', label: 'Last' }] },
+    { id: 4, type: 'html', label: 'Intro' },
+    { id: 5, type: 'page', label: 'Page Break', nextButton: { type: 'text', text: 'Next' } },
+    { id: 6, type: 'text', label: 'Company' },
+    { id: 7, type: 'text', label: 'Company' },
+    { id: 8, type: 'email', label: 'Email' }
+  ],
+  notifications: {
+    n1: { id: 'n1', name: 'Sales' }
+  },
+  confirmations: {
+    c1: { id: 'c1', name: 'Default', isDefault: true },
+    c2: { id: 'c2', name: 'Pro welcome' }
+  }
+});
+
+const createBuilder = () => {
+  const apiClient = {
+    saved: null,
+    getForm: async () => ({ form: createForm() }),
+    updateForm: async (form) => {
+      apiClient.saved = form;
+      return { form };
+    }
+  };
+  const fieldManager = new FieldManager(apiClient, fieldRegistry, null);
+  fieldManager.dependencyTracker = new DependencyTracker();
+  fieldManager.positionEngine = new PositionEngine();
+  return { builder: new ConditionalLogicBuilder(fieldManager), apiClient };
+};
+
+test('ConditionalLogicBuilder - setConditionalLogic', async (t) => {
+  await t.test('resolves sources by label and input ID and applies to a field', async () => {
+    const { builder, apiClient } = createBuilder();
+
+    const result = await builder.setConditionalLogic(1, { type: 'field', id: 8 }, {
+      logic_type: 'any',
+      rules: [
+        { field: 'plan', operator: 'is', value: 'pro' },
+        { field: '3.3', operator: 'starts_with', value: 'A' },
+        { field: 2, operator: '>', value: 10 }
+      ]
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(apiClient.saved.fields[7].conditionalLogic, {
+      actionType: 'show',
+      logicType: 'any',
+      rules: [
+        { fieldId: '1', operator: 'is', value: 'pro' },
+        { fieldId: '3.3', operator: 'starts_with', value: 'A' },
+        { fieldId: '2', operator: '>', value: '10' }
+      ]
+    });
+    assert.strictEqual(result.previous, null);
+  });
+
+  await t.test('reports every invalid rule at once', async () => {
+    const { builder, apiClient } = createBuilder();
+
+    await assert.rejects(
+      builder.setConditionalLogic(1, { type: 'field', id: 6 }, {
+        rules: [
+          { field: 1, operator: '>', value: '1' },
+          { field: 1, operator: 'is', value: 'gold' },
+          { field: 6, operator: 'is', value: 'x' },
+          { field: 4, operator: 'is', value: 'x' },
+          { field: 'Company', operator: 'is', value: 'x' },
+          { field: '3.4', operator: 'is', value: 'x' },
+          { field: 2, operator: 'matches', value: 'x' }
+        ]
+      }),
+      (error) => {
+        assert.match(error.message, /rule\[0\]: operator ">" compares numbers or dates, but field 1 \(Plan\) is a radio field/);
+        assert.match(error.message, /rule\[1\]: "gold" is not a choice of field 1 \(Plan\); expected one of: basic, pro/);
+        assert.match(error.message, /rule\[2\]: field 6 \(Company\) can't depend on itself/);
+        assert.match(error.message, /rule\[3\]: field 4 \(Intro\) is a html and holds no value/);
+        assert.match(error.message, /rule\[4\]: 2 fields are labeled "Company" \(6, 7\)/);
+        assert.match(error.message, /rule\[5\]: field 3 has no input 3.4/);
+        assert.match(error.message, /rule\[6\]: operator must be one of/);
+        return true;
+      }
+    );
+    assert.strictEqual(apiClient.saved, null);
+  });
+
+  await t.test('refuses sources on a later page', async () => {
+    const { builder } = createBuilder();
+
+    await assert.rejects(
+      builder.setConditionalLogic(1, { type: 'field', id: 2 }, { rules: [{ field: 8, operator: 'is', value: 'a' }] }),
+      /field 8 \(Email\) is on page 2; Seats can only use fields up to page 1/
+    );
+    await assert.rejects(
+      builder.setConditionalLogic(1, { type: 'page', page: 2 }, { rules: [{ field: 6, operator: 'is', value: 'a' }] }),
+      /Details can only use fields up to page 1/
+    );
+  });
+
+  await t.test('applies to pages and both buttons', async () => {
+    const { builder, apiClient } = createBuilder();
+    const rules = [{ field: 1, operator: 'is', value: 'pro' }];
+
+    const page = await builder.setConditionalLogic(1, { type: 'page', page: 2 }, { rules });
+    assert.strictEqual(page.target.id, 5);
+    assert.strictEqual(apiClient.saved.fields[4].conditionalLogic.rules[0].fieldId, '1');
+
+    await builder.setConditionalLogic(1, { type: 'next_button', id: 5 }, { action_type: 'hide', rules });
+    assert.strictEqual(apiClient.saved.fields[4].nextButton.text, 'Next');
+    assert.strictEqual(apiClient.saved.fields[4].nextButton.conditionalLogic.actionType, 'hide');
+
+    await builder.setConditionalLogic(1, { type: 'submit_button' }, { rules: [{ field: 8, operator: 'contains', value: '@' }] });
+    assert.strictEqual(apiClient.saved.button.text, 'Submit');
+    assert.strictEqual(apiClient.saved.button.conditionalLogic.rules[0].fieldId, '8');
+  });
+
+  await t.test('applies to notifications and confirmations with show only', async () => {
+    const { builder, apiClient } = createBuilder();
+    const rules = [{ field: 'Plan', operator: 'is', value: 'pro' }];
+
+    await builder.setConditionalLogic(1, { type: 'notification', id: 'n1' }, { rules });
+    assert.strictEqual(apiClient.saved.notifications.n1.conditionalLogic.rules.length, 1);
+
+    await builder.setConditionalLogic(1, { type: 'confirmation', id: 'c2' }, { rules });
+    assert.strictEqual(apiClient.saved.confirmations.c2.conditionalLogic.actionType, 'show');
+
+    await assert.rejects(
+      builder.setConditionalLogic(1, { type: 'notification', id: 'n1' }, { action_type: 'hide', rules }),
+      /only support action_type "show"/
+    );
+    await assert.rejects(
+      builder.setConditionalLogic(1, { type: 'confirmation', id: 'c1' }, { rules }),
+      /default confirmation/
+    );
+  });
+
+  await t.test('clears logic and returns what it replaced', async () => {
+    const { builder, apiClient } = createBuilder();
+    const logic = { actionType: 'show', logicType: 'all', rules: [{ fieldId: '1', operator: 'is', value: 'pro' }] };
+    apiClient.getForm = async () => {
+      const form = createForm();
+      form.fields[1].conditionalLogic = logic;
+      return { form };
+    };
+
+    const result = await builder.setConditionalLogic(1, { type: 'field', id: 2 }, {}, { clear: true });
+
+    assert.deepStrictEqual(result.previous, logic);
+    assert.strictEqual(apiClient.saved.fields[1].conditionalLogic, null);
+  });
+
+  await t.test('rejects unknown targets', async () => {
+    const { builder } = createBuilder();
+
+    await assert.rejects(builder.setConditionalLogic(1, { type: 'section' }, {}), /target.type must be one of/);
+    await assert.rejects(builder.setConditionalLogic(1, { type: 'next_button', id: 2 }, {}), /not a page break/);
+    await assert.rejects(builder.setConditionalLogic(1, { type: 'notification', id: 'n9' }, {}), /notification n9 not found/);
+  });
+});
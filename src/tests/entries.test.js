@@ -381,6 +381,21 @@ suite.test('Update Entry: Should validate entry status', async () => {
   );
 });
 
+suite.test('Update Entry: Should accept date_updated as expected_version', async () => {
+  const existingEntry = { id: 9, form_id: 1, '1': 'Old', date_updated: '2024-05-01 10:00:00' };
+  mockHttpClient.setMockResponse('GET', '/entries/9', new MockResponse(existingEntry));
+  mockHttpClient.setMockResponse('PUT', '/entries/9', new MockResponse({ ...existingEntry, '1': 'New' }));
+
+  const result = await client.updateEntry({ id: 9, '1': 'New', expected_version: '2024-05-01 10:00:00' });
+  TestAssert.equal(result.entry['1'], 'New');
+
+  await TestAssert.throwsAsync(
+    () => client.updateEntry({ id: 9, '1': 'Newer', expected_version: '2024-04-30 09:00:00' }),
+    'Version conflict',
+    'Should refuse an older date_updated'
+  );
+});
+
 // =================================
 // DELETE ENTRY TESTS
 // =================================
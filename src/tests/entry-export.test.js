@@ -0,0 +1,202 @@
+/**
+ * Unit tests for entry export
+ * Tests column building, CSV escaping and file output with a mocked client
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildExportColumns, escapeCsvValue, exportEntries } from '../import-export/entry-export.js';
+import { importExportHandlers } from '../import-export/index.js';
+
+const form = {
+  id: 3,
+  title: 'Signup',
+  fields: [
+    { id: 1, type: 'section', label: 'About you' },
+    {
+      id: 2,
+      type: 'name',
+      label: 'Name',
+      inputs: [
+        { id: '2.2', label: 'Prefix', isHidden: true },
+        { id: '2.3', label: 'First' },
+        { id: '2.4', label: 'Middle', isHidden: true },
+        { id: '2.6', label: 'Last' },
+        { id: '2.8', label: 'Suffix', isHidden: true }
+      ]
+    },
+    { id: 3, type: 'email', label: 'Email' },
+    {
+      id: 4,
+      type: 'checkbox',
+      label: 'Interests',
+      inputs: [{ id: '4.1', label: 'News' }, { id: '4.2', label: 'Events' }]
+    },
+    { id: 5, type: 'multiselect', label: 'Sizes' },
+    { id: 6, type: 'text', label: 'Email' },
+    { id: 7, type: 'address', label: 'Address' }
+  ]
+};
+
+const entries = [
+  { id: '1', form_id: '3', date_created: '2024-01-01', '2.3': 'Ada', '2.6': 'Lovelace', '3': 'ada@example.com', '4.1': 'News', '5': '["S","M"]', '6': '=SUM(A1)', '7.3': 'London' },
+  { id: '2', form_id: '3', date_created: '2024-01-02', '2.3': 'Alan', '2.6': 'Turing, OBE', '3': 'alan@example.com', '4.2': 'Events', '5': '' }
+];
+
+const createMockClient = () => ({
+  getForm: async ({ id }) => ({ form: { ...form, id } }),
+  listEntries: async ({ paging }) => ({
+    entries: entries.slice((paging.current_page - 1) * paging.page_size, paging.current_page * paging.page_size),
+    total_count: entries.length
+  })
+});
+
+test('buildExportColumns', async (t) => {
+  await t.test('expands compound and checkbox inputs into labelled sub-columns', () => {
+    const headers = buildExportColumns(form, { include_meta: false }).map(c => c.header);
+
+    assert.deepStrictEqual(headers, [
+      'Name (First)',
+      'Name (Last)',
+      'Email',
+      'Interests (News)',
+      'Interests (Events)',
+      'Sizes',
+      'Email [6]',
+      'Address (Street)',
+      'Address (Street 2)',
+      'Address (City)',
+      'Address (State)',
+      'Address (Zip)',
+      'Address (Country)'
+    ]);
+  });
+
+  await t.test('includes entry meta and filters by field', () => {
+    const columns = buildExportColumns(form, { field_ids: [3] });
+    assert.strictEqual(columns[0].header, 'Entry ID');
+    assert.deepStrictEqual(columns.filter(c => c.field_id).map(c => c.key), ['3']);
+  });
+});
+
+test('escapeCsvValue', async (t) => {
+  await t.test('quotes separators and doubles quotes', () => {
+    assert.strictEqual(escapeCsvValue('a,b'), '"a,b"');
+    assert.strictEqual(escapeCsvValue('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(escapeCsvValue('line\nbreak'), '"line\nbreak"');
+  });
+
+  await t.test('neutralizes formulas but keeps negative numbers', () => {
+    assert.strictEqual(escapeCsvValue('=SUM(A1)'), "'=SUM(A1)");
+    assert.strictEqual(escapeCsvValue('@cmd'), "'@cmd");
+    assert.strictEqual(escapeCsvValue('-12.5'), '-12.5');
+  });
+});
+
+test('exportEntries', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-export-'));
+  const previousDir = process.env.GRAVITY_MCP_EXPORT_DIR;
+  process.env.GRAVITY_MCP_EXPORT_DIR = dir;
+
+  try {
+    await t.test('writes CSV with BOM, headers and CRLF rows', async () => {
+      const filePath = join(dir, 'entries.csv');
+      const result = await exportEntries(createMockClient(), { form_id: 3, file_path: filePath, include_meta: false });
+      const content = readFileSync(filePath, 'utf8');
+      const lines = content.split('\r\n');
+
+      assert.strictEqual(result.entries_exported, 2);
+      assert.ok(content.startsWith('\uFEFFName (First),Name (Last),Email,'));
+      assert.ok(lines[1].startsWith("Ada,Lovelace,ada@example.com,News,,\"S, M\",'=SUM(A1),,,London"));
+      assert.ok(lines[2].startsWith('Alan,"Turing, OBE",alan@example.com,,Events'));
+    });
+
+    await t.test('writes NDJSON records keyed by header', async () => {
+      const filePath = join(dir, 'entries.ndjson');
+      await exportEntries(createMockClient(), { form_id: 3, file_path: filePath, format: 'ndjson', field_ids: [2] });
+      const records = readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+      assert.strictEqual(records.length, 2);
+      assert.strictEqual(records[0]['Entry ID'], '1');
+      assert.strictEqual(records[1]['Name (Last)'], 'Turing, OBE');
+    });
+
+    await t.test('writes a JSON array and honours max_entries', async () => {
+      const filePath = join(dir, 'entries.json');
+      const result = await exportEntries(createMockClient(), { form_id: 3, file_path: filePath, format: 'json', max_entries: 1 });
+      const records = JSON.parse(readFileSync(filePath, 'utf8'));
+
+      assert.strictEqual(result.entries_exported, 1);
+      assert.strictEqual(result.total_count, 2);
+      assert.strictEqual(records.length, 1);
+      assert.strictEqual(records[0]['Sizes'], 'S, M');
+    });
+
+    await t.test('refuses to overwrite unless asked', async () => {
+      const filePath = join(dir, 'existing.csv');
+      writeFileSync(filePath, 'keep');
+
+      await assert.rejects(
+        () => exportEntries(createMockClient(), { form_id: 3, file_path: filePath }),
+        /File already exists/
+      );
+      assert.strictEqual(readFileSync(filePath, 'utf8'), 'keep');
+
+      await exportEntries(createMockClient(), { form_id: 3, file_path: filePath, overwrite: true });
+      assert.notStrictEqual(readFileSync(filePath, 'utf8'), 'keep');
+    });
+
+    await t.test('keeps the previous file when the export fails partway', async () => {
+      const filePath = join(dir, 'previous.json');
+      writeFileSync(filePath, 'good export');
+      const client = { ...createMockClient(), listEntries: async () => { throw new Error('Connection reset'); } };
+
+      await assert.rejects(
+        () => exportEntries(client, { form_id: 3, file_path: filePath, format: 'json', overwrite: true }),
+        /Connection reset/
+      );
+      await assert.rejects(
+        () => exportEntries(client, { form_id: 3, file_path: join(dir, 'new.csv') }),
+        /Connection reset/
+      );
+
+      assert.strictEqual(readFileSync(filePath, 'utf8'), 'good export');
+      assert.strictEqual(existsSync(join(dir, 'new.csv')), false);
+      assert.deepStrictEqual(readdirSync(dir).filter(file => file.endsWith('.tmp')), []);
+    });
+
+    await t.test('handler reports errors without throwing', async () => {
+      const result = await importExportHandlers.gf_export_entries(
+        { form_id: 3, file_path: join(dir, 'x.xlsx'), format: 'xlsx' },
+        createMockClient()
+      );
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Invalid format: xlsx/);
+    });
+
+    await t.test('refuses paths outside the export directory', async () => {
+      const outside = join(tmpdir(), 'gravitymcp-outside.csv');
+
+      for (const filePath of [outside, '../gravitymcp-outside.csv']) {
+        await assert.rejects(
+          () => exportEntries(createMockClient(), { form_id: 3, file_path: filePath, overwrite: true }),
+          /file_path must be inside the export directory/
+        );
+      }
+      assert.strictEqual(existsSync(outside), false);
+
+      const result = await exportEntries(createMockClient(), { form_id: 3, file_path: 'relative.csv' });
+      assert.strictEqual(result.file_path, join(dir, 'relative.csv'));
+    });
+  } finally {
+    if (previousDir === undefined) {
+      delete process.env.GRAVITY_MCP_EXPORT_DIR;
+    } else {
+      process.env.GRAVITY_MCP_EXPORT_DIR = previousDir;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
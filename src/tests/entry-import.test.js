@@ -0,0 +1,231 @@
+/**
+ * Unit tests for entry import
+ * Tests CSV parsing, column mapping, dry runs and resumable batched imports
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseCsv, parseImportRows, mapColumns, buildEntryData, importEntries } from '../import-export/entry-import.js';
+import { exportEntries } from '../import-export/entry-export.js';
+
+const form = {
+  id: 3,
+  fields: [
+    {
+      id: 2,
+      type: 'name',
+      label: 'Name',
+      isRequired: true,
+      inputs: [{ id: '2.3', label: 'First' }, { id: '2.6', label: 'Last' }]
+    },
+    { id: 3, type: 'email', label: 'Email' },
+    {
+      id: 4,
+      type: 'checkbox',
+      label: 'Interests',
+      choices: [{ text: 'News', value: 'news' }, { text: 'Events', value: 'events' }],
+      inputs: [{ id: '4.1', label: 'News' }, { id: '4.2', label: 'Events' }]
+    },
+    { id: 5, type: 'multiselect', label: 'Sizes', choices: [{ text: 'S', value: 'S' }, { text: 'M', value: 'M' }] },
+    { id: 6, type: 'text', label: 'Notes', adminLabel: 'Email' }
+  ]
+};
+
+const createMockClient = ({ failOn = [] } = {}) => {
+  const created = [];
+  return {
+    created,
+    getForm: async () => ({ form }),
+    createEntry: async (data) => {
+      if (failOn.includes(data['3'])) {
+        throw new Error('gf_create_entry failed: server error');
+      }
+      created.push(data);
+      return { entry: { id: String(100 + created.length), ...data } };
+    }
+  };
+};
+
+test('parseCsv', async (t) => {
+  await t.test('handles quotes, escaped quotes, CRLF and BOM', () => {
+    const rows = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n"multi\nline",\n\n');
+    assert.deepStrictEqual(rows, [['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', '']]);
+  });
+
+  await t.test('rejects unterminated quotes', () => {
+    assert.throws(() => parseCsv('a\n"open'), /unterminated/);
+  });
+});
+
+test('parseImportRows', async (t) => {
+  await t.test('reads JSON arrays, entries objects and NDJSON', () => {
+    assert.strictEqual(parseImportRows('[{"a":1}]', 'json').rows.length, 1);
+    assert.deepStrictEqual(parseImportRows('{"entries":[{"a":1},{"b":2}]}', 'json').columns, ['a', 'b']);
+    assert.strictEqual(parseImportRows('{"a":1}\n\n{"a":2}\n', 'ndjson').rows.length, 2);
+    assert.throws(() => parseImportRows('{"a":1}\nnope', 'ndjson'), /Invalid NDJSON on line 2/);
+  });
+});
+
+test('mapColumns', async (t) => {
+  await t.test('maps IDs, export headers, labels and meta', () => {
+    const { mapping, unmapped, errors } = mapColumns(
+      ['Entry ID', 'Date Created', 'Name (First)', '2.6', 'Email', 'Interests', 'Sizes', 'Legacy Ref'],
+      form
+    );
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(mapping, {
+      'Date Created': 'date_created',
+      'Name (First)': '2.3',
+      '2.6': '2.6',
+      'Email': '3',
+      'Interests': '4',
+      'Sizes': '5'
+    });
+    assert.deepStrictEqual(unmapped, ['Legacy Ref', 'Entry ID']);
+    assert.ok(!Object.values(mapping).includes('id'));
+  });
+
+  await t.test('applies explicit mappings and reports bad ones', () => {
+    const result = mapColumns(['Ref', 'Skip', 'Bad'], form, { Ref: 'Notes', Skip: null, Bad: 99, Missing: '3' });
+
+    assert.deepStrictEqual(result.mapping, { Ref: '6' });
+    assert.deepStrictEqual(result.errors.map(e => e.column), ['Bad', 'Missing']);
+    assert.match(result.errors[0].error, /Field 99 does not exist/);
+  });
+});
+
+test('buildEntryData', async (t) => {
+  await t.test('splits checkbox and multi-select values', () => {
+    const data = buildEntryData({ I: 'Events', S: 'S, M', D: '2024-01-02 03:04:05' }, form, { I: '4', S: '5', D: 'date_created' });
+
+    assert.deepStrictEqual(data, {
+      form_id: 3,
+      '4.1': '',
+      '4.2': 'events',
+      '5': '["S","M"]',
+      date_created: '2024-01-02T03:04:05Z'
+    });
+  });
+});
+
+test('importEntries', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-import-'));
+  const previousDir = process.env.GRAVITY_MCP_EXPORT_DIR;
+  process.env.GRAVITY_MCP_EXPORT_DIR = dir;
+  const csv = [
+    'First,Last,Email,Interests',
+    'Ada,Lovelace,ada@example.com,News',
+    ',Nobody,not-an-email,',
+    'Alan,Turing,alan@example.com,"News, Events"'
+  ].join('\n');
+
+  try {
+    await t.test('dry run reports per-row errors without creating entries', async () => {
+      const filePath = join(dir, 'dry.csv');
+      writeFileSync(filePath, csv);
+      const client = createMockClient();
+
+      const result = await importEntries(client, {
+        form_id: 3,
+        file_path: filePath,
+        dry_run: true,
+        mapping: { First: '2.3', Last: '2.6' }
+      });
+
+      assert.strictEqual(result.total_rows, 3);
+      assert.strictEqual(result.valid_rows, 2);
+      assert.strictEqual(result.invalid[0].row, 2);
+      assert.ok(result.invalid[0].errors.some(e => /Invalid email/.test(e.error)));
+      assert.strictEqual(client.created.length, 0);
+      assert.strictEqual(existsSync(`${filePath}.progress.json`), false);
+    });
+
+    await t.test('imports valid rows in batches and resumes after failures', async () => {
+      const filePath = join(dir, 'import.csv');
+      writeFileSync(filePath, csv);
+      const params = { form_id: 3, file_path: filePath, batch_size: 1, mapping: { First: '2.3', Last: '2.6' } };
+
+      const first = await importEntries(createMockClient({ failOn: ['alan@example.com'] }), params);
+      assert.strictEqual(first.imported, 1);
+      assert.strictEqual(first.failed_count, 1);
+      assert.strictEqual(first.failed[0].row, 3);
+      assert.strictEqual(first.complete, false);
+
+      const progress = JSON.parse(readFileSync(first.progress_file, 'utf8'));
+      assert.deepStrictEqual(progress.imported, { 1: '101' });
+
+      const client = createMockClient();
+      const second = await importEntries(client, params);
+      assert.strictEqual(second.imported, 1);
+      assert.strictEqual(second.already_imported, 1);
+      assert.strictEqual(second.complete, true);
+      assert.strictEqual(client.created[0]['2.3'], 'Alan');
+      assert.strictEqual(client.created[0]['4.2'], 'events');
+    });
+
+    await t.test('rejects a progress log from a different import', async () => {
+      const filePath = join(dir, 'changed.csv');
+      const progressFile = join(dir, 'shared.progress.json');
+      writeFileSync(filePath, csv);
+      await importEntries(createMockClient(), { form_id: 3, file_path: filePath, progress_file: progressFile, mapping: { First: '2.3', Last: '2.6' } });
+
+      writeFileSync(filePath, `${csv}\nGrace,Hopper,grace@example.com,`);
+      await assert.rejects(
+        () => importEntries(createMockClient(), { form_id: 3, file_path: filePath, progress_file: progressFile, mapping: { First: '2.3', Last: '2.6' } }),
+        /belongs to a different import/
+      );
+    });
+
+    await t.test('round-trips a gf_export_entries CSV', async () => {
+      const exportPath = join(dir, 'export.csv');
+      const exportClient = {
+        getForm: async () => ({ form }),
+        listEntries: async () => ({
+          entries: [{ id: '7', date_created: '2024-05-06 07:08:09', '2.3': 'Grace', '2.6': 'Hopper', '3': 'grace@example.com', '4.2': 'events', '5': '["M"]' }],
+          total_count: 1
+        })
+      };
+      await exportEntries(exportClient, { form_id: 3, file_path: exportPath });
+
+      const client = createMockClient();
+      const result = await importEntries(client, { form_id: 3, file_path: exportPath });
+
+      assert.strictEqual(result.imported, 1);
+      assert.deepStrictEqual(client.created[0], {
+        form_id: 3,
+        date_created: '2024-05-06T07:08:09Z',
+        '2.3': 'Grace',
+        '2.6': 'Hopper',
+        '3': 'grace@example.com',
+        '4.1': '',
+        '4.2': 'events',
+        '5': '["M"]'
+      });
+    });
+
+    await t.test('refuses files and progress logs outside the export directory', async () => {
+      const filePath = join(dir, 'guarded.csv');
+      writeFileSync(filePath, csv);
+
+      await assert.rejects(
+        () => importEntries(createMockClient(), { form_id: 3, file_path: '/etc/passwd', format: 'csv' }),
+        /file_path must be inside the export directory/
+      );
+      await assert.rejects(
+        () => importEntries(createMockClient(), { form_id: 3, file_path: filePath, progress_file: join(tmpdir(), 'progress.json'), mapping: { First: '2.3', Last: '2.6' } }),
+        /progress_file must be inside the export directory/
+      );
+    });
+  } finally {
+    if (previousDir === undefined) {
+      delete process.env.GRAVITY_MCP_EXPORT_DIR;
+    } else {
+      process.env.GRAVITY_MCP_EXPORT_DIR = previousDir;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
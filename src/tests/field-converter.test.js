@@ -0,0 +1,147 @@
+/**
+ * Unit tests for FieldConverter
+ * Tests type conversions, input regeneration and entry migration
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { FieldManager } from '../field-operations/field-manager.js';
+import { DependencyTracker } from '../field-operations/field-dependencies.js';
+import { PositionEngine } from '../field-operations/field-positioner.js';
+import { FieldConverter } from '../field-operations/field-converter.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+
+const createForm = () => ({
+  id: 1,
+  fields: [
+    { id: 1, type: 'text', label: 'Department' },
+    { id: 2, type: 'name', label: 'Name', nameFormat: 'simple' },
+    {
+      id: 3,
+      type: 'checkbox',
+      label: 'Terms',
+      choices: [{ text: 'I accept the terms', value: 'I accept the terms' }],
+      inputs: [{ id: '3.1', label: 'I accept the terms', name: '' }]
+    },
+    { id: 4, type: 'number', label: 'Amount', numberFormat: 'decimal_dot' },
+    { id: 5, type: 'text', label: 'Contact', conditionalLogic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: '2', operator: 'isnot', value: '' }] } },
+    { id: 6, type: 'checkbox', label: 'Extras', choices: [{ text: 'A', value: 'a' }, { text: 'B', value: 'b' }], inputs: [{ id: '6.1' }, { id: '6.2' }] }
+  ]
+});
+
+const storedEntries = [
+  { id: 11, form_id: '1', '1': 'Sales', '2': 'Ada Lovelace', '3.1': 'I accept the terms', '4': '12.5' },
+  { id: 12, form_id: '1', '1': 'Support', '2': 'Grace Brewster Hopper', '3.1': '', '4': 'n/a' },
+  { id: 13, form_id: '1', '1': 'Sales', '2': '', '3.1': 'I accept the terms', '4': '' }
+];
+
+const createConverter = (entries = storedEntries) => {
+  const apiClient = {
+    saved: null,
+    updates: [],
+    getForm: async () => ({ form: createForm() }),
+    updateForm: async (form) => {
+      apiClient.saved = form;
+      return { form };
+    },
+    listEntries: async () => ({ entries: structuredClone(entries), total_count: entries.length }),
+    updateEntry: async (params) => {
+      if (params.id === 13 && apiClient.failEntry) {
+        throw new Error('Entry locked');
+      }
+      apiClient.updates.push(params);
+      return { entry: params };
+    }
+  };
+  const fieldManager = new FieldManager(apiClient, fieldRegistry, null);
+  fieldManager.dependencyTracker = new DependencyTracker();
+  fieldManager.positionEngine = new PositionEngine();
+  return { converter: new FieldConverter(fieldManager), apiClient };
+};
+
+test('FieldConverter - convertField', async (t) => {
+  await t.test('turns text into a select with choices from stored values', async () => {
+    const { converter, apiClient } = createConverter();
+
+    const result = await converter.convertField(1, 1, { to_type: 'select' });
+
+    assert.strictEqual(result.conversion, 'single_value');
+    assert.deepStrictEqual(apiClient.saved.fields[0].choices.map(c => c.value), ['Sales', 'Support']);
+    assert.strictEqual(apiClient.saved.fields[0].type, 'select');
+    assert.deepStrictEqual(apiClient.updates, []);
+  });
+
+  await t.test('reports stored values that are not among given choices', async () => {
+    const { converter, apiClient } = createConverter();
+
+    const result = await converter.convertField(1, 1, { to_type: 'radio', choices: ['Sales'], dry_run: true });
+
+    assert.strictEqual(result.dry_run, true);
+    assert.deepStrictEqual(result.entries.mismatches, { 'not a choice': 1 });
+    assert.ok(result.warnings.some(w => w.includes('1 entry holds a value that is not a choice')));
+    assert.strictEqual(apiClient.saved, null);
+  });
+
+  await t.test('splits simple names into first and last inputs', async () => {
+    const { converter, apiClient } = createConverter();
+
+    const preview = await converter.convertField(1, 2, { to_type: 'name', properties: { nameFormat: 'advanced' }, dry_run: true });
+    assert.strictEqual(preview.entries.scanned, 3);
+    assert.strictEqual(preview.entries.would_change, 2);
+    assert.deepStrictEqual(preview.entries.samples[1].after, { '2': '', '2.3': 'Grace', '2.6': 'Brewster Hopper' });
+    assert.deepStrictEqual(preview.field.inputs.map(input => input.id), ['2.2', '2.3', '2.4', '2.6', '2.8']);
+    assert.ok(preview.warnings.some(w => w.includes('1 reference(s) to field 2')));
+    assert.strictEqual(apiClient.saved, null);
+
+    const result = await converter.convertField(1, 2, { to_type: 'name', properties: { nameFormat: 'advanced' }, migrate_entries: true });
+    assert.strictEqual(apiClient.saved.fields[1].nameFormat, 'advanced');
+    assert.strictEqual(result.entries.updated, 2);
+    assert.deepStrictEqual(apiClient.updates[0], { id: 11, '2': '', '2.3': 'Ada', '2.6': 'Lovelace' });
+  });
+
+  await t.test('turns a single checkbox into consent', async () => {
+    const { converter, apiClient } = createConverter();
+    apiClient.failEntry = true;
+
+    const result = await converter.convertField(1, 3, { to_type: 'consent', migrate_entries: true });
+
+    const consent = apiClient.saved.fields[2];
+    assert.strictEqual(consent.type, 'consent');
+    assert.strictEqual(consent.checkboxLabel, 'I accept the terms');
+    assert.strictEqual(consent.choices, undefined);
+    assert.deepStrictEqual(consent.inputs.map(input => input.id), ['3.1', '3.2', '3.3']);
+    assert.deepStrictEqual(apiClient.updates, [{ id: 11, '3.1': '1', '3.2': 'I accept the terms' }]);
+    assert.strictEqual(result.entries.updated, 1);
+    assert.deepStrictEqual(result.entries.failed, [{ entry_id: 13, error: 'Entry locked' }]);
+  });
+
+  await t.test('turns a number into a user-defined price product', async () => {
+    const { converter, apiClient } = createConverter();
+
+    const result = await converter.convertField(1, 4, { to_type: 'product', dry_run: true });
+
+    assert.strictEqual(result.field.inputType, 'price');
+    assert.strictEqual(result.field.numberFormat, undefined);
+    assert.strictEqual(result.entries.would_change, 0);
+    assert.deepStrictEqual(result.entries.mismatches, { 'not a price': 1 });
+    assert.strictEqual(apiClient.saved, null);
+  });
+
+  await t.test('warns when entries are left in the old shape', async () => {
+    const { converter } = createConverter();
+
+    const result = await converter.convertField(1, 2, { to_type: 'name', properties: { nameFormat: 'normal' } });
+
+    assert.strictEqual(result.entries, undefined);
+    assert.ok(result.warnings.some(w => w.includes('keep the old storage shape')));
+  });
+
+  await t.test('rejects unsupported conversions', async () => {
+    const { converter, apiClient } = createConverter();
+
+    await assert.rejects(converter.convertField(1, 1, { to_type: 'address' }), /Can't convert field 1 from text to address. Supported: single_value/);
+    await assert.rejects(converter.convertField(1, 6, { to_type: 'consent' }), /exactly one choice/);
+    await assert.rejects(converter.convertField(1, 1, { to_type: 'sparkle' }), /Unknown field type: sparkle/);
+    assert.strictEqual(apiClient.saved, null);
+  });
+});
@@ -5,7 +5,7 @@
 
 import test from 'node:test';
 import assert from 'node:assert';
-import { DependencyTracker } from '../field-operations/field-dependencies.js';
+import { DependencyTracker, extractFieldReferences } from '../field-operations/field-dependencies.js';
 
 // Sample form with various dependencies
 const createTestForm = () => ({
@@ -279,4 +279,49 @@ test('DependencyTracker - generateDependencySummary', async (t) => {
     const summary = tracker.generateDependencySummary(dependencies);
     assert.strictEqual(summary, 'No dependencies found');
   });
-});
\ No newline at end of file
+});
+test('DependencyTracker - buildDependencyGraph', async (t) => {
+  const tracker = new DependencyTracker();
+
+  await t.test('extracts field references from merge tags', () => {
+    const references = extractFieldReferences('{Qty:4} * {:5.2} + {Total:3:value} {all_fields}');
+
+    assert.deepStrictEqual(references, [
+      { tag: '{Qty:4}', field_id: 4, input_id: null },
+      { tag: '{:5.2}', field_id: 5, input_id: '5.2' },
+      { tag: '{Total:3:value}', field_id: 3, input_id: null }
+    ]);
+  });
+
+  await t.test('collects edges from fields, notifications, confirmations and feeds', () => {
+    const form = createTestForm();
+    form.button = { conditionalLogic: { rules: [{ fieldId: '2', operator: 'is', value: 'yes' }] } };
+    const feeds = [{
+      id: 12,
+      addon_slug: 'gravityformsmailchimp',
+      meta: {
+        feed_condition_conditional_logic: '1',
+        feed_condition_conditional_logic_object: { conditionalLogic: { rules: [{ fieldId: '4', operator: '>', value: '2' }, { fieldId: 'payment_status', operator: 'is', value: 'Paid' }] } }
+      }
+    }];
+
+    const { nodes, edges } = tracker.buildDependencyGraph(form, feeds);
+    const kinds = edges.map(edge => `${edge.from.type}:${edge.from.id}->${edge.to}:${edge.kind}`);
+
+    assert.strictEqual(nodes.filter(node => node.type === 'field').length, 8);
+    assert.ok(kinds.includes('field:1->2:conditional_logic'));
+    assert.ok(kinds.includes('field:3->4:calculation'));
+    assert.ok(kinds.includes('field:7->3:merge_tag'));
+    assert.ok(kinds.includes('notification:notification_1->9:merge_tag'));
+    assert.ok(kinds.includes('confirmation:confirmation_1->1:merge_tag'));
+    assert.ok(kinds.includes('button:submit->2:conditional_logic'));
+    assert.ok(kinds.includes('feed:12->4:feed_conditional_logic'));
+    assert.strictEqual(edges.filter(edge => edge.from.type === 'feed').length, 1);
+  });
+
+  await t.test('ignores disabled feed conditions', () => {
+    const feeds = [{ id: 1, meta: { feed_condition_conditional_logic: '0', feed_condition_conditional_logic_object: { conditionalLogic: { rules: [{ fieldId: '4' }] } } } }];
+    const { edges } = tracker.buildDependencyGraph({ fields: [] }, feeds);
+    assert.strictEqual(edges.length, 0);
+  });
+});
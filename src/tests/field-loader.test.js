@@ -0,0 +1,130 @@
+/**
+ * Unit tests for FieldDefinitionLoader
+ * Tests bundle discovery, validation and merging over the registry
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FieldDefinitionLoader, mergeDefinitions, validateBundle } from '../field-definitions/loader.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+import { validateFieldProperties } from '../field-definitions/field-schema.js';
+
+const bundle = {
+  schema_version: 1,
+  version: '2.9.4',
+  fields: {
+    text: {
+      label: 'Text',
+      properties: { autocompleteAttribute: { type: 'string' } },
+      validation: { pattern: '^[A-Z]' }
+    },
+    rating: {
+      label: 'Rating',
+      category: 'advanced',
+      supportsRequired: true,
+      storage: { type: 'string', format: 'single' },
+      properties: { stars: { type: 'integer' } }
+    }
+  }
+};
+
+// Each loader merges into its own copy of the registry
+const copyRegistry = () => Object.fromEntries(Object.entries(fieldRegistry).map(([type, def]) => [type, { ...def }]));
+
+test('validateBundle', async (t) => {
+  await t.test('accepts a well-formed bundle', () => {
+    assert.deepStrictEqual(validateBundle(bundle), { isValid: true, errors: [] });
+  });
+
+  await t.test('reports every problem with its path', () => {
+    const result = validateBundle({
+      schema_version: 2,
+      version: '1',
+      fields: {
+        text: { suportsRequired: true, storage: { type: 'blob' } },
+        email: { type: 'text' }
+      }
+    });
+
+    assert.deepStrictEqual(result.errors, [
+      'bundle.schema_version must be one of: 1 (got 2)',
+      'bundle.fields.text.suportsRequired is not allowed',
+      'bundle.fields.text.storage.type must be one of: string, number, array, compound, mixed, none (got "blob")'
+    ]);
+
+    const [type, newType, pattern] = validateBundle({
+      schema_version: 1,
+      version: '1',
+      fields: { email: { type: 'text' }, rating: { label: 'Rating' }, phone: { validation: { pattern: '(' } } }
+    }).errors;
+    assert.strictEqual(type, 'bundle.fields.email.type must match its key (got "text")');
+    assert.strictEqual(newType, 'bundle.fields.rating isn\'t a built-in type, so it needs category, storage');
+    assert.match(pattern, /^bundle.fields.phone.validation.pattern is not a valid regular expression/);
+    assert.match(validateBundle({ fields: {} }).errors.join('; '), /bundle.schema_version is required; bundle.version is required/);
+  });
+});
+
+test('mergeDefinitions', async (t) => {
+  await t.test('merges over built-in types and adds new ones', () => {
+    const { definitions, sources } = mergeDefinitions(fieldRegistry, bundle.fields);
+
+    assert.strictEqual(definitions.text.label, 'Text');
+    assert.strictEqual(definitions.text.supportsRequired, true);
+    assert.ok(definitions.text.properties.enablePasswordInput, 'built-in properties are kept');
+    assert.ok(definitions.text.properties.autocompleteAttribute);
+    assert.strictEqual(definitions.text.validation.maxLength, 255);
+    assert.ok(definitions.text.validation.pattern instanceof RegExp);
+    assert.strictEqual(definitions.rating.type, 'rating');
+
+    assert.strictEqual(sources.text, 'bundle');
+    assert.strictEqual(sources.rating, 'bundle (new type)');
+    assert.strictEqual(sources.email, 'built-in');
+    assert.strictEqual(fieldRegistry.text.label, 'Single Line Text', 'the registry passed in is not modified');
+  });
+});
+
+test('FieldDefinitionLoader', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-definitions-'));
+
+  try {
+    await t.test('merges the bundle named by GF_FIELD_DEFINITIONS_PATH into the registry', async () => {
+      writeFileSync(join(dir, 'field-definitions.json'), JSON.stringify(bundle));
+      const registry = copyRegistry();
+      const loader = new FieldDefinitionLoader({ env: { GF_FIELD_DEFINITIONS_PATH: dir }, registry });
+
+      assert.strictEqual(await loader.initialize(), true);
+
+      const summary = loader.getSummary();
+      assert.deepStrictEqual(summary.bundle, { path: join(dir, 'field-definitions.json'), version: '2.9.4', schema_version: 1, source: undefined });
+      assert.strictEqual(summary.error, null);
+      assert.strictEqual(summary.sources.rating, 'bundle (new type)');
+      assert.strictEqual(loader.getSource('address'), 'built-in');
+      assert.strictEqual(registry.rating.source, 'bundle');
+      assert.ok(validateFieldProperties('rating', { stars: 5 }, registry.rating).isValid);
+    });
+
+    await t.test('keeps the built-in definitions when the bundle is broken', async () => {
+      const path = join(dir, 'broken.json');
+      writeFileSync(path, JSON.stringify({ ...bundle, schema_version: 7 }));
+      const registry = copyRegistry();
+      const loader = new FieldDefinitionLoader({ env: { GF_FIELD_DEFINITIONS_PATH: path }, registry });
+
+      assert.strictEqual(await loader.initialize(), false);
+      assert.match(loader.getSummary().error, /Invalid field definitions bundle .*broken.json: bundle.schema_version must be one of: 1/);
+      assert.strictEqual(registry.rating, undefined);
+      assert.strictEqual(loader.getSource('text'), 'built-in');
+    });
+
+    await t.test('reports a configured path that does not exist', async () => {
+      const loader = new FieldDefinitionLoader({ env: { GF_FIELD_DEFINITIONS_PATH: join(dir, 'missing.json') }, registry: copyRegistry() });
+
+      await loader.initialize();
+      assert.match(loader.getSummary().error, /GF_FIELD_DEFINITIONS_PATH points to .*missing.json, which doesn't exist/);
+    });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
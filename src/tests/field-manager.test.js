@@ -6,6 +6,9 @@
 import test from 'node:test';
 import assert from 'node:assert';
 import { FieldManager } from '../field-operations/field-manager.js';
+import { DependencyTracker } from '../field-operations/field-dependencies.js';
+import { PositionEngine } from '../field-operations/field-positioner.js';
+import { computeVersion, rememberVersion } from '../utils/versioning.js';
 
 // Mock dependencies
 const createMockApiClient = () => ({
@@ -187,6 +190,21 @@ test('FieldManager - addField', async (t) => {
     assert.strictEqual(result.position.index, 3);
   });
 
+  await t.test('inserts at index 0 when the position engine returns 0', async () => {
+    let saved;
+    const apiClient = {
+      getForm: async () => ({ form: { id: 1, fields: [{ id: 1, type: 'text', label: 'Name' }, { id: 2, type: 'email', label: 'Email' }] } }),
+      updateForm: async (form) => { saved = form; return { form }; }
+    };
+    const manager = new FieldManager(apiClient, createMockRegistry(), createMockValidator());
+    manager.positionEngine = { calculatePosition: () => 0 };
+
+    const result = await manager.addField(1, 'text', { label: 'First' }, { mode: 'prepend' });
+
+    assert.deepStrictEqual(saved.fields.map(field => field.id), [3, 1, 2]);
+    assert.strictEqual(result.position.index, 0);
+  });
+
   await t.test('rejects unknown field type', async () => {
     const apiClient = createMockApiClient();
     const registry = createMockRegistry();
@@ -337,4 +355,481 @@ test('FieldManager - deleteField', async (t) => {
     assert.strictEqual(cleanupCalled, true);
     assert.ok(result.actions_taken.includes('Dependencies cleaned up'));
   });
-});
\ No newline at end of file
+});
+test('FieldManager - cleanupDependencies', async (t) => {
+  const createDependentForm = () => ({
+    id: 1,
+    fields: [
+      { id: 1, type: 'number', label: 'Quantity' },
+      { id: 2, type: 'number', label: 'Total', enableCalculation: true, calculationFormula: '{Quantity:1} * 10 + {Fee:3}' },
+      { id: 3, type: 'number', label: 'Fee' },
+      {
+        id: 4,
+        type: 'text',
+        label: 'Notes',
+        defaultValue: 'Qty {Quantity:1}',
+        conditionalLogic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: '1', operator: '>', value: '2' }] }
+      },
+      { id: 5, type: 'page', nextButton: { conditionalLogic: { rules: [{ fieldId: '1.1', operator: 'is', value: 'x' }, { fieldId: '3', operator: 'is', value: '1' }] } } }
+    ],
+    notifications: {
+      n1: { id: 'n1', name: 'Admin', subject: 'Order for {Quantity:1:value}', message: 'Fee {Fee:3}', conditionalLogic: { rules: [{ fieldId: '1', operator: 'is', value: '1' }] } }
+    },
+    confirmations: {
+      c1: { id: 'c1', name: 'Default', message: 'You ordered {:1}' }
+    }
+  });
+
+  await t.test('rewrites every reference and lists each rewrite', () => {
+    const manager = new FieldManager(createMockApiClient(), createMockRegistry(), createMockValidator());
+    const form = createDependentForm();
+    form.fields = form.fields.filter(f => f.id != 1);
+
+    const rewrites = manager.cleanupDependencies(form, 1);
+    const fields = Object.fromEntries(form.fields.map(f => [f.id, f]));
+
+    assert.strictEqual(fields[2].calculationFormula, '0 * 10 + {Fee:3}');
+    assert.strictEqual(fields[4].defaultValue, 'Qty ');
+    assert.deepStrictEqual(fields[4].conditionalLogic.rules, []);
+    assert.strictEqual(fields[4].conditionalLogic.enabled, false);
+    assert.deepStrictEqual(fields[5].nextButton.conditionalLogic.rules, [{ fieldId: '3', operator: 'is', value: '1' }]);
+    assert.strictEqual(form.notifications.n1.subject, 'Order for ');
+    assert.strictEqual(form.notifications.n1.message, 'Fee {Fee:3}');
+    assert.strictEqual(form.confirmations.c1.message, 'You ordered ');
+
+    assert.deepStrictEqual(rewrites.map(r => `${r.location}:${r.id}:${r.kind}:${r.property}`), [
+      'field:2:calculation:calculationFormula',
+      'field:4:conditional_logic:conditionalLogic',
+      'field:4:merge_tag:defaultValue',
+      'field:5:conditional_logic:nextButton.conditionalLogic',
+      'notification:n1:conditional_logic:conditionalLogic',
+      'notification:n1:merge_tag:subject',
+      'confirmation:c1:merge_tag:message'
+    ]);
+    assert.deepStrictEqual(rewrites[0], {
+      location: 'field',
+      id: 2,
+      label: 'Total',
+      kind: 'calculation',
+      property: 'calculationFormula',
+      action: 'replaced',
+      before: '{Quantity:1} * 10 + {Fee:3}',
+      after: '0 * 10 + {Fee:3}'
+    });
+  });
+
+  await t.test('uses the given formula replacement and merge tag fallback', () => {
+    const manager = new FieldManager(createMockApiClient(), createMockRegistry(), createMockValidator());
+    const form = createDependentForm();
+
+    manager.cleanupDependencies(form, 1, { formula_replacement: '1', merge_tag_fallback: '(removed)' });
+
+    assert.strictEqual(form.fields[1].calculationFormula, '1 * 10 + {Fee:3}');
+    assert.strictEqual(form.confirmations.c1.message, 'You ordered (removed)');
+  });
+
+  await t.test('deleteField with cascade saves the rewritten form and reports rewrites', async () => {
+    let saved;
+    const apiClient = {
+      getForm: async () => ({ form: createDependentForm() }),
+      updateForm: async (form) => {
+        saved = form;
+        return { form };
+      }
+    };
+    const manager = new FieldManager(apiClient, createMockRegistry(), createMockValidator());
+    manager.dependencyTracker = new DependencyTracker();
+
+    const blocked = await manager.deleteField(1, 1);
+    assert.strictEqual(blocked.success, false);
+
+    const result = await manager.deleteField(1, 1, { cascade: true, force: true });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.rewrites.length, 7);
+    assert.ok(!saved.fields.some(f => f.id == 1));
+    assert.ok(!JSON.stringify(saved).includes(':1}'));
+  });
+
+  await t.test('deleteField with cascade still needs force when dependents would break', async () => {
+    let writes = 0;
+    const apiClient = {
+      getForm: async () => ({ form: createDependentForm() }),
+      updateForm: async (form) => {
+        writes++;
+        return { form };
+      }
+    };
+    const manager = new FieldManager(apiClient, createMockRegistry(), createMockValidator());
+    manager.dependencyTracker = new DependencyTracker();
+
+    const result = await manager.deleteField(1, 1, { cascade: true });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Field has dependencies that would break');
+    assert.match(result.suggestion, /force=true/);
+    assert.strictEqual(writes, 0);
+  });
+});
+
+test('FieldManager - moveField', async (t) => {
+  const createPagedForm = () => ({
+    id: 1,
+    pagination: { type: 'percentage' },
+    fields: [
+      { id: 1, type: 'radio', label: 'Plan', choices: [{ text: 'Pro', value: 'pro' }] },
+      { id: 2, type: 'section', label: 'Company' },
+      { id: 3, type: 'text', label: 'Company name', conditionalLogic: { rules: [{ fieldId: '1', operator: 'is', value: 'pro' }] } },
+      { id: 4, type: 'page', label: 'Next' },
+      { id: 5, type: 'text', label: 'Notes' }
+    ]
+  });
+  const createManager = () => {
+    const apiClient = {
+      saved: null,
+      getForm: async () => ({ form: createPagedForm() }),
+      updateForm: async (form) => {
+        apiClient.saved = form;
+        return { form };
+      }
+    };
+    const manager = new FieldManager(apiClient, createMockRegistry(), createMockValidator());
+    manager.dependencyTracker = new DependencyTracker();
+    manager.positionEngine = new PositionEngine();
+    return { manager, apiClient };
+  };
+
+  await t.test('moves a section with its children to another page', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.moveField(1, 2, { mode: 'append', page: 2 }, { include_children: true });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.changed, true);
+    assert.deepStrictEqual(result.moved_fields.map(f => f.id), [2, 3]);
+    assert.deepStrictEqual(result.from, { index: 1, page: 1 });
+    assert.deepStrictEqual(result.to, { index: 3, page: 2 });
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.id), [1, 4, 5, 2, 3]);
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.pageNumber), [1, 2, 2, 2, 2]);
+    assert.deepStrictEqual(result.warnings, []);
+  });
+
+  await t.test('warns when a field moves before its dependency', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.moveField(1, 3, { mode: 'prepend' });
+
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.id), [3, 1, 2, 4, 5]);
+    assert.strictEqual(result.warnings.length, 1);
+    assert.match(result.warnings[0], /Field 3 \(Company name\) now comes before field 1 \(Plan\)/);
+  });
+
+  await t.test('skips the write when nothing moves', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.moveField(1, 1, { mode: 'prepend' });
+
+    assert.strictEqual(result.changed, false);
+    assert.strictEqual(apiClient.saved, null);
+  });
+
+  await t.test('moves page breaks with their page names and never first', async () => {
+    const apiClient = {
+      saved: null,
+      getForm: async () => ({
+        form: {
+          id: 1,
+          pagination: { type: 'steps', pages: ['About you', 'Company', 'Billing'], style: 'green' },
+          fields: [
+            { id: 1, type: 'text', label: 'Name' },
+            { id: 10, type: 'page', label: 'Page Break' },
+            { id: 2, type: 'text', label: 'Company name' },
+            { id: 11, type: 'page', label: 'Page Break' },
+            { id: 3, type: 'text', label: 'Card holder' }
+          ]
+        }
+      }),
+      updateForm: async (form) => {
+        apiClient.saved = form;
+        return { form };
+      }
+    };
+    const manager = new FieldManager(apiClient, createMockRegistry(), createMockValidator());
+    manager.dependencyTracker = new DependencyTracker();
+    manager.positionEngine = new PositionEngine();
+
+    await manager.moveField(1, 11, { mode: 'after', reference: 1 }, { through_field_id: 3 });
+
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.id), [1, 11, 3, 10, 2]);
+    assert.deepStrictEqual(apiClient.saved.pagination.pages, ['About you', 'Billing', 'Company']);
+    assert.strictEqual(apiClient.saved.pagination.style, 'green');
+
+    apiClient.saved = null;
+    const first = /A page break can't be the first field/;
+    await assert.rejects(() => manager.moveField(1, 10, { mode: 'prepend' }), first);
+    await assert.rejects(() => manager.moveField(1, 10, { mode: 'index', reference: 0 }), first);
+    await assert.rejects(() => manager.moveField(1, 1, { mode: 'after', reference: 2 }), first);
+    assert.strictEqual(apiClient.saved, null);
+  });
+
+  await t.test('rejects unknown fields and invalid positions', async () => {
+    const { manager } = createManager();
+
+    await assert.rejects(() => manager.moveField(1, 99, { mode: 'append' }), /Field 99 not found in form 1/);
+    await assert.rejects(() => manager.moveField(1, 5, { mode: 'sideways' }), /Invalid position mode/);
+  });
+});
+
+test('FieldManager - duplicateField', async (t) => {
+  const createForms = () => ({
+    1: {
+      id: 1,
+      fields: [
+        { id: 1, type: 'checkbox', label: 'Extras', choices: [{ text: 'A', value: 'a' }] },
+        {
+          id: 7,
+          type: 'address',
+          label: 'Shipping address',
+          formId: 1,
+          inputName: 'ship',
+          inputs: [{ id: '7.1', label: 'Street', name: 'street' }, { id: '7.3', label: 'City', name: '' }],
+          conditionalLogic: { rules: [{ fieldId: '1', operator: 'is', value: 'a' }, { fieldId: '7.3', operator: 'isnot', value: '' }] }
+        },
+        { id: 8, type: 'creditcard', label: 'Card' }
+      ]
+    },
+    2: {
+      id: 2,
+      fields: [{ id: 11, type: 'text', label: 'Street', inputName: 'street' }]
+    }
+  });
+  const createManager = () => {
+    const forms = createForms();
+    const apiClient = {
+      saved: [],
+      getForm: async ({ id }) => ({ form: forms[id] }),
+      updateForm: async (form) => {
+        apiClient.saved.push(form);
+        return { form };
+      }
+    };
+    const registry = { ...createMockRegistry(), creditcard: { label: 'Credit Card', supportsDuplicate: false } };
+    const manager = new FieldManager(apiClient, registry, createMockValidator());
+    manager.positionEngine = new PositionEngine();
+    return { manager, apiClient };
+  };
+
+  await t.test('copies next to the original with new field and input IDs', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.duplicateField(1, 7);
+    const saved = apiClient.saved[0];
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.field.id, 9);
+    assert.deepStrictEqual(saved.fields.map(f => f.id), [1, 7, 9, 8]);
+    assert.deepStrictEqual(result.field.inputs.map(i => i.id), ['9.1', '9.3']);
+    assert.deepStrictEqual(result.id_map, { 7: '9', '7.1': '9.1', '7.3': '9.3' });
+    assert.deepStrictEqual(saved.fields[1].inputs.map(i => i.id), ['7.1', '7.3']);
+  });
+
+  await t.test('clears colliding dynamic population names', async () => {
+    const { manager } = createManager();
+
+    const result = await manager.duplicateField(1, 7);
+
+    assert.strictEqual(result.field.inputName, '');
+    assert.strictEqual(result.field.inputs[0].name, '');
+    assert.deepStrictEqual(result.cleared_input_names, [{ id: '9', name: 'ship' }, { id: '9.1', name: 'street' }]);
+  });
+
+  await t.test('remaps self-references in conditional logic', async () => {
+    const { manager } = createManager();
+
+    const result = await manager.duplicateField(1, 7, { properties: { label: 'Billing address' } });
+
+    assert.strictEqual(result.field.label, 'Billing address');
+    assert.strictEqual(result.remapped_rules, 1);
+    assert.deepStrictEqual(result.field.conditionalLogic.rules.map(r => r.fieldId), ['1', '9.3']);
+  });
+
+  await t.test('copies into another form', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.duplicateField(1, 7, { target_form_id: 2 });
+
+    assert.strictEqual(result.form_id, 2);
+    assert.strictEqual(result.field.id, 12);
+    assert.strictEqual(result.field.formId, 2);
+    assert.strictEqual(result.field.inputName, 'ship');
+    assert.deepStrictEqual(result.cleared_input_names, [{ id: '12.1', name: 'street' }]);
+    assert.deepStrictEqual(apiClient.saved[0].fields.map(f => f.id), [11, 12]);
+    assert.match(result.warnings[0], /field\(s\) 1, which don't exist in form 2/);
+  });
+
+  await t.test('can drop conditional logic', async () => {
+    const { manager } = createManager();
+
+    const result = await manager.duplicateField(1, 7, { copy_conditional_logic: false });
+    assert.strictEqual(result.field.conditionalLogic, null);
+  });
+
+  await t.test('refuses types that do not support duplication', async () => {
+    const { manager, apiClient } = createManager();
+
+    await assert.rejects(() => manager.duplicateField(1, 8), /can't be duplicated/);
+    await assert.rejects(() => manager.duplicateField(1, 99), /Field 99 not found in form 1/);
+    assert.strictEqual(apiClient.saved.length, 0);
+  });
+});
+
+test('FieldManager - applyFieldOperations', async (t) => {
+  const createManager = () => {
+    const apiClient = {
+      reads: 0,
+      writes: [],
+      getForm: async () => {
+        apiClient.reads++;
+        return {
+          form: {
+            id: 1,
+            fields: [
+              { id: 1, type: 'text', label: 'Name' },
+              { id: 2, type: 'textarea', label: 'Old notes' }
+            ]
+          }
+        };
+      },
+      updateForm: async (form) => {
+        apiClient.writes.push(form);
+        return { form };
+      }
+    };
+    const manager = new FieldManager(apiClient, createMockRegistry(), createMockValidator());
+    manager.dependencyTracker = new DependencyTracker();
+    manager.positionEngine = new PositionEngine();
+    return { manager, apiClient };
+  };
+
+  await t.test('applies every operation with one read and one write', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.applyFieldOperations(1, [
+      { op: 'add', ref: 'email', field_type: 'email', properties: { label: 'Email' } },
+      { op: 'add', field_type: 'select', properties: { label: 'Topic' }, position: { mode: 'before', reference: '@email' } },
+      { op: 'update', field_id: 1, properties: { label: 'Full name' } },
+      { op: 'delete', field_id: 2 },
+      { op: 'move', field_id: '@email', position: { mode: 'prepend' } }
+    ]);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.applied, 5);
+    assert.strictEqual(apiClient.reads, 1);
+    assert.strictEqual(apiClient.writes.length, 1);
+    assert.deepStrictEqual(result.field_ids, [3, 1, 4]);
+    assert.deepStrictEqual(apiClient.writes[0].fields.map(f => f.label), ['Email', 'Full name', 'Topic']);
+    assert.deepStrictEqual(result.operations.map(o => o.field_id ?? o.field_ids), [3, 4, 1, 2, [3]]);
+  });
+
+  await t.test('writes nothing when an operation fails', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.applyFieldOperations(1, [
+      { op: 'add', field_type: 'email', properties: { label: 'Email' } },
+      { op: 'update', field_id: 99, properties: { label: 'Missing' } },
+      { op: 'delete', field_id: 1 }
+    ]);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.failed_operation, 1);
+    assert.match(result.error, /Operation 1 \(update\) failed: Field 99 not found/);
+    assert.strictEqual(result.operations.length, 1);
+    assert.strictEqual(apiClient.writes.length, 0);
+  });
+
+  await t.test('writes nothing when the result fails validation', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.applyFieldOperations(1, [
+      { op: 'add', field_type: 'select', properties: { label: 'Topic', choices: [] } }
+    ]);
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /Choices array cannot be empty/);
+    assert.strictEqual(apiClient.writes.length, 0);
+  });
+
+  await t.test('rejects unknown operations and references', async () => {
+    const { manager, apiClient } = createManager();
+
+    const unknown = await manager.applyFieldOperations(1, [{ op: 'rename', field_id: 1 }]);
+    assert.match(unknown.error, /Unknown operation "rename"/);
+
+    const badRef = await manager.applyFieldOperations(1, [{ op: 'delete', field_id: '@nope' }]);
+    assert.match(badRef.error, /Unknown field reference @nope/);
+
+    await assert.rejects(() => manager.applyFieldOperations(1, []), /non-empty array/);
+    assert.strictEqual(apiClient.writes.length, 0);
+  });
+
+  await t.test('dry run returns the form without writing', async () => {
+    const { manager, apiClient } = createManager();
+
+    const result = await manager.applyFieldOperations(1, [{ op: 'delete', field_id: 2 }], { dry_run: true });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.written, false);
+    assert.deepStrictEqual(result.form.fields.map(f => f.id), [1]);
+    assert.strictEqual(apiClient.writes.length, 0);
+  });
+});
+
+test('FieldManager - expected_version', async (t) => {
+  const createManager = () => {
+    const stored = { id: 1, title: 'Form', fields: [{ id: 1, type: 'text', label: 'Name' }] };
+    const apiClient = {
+      stored,
+      writes: [],
+      getForm: async () => ({ form: structuredClone(apiClient.stored) }),
+      updateForm: async (form) => {
+        apiClient.writes.push(form);
+        return { form };
+      }
+    };
+    const manager = new FieldManager(apiClient, createMockRegistry(), createMockValidator());
+    manager.positionEngine = new PositionEngine();
+    return { manager, apiClient };
+  };
+
+  await t.test('passes the fetched version to the write when the expected version matches', async () => {
+    const { manager, apiClient } = createManager();
+    const version = computeVersion(apiClient.stored);
+
+    const result = await manager.addField(1, 'email', { label: 'Email' }, {}, { expected_version: version });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(apiClient.writes[0].expected_version, version);
+  });
+
+  await t.test('refuses to write a form that changed since the expected version', async () => {
+    const { manager, apiClient } = createManager();
+    const version = rememberVersion(apiClient.stored);
+    apiClient.stored = { ...apiClient.stored, title: 'Renamed elsewhere' };
+
+    await assert.rejects(
+      () => manager.moveField(1, 1, { mode: 'append' }, { expected_version: version }),
+      (error) => {
+        assert.match(error.message, /Version conflict: form 1/);
+        assert.deepStrictEqual(error.details.changes, [{ property: 'title', before: 'Form', after: 'Renamed elsewhere' }]);
+        return true;
+      }
+    );
+    assert.strictEqual(apiClient.writes.length, 0);
+  });
+
+  await t.test('writes without a version check by default', async () => {
+    const { manager, apiClient } = createManager();
+
+    await manager.updateField(1, 1, { label: 'Full name' });
+    assert.strictEqual('expected_version' in apiClient.writes[0], false);
+  });
+});
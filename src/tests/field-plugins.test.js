@@ -0,0 +1,211 @@
+/**
+ * Unit tests for field type plugins
+ * Tests loading, validation and how plugin types flow through field operations
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getPluginDirectories, loadFieldTypePlugins, validatePluginDefinition } from '../field-definitions/plugins.js';
+import { FieldDefinitionLoader } from '../field-definitions/loader.js';
+import { fieldRegistry, generateCompoundInputs } from '../field-definitions/field-registry.js';
+import { FieldManager } from '../field-operations/field-manager.js';
+import { fieldOperationHandlers } from '../field-operations/index.js';
+import FieldAwareValidator from '../config/field-validation.js';
+
+const ratingPlugin = `
+export default function register({ registerFieldType }) {
+  registerFieldType('gk_rating', {
+    label: 'Star Rating',
+    category: 'advanced',
+    supportsRequired: true,
+    storage: { type: 'number', format: 'single' },
+    properties: { maxStars: { type: 'integer' } },
+    validate: (value, field) => Number(value) >= 1 && Number(value) <= (field.maxStars || 5)
+      ? { isValid: true }
+      : { isValid: false, error: \`Rating in field \${field.id} must be 1-\${field.maxStars || 5}\` }
+  });
+}
+`;
+
+const geoPlugin = {
+  fields: {
+    gk_geo: {
+      label: 'Geolocation',
+      category: 'advanced',
+      storage: { type: 'compound', format: 'dotNotation', subInputs: { 1: 'latitude', 2: 'longitude' } },
+      variants: { map: { label: 'Map', settings: { showMap: true } } },
+      properties: { showMap: { type: 'boolean' } }
+    },
+    gk_sku: {
+      label: 'SKU',
+      category: 'standard',
+      storage: { type: 'string', format: 'single' },
+      validation: { pattern: '^[A-Z]{3}-\\d+$', message: 'SKUs look like ABC-123' }
+    }
+  }
+};
+
+test('validatePluginDefinition', async (t) => {
+  await t.test('fills in the type and compound flag', () => {
+    const entry = validatePluginDefinition('gk_geo', geoPlugin.fields.gk_geo);
+    assert.strictEqual(entry.type, 'gk_geo');
+    assert.strictEqual(entry.isCompound, true);
+    assert.strictEqual(entry.source, 'plugin');
+    assert.ok(validatePluginDefinition('gk_sku', geoPlugin.fields.gk_sku).validation.pattern instanceof RegExp);
+  });
+
+  await t.test('reports every problem with the definition', () => {
+    assert.throws(
+      () => validatePluginDefinition('gk_bad', { label: 'Bad', storage: { type: 'blob' }, validate: true, colour: 'red' }),
+      /gk_bad.storage.type must be one of: .*; gk_bad.colour is not allowed/
+    );
+    assert.throws(
+      () => validatePluginDefinition('Bad-Type', { label: 'Bad', storage: { type: 'string' }, validate: 'yes' }),
+      /Bad-Type must be lowercase letters, digits and underscores; Bad-Type needs category; Bad-Type.validate must be a function/
+    );
+  });
+});
+
+test('loadFieldTypePlugins', async (t) => {
+  await t.test('reads GRAVITY_MCP_FIELD_TYPES_DIR', () => {
+    assert.deepStrictEqual(getPluginDirectories({}), []);
+    assert.deepStrictEqual(getPluginDirectories({ GRAVITY_MCP_FIELD_TYPES_DIR: '/srv/field-types' }), ['/srv/field-types']);
+  });
+
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-field-types-'));
+
+  try {
+    writeFileSync(join(dir, 'rating.mjs'), ratingPlugin);
+    writeFileSync(join(dir, 'geo.json'), JSON.stringify(geoPlugin));
+
+    await t.test('loads JS and JSON plugins', async () => {
+      const result = await loadFieldTypePlugins([dir], fieldRegistry);
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.deepStrictEqual(result.plugins, [
+        { file: join(dir, 'geo.json'), types: ['gk_geo', 'gk_sku'] },
+        { file: join(dir, 'rating.mjs'), types: ['gk_rating'] }
+      ]);
+      assert.strictEqual(typeof result.definitions.gk_rating.validate, 'function');
+    });
+
+    await t.test('skips plugins that clash or are malformed and keeps the rest', async () => {
+      writeFileSync(join(dir, 'clash.json'), JSON.stringify({ fields: { email: { label: 'Email', category: 'standard', storage: { type: 'string' } } } }));
+      writeFileSync(join(dir, 'duplicate.json'), JSON.stringify({ fields: { gk_rating: { label: 'Rating', category: 'advanced', storage: { type: 'string' } } } }));
+      writeFileSync(join(dir, 'empty.js'), 'export default 42;');
+
+      const result = await loadFieldTypePlugins([dir, join(dir, 'missing')], fieldRegistry);
+
+      assert.deepStrictEqual(Object.keys(result.definitions).sort(), ['gk_geo', 'gk_rating', 'gk_sku']);
+      assert.strictEqual(result.errors.length, 4);
+      assert.match(result.errors[0], /clash.json: email is already a field type; use a definitions bundle to change it/);
+      assert.match(result.errors[1], /empty.js: Plugins must export a register function or an object with "fields"/);
+      assert.match(result.errors[2], /rating.mjs: gk_rating is already registered by duplicate.json/);
+      assert.match(result.errors[3], /Field type plugin directory not found/);
+    });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Plugin field types in field operations', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-field-types-'));
+  writeFileSync(join(dir, 'rating.mjs'), ratingPlugin);
+  writeFileSync(join(dir, 'geo.json'), JSON.stringify(geoPlugin));
+
+  // Plugins register into the shared registry, as they do at startup
+  const loader = new FieldDefinitionLoader({ env: { GRAVITY_MCP_FIELD_TYPES_DIR: dir } });
+  await loader.initialize();
+
+  try {
+    await t.test('reports each plugin type\'s source', () => {
+      const summary = loader.getSummary();
+      assert.deepStrictEqual(summary.pluginErrors, []);
+      assert.strictEqual(summary.sources.gk_geo, 'plugin (geo.json)');
+      assert.strictEqual(summary.sources.gk_rating, 'plugin (rating.mjs)');
+      assert.strictEqual(summary.sources.text, 'built-in');
+    });
+
+    await t.test('appear in gf_list_field_types', async () => {
+      const result = await fieldOperationHandlers.gf_list_field_types({ search: 'gk_', detail: true }, { fieldRegistry });
+      const geo = result.field_types.find(type => type.type === 'gk_geo');
+
+      assert.strictEqual(result.total, 3);
+      assert.strictEqual(geo.source, 'plugin');
+      assert.ok(geo.schema.properties.showMap);
+    });
+
+    await t.test('get compound inputs and schema checks in gf_add_field', async () => {
+      const apiClient = {
+        getForm: async () => ({ form: { id: 1, fields: [] } }),
+        updateForm: async (form) => ({ form })
+      };
+      const manager = new FieldManager(apiClient, fieldRegistry, null);
+
+      const result = await manager.addField(1, 'gk_geo', { label: 'Location', showMap: true });
+      assert.deepStrictEqual(result.field.inputs, [
+        { id: '1.1', label: 'Latitude', name: '' },
+        { id: '1.2', label: 'Longitude', name: '' }
+      ]);
+      assert.deepStrictEqual(generateCompoundInputs({ id: 4, type: 'gk_geo' }).map(input => input.id), ['4.1', '4.2']);
+
+      await assert.rejects(manager.addField(1, 'gk_rating', { maxStars: 'five' }), /maxStars must be integer/);
+    });
+
+    await t.test('flow through FieldAwareValidator', () => {
+      const form = {
+        fields: [
+          { id: 1, type: 'gk_rating', label: 'Rating', maxStars: 3 },
+          { id: 2, type: 'gk_sku', label: 'SKU' },
+          { id: 3, type: 'gk_geo', label: 'Location', isRequired: true }
+        ]
+      };
+
+      assert.ok(FieldAwareValidator.validateEntryData({ 1: '2', 2: 'ABC-12', '3.1': '51.5' }, form));
+      assert.throws(
+        () => FieldAwareValidator.validateEntryData({ 1: '4', 2: 'abc' }, form),
+        (error) => {
+          assert.match(error.message, /Rating in field 1 must be 1-3/);
+          assert.match(error.message, /Invalid value in field 2: SKUs look like ABC-123/);
+          assert.match(error.message, /Field 3 \(Location\) is required/);
+          return true;
+        }
+      );
+
+      const validated = FieldAwareValidator.validateField({ id: 3, type: 'gk_geo', label: 'Location', showMap: true });
+      assert.strictEqual(validated.field._variant, 'map');
+      assert.strictEqual(validated.field._meta.isCompound, true);
+    });
+
+    await t.test('report a throwing validator as a failed check', () => {
+      const definition = {
+        validate: () => {
+          throw new TypeError('value.trim is not a function');
+        }
+      };
+
+      assert.deepStrictEqual(
+        FieldAwareValidator.validateFieldType(42, { id: 5, type: 'gk_broken' }, definition),
+        { isValid: false, error: 'Plugin validator for gk_broken failed: value.trim is not a function' }
+      );
+    });
+
+    await t.test('check global and sticky patterns the same way every time', () => {
+      for (const pattern of [/^[A-Z]{3}-\d+$/g, /[A-Z]{3}-\d+/y]) {
+        const definition = { validation: { pattern, message: 'SKUs look like ABC-123' } };
+        const field = { id: 2, type: 'gk_sku' };
+
+        for (let i = 0; i < 3; i++) {
+          assert.deepStrictEqual(FieldAwareValidator.validateFieldType('ABC-12', field, definition), { isValid: true });
+        }
+        assert.strictEqual(FieldAwareValidator.validateFieldType('abc', field, definition).isValid, false);
+      }
+    });
+  } finally {
+    ['gk_geo', 'gk_sku', 'gk_rating'].forEach(type => delete fieldRegistry[type]);
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -288,4 +288,60 @@ test('PositionEngine - getPositionSummary', async (t) => {
     assert.strictEqual(summary.afterField, 3); // Page break field (id: 3)
     assert.strictEqual(summary.beforeField, 4); // Text field (id: 4)
   });
-});
\ No newline at end of file
+});
+test('PositionEngine - moving fields', async (t) => {
+  const engine = new PositionEngine();
+  const ids = fields => fields.map(f => f.id);
+  const createSectionFields = () => [
+    { id: 1, type: 'text' },
+    { id: 2, type: 'section' },
+    { id: 3, type: 'text' },
+    { id: 4, type: 'email' },
+    { id: 5, type: 'section' },
+    { id: 6, type: 'text' }
+  ];
+
+  await t.test('getFieldRange includes section children', () => {
+    const fields = createSectionFields();
+    assert.deepStrictEqual(engine.getFieldRange(fields, 2), { start: 1, end: 2 });
+    assert.deepStrictEqual(engine.getFieldRange(fields, 2, { include_children: true }), { start: 1, end: 4 });
+    assert.deepStrictEqual(engine.getFieldRange(fields, 5, { include_children: true }), { start: 4, end: 6 });
+  });
+
+  await t.test('getFieldRange supports explicit ranges', () => {
+    const fields = createSectionFields();
+    assert.deepStrictEqual(engine.getFieldRange(fields, 3, { through_field_id: 5 }), { start: 2, end: 5 });
+    assert.throws(() => engine.getFieldRange(fields, 4, { through_field_id: 1 }), /must run forwards/);
+    assert.throws(() => engine.getFieldRange(fields, 99), /Field 99 not found/);
+  });
+
+  await t.test('moveFields resolves the target without the moved block', () => {
+    const fields = createSectionFields();
+    const range = engine.getFieldRange(fields, 2, { include_children: true });
+
+    assert.deepStrictEqual(ids(engine.moveFields(fields, range, { mode: 'append' }).fields), [1, 5, 6, 2, 3, 4]);
+    assert.deepStrictEqual(ids(engine.moveFields(fields, range, { mode: 'prepend' }).fields), [2, 3, 4, 1, 5, 6]);
+
+    const after = engine.moveFields(fields, range, { mode: 'after', reference: 5 });
+    assert.deepStrictEqual(ids(after.fields), [1, 5, 2, 3, 4, 6]);
+    assert.strictEqual(after.index, 2);
+  });
+
+  await t.test('moveFields places fields on another page', () => {
+    const fields = createTestFields();
+    const moved = engine.moveFields(fields, engine.getFieldRange(fields, 8), { mode: 'prepend', page: 1 }, {});
+    assert.deepStrictEqual(ids(moved.fields), [8, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  await t.test('moveFields rejects references inside the block', () => {
+    const fields = createSectionFields();
+    const range = engine.getFieldRange(fields, 2, { include_children: true });
+    assert.throws(() => engine.moveFields(fields, range, { mode: 'after', reference: 3 }), /being moved/);
+    assert.throws(() => engine.moveFields(fields, range, { mode: 'after', reference: 42 }), /not found/);
+  });
+
+  await t.test('updatePageNumbers follows page breaks', () => {
+    const fields = engine.updatePageNumbers(createTestFields());
+    assert.deepStrictEqual(fields.map(f => f.pageNumber), [1, 1, 2, 2, 2, 3, 3, 3]);
+  });
+});
@@ -4,7 +4,7 @@
 
 import test from 'node:test';
 import assert from 'node:assert';
-import { generateCompoundInputs, isCompoundField, getFieldDefinition } from '../field-definitions/field-registry.js';
+import { generateCompoundInputs, isCompoundField, getFieldDefinition, detectFieldVariant } from '../field-definitions/field-registry.js';
 
 test('generateCompoundInputs - address field', async (t) => {
   await t.test('generates US address inputs', () => {
@@ -146,3 +146,15 @@ test('isCompoundField', async (t) => {
     assert.strictEqual(isCompoundField('nonexistent'), false);
   });
 });
+
+test('detectFieldVariant', async (t) => {
+  await t.test('matches the decimal number variant on Gravity Forms\' decimal_dot format', () => {
+    assert.strictEqual(detectFieldVariant({ id: 1, type: 'number', numberFormat: 'decimal_dot' }), 'decimal');
+    assert.strictEqual(detectFieldVariant({ id: 1, type: 'number', numberFormat: 'decimal' }), 'default');
+  });
+
+  await t.test('falls back to default for unmatched settings', () => {
+    assert.strictEqual(detectFieldVariant({ id: 1, type: 'number', numberFormat: 'decimal_comma' }), 'default');
+    assert.strictEqual(detectFieldVariant({ id: 1, type: 'nonexistent' }), 'default');
+  });
+});
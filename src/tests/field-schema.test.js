@@ -0,0 +1,140 @@
+/**
+ * Unit tests for field property schemas
+ * Tests schema generation from the registry and property validation
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { buildFieldSchema, validateFieldProperties } from '../field-definitions/field-schema.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+import { FieldManager } from '../field-operations/field-manager.js';
+import { fieldOperationHandlers } from '../field-operations/index.js';
+
+test('buildFieldSchema', async (t) => {
+  await t.test('combines common properties with the type\'s own', () => {
+    const schema = buildFieldSchema('address', fieldRegistry.address);
+
+    assert.strictEqual(schema.type, 'object');
+    assert.strictEqual(schema.additionalProperties, true);
+    assert.deepStrictEqual(schema.properties.addressType.enum, ['international', 'us', 'canadian']);
+    assert.ok(schema.properties.label);
+    assert.ok(schema.properties.isRequired);
+    assert.strictEqual(schema.properties.choices, undefined);
+  });
+
+  await t.test('follows the type\'s support flags', () => {
+    const html = buildFieldSchema('html', fieldRegistry.html).properties;
+    assert.ok(html.content);
+    assert.strictEqual(html.isRequired, undefined);
+    assert.strictEqual(html.placeholder, undefined);
+
+    const total = buildFieldSchema('total', fieldRegistry.total).properties;
+    assert.strictEqual(total.conditionalLogic, undefined);
+
+    const radio = buildFieldSchema('radio', fieldRegistry.radio).properties;
+    assert.strictEqual(radio.choices.type, 'array');
+    assert.ok(radio.enableOtherChoice);
+  });
+
+  await t.test('accepts every registry variant\'s settings', () => {
+    for (const [type, def] of Object.entries(fieldRegistry)) {
+      for (const [name, variant] of Object.entries(def.variants || {})) {
+        const result = validateFieldProperties(type, variant.settings, def);
+        assert.ok(result.isValid, `${type} variant ${name}: ${result.errors.join('; ')}`);
+      }
+    }
+  });
+});
+
+test('validateFieldProperties', async (t) => {
+  await t.test('accepts type-specific settings', () => {
+    const result = validateFieldProperties('number', {
+      label: 'Total weight',
+      enableCalculation: true,
+      calculationFormula: '{Boxes:3} * 2.5',
+      numberFormat: 'decimal_dot',
+      rangeMin: 0
+    }, fieldRegistry.number);
+
+    assert.deepStrictEqual(result, { isValid: true, errors: [], warnings: [] });
+  });
+
+  await t.test('rejects mistyped properties and warns about unlisted ones', () => {
+    const result = validateFieldProperties('address', {
+      addresType: 'us',
+      label: 5,
+      isRequired: 'yes',
+      nameFormat: 'simple'
+    }, fieldRegistry.address);
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors, [
+      'label must be string (got 5)',
+      'isRequired must be boolean (got "yes")'
+    ]);
+    assert.deepStrictEqual(result.warnings, [
+      'addresType is not a property of address fields; did you mean addressType?',
+      'nameFormat is not a property of address fields'
+    ]);
+  });
+
+  await t.test('rejects unlisted properties when strict', () => {
+    const result = validateFieldProperties('text', { myAddonSetting: 'on' }, fieldRegistry.text, { strict: true });
+
+    assert.deepStrictEqual(result, {
+      isValid: false,
+      errors: ['myAddonSetting is not a property of text fields'],
+      warnings: []
+    });
+    assert.strictEqual(validateFieldProperties('text', { myAddonSetting: 'on' }, fieldRegistry.text).isValid, true);
+  });
+
+  await t.test('checks enums and nested choices', () => {
+    assert.deepStrictEqual(
+      validateFieldProperties('name', { nameFormat: 'full' }, fieldRegistry.name).errors,
+      ['nameFormat must be one of: simple, normal, extended, advanced (got "full")']
+    );
+    assert.deepStrictEqual(
+      validateFieldProperties('select', { choices: [{ value: 'a' }, 'b', { text: 'C', isSelected: 'no' }] }, fieldRegistry.select).errors,
+      ['choices[0].text is required', 'choices[1] must be object (got "b")', 'choices[2].isSelected must be boolean (got "no")']
+    );
+  });
+});
+
+test('Field property schemas in field operations', async (t) => {
+  await t.test('addField rejects invalid properties before reading the form', async () => {
+    let reads = 0;
+    const manager = new FieldManager({ getForm: async () => { reads++; return { form: { id: 1, fields: [] } }; } }, fieldRegistry, null);
+
+    await assert.rejects(
+      manager.addField(1, 'date', { dateFormat: 'yyyy-mm-dd' }),
+      /Invalid properties for date field: dateFormat must be one of: mdy, dmy/
+    );
+    assert.strictEqual(reads, 0);
+  });
+
+  await t.test('addField keeps unlisted properties and returns them as warnings', async () => {
+    let saved;
+    const manager = new FieldManager({
+      getForm: async () => ({ form: { id: 1, fields: [] } }),
+      updateForm: async (form) => { saved = form; return { form }; }
+    }, fieldRegistry, null);
+
+    const result = await manager.addField(1, 'text', { label: 'Code', myAddonSetting: 'on' });
+
+    assert.strictEqual(saved.fields[0].myAddonSetting, 'on');
+    assert.deepStrictEqual(result.warnings, ['myAddonSetting is not a property of text fields']);
+    await assert.rejects(
+      manager.addField(1, 'text', { myAddonSetting: 'on' }, {}, { strict: true }),
+      /Invalid properties for text field: myAddonSetting is not a property of text fields/
+    );
+  });
+
+  await t.test('gf_list_field_types returns each type\'s schema with detail', async () => {
+    const detailed = await fieldOperationHandlers.gf_list_field_types({ search: 'address', detail: true }, { fieldRegistry });
+    assert.deepStrictEqual(detailed.field_types[0].schema, buildFieldSchema('address', fieldRegistry.address));
+
+    const summary = await fieldOperationHandlers.gf_list_field_types({ search: 'address' }, { fieldRegistry });
+    assert.strictEqual(summary.field_types[0].schema, undefined);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for the file path guard
+ * Tests resolving tool file paths inside the export directory
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, symlinkSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { DEFAULT_DATA_DIR, getDataDirectory, resolveDataPath } from '../utils/file-paths.js';
+
+test('resolveDataPath', async (t) => {
+  const root = realpathSync(mkdtempSync(join(tmpdir(), 'gravitymcp-paths-')));
+  const dir = join(root, 'data');
+  const env = { GRAVITY_MCP_EXPORT_DIR: dir };
+
+  try {
+    await t.test('defaults to gravitymcp-files in the working directory', () => {
+      assert.strictEqual(getDataDirectory({}), resolve(DEFAULT_DATA_DIR));
+      assert.strictEqual(getDataDirectory(env), dir);
+    });
+
+    await t.test('resolves relative and absolute paths inside the directory', () => {
+      assert.strictEqual(resolveDataPath('exports/entries.csv', { env }), join(dir, 'exports/entries.csv'));
+      assert.strictEqual(resolveDataPath(join(dir, 'forms.json'), { env }), join(dir, 'forms.json'));
+    });
+
+    await t.test('creates the directory when asked', () => {
+      resolveDataPath('entries.csv', { env, create: true });
+      assert.ok(realpathSync(dir));
+    });
+
+    await t.test('rejects paths that lead outside', () => {
+      for (const filePath of ['/etc/passwd', '../secrets.json', 'a/../../b.csv', join(root, 'data-other/x.csv'), '.', '']) {
+        assert.throws(() => resolveDataPath(filePath, { env, name: 'progress_file' }), /^Error: progress_file must /, filePath);
+      }
+    });
+
+    await t.test('rejects symlinks that lead outside', () => {
+      mkdirSync(join(root, 'elsewhere'));
+      symlinkSync(join(root, 'elsewhere'), join(dir, 'link'));
+      assert.throws(() => resolveDataPath('link/entries.csv', { env }), /must be inside the export directory/);
+    });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
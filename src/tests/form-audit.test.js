@@ -0,0 +1,135 @@
+/**
+ * Unit tests for form audit
+ * Tests dangling references, circular calculations and missing choice values
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { auditForm, findCalculationCycles } from '../form-analysis/form-audit.js';
+import { formAnalysisHandlers } from '../form-analysis/index.js';
+
+const createForm = () => ({
+  id: 3,
+  title: 'Order',
+  fields: [
+    {
+      id: 1,
+      type: 'radio',
+      label: 'Plan',
+      choices: [{ text: 'Basic', value: 'basic' }, { text: 'Pro', value: 'pro' }]
+    },
+    {
+      id: 2,
+      type: 'text',
+      label: 'Company',
+      conditionalLogic: { actionType: 'show', logicType: 'any', rules: [{ fieldId: '1', operator: 'is', value: 'enterprise' }, { fieldId: '1', operator: 'is', value: 'pro' }] }
+    },
+    { id: 3, type: 'number', label: 'Subtotal', enableCalculation: true, calculationFormula: '{Total:4} - {Tax:5}' },
+    { id: 4, type: 'number', label: 'Total', enableCalculation: true, calculationFormula: '{Subtotal:3} * 1.2' },
+    {
+      id: 6,
+      type: 'address',
+      label: 'Address',
+      inputs: [{ id: '6.1', label: 'Street' }, { id: '6.3', label: 'City' }]
+    }
+  ],
+  notifications: {
+    n1: { id: 'n1', name: 'Admin', message: 'City: {Address:6.3} Zip: {Address:6.5} Phone: {Phone:8}' }
+  },
+  confirmations: {
+    c1: { id: 'c1', name: 'Default', message: 'Thanks', conditionalLogic: { rules: [{ fieldId: '1', operator: 'isnot', value: 'basic' }] } }
+  }
+});
+
+test('findCalculationCycles', async (t) => {
+  await t.test('finds each cycle once', () => {
+    const edge = (from, to) => ({ from: { type: 'field', id: from }, to, kind: 'calculation' });
+    const cycles = findCalculationCycles([edge(4, 3), edge(3, 4), edge(7, 7), edge(8, 3)]);
+    assert.deepStrictEqual(cycles, [[3, 4], [7]]);
+  });
+});
+
+test('auditForm', async (t) => {
+  const feeds = [{
+    id: 9,
+    addon_slug: 'gravityformsmailchimp',
+    meta: {
+      feedName: 'Newsletter',
+      feed_condition_conditional_logic: true,
+      feed_condition_conditional_logic_object: { conditionalLogic: { rules: [{ fieldId: '11', operator: 'is', value: 'yes' }] } }
+    }
+  }];
+  const audit = auditForm(createForm(), feeds);
+  const byType = type => audit.issues.filter(issue => issue.type === type);
+
+  await t.test('flags references to deleted fields', () => {
+    const dangling = byType('dangling_reference');
+    assert.deepStrictEqual(dangling.map(issue => [issue.source.type, issue.field_id]), [['field', 5], ['notification', 8], ['feed', 11]]);
+    assert.match(dangling[2].message, /feed "Newsletter" references deleted field 11/);
+  });
+
+  await t.test('flags references to missing inputs', () => {
+    const [issue] = byType('dangling_input');
+    assert.strictEqual(issue.input_id, '6.5');
+  });
+
+  await t.test('flags circular calculations', () => {
+    const [issue] = byType('circular_calculation');
+    assert.deepStrictEqual(issue.field_ids, [3, 4]);
+    assert.strictEqual(issue.message, 'Circular calculation: 3 -> 4 -> 3');
+  });
+
+  await t.test('flags rules against missing choice values', () => {
+    const issues = byType('missing_choice_value');
+    assert.strictEqual(issues.length, 1);
+    assert.strictEqual(issues[0].value, 'enterprise');
+    assert.strictEqual(issues[0].source.id, 2);
+  });
+
+  await t.test('summarizes and indexes dependents', () => {
+    assert.strictEqual(audit.healthy, false);
+    assert.strictEqual(audit.summary.errors, 5);
+    assert.strictEqual(audit.summary.warnings, 1);
+    assert.deepStrictEqual(audit.dependents['1'].map(d => `${d.type}:${d.id}`), ['field:2', 'field:2', 'confirmation:c1']);
+  });
+
+  await t.test('reports a clean form as healthy', () => {
+    const clean = auditForm({ fields: [{ id: 1, type: 'text' }, { id: 2, type: 'text', defaultValue: '{Name:1}' }] });
+    assert.strictEqual(clean.healthy, true);
+    assert.strictEqual(clean.summary.references, 1);
+  });
+});
+
+test('gf_audit_form', async (t) => {
+  await t.test('loads the form and its feeds', async () => {
+    let feedsRequested;
+    const client = {
+      getForm: async () => ({ form: createForm() }),
+      listFormFeeds: async ({ form_id }) => {
+        feedsRequested = form_id;
+        return { feeds: [] };
+      }
+    };
+
+    const result = await formAnalysisHandlers.gf_audit_form({ form_id: 3, include_graph: false }, { resolveClient: async () => client });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(feedsRequested, 3);
+    assert.strictEqual(result.title, 'Order');
+    assert.strictEqual(result.graph, undefined);
+    assert.strictEqual(result.summary.circular_calculations, 1);
+  });
+
+  await t.test('still audits the form when feeds are unavailable', async () => {
+    const client = {
+      getForm: async () => ({ form: createForm() }),
+      listFormFeeds: async () => { throw new Error('gf_list_form_feeds failed: 403'); }
+    };
+
+    const result = await formAnalysisHandlers.gf_audit_form({ form_id: 3 }, { resolveClient: async () => client });
+
+    assert.strictEqual(result.success, true);
+    assert.match(result.feeds_error, /403/);
+    assert.ok(result.graph.edges.length > 0);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for form diff
+ * Tests field, choice, conditional logic, notification and confirmation diffs
+ * and loading forms from sites and local files
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { diffForms, diffChoices, describeConditionalLogic, isEquivalent } from '../form-analysis/form-diff.js';
+import { formAnalysisHandlers, loadFormSource } from '../form-analysis/index.js';
+
+const baseForm = {
+  id: 5,
+  title: 'Event Signup',
+  labelPlacement: 'top_label',
+  fields: [
+    { id: 1, type: 'text', label: 'Name', isRequired: true, formId: 5 },
+    {
+      id: 2,
+      type: 'select',
+      label: 'Ticket',
+      choices: [
+        { text: 'Standard', value: 'std', price: '' },
+        { text: 'VIP', value: 'vip' }
+      ]
+    },
+    {
+      id: 3,
+      type: 'textarea',
+      label: 'Dietary needs',
+      conditionalLogic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: 2, operator: 'is', value: 'vip' }] }
+    },
+    { id: 4, type: 'phone', label: 'Phone' }
+  ],
+  notifications: { n1: { id: 'n1', name: 'Admin', to: 'admin@example.com' } },
+  confirmations: { c1: { id: 'c1', name: 'Default', type: 'message', message: 'Thanks!' } }
+};
+
+const compareForm = {
+  ...baseForm,
+  id: 9,
+  title: 'Event Registration',
+  fields: [
+    { id: '1', type: 'text', label: 'Full name', isRequired: '1', formId: 9 },
+    { id: 3, type: 'textarea', label: 'Dietary needs', conditionalLogic: null },
+    {
+      id: 2,
+      type: 'select',
+      label: 'Ticket',
+      choices: [
+        { text: 'VIP Pass', value: 'vip' },
+        { text: 'Standard', value: 'std' },
+        { text: 'Student', value: 'student' }
+      ]
+    },
+    { id: 5, type: 'email', label: 'Email' }
+  ],
+  notifications: {
+    n1: { id: 'n1', name: 'Admin', to: 'events@example.com' },
+    n2: { id: 'n2', name: 'User', to: '{Email:5}' }
+  }
+};
+
+test('isEquivalent', async (t) => {
+  await t.test('compares loosely across API and file representations', () => {
+    assert.strictEqual(isEquivalent(1, '1'), true);
+    assert.strictEqual(isEquivalent(true, '1'), true);
+    assert.strictEqual(isEquivalent(null, ''), true);
+    assert.strictEqual(isEquivalent({ a: 1, b: '' }, { a: '1' }), true);
+    assert.strictEqual(isEquivalent({ a: 1 }, { a: 2 }), false);
+  });
+});
+
+test('diffChoices', async (t) => {
+  await t.test('reports added, removed, changed and reordered choices', () => {
+    const result = diffChoices(baseForm.fields[1].choices, compareForm.fields[2].choices);
+
+    assert.deepStrictEqual(result.added, [{ text: 'Student', value: 'student' }]);
+    assert.deepStrictEqual(result.removed, []);
+    assert.deepStrictEqual(result.changed, [{ value: 'vip', changes: [{ property: 'text', before: 'VIP', after: 'VIP Pass' }] }]);
+    assert.strictEqual(result.reordered, true);
+  });
+
+  await t.test('returns null for equal choices', () => {
+    assert.strictEqual(diffChoices([{ text: 'A', value: 'a' }], [{ text: 'A', value: 'a', price: '' }]), null);
+  });
+});
+
+test('describeConditionalLogic', async (t) => {
+  await t.test('summarizes rules', () => {
+    assert.strictEqual(describeConditionalLogic(baseForm.fields[2].conditionalLogic), 'show if all: field 2 is "vip"');
+    assert.strictEqual(describeConditionalLogic(null), 'none');
+  });
+});
+
+test('diffForms', async (t) => {
+  const diff = diffForms(baseForm, compareForm);
+
+  await t.test('reports settings changes', () => {
+    assert.deepStrictEqual(diff.settings, [{ property: 'title', before: 'Event Signup', after: 'Event Registration' }]);
+  });
+
+  await t.test('matches fields by ID', () => {
+    assert.deepStrictEqual(diff.fields.added, [{ id: 5, type: 'email', label: 'Email' }]);
+    assert.deepStrictEqual(diff.fields.removed, [{ id: 4, type: 'phone', label: 'Phone' }]);
+    assert.strictEqual(diff.fields.reordered, true);
+
+    const [name, ticket, dietary] = diff.fields.changed;
+    assert.deepStrictEqual(name.changes, [{ property: 'label', before: 'Name', after: 'Full name' }]);
+    assert.strictEqual(ticket.choices.added.length, 1);
+    assert.deepStrictEqual(dietary.conditional_logic, { before: 'show if all: field 2 is "vip"', after: 'none' });
+  });
+
+  await t.test('diffs notifications and confirmations by ID', () => {
+    assert.deepStrictEqual(diff.notifications.added, [{ id: 'n2', name: 'User' }]);
+    assert.deepStrictEqual(diff.notifications.changed[0].changes, [{ property: 'to', before: 'admin@example.com', after: 'events@example.com' }]);
+    assert.deepStrictEqual(diff.confirmations, { added: [], removed: [], changed: [] });
+  });
+
+  await t.test('summarizes and detects identical forms', () => {
+    assert.strictEqual(diff.identical, false);
+    assert.strictEqual(diff.summary.fields_changed, 3);
+    assert.strictEqual(diffForms(baseForm, { ...baseForm, id: 99 }).identical, true);
+  });
+});
+
+test('loadFormSource and gf_diff_forms', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-diff-'));
+  const previousDir = process.env.GRAVITY_MCP_EXPORT_DIR;
+  process.env.GRAVITY_MCP_EXPORT_DIR = dir;
+  const sites = {
+    staging: { getForm: async ({ id }) => ({ form: { ...baseForm, id } }) },
+    production: { getForm: async ({ id }) => ({ form: { ...compareForm, id } }) }
+  };
+  const resolveClient = async (site = 'staging') => sites[site];
+
+  try {
+    await t.test('loads live forms from the requested site', async () => {
+      const { form, label } = await loadFormSource({ form_id: 5, site: 'production' }, resolveClient);
+      assert.strictEqual(form.title, 'Event Registration');
+      assert.strictEqual(label, 'production:form 5');
+    });
+
+    await t.test('loads forms from export files', async () => {
+      const filePath = join(dir, 'forms.json');
+      writeFileSync(filePath, JSON.stringify({ 0: baseForm, 1: compareForm, version: '2.8' }));
+
+      const { form } = await loadFormSource({ file_path: filePath, form_id: 9 }, resolveClient);
+      assert.strictEqual(form.title, 'Event Registration');
+      await assert.rejects(() => loadFormSource({ file_path: filePath }, resolveClient), /contains 2 forms/);
+    });
+
+    await t.test('diffs the same form ID across sites', async () => {
+      const result = await formAnalysisHandlers.gf_diff_forms(
+        { base: { form_id: 5, site: 'staging' }, compare: { form_id: 5, site: 'production' } },
+        { resolveClient }
+      );
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.base, 'staging:form 5');
+      assert.strictEqual(result.summary.fields_added, 1);
+    });
+
+    await t.test('reports bad sources', async () => {
+      const result = await formAnalysisHandlers.gf_diff_forms({ base: {}, compare: { form_id: 1 } }, { resolveClient });
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /needs form_id or file_path/);
+    });
+
+    await t.test('refuses files outside the export directory', async () => {
+      await assert.rejects(
+        () => loadFormSource({ file_path: '/etc/passwd' }, resolveClient),
+        /file_path must be inside the export directory/
+      );
+    });
+  } finally {
+    if (previousDir === undefined) {
+      delete process.env.GRAVITY_MCP_EXPORT_DIR;
+    } else {
+      process.env.GRAVITY_MCP_EXPORT_DIR = previousDir;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
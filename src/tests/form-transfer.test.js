@@ -0,0 +1,209 @@
+/**
+ * Unit tests for form export/import
+ * Tests the native export document, format parsing and feed remapping with mocked clients
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildFormExport, parseFormExport, exportForms, importForms } from '../import-export/form-transfer.js';
+import { importExportHandlers } from '../import-export/index.js';
+
+const sourceForms = {
+  4: {
+    id: 4,
+    title: 'Contact',
+    version: '2.8.1',
+    date_created: '2024-01-01 00:00:00',
+    is_trash: false,
+    fields: [{ id: 1, type: 'email', label: 'Email' }],
+    notifications: { n1: { id: 'n1', name: 'Admin', to: '{admin_email}' } },
+    confirmations: { c1: { id: 'c1', type: 'message', message: 'Thanks' } }
+  },
+  7: {
+    id: 7,
+    title: 'Quote',
+    version: '2.7.0',
+    fields: [{ id: 1, type: 'text', label: 'Company' }]
+  }
+};
+
+const sourceFeeds = {
+  4: [{ id: 11, form_id: 4, addon_slug: 'gravityformsmailchimp', is_active: '1', feed_order: 0, meta: { listId: 'abc', mappedFields_EMAIL: '1' } }],
+  7: []
+};
+
+const createSourceClient = () => ({
+  listForms: async () => ({ forms: { 4: { id: 4 }, 7: { id: 7 } } }),
+  getForm: async ({ id }) => ({ form: sourceForms[id] }),
+  listFormFeeds: async ({ form_id }) => ({ feeds: sourceFeeds[form_id] })
+});
+
+const createTargetClient = ({ failTitle } = {}) => {
+  const forms = [];
+  const feeds = [];
+  return {
+    forms,
+    feeds,
+    createForm: async (form) => {
+      if (form.title === failTitle) {
+        throw new Error('gf_create_form failed: boom');
+      }
+      forms.push(form);
+      return { form: { ...form, id: 100 + forms.length } };
+    },
+    createFeed: async (feed) => {
+      feeds.push(feed);
+      return { feed: { ...feed, id: 500 + feeds.length } };
+    }
+  };
+};
+
+test('buildFormExport', async (t) => {
+  await t.test('produces the native keyed document with feeds', async () => {
+    const document = await buildFormExport(createSourceClient(), {});
+
+    assert.deepStrictEqual(Object.keys(document), ['0', '1', 'version']);
+    assert.strictEqual(document.version, '2.8.1');
+    assert.strictEqual(document['0'].title, 'Contact');
+    assert.strictEqual(document['0'].notifications.n1.name, 'Admin');
+    assert.deepStrictEqual(document['0'].feeds[0], {
+      id: 11,
+      addon_slug: 'gravityformsmailchimp',
+      is_active: '1',
+      feed_order: 0,
+      meta: { listId: 'abc', mappedFields_EMAIL: '1' }
+    });
+  });
+
+  await t.test('omits feeds when asked', async () => {
+    const document = await buildFormExport(createSourceClient(), { form_ids: [7], include_feeds: false });
+    assert.strictEqual(document['0'].feeds, undefined);
+    assert.strictEqual(document['1'], undefined);
+  });
+});
+
+test('parseFormExport', async (t) => {
+  await t.test('accepts native, forms-array, bare array and single form documents', () => {
+    assert.deepStrictEqual(parseFormExport({ 1: { id: 2 }, 0: { id: 1 }, version: '2.8' }), { version: '2.8', forms: [{ id: 1 }, { id: 2 }] });
+    assert.strictEqual(parseFormExport({ version: '2.8', forms: [{ id: 1 }] }).forms.length, 1);
+    assert.strictEqual(parseFormExport([{ id: 1 }]).forms.length, 1);
+    assert.strictEqual(parseFormExport({ title: 'Solo', fields: [] }).forms[0].title, 'Solo');
+  });
+
+  await t.test('rejects documents without forms', () => {
+    assert.throws(() => parseFormExport({ version: '2.8' }), /contains no forms/);
+  });
+});
+
+test('exportForms and importForms', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-forms-'));
+  const previousDir = process.env.GRAVITY_MCP_EXPORT_DIR;
+  process.env.GRAVITY_MCP_EXPORT_DIR = dir;
+
+  try {
+    await t.test('round-trips forms and remaps feed form IDs', async () => {
+      const filePath = join(dir, 'forms.json');
+      const exported = await exportForms(createSourceClient(), { file_path: filePath });
+      assert.deepStrictEqual(exported.forms.map(f => f.feeds), [1, 0]);
+      assert.strictEqual(JSON.parse(readFileSync(filePath, 'utf8')).version, '2.8.1');
+
+      const target = createTargetClient();
+      const result = await importForms(target, { file_path: filePath });
+
+      assert.strictEqual(result.imported, 2);
+      assert.strictEqual(target.forms[0].id, undefined);
+      assert.strictEqual(target.forms[0].date_created, undefined);
+      assert.strictEqual(target.forms[0].feeds, undefined);
+      assert.strictEqual(target.forms[0].confirmations.c1.message, 'Thanks');
+      assert.deepStrictEqual(target.feeds, [{
+        addon_slug: 'gravityformsmailchimp',
+        form_id: 101,
+        is_active: true,
+        meta: { listId: 'abc', mappedFields_EMAIL: '1' }
+      }]);
+      assert.deepStrictEqual(result.forms[0].feeds, [{ source_id: 11, id: 501, addon_slug: 'gravityformsmailchimp' }]);
+    });
+
+    await t.test('returns the document inline without a file_path', async () => {
+      const result = await exportForms(createSourceClient(), { form_ids: [4] });
+      assert.strictEqual(result.document['0'].id, 4);
+    });
+
+    await t.test('returns the same document inline as in a file, blank settings included', async () => {
+      const form = {
+        id: 4,
+        title: 'Contact',
+        fields: [{
+          id: 1,
+          type: 'name',
+          label: 'Name',
+          defaultValue: '',
+          conditionalLogic: null,
+          inputs: [{ id: '1.3', label: 'First', name: '' }, { id: '1.6', label: 'Last', name: '' }]
+        }]
+      };
+      const client = { ...createSourceClient(), getForm: async () => ({ form: structuredClone(form) }) };
+
+      const inline = await importExportHandlers.gf_export_forms({ form_ids: [4] }, client);
+      await exportForms(client, { form_ids: [4], file_path: 'inline-check.json' });
+      const file = JSON.parse(readFileSync(join(dir, 'inline-check.json'), 'utf8'));
+
+      assert.deepStrictEqual(inline.document, file);
+      assert.deepStrictEqual(inline.document['0'].fields[0], form.fields[0]);
+    });
+
+    await t.test('continues past failed forms and filters by source ID', async () => {
+      const document = await buildFormExport(createSourceClient(), {});
+      const target = createTargetClient({ failTitle: 'Contact' });
+
+      const result = await importExportHandlers.gf_import_forms({ document }, target);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.imported, 1);
+      assert.match(result.forms[0].errors[0], /boom/);
+
+      const only = await importForms(createTargetClient(), { document, form_ids: [7], include_feeds: false });
+      assert.deepStrictEqual(only.forms.map(f => f.source_id), [7]);
+    });
+
+    await t.test('reports forms whose feeds failed as a partial failure', async () => {
+      const document = await buildFormExport(createSourceClient(), {});
+      const target = {
+        ...createTargetClient(),
+        createFeed: async () => { throw new Error('Add-on not active'); }
+      };
+
+      const result = await importExportHandlers.gf_import_forms({ document }, target);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.imported, 2);
+      assert.strictEqual(result.failed, 0);
+      assert.strictEqual(result.partial, 1);
+      assert.strictEqual(result.feeds_failed, 1);
+      assert.match(result.forms[0].errors[0], /Add-on not active/);
+    });
+
+    await t.test('requires a source', async () => {
+      await assert.rejects(() => importForms(createTargetClient(), {}), /file_path or document is required/);
+    });
+
+    await t.test('refuses files outside the export directory', async () => {
+      await assert.rejects(
+        () => exportForms(createSourceClient(), { file_path: '../forms.json', overwrite: true }),
+        /file_path must be inside the export directory/
+      );
+      await assert.rejects(
+        () => importForms(createTargetClient(), { file_path: '/etc/hosts' }),
+        /file_path must be inside the export directory/
+      );
+    });
+  } finally {
+    if (previousDir === undefined) {
+      delete process.env.GRAVITY_MCP_EXPORT_DIR;
+    } else {
+      process.env.GRAVITY_MCP_EXPORT_DIR = previousDir;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -402,6 +402,42 @@ suite.test('Update Form: Should handle permission errors (403)', async () => {
   );
 });
 
+suite.test('Update Form: Should write when expected_version matches', async () => {
+  const existingForm = generateMockForm({ id: 4, title: 'Original' });
+  mockHttpClient.setMockResponse('GET', '/forms/4', new MockResponse(existingForm));
+  mockHttpClient.setMockResponse('PUT', '/forms/4', new MockResponse({ ...existingForm, title: 'Renamed' }));
+
+  const { version } = await client.getForm({ id: 4 });
+  const result = await client.updateForm({ id: 4, title: 'Renamed', expected_version: version });
+
+  const putRequest = mockHttpClient.getRequests().find(r => r.method === 'PUT');
+  TestAssert.equal(putRequest.config.data.expected_version, undefined, 'expected_version is not sent to the API');
+  TestAssert.equal(result.form.title, 'Renamed');
+  TestAssert.notEqual(result.version, version, 'A new version is returned');
+});
+
+suite.test('Update Form: Should refuse a stale expected_version and report the changes', async () => {
+  const existingForm = generateMockForm({ id: 5, title: 'Original' });
+  mockHttpClient.setMockResponse('GET', '/forms/5', new MockResponse(existingForm));
+  const { version } = await client.getForm({ id: 5 });
+
+  // Someone else renames the form
+  mockHttpClient.setMockResponse('GET', '/forms/5', new MockResponse({ ...existingForm, title: 'Changed elsewhere' }));
+
+  let error;
+  try {
+    await client.updateForm({ id: 5, description: 'Mine', expected_version: version });
+  } catch (e) {
+    error = e;
+  }
+
+  TestAssert.exists(error, 'Should throw on conflict');
+  TestAssert.isTrue(error.message.includes('Version conflict: form 5 has changed'));
+  TestAssert.equal(error.details.expected_version, version);
+  TestAssert.deepEqual(error.details.changes, [{ property: 'title', before: 'Original', after: 'Changed elsewhere' }]);
+  TestAssert.isFalse(mockHttpClient.getRequests().some(r => r.method === 'PUT'), 'No PUT after a conflict');
+});
+
 // =================================
 // DELETE FORM TESTS
 // =================================
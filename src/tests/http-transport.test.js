@@ -0,0 +1,253 @@
+/**
+ * Unit tests for the Streamable HTTP transport
+ * Tests config resolution, bearer auth and per-session routing on a local port
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { resolveTransportConfig, isAuthorized, startHttpServer } from '../transports/http.js';
+
+const TOKEN = 'test-token-123';
+
+const createTestServer = () => {
+  const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: [] }));
+  return server;
+};
+
+const initializeBody = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '1.0.0' }
+  }
+};
+
+const post = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json, text/event-stream',
+    ...headers
+  },
+  body: JSON.stringify(body)
+});
+
+test('resolveTransportConfig', async (t) => {
+  await t.test('defaults to stdio', () => {
+    const config = resolveTransportConfig([], {});
+    assert.strictEqual(config.transport, 'stdio');
+    assert.strictEqual(config.host, '127.0.0.1');
+    assert.strictEqual(config.port, 3000);
+    assert.strictEqual(config.sessionTimeout, 1800);
+    assert.strictEqual(config.maxSessions, 100);
+  });
+
+  await t.test('reads CLI flags in both forms', () => {
+    const config = resolveTransportConfig(['--transport', 'http', '--port=8080', '--host', '0.0.0.0'], {});
+    assert.strictEqual(config.transport, 'http');
+    assert.strictEqual(config.port, 8080);
+    assert.strictEqual(config.host, '0.0.0.0');
+  });
+
+  await t.test('falls back to environment variables', () => {
+    const config = resolveTransportConfig([], { MCP_TRANSPORT: 'HTTP', MCP_HTTP_PORT: '9000', MCP_HTTP_TOKEN: TOKEN });
+    assert.strictEqual(config.transport, 'http');
+    assert.strictEqual(config.port, 9000);
+    assert.strictEqual(config.token, TOKEN);
+  });
+
+  await t.test('reads session limits from the environment', () => {
+    const config = resolveTransportConfig([], { MCP_HTTP_SESSION_TIMEOUT: '0', MCP_HTTP_MAX_SESSIONS: '5' });
+    assert.strictEqual(config.sessionTimeout, 0);
+    assert.strictEqual(config.maxSessions, 5);
+
+    assert.throws(() => resolveTransportConfig([], { MCP_HTTP_SESSION_TIMEOUT: 'soon' }), /Invalid HTTP session timeout: soon/);
+    assert.throws(() => resolveTransportConfig([], { MCP_HTTP_MAX_SESSIONS: '0' }), /Invalid HTTP max sessions: 0/);
+  });
+
+  await t.test('rejects unknown transports and bad ports', () => {
+    assert.throws(() => resolveTransportConfig(['--transport', 'ws'], {}), /Invalid transport: ws/);
+    assert.throws(() => resolveTransportConfig(['--port', 'abc'], {}), /Invalid HTTP port/);
+  });
+});
+
+test('isAuthorized', async (t) => {
+  await t.test('accepts matching bearer token', () => {
+    assert.strictEqual(isAuthorized({ headers: { authorization: `Bearer ${TOKEN}` } }, TOKEN), true);
+  });
+
+  await t.test('rejects wrong, missing or non-bearer credentials', () => {
+    assert.strictEqual(isAuthorized({ headers: { authorization: 'Bearer nope' } }, TOKEN), false);
+    assert.strictEqual(isAuthorized({ headers: {} }, TOKEN), false);
+    assert.strictEqual(isAuthorized({ headers: { authorization: `Basic ${TOKEN}` } }, TOKEN), false);
+  });
+});
+
+test('startHttpServer', async (t) => {
+  await t.test('requires a token', async () => {
+    await assert.rejects(() => startHttpServer(createTestServer, { port: 0 }), /MCP_HTTP_TOKEN/);
+  });
+
+  const { address, sessions, close } = await startHttpServer(createTestServer, { port: 0, token: TOKEN });
+  const url = `http://127.0.0.1:${address.port}/mcp`;
+  const auth = { Authorization: `Bearer ${TOKEN}` };
+
+  try {
+    await t.test('rejects requests without a bearer token', async () => {
+      const response = await post(url, initializeBody);
+      assert.strictEqual(response.status, 401);
+    });
+
+    await t.test('rejects non-initialize requests without a session', async () => {
+      const response = await post(url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, auth);
+      assert.strictEqual(response.status, 400);
+    });
+
+    await t.test('opens a session on initialize and routes follow-up requests', async () => {
+      const initResponse = await post(url, initializeBody, auth);
+      assert.strictEqual(initResponse.status, 200);
+      await initResponse.text();
+
+      const sessionId = initResponse.headers.get('mcp-session-id');
+      assert.ok(sessionId);
+      assert.ok(sessions.has(sessionId));
+
+      const listResponse = await post(
+        url,
+        { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+        { ...auth, 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-03-26' }
+      );
+      assert.strictEqual(listResponse.status, 200);
+      assert.ok((await listResponse.text()).includes('"tools":[]'));
+    });
+
+    await t.test('rejects unknown session IDs', async () => {
+      const response = await post(
+        url,
+        { jsonrpc: '2.0', id: 3, method: 'tools/list' },
+        { ...auth, 'mcp-session-id': 'missing' }
+      );
+      assert.strictEqual(response.status, 404);
+    });
+
+    await t.test('returns 404 outside the MCP endpoint', async () => {
+      const response = await post(`http://127.0.0.1:${address.port}/other`, initializeBody, auth);
+      assert.strictEqual(response.status, 404);
+    });
+  } finally {
+    await close();
+  }
+});
+
+test('startHttpServer - errors and session limits', async (t) => {
+  const auth = { Authorization: `Bearer ${TOKEN}` };
+  const openSession = async (url) => {
+    const response = await post(url, initializeBody, auth);
+    await response.text();
+    return response.headers.get('mcp-session-id');
+  };
+  const listTools = (url, sessionId) => post(
+    url,
+    { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+    { ...auth, 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-03-26' }
+  );
+
+  await t.test('answers parse errors, oversized bodies and failures with their own codes', async () => {
+    let failNext = false;
+    const createServer = () => {
+      if (failNext) throw new Error('boom');
+      return createTestServer();
+    };
+    const { address, close } = await startHttpServer(createServer, { port: 0, token: TOKEN, maxBodyBytes: 1024 });
+    const url = `http://127.0.0.1:${address.port}/mcp`;
+
+    try {
+      const malformed = await fetch(url, {
+        method: 'POST',
+        headers: { ...auth, 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' },
+        body: '{"jsonrpc": "2.0",'
+      });
+      assert.strictEqual(malformed.status, 400);
+      assert.strictEqual((await malformed.json()).error.code, -32700);
+
+      const oversized = await post(url, { ...initializeBody, padding: 'x'.repeat(2048) }, auth);
+      assert.strictEqual(oversized.status, 413);
+      assert.strictEqual((await oversized.json()).error.code, -32600);
+
+      failNext = true;
+      const failed = await post(url, initializeBody, auth);
+      assert.strictEqual(failed.status, 500);
+      assert.deepStrictEqual((await failed.json()).error, { code: -32603, message: 'Internal server error' });
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('closes the least recently used session past maxSessions', async () => {
+    const { address, sessions, close } = await startHttpServer(createTestServer, { port: 0, token: TOKEN, maxSessions: 2 });
+    const url = `http://127.0.0.1:${address.port}/mcp`;
+
+    try {
+      const first = await openSession(url);
+      const second = await openSession(url);
+      await (await listTools(url, first)).text();
+
+      const third = await openSession(url);
+
+      assert.deepStrictEqual([...sessions.keys()], [first, third]);
+      assert.strictEqual((await listTools(url, second)).status, 404);
+      assert.strictEqual((await listTools(url, first)).status, 200);
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('closes sessions idle for longer than sessionTimeout', async () => {
+    const { address, sessions, close } = await startHttpServer(createTestServer, { port: 0, token: TOKEN, sessionTimeout: 0.05 });
+    const url = `http://127.0.0.1:${address.port}/mcp`;
+
+    try {
+      const sessionId = await openSession(url);
+      assert.ok(sessions.has(sessionId));
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      assert.strictEqual(sessions.size, 0);
+      assert.strictEqual((await listTools(url, sessionId)).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('keeps sessions with an open SSE stream past sessionTimeout', async () => {
+    const { address, sessions, close } = await startHttpServer(createTestServer, { port: 0, token: TOKEN, sessionTimeout: 0.05 });
+    const url = `http://127.0.0.1:${address.port}/mcp`;
+    const stream = new AbortController();
+
+    try {
+      const sessionId = await openSession(url);
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: { ...auth, 'Accept': 'text/event-stream', 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-03-26' },
+        signal: stream.signal
+      });
+      assert.strictEqual(response.status, 200);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.ok(sessions.has(sessionId));
+
+      stream.abort();
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.strictEqual(sessions.has(sessionId), false);
+    } finally {
+      stream.abort();
+      await close();
+    }
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Unit tests for PageManager
+ * Tests page breaks and pagination sync
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { FieldManager } from '../field-operations/field-manager.js';
+import { DependencyTracker } from '../field-operations/field-dependencies.js';
+import { PositionEngine } from '../field-operations/field-positioner.js';
+import { PageManager } from '../field-operations/page-manager.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+
+const createSinglePageForm = () => ({
+  id: 1,
+  fields: [
+    { id: 1, type: 'text', label: 'Name' },
+    { id: 2, type: 'section', label: 'Company' },
+    { id: 3, type: 'radio', label: 'Plan', choices: [{ text: 'Pro', value: 'pro' }] },
+    { id: 4, type: 'section', label: 'Billing' },
+    { id: 5, type: 'text', label: 'Card holder' }
+  ]
+});
+
+const createPagedForm = () => ({
+  id: 1,
+  pagination: { type: 'steps', pages: ['About you', 'Plan', 'Billing'], style: 'green' },
+  fields: [
+    { id: 1, type: 'text', label: 'Name' },
+    { id: 6, type: 'page', label: 'Page Break' },
+    { id: 3, type: 'radio', label: 'Plan', choices: [{ text: 'Pro', value: 'pro' }] },
+    { id: 7, type: 'page', label: 'Page Break', conditionalLogic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: '3', operator: 'is', value: 'pro' }] } },
+    { id: 5, type: 'text', label: 'Card holder' }
+  ]
+});
+
+const createManager = (createForm) => {
+  const apiClient = {
+    saved: null,
+    getForm: async () => ({ form: createForm() }),
+    updateForm: async (form) => {
+      apiClient.saved = form;
+      return { form };
+    }
+  };
+  const fieldManager = new FieldManager(apiClient, fieldRegistry, null);
+  fieldManager.dependencyTracker = new DependencyTracker();
+  fieldManager.positionEngine = new PositionEngine();
+  return { pageManager: new PageManager(fieldManager), apiClient };
+};
+
+test('PageManager - addPage', async (t) => {
+  await t.test('creates pagination for the first page break', async () => {
+    const { pageManager, apiClient } = createManager(createSinglePageForm);
+
+    const result = await pageManager.addPage(1, { position: { mode: 'before', reference: 4 }, page_name: 'Billing' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.page_field.id, 6);
+    assert.strictEqual(result.page_field.type, 'page');
+    assert.strictEqual(result.page_field.nextButton.text, 'Next');
+    assert.strictEqual(result.page_number, 2);
+    assert.strictEqual(result.total_pages, 2);
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.id), [1, 2, 3, 6, 4, 5]);
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.pageNumber), [1, 1, 1, 2, 2, 2]);
+    assert.deepStrictEqual(apiClient.saved.pagination.pages, ['', 'Billing']);
+    assert.strictEqual(apiClient.saved.pagination.type, 'percentage');
+    assert.strictEqual(apiClient.saved.pagination.style, 'blue');
+    assert.strictEqual(apiClient.saved.lastPageButton.text, 'Previous');
+  });
+
+  await t.test('inserts a name for the new page and keeps the others', async () => {
+    const { pageManager, apiClient } = createManager(createPagedForm);
+
+    const result = await pageManager.addPage(1, {
+      position: { mode: 'after', reference: 3 },
+      page_name: 'Review',
+      progress_bar: { style: 'custom', color: '#fff', unknown: 'ignored' }
+    });
+
+    assert.strictEqual(result.page_number, 3);
+    assert.deepStrictEqual(apiClient.saved.pagination.pages, ['About you', 'Plan', 'Review', 'Billing']);
+    assert.strictEqual(apiClient.saved.pagination.type, 'steps');
+    assert.strictEqual(apiClient.saved.pagination.style, 'custom');
+    assert.strictEqual(apiClient.saved.pagination.color, '#fff');
+    assert.strictEqual(apiClient.saved.pagination.unknown, undefined);
+    assert.ok(result.warnings.some(w => w.includes('Page 3 has no fields')));
+  });
+
+  await t.test('refuses a page break as the first field', async () => {
+    const { pageManager, apiClient } = createManager(createSinglePageForm);
+
+    await assert.rejects(
+      pageManager.addPage(1, { position: { mode: 'prepend' } }),
+      /can't be the first field/
+    );
+    assert.strictEqual(apiClient.saved, null);
+  });
+
+  await t.test('rejects page logic that references missing or display-only fields', async () => {
+    const { pageManager, apiClient } = createManager(createSinglePageForm);
+
+    await assert.rejects(
+      pageManager.addPage(1, {
+        position: { mode: 'before', reference: 4 },
+        conditional_logic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: '99', operator: 'is', value: 'x' }] }
+      }),
+      /field 99, which doesn't exist/
+    );
+    await assert.rejects(
+      pageManager.addPage(1, {
+        position: { mode: 'before', reference: 4 },
+        conditional_logic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: '2', operator: 'is', value: 'x' }] }
+      }),
+      /holds no value/
+    );
+    await assert.rejects(
+      pageManager.addPage(1, {
+        position: { mode: 'before', reference: 4 },
+        conditional_logic: { actionType: 'reveal', logicType: 'all', rules: [] }
+      }),
+      /actionType must be 'show' or 'hide'/
+    );
+    assert.strictEqual(apiClient.saved, null);
+  });
+
+  await t.test('warns when page logic uses a field that is not filled in yet', async () => {
+    const { pageManager } = createManager(createSinglePageForm);
+
+    const result = await pageManager.addPage(1, {
+      position: { mode: 'before', reference: 2 },
+      conditional_logic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: '3', operator: 'is', value: 'pro' }] }
+    });
+
+    assert.ok(result.warnings.some(w => w.includes('uses field 3 on page 2')));
+  });
+
+  await t.test('rejects unknown progress indicators', async () => {
+    const { pageManager } = createManager(createSinglePageForm);
+
+    await assert.rejects(
+      pageManager.addPage(1, { progress_indicator: 'dots' }),
+      /progress_indicator must be one of/
+    );
+  });
+});
+
+test('PageManager - removePage', async (t) => {
+  await t.test('merges a page into the previous one and drops its name', async () => {
+    const { pageManager, apiClient } = createManager(createPagedForm);
+
+    const result = await pageManager.removePage(1, { page_number: 3 });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.removed_page_field.id, 7);
+    assert.strictEqual(result.merged_into, 2);
+    assert.strictEqual(result.total_pages, 2);
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.id), [1, 6, 3, 5]);
+    assert.deepStrictEqual(apiClient.saved.pagination.pages, ['About you', 'Plan']);
+    assert.strictEqual(apiClient.saved.pagination.style, 'green');
+    assert.ok(result.warnings.some(w => w.includes('Page 3 had conditional logic')));
+  });
+
+  await t.test('removes pagination with the last page break', async () => {
+    const { pageManager, apiClient } = createManager(() => {
+      const form = createSinglePageForm();
+      form.fields.splice(3, 0, { id: 6, type: 'page' });
+      form.pagination = { type: 'percentage', pages: ['', ''] };
+      return form;
+    });
+
+    const result = await pageManager.removePage(1, { field_id: 6 });
+
+    assert.strictEqual(result.total_pages, 1);
+    assert.strictEqual(apiClient.saved.pagination, null);
+    assert.ok(apiClient.saved.fields.every(f => f.pageNumber === 1));
+  });
+
+  await t.test('explains that page 1 has no page break', async () => {
+    const { pageManager } = createManager(createPagedForm);
+
+    await assert.rejects(pageManager.removePage(1, { page_number: 1 }), /Page 1 has no page break/);
+    await assert.rejects(pageManager.removePage(1, { page_number: 5 }), /has 3 page\(s\)/);
+    await assert.rejects(pageManager.removePage(1, { field_id: 3 }), /not a page break/);
+  });
+});
+
+test('PageManager - splitIntoPages', async (t) => {
+  await t.test('starts a page at every section', async () => {
+    const { pageManager, apiClient } = createManager(createSinglePageForm);
+
+    const result = await pageManager.splitIntoPages(1, {
+      at_sections: true,
+      page_names: ['You', 'Company', 'Billing'],
+      progress_indicator: 'steps'
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.added_page_fields.map(f => f.id), [6, 7]);
+    assert.strictEqual(result.total_pages, 3);
+    assert.deepStrictEqual(apiClient.saved.fields.map(f => f.id), [1, 6, 2, 3, 7, 4, 5]);
+    assert.deepStrictEqual(apiClient.saved.pagination.pages, ['You', 'Company', 'Billing']);
+    assert.strictEqual(apiClient.saved.pagination.type, 'steps');
+  });
+
+  await t.test('keeps existing page breaks and names', async () => {
+    const { pageManager, apiClient } = createManager(createPagedForm);
+
+    const result = await pageManager.splitIntoPages(1, { before_field_ids: [5, 3, 1] });
+
+    assert.deepStrictEqual(result.added_page_fields, []);
+    assert.strictEqual(result.changed, false);
+    assert.strictEqual(result.skipped.length, 3);
+    assert.strictEqual(apiClient.saved, null);
+  });
+
+  await t.test('rejects more names than pages and unknown fields', async () => {
+    const { pageManager, apiClient } = createManager(createSinglePageForm);
+
+    await assert.rejects(
+      pageManager.splitIntoPages(1, { before_field_ids: [4], page_names: ['a', 'b', 'c'] }),
+      /3 names but the form will have 2 page/
+    );
+    await assert.rejects(
+      pageManager.splitIntoPages(1, { before_field_ids: [42] }),
+      /Field 42 not found/
+    );
+    assert.strictEqual(apiClient.saved, null);
+  });
+});
+
+test('PageManager - validatePages', async (t) => {
+  await t.test('warns when next button logic uses a later page', async () => {
+    const { pageManager } = createManager(createPagedForm);
+    const form = createPagedForm();
+    form.fields[1].nextButton = {
+      conditionalLogic: { actionType: 'show', logicType: 'any', rules: [{ fieldId: '5', operator: 'isnot', value: '' }] }
+    };
+
+    const { errors, warnings } = pageManager.validatePages(form);
+
+    assert.deepStrictEqual(errors, []);
+    assert.ok(warnings.some(w => w.includes('page 1 next button') && w.includes('field 5 on page 3')));
+  });
+
+  await t.test('only fails on the page breaks an operation adds', async () => {
+    // Field 9 was deleted without cleaning up page 3's logic
+    const createBrokenForm = () => {
+      const form = createPagedForm();
+      form.fields[3].conditionalLogic.rules.push({ fieldId: '9', operator: 'is', value: 'x' });
+      return form;
+    };
+    const { pageManager, apiClient } = createManager(createBrokenForm);
+
+    assert.match(pageManager.validatePages(createBrokenForm()).errors[0], /field 9, which doesn't exist/);
+
+    const result = await pageManager.addPage(1, { position: { mode: 'before', reference: 5 } });
+
+    assert.strictEqual(result.success, true);
+    assert.ok(apiClient.saved);
+    assert.ok(result.warnings.includes('page 3 (field 7): rule[1] references field 9, which doesn\'t exist (already in the form)'));
+
+    await assert.rejects(
+      pageManager.addPage(1, {
+        position: { mode: 'before', reference: 5 },
+        conditional_logic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: '2', operator: 'is', value: 'x' }] }
+      }),
+      /Page validation failed: page 4 \(field 8\): rule\[0\] references field 2, which doesn't exist$/
+    );
+  });
+});
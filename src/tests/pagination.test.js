@@ -0,0 +1,155 @@
+/**
+ * Unit tests for entry pagination
+ * Tests page walking, max_entries limits and cursor resumption with a mocked client
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+  STABLE_ENTRY_SORTING,
+  buildEntryQuery,
+  encodeCursor,
+  decodeCursor,
+  iterateEntryPages,
+  collectEntries
+} from '../utils/pagination.js';
+
+/**
+ * Mock client paging through entries with IDs 1..total
+ */
+const createMockClient = (total) => {
+  const entries = Array.from({ length: total }, (_, i) => ({ id: String(i + 1), form_id: '1' }));
+  const calls = [];
+  return {
+    entries,
+    calls,
+    listEntries: async (params) => {
+      calls.push(params);
+      const { page_size: size, current_page: page } = params.paging;
+      return {
+        entries: entries.slice((page - 1) * size, page * size),
+        total_count: entries.length
+      };
+    }
+  };
+};
+
+const ids = (entries) => entries.map(entry => Number(entry.id));
+
+test('buildEntryQuery', async (t) => {
+  await t.test('keeps filters and defaults to stable sorting', () => {
+    const query = buildEntryQuery({ form_ids: [1], paging: { page_size: 5 }, max_entries: 10, compact: false });
+    assert.deepStrictEqual(query, { form_ids: [1], sorting: STABLE_ENTRY_SORTING });
+  });
+
+  await t.test('respects explicit sorting', () => {
+    const sorting = { key: 'date_created', direction: 'DESC' };
+    assert.strictEqual(buildEntryQuery({ sorting }).sorting, sorting);
+  });
+});
+
+test('cursors', async (t) => {
+  const query = buildEntryQuery({ form_ids: [1], search: { field_filters: [{ key: '1', value: 'a' }] } });
+
+  await t.test('round-trip for the same query', () => {
+    const cursor = encodeCursor(query, { page: 3, page_size: 50, last_id: '120' });
+    const reordered = buildEntryQuery({ search: { field_filters: [{ value: 'a', key: '1' }] }, form_ids: [1] });
+    assert.deepStrictEqual(decodeCursor(cursor, reordered), { page: 3, page_size: 50, last_id: '120' });
+  });
+
+  await t.test('rejects cursors from a different query', () => {
+    const cursor = encodeCursor(query, { page: 2, page_size: 50 });
+    const other = buildEntryQuery({ form_ids: [1], search: { field_filters: [{ key: '1', value: 'b' }] } });
+    assert.throws(() => decodeCursor(cursor, other), /Cursor does not match this query/);
+  });
+
+  await t.test('rejects malformed cursors', () => {
+    assert.throws(() => decodeCursor('not-a-cursor', query), /Invalid cursor/);
+    assert.throws(() => decodeCursor(Buffer.from('{"v":9}').toString('base64url'), query), /unsupported format/);
+  });
+});
+
+test('iterateEntryPages', async (t) => {
+  await t.test('walks pages until total_count is reached', async () => {
+    const client = createMockClient(25);
+    const chunks = [];
+    for await (const chunk of iterateEntryPages(client, buildEntryQuery({ form_ids: [1] }), { page_size: 10 })) {
+      chunks.push(chunk);
+    }
+
+    assert.deepStrictEqual(chunks.map(c => c.entries.length), [10, 10, 5]);
+    assert.deepStrictEqual(chunks.map(c => c.done), [false, false, true]);
+    assert.deepStrictEqual(client.calls.map(c => c.paging.current_page), [1, 2, 3]);
+    assert.deepStrictEqual(client.calls[0].sorting, STABLE_ENTRY_SORTING);
+  });
+
+  await t.test('stops after an exactly full last page', async () => {
+    const client = createMockClient(20);
+    let pages = 0;
+    for await (const chunk of iterateEntryPages(client, {}, { page_size: 10 })) {
+      pages++;
+      assert.strictEqual(chunk.done, pages === 2);
+    }
+    assert.strictEqual(client.calls.length, 2);
+  });
+});
+
+test('collectEntries', async (t) => {
+  await t.test('returns every entry when under the limit', async () => {
+    const client = createMockClient(450);
+    const result = await collectEntries(client, { form_ids: [1], all_pages: true });
+
+    assert.strictEqual(result.returned, 450);
+    assert.strictEqual(result.total_count, 450);
+    assert.strictEqual(result.pages_fetched, 3);
+    assert.strictEqual(result.complete, true);
+    assert.strictEqual(result.next_cursor, null);
+    assert.strictEqual(client.calls[0].paging.page_size, 200);
+  });
+
+  await t.test('resumes mid-page from next_cursor without gaps or duplicates', async () => {
+    const client = createMockClient(25);
+    const params = { form_ids: [1], paging: { page_size: 10 }, max_entries: 7 };
+
+    const seen = [];
+    let cursor;
+    let calls = 0;
+    do {
+      const result = await collectEntries(client, { ...params, cursor });
+      seen.push(...ids(result.entries));
+      cursor = result.next_cursor;
+      calls++;
+    } while (cursor);
+
+    assert.deepStrictEqual(seen, Array.from({ length: 25 }, (_, i) => i + 1));
+    assert.strictEqual(calls, 4);
+  });
+
+  await t.test('hands back a cursor at a page boundary', async () => {
+    const client = createMockClient(30);
+    const first = await collectEntries(client, { paging: { page_size: 10 }, max_entries: 10 });
+
+    assert.strictEqual(first.complete, false);
+    assert.deepStrictEqual(decodeCursor(first.next_cursor, buildEntryQuery({})), { page: 2, page_size: 10, last_id: '10' });
+
+    const second = await collectEntries(client, { max_entries: 10, cursor: first.next_cursor });
+    assert.deepStrictEqual(ids(second.entries), [11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+  });
+
+  await t.test('skips entries already returned when a page shifts', async () => {
+    const client = createMockClient(30);
+    const first = await collectEntries(client, { paging: { page_size: 10 }, max_entries: 10 });
+
+    // Two entries added ahead of the walk (e.g. newest-first sorting): entry 10 now sits on page 2
+    client.entries.unshift({ id: '32', form_id: '1' }, { id: '31', form_id: '1' });
+    const second = await collectEntries(client, { max_entries: 5, cursor: first.next_cursor });
+
+    assert.deepStrictEqual(ids(second.entries), [11, 12, 13, 14, 15]);
+  });
+
+  await t.test('validates max_entries', async () => {
+    const client = createMockClient(5);
+    await assert.rejects(() => collectEntries(client, { max_entries: 0 }), /max_entries must be a positive integer/);
+    await assert.rejects(() => collectEntries(client, { max_entries: 6000 }), /max_entries cannot exceed 5000/);
+  });
+});
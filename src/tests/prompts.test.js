@@ -0,0 +1,95 @@
+/**
+ * Unit tests for MCP prompts
+ * Tests prompt listing and live-data prompt building with a mocked client
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { promptDefinitions, promptHandlers } from '../prompts/index.js';
+
+const createMockClient = () => {
+  const calls = [];
+  return {
+    calls,
+    listForms: async () => ({ forms: { 1: { id: 1, title: 'Newsletter' } } }),
+    getForm: async ({ id }) => ({
+      form: {
+        id,
+        title: 'Support',
+        fields: [
+          { id: 1, type: 'radio', label: 'Topic', choices: [{ text: 'Billing', value: 'billing' }] },
+          { id: 2, type: 'text', label: 'Invoice', conditionalLogic: { actionType: 'show', logicType: 'all', rules: [{ fieldId: 1, operator: 'is', value: 'billing' }] } }
+        ]
+      }
+    }),
+    listEntries: async (params) => {
+      calls.push(params);
+      return {
+        entries: [{ id: 10, form_id: params.form_ids[0], '1': 'billing', '2': '', plugin_meta: 'x' }],
+        total_count: 3
+      };
+    }
+  };
+};
+
+test('promptHandlers.listPrompts', async (t) => {
+  await t.test('lists all prompt definitions', async () => {
+    const { prompts } = await promptHandlers.listPrompts();
+    assert.strictEqual(prompts, promptDefinitions);
+    assert.deepStrictEqual(
+      prompts.map(p => p.name),
+      ['build_contact_form', 'audit_conditional_logic', 'summarize_recent_entries']
+    );
+  });
+});
+
+test('promptHandlers.getPrompt', async (t) => {
+  await t.test('build_contact_form mentions existing forms and requirements', async () => {
+    const result = await promptHandlers.getPrompt(
+      'build_contact_form',
+      { title: 'Get in touch', requirements: 'a phone number' },
+      createMockClient()
+    );
+    const text = result.messages[0].content.text;
+
+    assert.ok(text.includes('"Get in touch"'));
+    assert.ok(text.includes('a phone number'));
+    assert.ok(text.includes('Newsletter'));
+    assert.ok(text.includes('email (Email)'));
+  });
+
+  await t.test('audit_conditional_logic embeds the form as a resource', async () => {
+    const result = await promptHandlers.getPrompt('audit_conditional_logic', { form_id: '5' }, createMockClient());
+    const [resourceMessage, textMessage] = result.messages;
+
+    assert.strictEqual(resourceMessage.content.type, 'resource');
+    assert.strictEqual(resourceMessage.content.resource.uri, 'gf://forms/5');
+    assert.ok(textMessage.content.text.includes('1 of 2 fields use conditional logic'));
+  });
+
+  await t.test('summarize_recent_entries searches by date and compacts entries', async () => {
+    const client = createMockClient();
+    const result = await promptHandlers.getPrompt('summarize_recent_entries', { form_id: '5', days: '3' }, client);
+    const text = result.messages[1].content.text;
+
+    assert.deepStrictEqual(client.calls[0].form_ids, [5]);
+    assert.match(client.calls[0].search.start_date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.ok(text.includes('last 3 day(s)'));
+    assert.ok(text.includes('showing the 1 most recent'));
+    assert.ok(!text.includes('plugin_meta'));
+  });
+
+  await t.test('rejects missing form_id', async () => {
+    await assert.rejects(
+      () => promptHandlers.getPrompt('audit_conditional_logic', {}, createMockClient()),
+      /form_id must be a positive integer/
+    );
+  });
+
+  await t.test('rejects unknown prompts', async () => {
+    await assert.rejects(
+      () => promptHandlers.getPrompt('nope', {}, createMockClient()),
+      /Unknown prompt: nope/
+    );
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for readable entries
+ * Tests decoding stored values and keying them by field label
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { formatEntryReadable, formatReadableResponse, readFieldValue, unserializePhp } from '../utils/readable-entry.js';
+
+const form = {
+  id: 3,
+  fields: [
+    {
+      id: 1,
+      type: 'name',
+      label: 'Full Name',
+      inputs: [{ id: '1.3', label: 'First' }, { id: '1.6', label: 'Last' }, { id: '1.8', label: 'Suffix', isHidden: true }]
+    },
+    {
+      id: 2,
+      type: 'address',
+      label: 'Address',
+      inputs: [{ id: '2.1', label: 'Street Address' }, { id: '2.3', label: 'City' }, { id: '2.5', label: 'ZIP Code', customLabel: 'Postcode' }]
+    },
+    {
+      id: 3,
+      type: 'checkbox',
+      label: 'Interests',
+      choices: [{ text: 'Mathematics', value: 'math' }, { text: 'Engines', value: 'engines' }, { text: 'Poetry', value: 'poetry' }],
+      inputs: [{ id: '3.1', label: 'Mathematics' }, { id: '3.2', label: 'Engines' }, { id: '3.3', label: 'Poetry' }]
+    },
+    { id: 4, type: 'radio', label: 'Plan', choices: [{ text: 'Pro plan', value: 'pro' }] },
+    { id: 5, type: 'multiselect', label: 'Topics', choices: [{ text: 'Analysis', value: 'a' }, { text: 'Bernoulli', value: 'b' }] },
+    { id: 6, type: 'list', label: 'Notes' },
+    { id: 7, type: 'fileupload', label: 'Files', multipleFiles: true },
+    { id: 8, type: 'html', label: 'Intro' },
+    { id: 9, type: 'text', label: 'Plan' },
+    { id: 10, type: 'email', label: 'Email' }
+  ]
+};
+
+const entry = {
+  id: 12,
+  form_id: 3,
+  date_created: '2026-01-05 10:00:00',
+  '1.3': 'Ada',
+  '1.6': 'Lovelace',
+  '2.1': '12 St James\'s Square',
+  '2.3': 'London',
+  '2.5': 'SW1Y 4JH',
+  '3.1': 'math',
+  '3.2': 'engines',
+  '3.3': '',
+  4: 'pro',
+  5: '["a","b"]',
+  6: 'a:2:{i:0;s:5:"Notes";i:1;s:10:"Café menu";}',
+  7: '["https://example.com/a.pdf","https://example.com/b.pdf"]',
+  9: 'Enterprise',
+  10: ''
+};
+
+test('unserializePhp', async (t) => {
+  await t.test('reads lists, keyed arrays and scalars', () => {
+    assert.deepStrictEqual(unserializePhp('a:2:{i:0;s:5:"Notes";i:1;s:10:"Café menu";}'), ['Notes', 'Café menu']);
+    assert.deepStrictEqual(
+      unserializePhp('a:1:{i:0;a:2:{s:4:"Item";s:3:"Tea";s:3:"Qty";i:2;}}'),
+      [{ Item: 'Tea', Qty: 2 }]
+    );
+    assert.deepStrictEqual(unserializePhp('a:3:{i:0;b:1;i:1;N;i:2;d:1.5;}'), [true, null, 1.5]);
+  });
+
+  await t.test('rejects malformed input', () => {
+    assert.throws(() => unserializePhp('a:1:{i:0;s:9:"short";}'), /Invalid serialized value/);
+    assert.throws(() => unserializePhp('O:8:"stdClass":0:{}'), /Unsupported serialized type "O"/);
+  });
+});
+
+test('readFieldValue', async (t) => {
+  await t.test('uses the registry sub-inputs when the form has no inputs', () => {
+    assert.deepStrictEqual(
+      readFieldValue({ id: 4, type: 'creditcard' }, { '4.1': 'XXXXXXXXXXXX4242', '4.5': 'Visa' }),
+      { 'Card number': 'XXXXXXXXXXXX4242', 'Card type': 'Visa' }
+    );
+  });
+
+  await t.test('joins name parts in input order', () => {
+    const field = {
+      id: 1,
+      type: 'name',
+      inputs: [{ id: '1.2', label: 'Prefix' }, { id: '1.3', label: 'First' }, { id: '1.4', label: 'Middle' }, { id: '1.6', label: 'Last' }]
+    };
+    assert.strictEqual(readFieldValue(field, { '1.6': 'Lovelace', '1.2': 'Countess', '1.3': 'Ada' }), 'Countess Ada Lovelace');
+    assert.strictEqual(readFieldValue(field, { '1.4': '' }), null);
+  });
+
+  await t.test('keeps the price on priced choices and unknown values as stored', () => {
+    const field = { id: 2, type: 'option', choices: [{ text: 'Gift wrap', value: 'wrap', price: '$5.00' }] };
+    assert.strictEqual(readFieldValue(field, { 2: 'wrap|5' }), 'Gift wrap (5)');
+    assert.strictEqual(readFieldValue(field, { 2: 'ribbon' }), 'ribbon');
+  });
+
+  await t.test('reads single file uploads and multi-column lists', () => {
+    assert.strictEqual(readFieldValue({ id: 1, type: 'fileupload' }, { 1: 'https://example.com/a.pdf' }), 'https://example.com/a.pdf');
+    assert.deepStrictEqual(
+      readFieldValue({ id: 1, type: 'list', enableColumns: true }, { 1: 'a:1:{i:0;a:1:{s:4:"Item";s:3:"Tea";}}' }),
+      [{ Item: 'Tea' }]
+    );
+  });
+});
+
+test('formatEntryReadable', async (t) => {
+  await t.test('keys values by label and decodes them', () => {
+    const readable = formatEntryReadable(entry, form);
+
+    assert.strictEqual(readable.id, 12);
+    assert.strictEqual(readable['1.3'], undefined);
+    assert.deepStrictEqual(readable.fields, {
+      'Full Name': 'Ada Lovelace',
+      Address: { 'Street Address': '12 St James\'s Square', City: 'London', Postcode: 'SW1Y 4JH' },
+      Interests: ['Mathematics', 'Engines'],
+      Plan: 'Pro plan',
+      Topics: ['Analysis', 'Bernoulli'],
+      Notes: ['Notes', 'Café menu'],
+      Files: ['https://example.com/a.pdf', 'https://example.com/b.pdf'],
+      'Plan [9]': 'Enterprise',
+      Email: null
+    });
+  });
+});
+
+test('formatReadableResponse', async (t) => {
+  await t.test('reads each form once for a page of entries', async () => {
+    const requested = [];
+    const getForm = async (formId) => {
+      requested.push(formId);
+      return form;
+    };
+
+    const result = await formatReadableResponse({ entries: [entry, { ...entry, id: 13, 4: '' }], total_count: 2 }, getForm);
+
+    assert.deepStrictEqual(requested, [3]);
+    assert.strictEqual(result.total_count, 2);
+    assert.strictEqual(result.entries[1].fields.Plan, null);
+
+    const single = await formatReadableResponse({ entry, version: 'v1' }, getForm);
+    assert.strictEqual(single.version, 'v1');
+    assert.deepStrictEqual(single.entry.fields.Interests, ['Mathematics', 'Engines']);
+  });
+});
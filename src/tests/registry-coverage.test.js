@@ -0,0 +1,136 @@
+/**
+ * Unit tests for registry coverage
+ * Tests unknown types, unclassified variants and compound input layouts
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { checkRegistryCoverage, compareCompoundInputs, findUnclassifiedVariant } from '../form-analysis/registry-coverage.js';
+import { formAnalysisHandlers } from '../form-analysis/index.js';
+import { fieldRegistry } from '../field-definitions/field-registry.js';
+
+const inputs = (fieldId, subIds) => subIds.map(subId => ({ id: `${fieldId}.${subId}`, label: `Input ${subId}` }));
+
+const createForms = () => [
+  {
+    id: 1,
+    title: 'Contact',
+    fields: [
+      { id: 1, type: 'text', label: 'Company' },
+      { id: 2, type: 'number', label: 'Budget', numberFormat: 'decimal_comma' },
+      { id: 3, type: 'consent', label: 'Terms', inputs: inputs(3, [1, 2, 3]) },
+      { id: 4, type: 'gpnf', label: 'Children' }
+    ]
+  },
+  {
+    id: 2,
+    title: 'Order',
+    fields: [
+      { id: 1, type: 'address', label: 'Ship to', addressType: 'us', inputs: inputs(1, [1, 2, 3, 4, 5, 6]) },
+      { id: 2, type: 'consent', label: 'Privacy', inputs: inputs(2, [1, 2, 3]) },
+      { id: 3, type: 'phone', label: 'Phone' },
+      { id: 4, type: 'number', label: 'Quantity', numberFormat: 'decimal_dot' }
+    ]
+  }
+];
+
+test('findUnclassifiedVariant', async (t) => {
+  await t.test('accepts fields a variant describes', () => {
+    assert.strictEqual(findUnclassifiedVariant({ type: 'number', numberFormat: 'currency' }, fieldRegistry.number), null);
+    assert.strictEqual(findUnclassifiedVariant({ type: 'select', enableEnhancedUI: false }, fieldRegistry.select), null);
+    assert.strictEqual(findUnclassifiedVariant({ type: 'hidden' }, fieldRegistry.hidden), null);
+  });
+
+  await t.test('returns the settings no variant matches', () => {
+    assert.deepStrictEqual(
+      findUnclassifiedVariant({ type: 'number', numberFormat: 'decimal_comma' }, fieldRegistry.number),
+      { numberFormat: 'decimal_comma' }
+    );
+    assert.deepStrictEqual(findUnclassifiedVariant({ type: 'phone' }, fieldRegistry.phone), { phoneFormat: null });
+  });
+});
+
+test('compareCompoundInputs', async (t) => {
+  await t.test('matches layouts with the registry\'s sub-inputs', () => {
+    assert.strictEqual(compareCompoundInputs({ id: 5, type: 'address', inputs: inputs(5, [1, 2, 3, 4, 5, 6]) }), null);
+    assert.strictEqual(compareCompoundInputs({ id: 5, type: 'checkbox', inputs: inputs(5, [1, 2]) }), null);
+  });
+
+  await t.test('reports missing and unmodeled inputs', () => {
+    assert.deepStrictEqual(compareCompoundInputs({ id: 5, type: 'name', inputs: inputs(5, [3, 6, 7]) }), {
+      inputs: ['3', '6', '7'],
+      missing: ['2', '4', '8'],
+      unmodeled: ['7']
+    });
+    assert.deepStrictEqual(compareCompoundInputs({ id: 5, type: 'consent' }).missing, ['1', '2']);
+  });
+
+  await t.test('skips simple name fields, which store one value and have no inputs', () => {
+    assert.strictEqual(compareCompoundInputs({ id: 5, type: 'name', nameFormat: 'simple', inputs: null }), null);
+    assert.strictEqual(compareCompoundInputs({ id: 5, type: 'name', nameFormat: 'simple' }), null);
+    assert.deepStrictEqual(compareCompoundInputs({ id: 5, type: 'name', nameFormat: 'advanced' }).missing, ['2', '3', '4', '6', '8']);
+
+    const coverage = checkRegistryCoverage([{ id: 9, fields: [{ id: 1, type: 'name', label: 'Name', nameFormat: 'simple', inputs: null }] }]);
+    assert.strictEqual(coverage.fully_modeled, true);
+  });
+});
+
+test('checkRegistryCoverage', async (t) => {
+  await t.test('groups gaps by type and layout', () => {
+    const report = checkRegistryCoverage(createForms());
+
+    assert.strictEqual(report.forms_scanned, 2);
+    assert.strictEqual(report.fields_scanned, 8);
+    assert.strictEqual(report.fully_modeled, false);
+    assert.deepStrictEqual(report.summary, { unknown_type: 1, unclassified_variant: 2, input_layout: 2 });
+
+    const [consent] = report.gaps;
+    assert.strictEqual(consent.type, 'input_layout');
+    assert.deepStrictEqual(consent.form_ids, [1, 2]);
+    assert.deepStrictEqual(consent.fields, [
+      { form_id: 1, field_id: 3, label: 'Terms' },
+      { form_id: 2, field_id: 2, label: 'Privacy' }
+    ]);
+    assert.strictEqual(consent.message, 'consent fields laid out as [1, 2, 3]: input(s) 3 not in the registry (2 field(s) in 2 form(s))');
+
+    const messages = report.gaps.map(gap => gap.message);
+    assert.ok(messages.includes('Field type "gpnf" isn\'t in the field registry (1 field(s) in 1 form(s))'));
+    assert.ok(messages.includes('number fields with numberFormat: "decimal_comma" match none of the registry\'s variants (default, currency, decimal) (1 field(s) in 1 form(s))'));
+  });
+
+  await t.test('reports a fully modeled site', () => {
+    const report = checkRegistryCoverage([{ id: 1, fields: [{ id: 1, type: 'email', label: 'Email' }] }]);
+    assert.strictEqual(report.fully_modeled, true);
+    assert.deepStrictEqual(report.gaps, []);
+  });
+});
+
+test('gf_registry_coverage', async (t) => {
+  const forms = createForms();
+  const client = {
+    listForms: async () => ({ forms: { 1: { id: 1 }, 2: { id: 2 }, 3: { id: 3 } } }),
+    getForm: async ({ id }) => {
+      const form = forms.find(candidate => candidate.id === id);
+      if (!form) {
+        throw new Error('Form not found');
+      }
+      return { form };
+    }
+  };
+
+  await t.test('scans every form on the site', async () => {
+    const result = await formAnalysisHandlers.gf_registry_coverage({}, { resolveClient: async () => client });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.forms_scanned, 2);
+    assert.deepStrictEqual(result.errors, [{ form_id: 3, error: 'Form not found' }]);
+  });
+
+  await t.test('scans only form_ids when given', async () => {
+    const result = await formAnalysisHandlers.gf_registry_coverage({ form_ids: [2] }, { resolveClient: async () => client });
+
+    assert.strictEqual(result.forms_scanned, 1);
+    assert.strictEqual(result.errors, undefined);
+    assert.deepStrictEqual(result.summary, { unknown_type: 0, unclassified_variant: 1, input_layout: 1 });
+  });
+});
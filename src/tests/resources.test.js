@@ -0,0 +1,112 @@
+/**
+ * Unit tests for MCP resources
+ * Tests URI parsing, resource listing and resource reads with a mocked client
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { parseResourceUri, resourceHandlers, resourceTemplates } from '../resources/index.js';
+
+const createMockClient = (overrides = {}) => ({
+  listForms: async () => ({
+    forms: {
+      1: { id: 1, title: 'Contact' },
+      2: { id: 2, title: 'Survey' }
+    }
+  }),
+  listFeeds: async () => ({
+    feeds: [{ id: 7, form_id: 1, addon_slug: 'gravityformsmailchimp', meta: { feedName: 'Newsletter' } }]
+  }),
+  getForm: async ({ id }) => ({ form: { id, title: 'Contact', fields: [{ id: 1, type: 'text', label: 'Name', placeholder: '' }] } }),
+  getEntry: async ({ id }) => ({ entry: { id, form_id: 1, '1': 'Ada', plugin_meta: 'x' } }),
+  getFeed: async ({ id }) => ({ feed: { id, form_id: 1, addon_slug: 'gravityformsmailchimp' } }),
+  ...overrides
+});
+
+test('parseResourceUri', async (t) => {
+  await t.test('parses form URIs', () => {
+    assert.deepStrictEqual(parseResourceUri('gf://forms/12'), { kind: 'form', ids: [12] });
+  });
+
+  await t.test('parses entry URIs', () => {
+    assert.deepStrictEqual(parseResourceUri('gf://forms/3/entries/99'), { kind: 'entry', ids: [3, 99] });
+  });
+
+  await t.test('parses feed URIs', () => {
+    assert.deepStrictEqual(parseResourceUri('gf://feeds/5'), { kind: 'feed', ids: [5] });
+  });
+
+  await t.test('rejects unknown URIs', () => {
+    assert.strictEqual(parseResourceUri('gf://forms/abc'), null);
+    assert.strictEqual(parseResourceUri('http://forms/1'), null);
+    assert.strictEqual(parseResourceUri(undefined), null);
+  });
+});
+
+test('resourceHandlers.listResources', async (t) => {
+  await t.test('lists forms and feeds', async () => {
+    const { resources } = await resourceHandlers.listResources(createMockClient());
+    const uris = resources.map(r => r.uri);
+
+    assert.deepStrictEqual(uris, ['gf://forms/1', 'gf://forms/2', 'gf://feeds/7']);
+    assert.strictEqual(resources[0].name, 'Contact');
+    assert.strictEqual(resources[2].name, 'Newsletter');
+  });
+
+  await t.test('still lists forms when feeds endpoint fails', async () => {
+    const client = createMockClient({
+      listFeeds: async () => { throw new Error('Resource not found'); }
+    });
+    const { resources } = await resourceHandlers.listResources(client);
+    assert.strictEqual(resources.length, 2);
+  });
+});
+
+test('resourceHandlers.listResourceTemplates', async (t) => {
+  await t.test('returns all three templates', async () => {
+    const result = await resourceHandlers.listResourceTemplates();
+    assert.strictEqual(result.resourceTemplates, resourceTemplates);
+    assert.strictEqual(resourceTemplates.length, 3);
+  });
+});
+
+test('resourceHandlers.readResource', async (t) => {
+  await t.test('reads a form as compact JSON', async () => {
+    const result = await resourceHandlers.readResource('gf://forms/1', createMockClient());
+    const [content] = result.contents;
+    const form = JSON.parse(content.text);
+
+    assert.strictEqual(content.uri, 'gf://forms/1');
+    assert.strictEqual(content.mimeType, 'application/json');
+    assert.strictEqual(form.id, 1);
+    assert.strictEqual(form.fields[0].placeholder, undefined);
+  });
+
+  await t.test('reads an entry and strips plugin meta', async () => {
+    const result = await resourceHandlers.readResource('gf://forms/1/entries/42', createMockClient());
+    const entry = JSON.parse(result.contents[0].text);
+
+    assert.strictEqual(entry.id, 42);
+    assert.strictEqual(entry['1'], 'Ada');
+    assert.strictEqual(entry.plugin_meta, undefined);
+  });
+
+  await t.test('rejects entries from another form', async () => {
+    await assert.rejects(
+      () => resourceHandlers.readResource('gf://forms/2/entries/42', createMockClient()),
+      /does not belong to form 2/
+    );
+  });
+
+  await t.test('reads a feed', async () => {
+    const result = await resourceHandlers.readResource('gf://feeds/7', createMockClient());
+    assert.strictEqual(JSON.parse(result.contents[0].text).id, 7);
+  });
+
+  await t.test('rejects unknown URIs', async () => {
+    await assert.rejects(
+      () => resourceHandlers.readResource('gf://notifications/1', createMockClient()),
+      /Unknown resource URI/
+    );
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for multi-site configuration
+ * Tests sites file parsing, site resolution and per-site health checks
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DEFAULT_SITE_NAME, readSitesFile, parseSitesConfig, SiteManager } from '../config/sites.js';
+
+const rawConfig = {
+  default: 'staging',
+  sites: {
+    production: {
+      base_url: 'https://www.example.com',
+      consumer_key: 'ck_prod',
+      consumer_secret: '${PROD_SECRET}',
+      allow_delete: false
+    },
+    staging: {
+      base_url: 'https://staging.example.com',
+      consumer_key: 'ck_staging',
+      consumer_secret: 'cs_staging',
+      allow_delete: true
+    }
+  }
+};
+
+const createMockContext = (failingSites = []) => {
+  const created = [];
+  const createContext = (name, config) => {
+    created.push(name);
+    const failing = failingSites.includes(name);
+    return {
+      name,
+      client: {
+        config,
+        initialize: async () => failing ? { available: false, error: 'Authentication failed' } : { available: true },
+        httpClient: {
+          defaults: { baseURL: `${config.GRAVITY_FORMS_BASE_URL}/wp-json/gf/v2` },
+          get: async () => ({ data: {} })
+        },
+        authManager: {
+          testConnection: async () => ({ success: !failing }),
+          getAuthHeaders: () => ({}),
+          getAuthInfo: () => ({ method: 'basic' })
+        }
+      }
+    };
+  };
+  return { created, createContext };
+};
+
+test('parseSitesConfig', async (t) => {
+  await t.test('maps site settings to client config keys', () => {
+    const { defaultSite, sites } = parseSitesConfig(rawConfig, { PROD_SECRET: 'cs_prod', GRAVITY_FORMS_TIMEOUT: '5000' });
+
+    assert.strictEqual(defaultSite, 'staging');
+    assert.deepStrictEqual(Array.from(sites.keys()), ['production', 'staging']);
+
+    const production = sites.get('production');
+    assert.strictEqual(production.GRAVITY_FORMS_BASE_URL, 'https://www.example.com');
+    assert.strictEqual(production.GRAVITY_FORMS_CONSUMER_SECRET, 'cs_prod');
+    assert.strictEqual(production.GRAVITY_FORMS_ALLOW_DELETE, 'false');
+    assert.strictEqual(production.GRAVITY_FORMS_TIMEOUT, '5000');
+    assert.strictEqual(sites.get('staging').GRAVITY_FORMS_ALLOW_DELETE, 'true');
+  });
+
+  await t.test('does not inherit policy settings from the environment', () => {
+    const raw = { sites: { shop: { base_url: 'https://shop.example.com', consumer_key: 'ck', consumer_secret: 'cs' } } };
+    const { defaultSite, sites } = parseSitesConfig(raw, { GRAVITY_FORMS_ALLOW_DELETE: 'true' });
+
+    assert.strictEqual(defaultSite, 'shop');
+    assert.strictEqual(sites.get('shop').GRAVITY_FORMS_ALLOW_DELETE, undefined);
+  });
+
+  await t.test('rejects invalid configs', () => {
+    assert.throws(() => parseSitesConfig({}), /"sites" object/);
+    assert.throws(() => parseSitesConfig({ sites: {} }), /at least one site/);
+    assert.throws(() => parseSitesConfig({ sites: { 'bad name': {} } }), /Invalid site name/);
+    assert.throws(() => parseSitesConfig({ sites: { shop: { base_url: 'https://x.com' } } }), /missing consumer_key/);
+    assert.throws(() => parseSitesConfig({ ...rawConfig, default: 'nope' }, { PROD_SECRET: 'x' }), /Default site "nope"/);
+    assert.throws(() => parseSitesConfig(rawConfig, {}), /PROD_SECRET referenced in sites config is not set/);
+  });
+});
+
+test('readSitesFile', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-sites-'));
+
+  try {
+    await t.test('reads JSON files', () => {
+      const file = join(dir, 'sites.json');
+      writeFileSync(file, JSON.stringify(rawConfig));
+      assert.deepStrictEqual(readSitesFile(file), rawConfig);
+    });
+
+    await t.test('reads YAML files', () => {
+      const file = join(dir, 'sites.yaml');
+      writeFileSync(file, 'default: shop\nsites:\n  shop:\n    base_url: https://shop.example.com\n    allow_delete: true\n');
+      const raw = readSitesFile(file);
+      assert.strictEqual(raw.default, 'shop');
+      assert.strictEqual(raw.sites.shop.allow_delete, true);
+    });
+
+    await t.test('reports missing and malformed files', () => {
+      const file = join(dir, 'broken.json');
+      writeFileSync(file, '{ nope');
+      assert.throws(() => readSitesFile(join(dir, 'missing.json')), /not found/);
+      assert.throws(() => readSitesFile(file), /Invalid sites config file/);
+    });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('SiteManager', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'gravitymcp-sites-'));
+  const sitesFile = join(dir, 'sites.json');
+  writeFileSync(sitesFile, JSON.stringify(rawConfig));
+  const env = { GRAVITY_MCP_SITES_FILE: sitesFile, PROD_SECRET: 'cs_prod' };
+
+  try {
+    await t.test('uses a single default site without a sites file', () => {
+      const manager = new SiteManager({ GRAVITY_FORMS_BASE_URL: 'https://a.com' }, createMockContext().createContext);
+      assert.strictEqual(manager.isMultiSite, false);
+      assert.strictEqual(manager.defaultSite, DEFAULT_SITE_NAME);
+      assert.deepStrictEqual(manager.getSiteNames(), ['default']);
+    });
+
+    await t.test('resolves site names with default fallback', () => {
+      const manager = new SiteManager(env, createMockContext().createContext);
+      assert.strictEqual(manager.isMultiSite, true);
+      assert.strictEqual(manager.resolveSiteName(), 'staging');
+      assert.strictEqual(manager.resolveSiteName('production'), 'production');
+      assert.throws(() => manager.resolveSiteName('nope'), /Unknown site: nope. Available sites: production, staging/);
+    });
+
+    await t.test('creates and caches contexts lazily', async () => {
+      const { created, createContext } = createMockContext();
+      const manager = new SiteManager(env, createContext);
+
+      const first = await manager.getContext('production');
+      const second = await manager.getContext('production');
+
+      assert.strictEqual(first, second);
+      assert.deepStrictEqual(created, ['production']);
+      assert.strictEqual(first.client.config.GRAVITY_FORMS_BASE_URL, 'https://www.example.com');
+    });
+
+    await t.test('shares one context between concurrent first requests', async () => {
+      const { created, createContext } = createMockContext();
+      const manager = new SiteManager(env, createContext);
+
+      const [first, second] = await Promise.all([manager.getContext('production'), manager.getContext('production')]);
+
+      assert.strictEqual(first, second);
+      assert.deepStrictEqual(created, ['production']);
+    });
+
+    await t.test('does not cache sites that fail to initialize', async () => {
+      const { createContext } = createMockContext(['production']);
+      const manager = new SiteManager(env, createContext);
+
+      await assert.rejects(() => manager.getContext('production'), /Failed to initialize site production/);
+      assert.strictEqual(manager.contexts.has('production'), false);
+    });
+
+    await t.test('checks health of every site independently', async () => {
+      const { createContext } = createMockContext(['production']);
+      const manager = new SiteManager(env, createContext);
+
+      const [production, staging] = await manager.checkHealth();
+
+      assert.strictEqual(production.name, 'production');
+      assert.strictEqual(production.available, false);
+      assert.strictEqual(production.allow_delete, false);
+      assert.strictEqual(staging.default, true);
+      assert.strictEqual(staging.available, true);
+      assert.strictEqual(staging.allow_delete, true);
+      assert.strictEqual(staging.auth_method, 'basic');
+    });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
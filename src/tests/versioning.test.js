@@ -0,0 +1,67 @@
+/**
+ * Unit tests for versioning
+ * Tests version hashing, date_updated matching and conflict reports
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { computeVersion, rememberVersion, versionMatches, describeChanges, assertVersion } from '../utils/versioning.js';
+
+test('computeVersion', async (t) => {
+  await t.test('ignores key order and detects changes', () => {
+    assert.strictEqual(computeVersion({ a: 1, b: [1, 2] }), computeVersion({ b: [1, 2], a: 1 }));
+    assert.notStrictEqual(computeVersion({ a: 1 }), computeVersion({ a: 2 }));
+    assert.match(computeVersion({}), /^[0-9a-f]{16}$/);
+  });
+});
+
+test('versionMatches', async (t) => {
+  await t.test('accepts the hash or date_updated', () => {
+    const entry = { id: 1, date_updated: '2024-05-01 10:00:00' };
+    assert.strictEqual(versionMatches(entry, computeVersion(entry)), true);
+    assert.strictEqual(versionMatches(entry, '2024-05-01 10:00:00'), true);
+    assert.strictEqual(versionMatches(entry, '2024-05-01 09:00:00'), false);
+  });
+});
+
+test('describeChanges', async (t) => {
+  await t.test('compares arrays of objects by ID', () => {
+    const before = { title: 'A', fields: [{ id: 1, label: 'Name' }, { id: 2, label: 'Email' }] };
+    const after = { title: 'B', fields: [{ id: 1, label: 'Full name' }, { id: 3, label: 'Phone' }] };
+
+    assert.deepStrictEqual(describeChanges(before, after), [
+      { property: 'fields', added: ['3'], removed: ['2'], changed: ['1'] },
+      { property: 'title', before: 'A', after: 'B' }
+    ]);
+  });
+});
+
+test('assertVersion', async (t) => {
+  await t.test('passes when no version is expected or it matches', () => {
+    const form = { id: 1, title: 'A' };
+    assert.doesNotThrow(() => assertVersion('form', 1, form, undefined));
+    assert.doesNotThrow(() => assertVersion('form', 1, form, computeVersion(form)));
+  });
+
+  await t.test('reports changes since a remembered version', () => {
+    const version = rememberVersion({ id: 1, title: 'A', is_active: true });
+
+    assert.throws(
+      () => assertVersion('form', 1, { id: 1, title: 'B', is_active: true }, version),
+      (error) => {
+        assert.match(error.message, /Version conflict: form 1 has changed since version/);
+        assert.strictEqual(error.details.conflict, true);
+        assert.strictEqual(error.details.current_version, computeVersion({ id: 1, title: 'B', is_active: true }));
+        assert.deepStrictEqual(error.details.changes, [{ property: 'title', before: 'A', after: 'B' }]);
+        return true;
+      }
+    );
+  });
+
+  await t.test('reports the current version for unknown versions', () => {
+    assert.throws(
+      () => assertVersion('entry', 7, { id: 7 }, 'deadbeefdeadbeef'),
+      (error) => error.details.changes === null && error.details.kind === 'entry'
+    );
+  });
+});
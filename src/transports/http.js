@@ -0,0 +1,322 @@
+/**
+ * Streamable HTTP Transport
+ * Serves Gravity MCP over the MCP Streamable HTTP protocol (POST + SSE)
+ * so a single instance can be shared by several agents
+ *
+ * Each MCP session gets its own Server instance and transport; the
+ * Gravity Forms client behind them is shared.
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import logger from '../utils/logger.js';
+
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 3000;
+export const MCP_ENDPOINT = '/mcp';
+export const DEFAULT_SESSION_TIMEOUT = 30 * 60;
+export const DEFAULT_MAX_SESSIONS = 100;
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Resolve transport settings from CLI arguments and environment
+ * CLI flags (--transport, --host, --port) take precedence over
+ * MCP_TRANSPORT, MCP_HTTP_HOST, MCP_HTTP_PORT and MCP_HTTP_TOKEN.
+ * MCP_HTTP_SESSION_TIMEOUT (idle seconds, 0 for none) and
+ * MCP_HTTP_MAX_SESSIONS bound the sessions kept open.
+ * @param {string[]} argv - Process arguments (without node and script)
+ * @param {object} env - Environment variables
+ * @returns {object} { transport, host, port, token, sessionTimeout, maxSessions }
+ */
+export function resolveTransportConfig(argv = [], env = {}) {
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [key, inlineValue] = arg.slice(2).split('=');
+    if (inlineValue !== undefined) {
+      flags[key] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      flags[key] = argv[++i];
+    }
+  }
+
+  const transport = (flags.transport || env.MCP_TRANSPORT || 'stdio').toLowerCase();
+  if (!['stdio', 'http'].includes(transport)) {
+    throw new Error(`Invalid transport: ${transport}. Must be one of: stdio, http`);
+  }
+
+  const port = parseInt(flags.port || env.MCP_HTTP_PORT || DEFAULT_HTTP_PORT, 10);
+  if (isNaN(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${flags.port || env.MCP_HTTP_PORT}`);
+  }
+
+  const sessionTimeout = Number(env.MCP_HTTP_SESSION_TIMEOUT ?? DEFAULT_SESSION_TIMEOUT);
+  if (!Number.isFinite(sessionTimeout) || sessionTimeout < 0) {
+    throw new Error(`Invalid HTTP session timeout: ${env.MCP_HTTP_SESSION_TIMEOUT}`);
+  }
+
+  const maxSessions = Number(env.MCP_HTTP_MAX_SESSIONS ?? DEFAULT_MAX_SESSIONS);
+  if (!Number.isInteger(maxSessions) || maxSessions < 1) {
+    throw new Error(`Invalid HTTP max sessions: ${env.MCP_HTTP_MAX_SESSIONS}`);
+  }
+
+  return {
+    transport,
+    host: flags.host || env.MCP_HTTP_HOST || DEFAULT_HTTP_HOST,
+    port,
+    token: env.MCP_HTTP_TOKEN || null,
+    sessionTimeout,
+    maxSessions
+  };
+}
+
+/**
+ * Check the Authorization header against the configured bearer token
+ * Uses a constant-time comparison to avoid leaking the token through timing
+ */
+export function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+
+  const provided = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * Create an error answered with the given HTTP status and JSON-RPC code
+ */
+function requestError(status, rpcCode, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.rpcCode = rpcCode;
+  return error;
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => requestError(413, -32600, `Request body too large (limit ${maxBytes} bytes)`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Stop reading; the connection is closed once the 413 is sent
+        req.off('data', onData);
+        req.pause();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(requestError(400, -32700, `Parse error: ${error.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON-RPC error response
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }));
+}
+
+/**
+ * Start the Streamable HTTP server
+ * Sessions idle for sessionTimeout seconds are closed, and opening one past
+ * maxSessions closes the least recently used. A session with a request or
+ * SSE stream still open isn't idle.
+ * @param {Function} createServer - Factory returning a new, unconnected MCP Server
+ * @param {object} options - { host, port, token, sessionTimeout, maxSessions, maxBodyBytes }
+ * @returns {Promise<object>} { httpServer, sessions, address, close }
+ */
+export async function startHttpServer(createServer, options = {}) {
+  const {
+    host = DEFAULT_HTTP_HOST,
+    port = DEFAULT_HTTP_PORT,
+    token,
+    sessionTimeout = DEFAULT_SESSION_TIMEOUT,
+    maxSessions = DEFAULT_MAX_SESSIONS,
+    maxBodyBytes = MAX_BODY_BYTES
+  } = options;
+
+  if (!token) {
+    throw new Error('MCP_HTTP_TOKEN must be set to use the HTTP transport');
+  }
+
+  // Active sessions keyed by MCP session ID, least recently used first
+  const sessions = new Map();
+
+  /**
+   * Close a session's transport and forget it
+   */
+  async function evictSession(id, reason) {
+    const session = sessions.get(id);
+    if (!session) {
+      return;
+    }
+    sessions.delete(id);
+    logger.info(`🔌 HTTP session ${reason}: ${id}`);
+    try {
+      await session.transport.close();
+    } catch (error) {
+      logger.error(`Failed to close HTTP session ${id}: ${error.message}`);
+    }
+  }
+
+  let sweepTimer = null;
+  if (sessionTimeout > 0) {
+    const timeoutMs = sessionTimeout * 1000;
+    sweepTimer = setInterval(() => {
+      const cutoff = Date.now() - timeoutMs;
+      for (const [id, session] of sessions) {
+        // Open SSE streams and long tool calls keep a session alive
+        if (session.active === 0 && session.lastSeen <= cutoff) {
+          evictSession(id, 'expired');
+        }
+      }
+    }, Math.min(timeoutMs, MAX_SWEEP_INTERVAL_MS));
+    sweepTimer.unref();
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== MCP_ENDPOINT) {
+        sendJsonRpcError(res, 404, -32000, 'Not found');
+        return;
+      }
+
+      if (!isAuthorized(req, token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, 401, -32001, 'Unauthorized');
+        return;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      const body = req.method === 'POST' ? await readJsonBody(req, maxBodyBytes) : undefined;
+
+      // Existing session
+      if (sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+          sendJsonRpcError(res, 404, -32001, 'Session not found');
+          return;
+        }
+        session.lastSeen = Date.now();
+        session.active++;
+        res.once('close', () => {
+          session.active--;
+          session.lastSeen = Date.now();
+        });
+        sessions.delete(sessionId);
+        sessions.set(sessionId, session);
+        await session.transport.handleRequest(req, res, body);
+        return;
+      }
+
+      // New session - only an initialize request may open one
+      if (req.method !== 'POST' || !isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      if (sessions.size >= maxSessions) {
+        // Least recently used, preferring sessions with nothing in progress
+        const [idle] = [...sessions].find(([, session]) => session.active === 0) || [];
+        await evictSession(idle ?? sessions.keys().next().value, `closed to stay within ${maxSessions} sessions`);
+      }
+
+      const server = createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, server, lastSeen: Date.now(), active: 0 });
+          logger.info(`🔌 HTTP session opened: ${id}`);
+        }
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId && sessions.delete(transport.sessionId)) {
+          logger.info(`🔌 HTTP session closed: ${transport.sessionId}`);
+        }
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      logger.error(`HTTP transport error: ${error.message}`);
+      if (!res.headersSent) {
+        if (error.status === 413) {
+          // The rest of the body is never read
+          res.setHeader('Connection', 'close');
+        }
+        if (error.status) {
+          sendJsonRpcError(res, error.status, error.rpcCode, error.message);
+        } else {
+          sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+
+  /**
+   * Close every session and stop listening
+   */
+  async function close() {
+    clearInterval(sweepTimer);
+    for (const id of [...sessions.keys()]) {
+      await evictSession(id, 'closed');
+    }
+    await new Promise(resolve => httpServer.close(() => resolve()));
+  }
+
+  return { httpServer, sessions, address, close };
+}
@@ -0,0 +1,20 @@
+/**
+ * Canonical JSON — serializes values with object keys sorted.
+ * Used to hash entry queries for pagination cursors and API objects for versions,
+ * where two equal values must give the same string whatever their key order.
+ */
+
+/**
+ * Serialize a value with sorted object keys so equal values hash equally
+ * @param {*} value - JSON-compatible value
+ * @returns {string} JSON text
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -0,0 +1,79 @@
+/**
+ * File path guard for tools that read or write local files
+ *
+ * Import and export tools only touch files inside one directory:
+ * GRAVITY_MCP_EXPORT_DIR, or gravitymcp-files in the working directory.
+ * Tool callers can be remote (HTTP transport), so a path that resolves
+ * outside it, directly, through ".." or through a symlink, is refused.
+ */
+
+import { existsSync, mkdirSync, realpathSync } from 'fs';
+import { dirname, isAbsolute, relative, resolve } from 'path';
+
+/**
+ * Directory used when GRAVITY_MCP_EXPORT_DIR isn't set, relative to the working directory
+ */
+export const DEFAULT_DATA_DIR = 'gravitymcp-files';
+
+/**
+ * Directory import and export files live in
+ * @param {object} env - Environment holding GRAVITY_MCP_EXPORT_DIR
+ * @returns {string} Absolute directory path
+ */
+export function getDataDirectory(env = process.env) {
+  return resolve(env.GRAVITY_MCP_EXPORT_DIR || DEFAULT_DATA_DIR);
+}
+
+/**
+ * Test if a path is the directory itself or inside it
+ */
+function isInside(directory, path) {
+  const rel = relative(directory, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+/**
+ * Resolve the real path of a file that may not exist yet, via its nearest existing ancestor
+ */
+function realPathOf(path) {
+  let existing = path;
+  while (!existsSync(existing) && dirname(existing) !== existing) {
+    existing = dirname(existing);
+  }
+  return resolve(realpathSync(existing), relative(existing, path));
+}
+
+/**
+ * Resolve a tool's file path inside the data directory
+ * Relative paths are taken from the data directory; absolute paths must
+ * already point inside it.
+ * @param {string} filePath - Path from the tool call
+ * @param {object} options - { name: parameter name for errors, create: create the data directory, env }
+ * @returns {string} Absolute path
+ */
+export function resolveDataPath(filePath, options = {}) {
+  const { name = 'file_path', create = false, env = process.env } = options;
+  const directory = getDataDirectory(env);
+
+  if (typeof filePath !== 'string' || filePath.trim() === '') {
+    throw new Error(`${name} must be a non-empty string`);
+  }
+
+  const path = resolve(directory, filePath);
+  const outside = () => new Error(`${name} must be inside the export directory ${directory} (set GRAVITY_MCP_EXPORT_DIR to change it); got ${filePath}`);
+
+  if (path === directory || !isInside(directory, path)) {
+    throw outside();
+  }
+
+  if (create) {
+    mkdirSync(directory, { recursive: true });
+  }
+
+  // Symlinks inside the directory must not lead out of it
+  if (existsSync(directory) && !isInside(realpathSync(directory), realPathOf(path))) {
+    throw outside();
+  }
+
+  return path;
+}
@@ -0,0 +1,192 @@
+/**
+ * Entry pagination utility — walks gf_list_entries page by page.
+ * Used by gf_list_entries in all_pages mode and by tools that process every entry of a form.
+ *
+ * Progress is captured in an opaque cursor (next page + last returned entry ID)
+ * so an interrupted walk can resume exactly where it stopped. Without explicit
+ * sorting, entries are walked by ID ascending so new submissions land at the end
+ * instead of shifting earlier pages.
+ */
+
+import { createHash } from 'crypto';
+import { getPaginationLimits } from '../config/validation-config.js';
+import { canonicalize } from './canonical-json.js';
+
+const CURSOR_VERSION = 1;
+
+/**
+ * Default sort for page walks: oldest first, so inserts never shift seen pages
+ */
+export const STABLE_ENTRY_SORTING = { key: 'id', direction: 'ASC' };
+
+/**
+ * Query parameters that define which entries a walk covers
+ */
+const QUERY_KEYS = ['form_ids', 'include', 'exclude', 'status', 'search', 'sorting'];
+
+/**
+ * Extract the query part of list params, applying the stable default sort
+ * @param {object} params - gf_list_entries params
+ * @returns {object} Query without paging or walk options
+ */
+export function buildEntryQuery(params = {}) {
+  const query = {};
+  for (const key of QUERY_KEYS) {
+    if (params[key] !== undefined) {
+      query[key] = params[key];
+    }
+  }
+  if (!query.sorting) {
+    query.sorting = STABLE_ENTRY_SORTING;
+  }
+  return query;
+}
+
+/**
+ * Fingerprint a query so a cursor cannot be replayed against a different search
+ */
+function fingerprintQuery(query) {
+  return createHash('sha256').update(canonicalize(query)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Encode walk progress as an opaque cursor
+ * @param {object} query - Entry query the cursor belongs to
+ * @param {object} state - { page, page_size, last_id }
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(query, state) {
+  const payload = {
+    v: CURSOR_VERSION,
+    q: fingerprintQuery(query),
+    page: state.page,
+    page_size: state.page_size,
+    last_id: state.last_id ?? null
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, checking it belongs to the given query
+ * @param {string} cursor - Cursor from a previous call
+ * @param {object} query - Entry query being resumed
+ * @returns {object} { page, page_size, last_id }
+ */
+export function decodeCursor(cursor, query) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor: could not be decoded');
+  }
+
+  if (!payload || payload.v !== CURSOR_VERSION || !Number.isInteger(payload.page) || !Number.isInteger(payload.page_size)) {
+    throw new Error('Invalid cursor: unsupported format');
+  }
+
+  if (payload.q !== fingerprintQuery(query)) {
+    throw new Error('Cursor does not match this query; pass the same form_ids, search, sorting and status used to create it');
+  }
+
+  return { page: payload.page, page_size: payload.page_size, last_id: payload.last_id };
+}
+
+/**
+ * Iterate entries page by page
+ * Yields one chunk per fetched page; resuming skips entries up to last_id
+ * when the page still contains it (a walk stopped mid-page, or the page shifted).
+ * @param {object} client - GravityFormsClient (or anything with listEntries)
+ * @param {object} query - Entry query from buildEntryQuery()
+ * @param {object} state - { page, page_size, last_id } to start from
+ * @yields {object} { entries, page, page_size, total_count, done }
+ */
+export async function* iterateEntryPages(client, query, state = {}) {
+  const pageSize = state.page_size || getPaginationLimits('entries').maxPerPage;
+  let page = state.page || 1;
+  let lastId = state.last_id ?? null;
+
+  while (true) {
+    const result = await client.listEntries({
+      ...query,
+      paging: { page_size: pageSize, current_page: page }
+    });
+
+    const pageEntries = Array.isArray(result.entries) ? result.entries : Object.values(result.entries || {});
+    const totalCount = result.total_count || 0;
+
+    let entries = pageEntries;
+    if (lastId !== null) {
+      const index = pageEntries.findIndex(entry => String(entry.id) === String(lastId));
+      if (index !== -1) {
+        entries = pageEntries.slice(index + 1);
+      }
+      lastId = null;
+    }
+
+    const done = pageEntries.length < pageSize || page * pageSize >= totalCount;
+
+    yield { entries, page, page_size: pageSize, total_count: totalCount, done };
+
+    if (done) {
+      return;
+    }
+    page++;
+  }
+}
+
+/**
+ * Collect entries across pages up to a limit, returning a cursor to resume
+ * @param {object} client - GravityFormsClient
+ * @param {object} params - gf_list_entries params plus max_entries and cursor
+ * @returns {Promise<object>} { entries, total_count, returned, pages_fetched, complete, next_cursor }
+ */
+export async function collectEntries(client, params = {}) {
+  const limits = getPaginationLimits('entries');
+  const query = buildEntryQuery(params);
+
+  const maxEntries = params.max_entries !== undefined ? Number(params.max_entries) : limits.defaultEntriesPerCall;
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    throw new Error('max_entries must be a positive integer');
+  }
+  if (maxEntries > limits.maxEntriesPerCall) {
+    throw new Error(`max_entries cannot exceed ${limits.maxEntriesPerCall}; use next_cursor to continue`);
+  }
+
+  const state = params.cursor
+    ? decodeCursor(params.cursor, query)
+    : { page: params.paging?.current_page || 1, page_size: params.paging?.page_size || limits.maxPerPage, last_id: null };
+
+  const entries = [];
+  let totalCount = 0;
+  let pagesFetched = 0;
+  let next = null;
+
+  for await (const chunk of iterateEntryPages(client, query, state)) {
+    pagesFetched++;
+    totalCount = chunk.total_count;
+
+    const remaining = maxEntries - entries.length;
+    const taken = chunk.entries.slice(0, remaining);
+    entries.push(...taken);
+
+    if (taken.length < chunk.entries.length) {
+      // Stopped mid-page: resume on the same page after the last returned entry
+      next = { page: chunk.page, page_size: chunk.page_size, last_id: taken[taken.length - 1].id };
+      break;
+    }
+
+    if (!chunk.done && entries.length >= maxEntries) {
+      next = { page: chunk.page + 1, page_size: chunk.page_size, last_id: entries[entries.length - 1]?.id ?? null };
+      break;
+    }
+  }
+
+  return {
+    entries,
+    total_count: totalCount,
+    returned: entries.length,
+    pages_fetched: pagesFetched,
+    complete: next === null,
+    next_cursor: next ? encodeCursor(query, next) : null
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * Readable entries — renders entry values keyed by field label.
+ * Used by gf_get_entry and gf_list_entries with format: "readable".
+ *
+ * Raw entries key values by field or input ID ("3.3", "3.6") and store some
+ * types encoded: JSON arrays for multi-selects and multi-file uploads,
+ * serialized PHP for list fields. The readable form decodes them using the
+ * form definition and the registry's storage patterns:
+ *
+ *   { id: 12, form_id: 3, fields: { "Full Name": "Ada Lovelace", "Interests": ["Math", "Engines"] } }
+ *
+ * Choice fields show choice text instead of values. Names read as one string;
+ * other compound fields, such as addresses, are objects keyed by input label.
+ */
+
+import { fieldRegistry, fieldStoresData } from '../field-definitions/field-registry.js';
+
+export const ENTRY_FORMATS = ['raw', 'readable'];
+
+/**
+ * Compound types read as one string, their parts joined in input order
+ */
+const JOINED_TYPES = ['name'];
+
+/**
+ * Test if an entry key is a field value (numeric or dot-notation like "5.1")
+ */
+const isFieldKey = (key) => /^\d+(\.\d+)?$/.test(key);
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parse a serialized PHP value, as Gravity Forms stores list fields
+ * Supports arrays, strings, integers, floats, booleans and null.
+ * @param {string} text - Serialized value
+ * @returns {*} The value, with arrays keyed 0..n as JS arrays and others as objects
+ */
+export function unserializePhp(text) {
+  // String lengths count bytes, so walk the UTF-8 encoding
+  const buffer = Buffer.from(text, 'utf8');
+  let offset = 0;
+
+  const readUntil = (terminator) => {
+    const end = buffer.indexOf(terminator, offset);
+    if (end === -1) {
+      throw new Error(`Invalid serialized value at byte ${offset}`);
+    }
+    const chunk = buffer.toString('utf8', offset, end);
+    offset = end + 1;
+    return chunk;
+  };
+
+  const expect = (char) => {
+    if (buffer.toString('utf8', offset, offset + 1) !== char) {
+      throw new Error(`Invalid serialized value at byte ${offset}: expected "${char}"`);
+    }
+    offset++;
+  };
+
+  const read = () => {
+    const type = buffer.toString('utf8', offset, offset + 1);
+    offset += 2;
+
+    switch (type) {
+      case 'N':
+        offset--;
+        expect(';');
+        return null;
+      case 'b':
+        return readUntil(';') === '1';
+      case 'i':
+        return parseInt(readUntil(';'), 10);
+      case 'd':
+        return parseFloat(readUntil(';'));
+      case 's': {
+        const length = parseInt(readUntil(':'), 10);
+        expect('"');
+        const value = buffer.toString('utf8', offset, offset + length);
+        offset += length;
+        expect('"');
+        expect(';');
+        return value;
+      }
+      case 'a': {
+        const count = parseInt(readUntil(':'), 10);
+        expect('{');
+        const pairs = [];
+        for (let i = 0; i < count; i++) {
+          pairs.push([read(), read()]);
+        }
+        expect('}');
+        const isList = pairs.every(([key], index) => key === index);
+        return isList ? pairs.map(([, value]) => value) : Object.fromEntries(pairs);
+      }
+      default:
+        throw new Error(`Unsupported serialized type "${type}" at byte ${offset - 2}`);
+    }
+  };
+
+  const value = read();
+  if (offset !== buffer.length) {
+    throw new Error(`Unexpected data after serialized value at byte ${offset}`);
+  }
+  return value;
+}
+
+/**
+ * Decode a stored array: a JSON array, a serialized PHP array or a comma-separated list
+ */
+function parseArray(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return [value];
+  }
+  if (value.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch {
+      // Not JSON - fall through
+    }
+  }
+  if (/^a:\d+:\{/.test(value)) {
+    try {
+      const parsed = unserializePhp(value);
+      return Array.isArray(parsed) ? parsed : Object.values(parsed);
+    } catch {
+      // Not serialized - fall through
+    }
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Show a stored choice value as its choice text
+ * Priced choices are stored as "value|price" and keep the price.
+ */
+function choiceText(field, value) {
+  const choices = Array.isArray(field.choices) ? field.choices : [];
+  const text = String(value);
+  const byValue = (candidate) => choices.find(choice => String(choice.value ?? choice.text) === candidate);
+
+  const choice = byValue(text);
+  if (choice) {
+    return choice.text;
+  }
+
+  const separator = text.lastIndexOf('|');
+  if (separator > 0) {
+    const priced = byValue(text.slice(0, separator));
+    if (priced) {
+      return `${priced.text} (${text.slice(separator + 1)})`;
+    }
+  }
+
+  // "Other" answers and choices deleted since
+  return value;
+}
+
+/**
+ * Turn a registry sub-input name (e.g. "card_number") into a label
+ */
+const humanize = (name) => name.replace(/_/g, ' ').replace(/^./, first => first.toUpperCase());
+
+/**
+ * Collect a multi-input field's values keyed by input label
+ */
+function readInputs(entry, inputs) {
+  const values = {};
+  for (const input of inputs) {
+    const value = entry[String(input.id)];
+    if (!isEmpty(value)) {
+      values[input.customLabel || input.label || String(input.id)] = value;
+    }
+  }
+  return Object.keys(values).length ? values : null;
+}
+
+/**
+ * Read a field's readable value from a raw entry
+ * @param {object} field - Form field
+ * @param {object} entry - Raw entry
+ * @returns {*} The value, or null when the entry has none
+ */
+export function readFieldValue(field, entry) {
+  const storage = fieldRegistry[field.type]?.storage || {};
+  const hasChoices = Array.isArray(field.choices) && field.choices.length > 0;
+  const hasInputs = Array.isArray(field.inputs) && field.inputs.length > 0;
+  const value = entry[String(field.id)];
+
+  if (storage.type === 'array') {
+    // Checkboxes store each checked choice under its own input
+    let items;
+    if (hasInputs && isEmpty(value)) {
+      items = field.inputs.map(input => entry[String(input.id)]).filter(item => !isEmpty(item));
+    } else {
+      items = isEmpty(value) ? [] : parseArray(value);
+    }
+    if (items.length === 0) {
+      return null;
+    }
+    return hasChoices ? items.map(item => choiceText(field, item)) : items;
+  }
+
+  if (storage.type === 'mixed' && !isEmpty(value)) {
+    const isMultiple = storage.condition ? field[storage.condition] : false;
+    return isMultiple || (typeof value === 'string' && value.startsWith('[')) ? parseArray(value) : value;
+  }
+
+  // Compound fields, and single-value fields stored per input (such as single products)
+  if ((hasInputs || storage.subInputs) && isEmpty(value)) {
+    const inputs = hasInputs
+      ? field.inputs
+      : Object.entries(storage.subInputs).map(([subId, name]) => ({ id: `${field.id}.${subId}`, label: humanize(name) }));
+    const values = readInputs(entry, inputs);
+    if (values && JOINED_TYPES.includes(field.type)) {
+      return Object.values(values).join(' ');
+    }
+    return values && hasChoices && storage.type !== 'compound'
+      ? Object.fromEntries(Object.entries(values).map(([label, item]) => [label, choiceText(field, item)]))
+      : values;
+  }
+
+  if (isEmpty(value)) {
+    return null;
+  }
+  return hasChoices ? choiceText(field, value) : value;
+}
+
+/**
+ * Render an entry with field values keyed by label
+ * Entry properties are kept; field and input keys are replaced by "fields".
+ * @param {object} entry - Raw entry
+ * @param {object} form - Form definition for the entry
+ * @returns {object} Readable entry
+ */
+export function formatEntryReadable(entry, form) {
+  const readable = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!isFieldKey(key)) {
+      readable[key] = value;
+    }
+  }
+
+  const fields = {};
+  for (const field of form.fields || []) {
+    if (!fieldStoresData(field.type)) {
+      continue;
+    }
+
+    // Labels can repeat; the field ID keeps them apart
+    let label = field.adminLabel || field.label || `Field ${field.id}`;
+    if (label in fields) {
+      label = `${label} [${field.id}]`;
+    }
+    fields[label] = readFieldValue(field, entry);
+  }
+
+  readable.fields = fields;
+  return readable;
+}
+
+/**
+ * Render the entries in a gf_get_entry or gf_list_entries response
+ * Handles both { entries: [...] } and { entry: {...} } shapes.
+ * @param {object} response - Tool response
+ * @param {Function} getForm - async (formId) => form
+ * @returns {Promise<object>} Response with readable entries
+ */
+export async function formatReadableResponse(response, getForm) {
+  const forms = new Map();
+  const render = async (entry) => {
+    const formId = String(entry.form_id);
+    if (!forms.has(formId)) {
+      forms.set(formId, await getForm(entry.form_id));
+    }
+    return formatEntryReadable(entry, forms.get(formId));
+  };
+
+  if (Array.isArray(response.entries)) {
+    const entries = [];
+    for (const entry of response.entries) {
+      entries.push(await render(entry));
+    }
+    return { ...response, entries };
+  }
+  if (response.entry && typeof response.entry === 'object') {
+    return { ...response, entry: await render(response.entry) };
+  }
+  return response;
+}
@@ -0,0 +1,122 @@
+/**
+ * Versioning for optimistic concurrency
+ * A version is a short hash of an object as returned by the API. Writers pass
+ * the version they read as expected_version; the object is re-read right
+ * before the write and the write is refused if it no longer matches.
+ *
+ * Recently seen versions are kept in memory so a conflict can report what
+ * changed since the caller's read.
+ */
+
+import { createHash } from 'crypto';
+import { canonicalize } from './canonical-json.js';
+
+const MAX_SNAPSHOTS = 200;
+
+const snapshots = new Map();
+
+/**
+ * Hash an object into a version string
+ * @param {object} object - Form, entry or feed
+ * @returns {string} 16 hex characters
+ */
+export function computeVersion(object) {
+  return createHash('sha256').update(canonicalize(object ?? null)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Compute an object's version and remember the object for conflict reports
+ * @param {object} object - Form, entry or feed as read from the API
+ * @returns {string} Version
+ */
+export function rememberVersion(object) {
+  const version = computeVersion(object);
+
+  snapshots.delete(version);
+  snapshots.set(version, structuredClone(object));
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+
+  return version;
+}
+
+/**
+ * Check an expected version against the current object
+ * Accepts either a version hash or the object's date_updated
+ */
+export function versionMatches(object, expected) {
+  if (object?.date_updated && String(expected) === String(object.date_updated)) {
+    return true;
+  }
+  return String(expected) === computeVersion(object);
+}
+
+/**
+ * Describe top-level changes between two copies of an object
+ * Arrays of objects with IDs (form fields) are compared by ID
+ * @returns {Array} [{ property, before, after }] or [{ property, added, removed, changed }]
+ */
+export function describeChanges(before = {}, after = {}) {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+
+  for (const key of keys) {
+    const a = before?.[key];
+    const b = after?.[key];
+    if (canonicalize(a ?? null) === canonicalize(b ?? null)) {
+      continue;
+    }
+
+    const keyed = list => Array.isArray(list) && list.every(item => item && typeof item === 'object' && 'id' in item);
+    if (keyed(a) && keyed(b)) {
+      const aMap = new Map(a.map(item => [String(item.id), item]));
+      const bMap = new Map(b.map(item => [String(item.id), item]));
+      changes.push({
+        property: key,
+        added: [...bMap.keys()].filter(id => !aMap.has(id)),
+        removed: [...aMap.keys()].filter(id => !bMap.has(id)),
+        changed: [...aMap.keys()].filter(id => bMap.has(id) && canonicalize(aMap.get(id)) !== canonicalize(bMap.get(id)))
+      });
+    } else {
+      changes.push({ property: key, before: a, after: b });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Throw a conflict error when the current object doesn't match the expected version
+ * The error carries details with the current version and, when the expected
+ * version was read through this server, the changes made since.
+ * @param {string} kind - 'form', 'entry' or 'feed'
+ * @param {number|string} id - Object ID
+ * @param {object} current - Object as it is now
+ * @param {string} expected - expected_version from the caller (no-op when empty)
+ */
+export function assertVersion(kind, id, current, expected) {
+  if (expected === undefined || expected === null || expected === '') {
+    return;
+  }
+  if (versionMatches(current, expected)) {
+    return;
+  }
+
+  const currentVersion = rememberVersion(current);
+  const snapshot = snapshots.get(String(expected));
+
+  const error = new Error(
+    `Version conflict: ${kind} ${id} has changed since version ${expected} (current version ${currentVersion}). Re-read it and reapply your changes.`
+  );
+  error.details = {
+    conflict: true,
+    kind,
+    id,
+    expected_version: expected,
+    current_version: currentVersion,
+    date_updated: current?.date_updated,
+    changes: snapshot ? describeChanges(snapshot, current) : null
+  };
+  throw error;
+}